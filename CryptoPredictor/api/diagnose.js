@@ -0,0 +1,22 @@
+// Deployment diagnostics: runs the readiness checks behind GET /health/ready against the
+// chain and contract configured in .env and exits with 1 when any check fails.
+//
+//   npm run diagnose            # Report, one line per check
+//   npm run diagnose -- --json  # The /health/ready body
+require('dotenv').config();
+// The report already carries every failure; set LOG_LEVEL to see the calls behind it
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const diagnostics = require('./services/diagnostics');
+
+async function diagnose() {
+  const report = await diagnostics.ready({ fresh: true });
+
+  console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : diagnostics.format(report));
+  process.exit(report.status === 'fail' ? 1 : 0);
+}
+
+diagnose().catch(error => {
+  console.error('❌ Diagnostics failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+const adminAuth = require('../services/adminAuth');
+
+// Admin keys are sent as `Authorization: Bearer <key>` or in the `x-admin-key` header
+const readAdminKey = (req) => {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-admin-key'];
+};
+
+// Require an active admin key holding `scope`; sets req.admin to the key. A missing,
+// unknown or expired key is a 401, a key without the scope a 403. The scope is also
+// kept on the middleware so the OpenAPI document can list it.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    const key = adminAuth.authenticate(readAdminKey(req));
+
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'Admin privileges required'
+      });
+    }
+
+    if (!adminAuth.hasScope(key, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        requiredScope: scope
+      });
+    }
+
+    req.admin = { id: key.id, name: key.name, scopes: key.scopes };
+    next();
+  };
+  middleware.scope = scope;
+  return middleware;
+};
+
+// Record the admin action once the response is sent, with the operator, the request
+// and the resulting transaction hash when the handler returned one
+const auditAction = (action) => {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    let responseBody;
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const data = (responseBody && responseBody.data) || {};
+      // Bulk operations report one transaction per item under `details`
+      const txHashes = [data.txHash, ...(Array.isArray(data.details) ? data.details.map(item => item.txHash) : [])]
+        .filter(Boolean);
+
+      adminAuth.recordAudit({
+        action,
+        operator: req.admin,
+        method: req.method,
+        path: req.originalUrl,
+        params: req.params,
+        body: req.body,
+        ip: req.ip,
+        status: res.statusCode,
+        success: res.statusCode < 400,
+        txHash: txHashes[0] || null,
+        ...(txHashes.length > 1 ? { txHashes } : {}),
+        error: responseBody && !responseBody.success ? responseBody.error : undefined
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  requireScope,
+  auditAction
+};
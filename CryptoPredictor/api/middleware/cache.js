@@ -0,0 +1,43 @@
+const cache = require('../services/cache');
+
+// One entry per path and validated query, so defaults and parameter order don't split it
+const requestKey = (req) => {
+  const query = Object.entries(req.validatedQuery || {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  return `${req.baseUrl}${req.path}?${query}`;
+};
+
+// Terminal handler for GET routes whose JSON body is expensive to compute: `build(req)`
+// returns the body and is served through services/cache.js with the route's TTL and
+// tags (an array, or a function of the request). Responses carry an ETag so clients
+// can revalidate with If-None-Match and get a 304; `no-cache` makes them revalidate on
+// every use, so an invalidated entry is never served from a client cache.
+const cachedResponse = ({ ttlMs, staleMs, tags = [], visibility = 'public' }, build) => async (req, res, next) => {
+  try {
+    const { entry, status } = await cache.lookup(`response:${requestKey(req)}`, () => build(req), {
+      ttlMs,
+      staleMs,
+      tags: typeof tags === 'function' ? tags(req) : tags
+    });
+
+    res.set({
+      ETag: cache.etag(entry),
+      'Cache-Control': `${visibility}, no-cache`,
+      Age: String(Math.floor((Date.now() - entry.storedAt) / 1000)),
+      'X-Cache': status.toUpperCase()
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json(entry.value);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  cachedResponse
+};
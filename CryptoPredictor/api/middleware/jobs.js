@@ -0,0 +1,27 @@
+const Joi = require('joi');
+
+// Clients opt into asynchronous writes with `Prefer: respond-async` or `?async=true`.
+// Reads the query as validated by asyncQuerySchema, so every spelling it accepts counts.
+const wantsAsync = (req) =>
+  (req.validatedQuery || {}).async === true || /\brespond-async\b/.test(req.get('Prefer') || '');
+
+// Query parameters of routes that accept asynchronous writes
+const asyncQuerySchema = Joi.object({
+  async: Joi.boolean().truthy('1', 'yes').falsy('0', 'no')
+});
+
+// Answer an asynchronous write with 202 and the job to poll at GET /api/jobs/:id
+const acceptJob = (res, job, message) => res
+  .status(202)
+  .location(`/api/jobs/${job.id}`)
+  .json({
+    success: true,
+    data: job,
+    message
+  });
+
+module.exports = {
+  asyncQuerySchema,
+  wantsAsync,
+  acceptJob
+};
@@ -0,0 +1,33 @@
+const metrics = require('../services/metrics');
+
+// The matched route template (`/api/predictions/:id`), so IDs and addresses don't create
+// a series each. The mount path is taken from the URL rather than req.baseUrl, which
+// Express has already reset when an error leaves the router.
+const routeLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = req.route.path.split('/').filter(Boolean);
+  const mountSegments = segments.slice(0, Math.max(0, segments.length - routeSegments.length));
+  return `/${[...mountSegments, ...routeSegments].join('/')}`;
+};
+
+// Record every request in the HTTP duration histogram once the response is sent
+const httpMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.observeRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode
+    }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics
+};
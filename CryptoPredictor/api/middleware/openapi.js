@@ -0,0 +1,188 @@
+const Joi = require('joi');
+
+// Attach OpenAPI metadata to a route. The middleware does nothing at request time;
+// services/openapi.js reads `spec` off the router stack when it builds
+// /api/openapi.json. Request schemas are taken from the route's validation middleware
+// (`query`, `params` and `body` override them), `responses` maps status codes to Joi
+// response schemas, or to a description for error statuses, and `contentType`
+// overrides application/json for successful responses.
+const document = (spec) => {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = spec;
+  return middleware;
+};
+
+// Response envelopes
+const success = (data, extra = {}) => Joi.object({
+  success: Joi.boolean().valid(true).required(),
+  data: data.required(),
+  ...extra
+});
+
+// Shared response schemas, published under components.schemas by `className`
+const address = Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/);
+const integerString = Joi.string().pattern(/^\d+$/);
+const decimalString = Joi.string().pattern(/^\d+(\.\d+)?$/);
+
+const predictionSchema = Joi.object({
+  id: integerString.required(),
+  predictor: address.required(),
+  cryptocurrency: Joi.string().required(),
+  currentPrice: decimalString.required(),
+  predictedPrice: decimalString.required(),
+  predictionTimestamp: integerString.required(),
+  targetTimestamp: integerString.required(),
+  modelType: Joi.string().allow('').required(),
+  isResolved: Joi.boolean().required(),
+  actualPrice: decimalString.allow(null).required(),
+  wasAccurate: Joi.boolean().required(),
+  accuracyPercentage: integerString.required(),
+  additionalData: Joi.string().allow('', null),
+  // additionalData parsed against the prediction metadata schema; null for free text
+  metadata: Joi.object({
+    schemaVersion: Joi.number().integer().allow(null).required(),
+    modelVersion: Joi.string(),
+    features: Joi.array().items(Joi.string()),
+    hyperparameters: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.number(), Joi.string(), Joi.boolean())),
+    confidence: Joi.number().min(0).max(1),
+    horizon: Joi.number().integer().min(1),
+    dataSourceHash: Joi.string(),
+    intervals: Joi.array().items(Joi.object({
+      level: Joi.number().required(),
+      lower: Joi.number().required(),
+      upper: Joi.number().required()
+    })),
+    extra: Joi.object().unknown()
+  }).allow(null).meta({ className: 'PredictionMetadata' })
+}).meta({ className: 'Prediction' });
+
+const paginationSchema = Joi.object({
+  limit: Joi.number().integer().required(),
+  total: Joi.number().integer().required(),
+  hasMore: Joi.boolean().required(),
+  nextCursor: Joi.string().allow(null).required(),
+  sort: Joi.string().required(),
+  order: Joi.string().valid('asc', 'desc').required(),
+  page: Joi.number().integer()
+}).meta({ className: 'Pagination' });
+
+const jobSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  status: Joi.string().valid('queued', 'broadcast', 'mined', 'confirmed', 'failed').required(),
+  params: Joi.object().unknown().required(),
+  txHash: Joi.string().allow(null).required(),
+  transactionId: Joi.string().allow(null).required(),
+  predictionId: Joi.string().allow(null).required(),
+  receipt: Joi.object().unknown().allow(null).required(),
+  confirmations: Joi.number().integer().required(),
+  error: Joi.string().allow(null).required(),
+  history: Joi.array().items(Joi.object().unknown()).required(),
+  createdAt: Joi.string().required(),
+  updatedAt: Joi.string().required()
+}).meta({ className: 'Job' });
+
+// Transaction fields returned by synchronous writes
+const receiptFields = {
+  txHash: Joi.string().allow(null),
+  blockNumber: Joi.number().integer().allow(null),
+  gasUsed: Joi.string().allow(null),
+  jobId: Joi.string()
+};
+
+// Outcome decoded from the PredictionResolved event; accuracy in basis points
+const resolutionSchema = Joi.object({
+  wasAccurate: Joi.boolean().required(),
+  accuracyPercentage: integerString.required(),
+  ...receiptFields
+}).meta({ className: 'Resolution' });
+
+const streamEventSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  blockNumber: Joi.number().integer().required(),
+  transactionHash: Joi.string().required(),
+  timestamp: Joi.number().integer().required(),
+  data: Joi.object().unknown().required()
+}).meta({ className: 'StreamEvent' });
+
+const webhookSchema = Joi.object({
+  id: Joi.string().required(),
+  url: Joi.string().required(),
+  description: Joi.string().allow('', null),
+  events: Joi.array().items(Joi.string()).required(),
+  filters: Joi.object({
+    symbols: Joi.array().items(Joi.string()).required(),
+    users: Joi.array().items(Joi.string()).required(),
+    models: Joi.array().items(Joi.string()).required()
+  }).required(),
+  active: Joi.boolean().required(),
+  createdAt: Joi.string().required(),
+  updatedAt: Joi.string().required()
+}).meta({ className: 'Webhook' });
+
+const deliverySchema = Joi.object({
+  id: Joi.string().required(),
+  webhookId: Joi.string().required(),
+  event: Joi.string().required(),
+  payload: Joi.object().unknown().required(),
+  status: Joi.string().valid('pending', 'delivered', 'dead').required(),
+  attempts: Joi.array().items(Joi.object().unknown()).required(),
+  nextAttemptAt: Joi.string().allow(null).required(),
+  deliveredAt: Joi.string().allow(null).required(),
+  createdAt: Joi.string().required()
+}).unknown().meta({ className: 'WebhookDelivery' });
+
+const apiKeySchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().required(),
+  scopes: Joi.array().items(Joi.string()).required(),
+  active: Joi.boolean().required()
+}).unknown().meta({ className: 'ApiKey' });
+
+// Every error response carries `error`; validation failures add `details`
+// (middleware/validation.js)
+const validationDetailSchema = Joi.object({
+  field: Joi.string().required(),
+  location: Joi.string().valid('body', 'query', 'params').required(),
+  message: Joi.string().required(),
+  type: Joi.string().required()
+}).meta({ className: 'ValidationDetail' });
+
+const errorSchema = Joi.object({
+  success: Joi.boolean().valid(false),
+  error: Joi.string().required(),
+  message: Joi.string(),
+  details: Joi.array().items(validationDetailSchema)
+}).unknown().meta({ className: 'Error' });
+
+// A page of predictions from services/predictionQuery.js; `meta` describes the scope
+const predictionList = (meta) => success(Joi.array().items(predictionSchema), {
+  pagination: paginationSchema.required(),
+  meta: meta.required()
+});
+
+// Anything else a route returns inside the standard envelope
+const anyData = Joi.alternatives().try(Joi.object().unknown(), Joi.array());
+
+module.exports = {
+  document,
+  success,
+  predictionList,
+  schemas: {
+    address,
+    integerString,
+    decimalString,
+    predictionSchema,
+    paginationSchema,
+    jobSchema,
+    receiptFields,
+    resolutionSchema,
+    streamEventSchema,
+    webhookSchema,
+    deliverySchema,
+    apiKeySchema,
+    errorSchema,
+    anyData
+  }
+};
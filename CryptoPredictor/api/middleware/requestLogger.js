@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const log = logger.child({ component: 'http' });
+
+// Incoming IDs are reused so a caller's trace continues through the API
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const levelFor = (status) => {
+  if (status >= 500) {
+    return 'error';
+  }
+  return status >= 400 ? 'warn' : 'info';
+};
+
+// Give every request an ID (`X-Request-Id`, echoed on the response) and log one entry
+// per request once the response is sent
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    log[levelFor(res.statusCode)]('Request completed', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      contentLength: res.get('Content-Length') ? parseInt(res.get('Content-Length')) : null,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      admin: req.admin ? req.admin.name : undefined
+    });
+  });
+
+  next();
+};
+
+// Run the rest of the request in a logging context carrying its ID, so every entry
+// logged while handling it, including blockchain calls and the jobs it starts, can be
+// correlated. Mounted after the body parsers: they resume the request from stream
+// callbacks, which don't carry the context.
+const requestContext = (req, res, next) => {
+  logger.withContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  requestLogger,
+  requestContext
+};
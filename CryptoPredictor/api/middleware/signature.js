@@ -0,0 +1,124 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../services/blockchain');
+
+// EIP-712 type a predictor signs; must match PREDICTION_TYPEHASH in PredictionLogger.sol
+const PREDICTION_TYPES = {
+  Prediction: [
+    { name: 'predictor', type: 'address' },
+    { name: 'cryptocurrency', type: 'string' },
+    { name: 'currentPrice', type: 'uint256' },
+    { name: 'predictedPrice', type: 'uint256' },
+    { name: 'targetTimestamp', type: 'uint256' },
+    { name: 'modelType', type: 'string' },
+    { name: 'additionalData', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Signed predictions waiting for their transaction, keyed by predictor and nonce
+const pendingNonces = new Set();
+
+// Prices are signed as the same 18-decimal values that are written on-chain
+const buildPredictionMessage = (predictor, data, nonce, deadline) => ({
+  predictor,
+  cryptocurrency: data.cryptocurrency,
+  currentPrice: ethers.parseUnits(data.currentPrice.toString(), 18),
+  predictedPrice: ethers.parseUnits(data.predictedPrice.toString(), 18),
+  targetTimestamp: data.targetTimestamp,
+  modelType: data.modelType,
+  additionalData: data.additionalData || '{}',
+  nonce,
+  deadline
+});
+
+const reject = (res, status, error, message, extra = {}) => res.status(status).json({
+  success: false,
+  error,
+  message,
+  ...extra
+});
+
+// Fields a request can claim a predictor address in
+const ADDRESS_FIELDS = ['predictor', 'userAddress', 'predictorAddress'];
+
+// Binds the claimed predictor to an EIP-712 signature over the validated prediction
+// (req.validatedData). Every address field sent must name that same predictor. Unsigned
+// requests may not claim a predictor address; they are submitted from the server
+// wallet. On success sets req.signedPrediction.
+const verifyPredictionSignature = async (req, res, next) => {
+  const data = req.validatedData;
+  const addresses = ADDRESS_FIELDS.filter(field => data[field]).map(field => data[field]);
+  const claimed = addresses[0];
+
+  if (new Set(addresses.map(address => address.toLowerCase())).size > 1) {
+    return reject(res, 400, 'Validation Error',
+      `${ADDRESS_FIELDS.join(', ')} must all name the same address`);
+  }
+
+  if (!data.signature) {
+    if (claimed) {
+      return reject(res, 401, 'Signature Required',
+        'Submitting for a predictor address requires an EIP-712 signature (see GET /api/users/:address/nonce)');
+    }
+    return next();
+  }
+
+  if (!claimed) {
+    return reject(res, 400, 'Validation Error', 'predictor is required with a signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (data.deadline <= now) {
+    return reject(res, 401, 'Signature Expired', 'The signature deadline has passed');
+  }
+
+  try {
+    const domain = await blockchainService.getSigningDomain();
+    const message = buildPredictionMessage(claimed, data, data.nonce, data.deadline);
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, PREDICTION_TYPES, message, data.signature);
+    } catch (error) {
+      return reject(res, 401, 'Invalid Signature', 'Signature could not be decoded');
+    }
+
+    if (signer.toLowerCase() !== claimed.toLowerCase()) {
+      return reject(res, 401, 'Invalid Signature', 'Signature does not match the predictor address');
+    }
+
+    const expectedNonce = await blockchainService.getPredictionNonce(signer);
+    if (String(data.nonce) !== String(expectedNonce)) {
+      return reject(res, 409, 'Nonce Mismatch', 'Sign the prediction with the current nonce', {
+        expectedNonce: String(expectedNonce)
+      });
+    }
+
+    const key = `${signer.toLowerCase()}:${data.nonce}`;
+    if (pendingNonces.has(key)) {
+      return reject(res, 409, 'Nonce Mismatch', 'A prediction with this nonce is already being submitted');
+    }
+    pendingNonces.add(key);
+    // Asynchronous submissions set res.locals.settled to hold the nonce past the response
+    res.on('close', () => {
+      Promise.resolve(res.locals.settled).finally(() => pendingNonces.delete(key));
+    });
+
+    req.signedPrediction = {
+      predictor: signer,
+      nonce: String(data.nonce),
+      deadline: data.deadline,
+      signature: data.signature
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  PREDICTION_TYPES,
+  buildPredictionMessage,
+  verifyPredictionSignature
+};
@@ -1,80 +1,92 @@
 const Joi = require('joi');
+const { ethers } = require('ethers');
+
+// Every request schema rejects unknown fields and coerces numeric and boolean strings
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  allowUnknown: false,
+  convert: true
+};
+
+// EVM addresses are validated with ethers: all-lowercase or all-uppercase hex is accepted,
+// mixed case must carry a valid EIP-55 checksum. Values are normalized to the checksummed form.
+const checksumAddress = (value, helpers) => {
+  if (!ethers.isHexString(value, 20)) {
+    return helpers.error('address.invalid');
+  }
+  if (!ethers.isAddress(value)) {
+    return helpers.error('address.checksum');
+  }
+  return ethers.getAddress(value);
+};
 
 // Common validation schemas
-const addressSchema = Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required();
+const address = Joi.string()
+  .trim()
+  .custom(checksumAddress, 'EVM address')
+  .messages({
+    'address.invalid': '{{#label}} must be a 0x-prefixed 20-byte hex address',
+    'address.checksum': '{{#label}} has an invalid EIP-55 checksum'
+  })
+  .description('EVM address; mixed-case addresses must be EIP-55 checksummed');
+const addressSchema = address.required();
 const positiveNumberSchema = Joi.number().positive().required();
 const timestampSchema = Joi.number().integer().positive().required();
+// For routes that take no query parameters or body, so stray fields are still rejected
+const emptySchema = Joi.object({});
+
+// Normalized error details: where the failing value came from and a readable message
+const formatDetails = (details, location) => details.map(detail => ({
+  field: (detail.path || []).join('.') || location,
+  location,
+  message: detail.message,
+  type: detail.type || 'any.invalid'
+}));
+
+// Answer 400 with the normalized validation error; `details` are Joi-style
+// ({ message, path, type }), so handlers can report checks Joi can't express
+const sendValidationError = (res, location, details) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  details: formatDetails(details, location)
+});
+
+// Validation middleware factory. The validated value is stored on `property` and the
+// schema is kept on the middleware for the OpenAPI document.
+const validateRequest = (location, property) => (schema) => {
+  const middleware = (req, res, next) => {
+    const { error, value } = schema.validate(req[location] || {}, VALIDATION_OPTIONS);
 
-// Validation middleware factory
-const validate = (schema) => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req.body);
-    
     if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
+      return sendValidationError(res, location, error.details);
     }
-    
-    req.validatedData = value;
+
+    req[property] = value;
     next();
   };
+  middleware.validates = { location, schema };
+  return middleware;
 };
 
+// Body validation
+const validate = validateRequest('body', 'validatedData');
+
 // Query parameter validation
-const validateQuery = (schema) => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req.query);
-    
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Query Validation Error',
-        details: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
-    }
-    
-    req.validatedQuery = value;
-    next();
-  };
-};
+const validateQuery = validateRequest('query', 'validatedQuery');
 
 // Parameter validation
-const validateParams = (schema) => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req.params);
-    
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter Validation Error',
-        details: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
-    }
-    
-    req.validatedParams = value;
-    next();
-  };
-};
+const validateParams = validateRequest('params', 'validatedParams');
 
 module.exports = {
   validate,
   validateQuery,
   validateParams,
+  sendValidationError,
   schemas: {
+    address,
     addressSchema,
     positiveNumberSchema,
-    timestampSchema
+    timestampSchema,
+    emptySchema
   }
-};
\ No newline at end of file
+};
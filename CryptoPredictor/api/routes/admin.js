@@ -1,38 +1,149 @@
 const express = require('express');
 const Joi = require('joi');
 const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const predictionResolver = require('../services/resolver');
+const priceHistory = require('../services/priceHistory');
+const { INTERVALS, toMillis, createPriceAdapter } = require('../services/priceAdapters');
+const adminAuth = require('../services/adminAuth');
+const jobQueue = require('../services/jobs');
+const { requireScope, auditAction } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, schemas: { address, addressSchema, emptySchema } } = require('../middleware/validation');
+const { asyncQuerySchema, wantsAsync, acceptJob } = require('../middleware/jobs');
+const { document, success, schemas } = require('../middleware/openapi');
+const { cachedResponse } = require('../middleware/cache');
 
 const router = express.Router();
 
-// Middleware to check if user has admin privileges
-// In a production environment, this would verify JWT tokens or API keys
-const requireAdmin = (req, res, next) => {
-  const adminKey = req.headers['x-admin-key'];
-  if (!adminKey || adminKey !== process.env.ADMIN_API_KEY) {
-    return res.status(403).json({
-      success: false,
-      error: 'Admin privileges required'
-    });
-  }
-  next();
-};
-
 // Validation schemas
+// `adminAddress` and `oracleAddress` name the caller's operator account for the audit
+// log only; contract writes are always signed by the server wallet
 const setThresholdSchema = Joi.object({
   threshold: Joi.number().integer().min(0).max(10000).required(),
-  adminAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+  adminAddress: address
+});
+
+const contractControlSchema = Joi.object({
+  adminAddress: address
 });
 
 const oracleRoleSchema = Joi.object({
-  address: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required()
+  address: addressSchema
+});
+
+const priceIngestSchema = Joi.object({
+  adapter: Joi.string().valid('csv', 'json', 'exchange').required(),
+  symbol: Joi.string().required().max(10),
+  interval: Joi.string().valid(...Object.keys(INTERVALS)).required(),
+  content: Joi.alternatives().try(Joi.string(), Joi.array(), Joi.object()).optional(),
+  from: Joi.alternatives().try(Joi.number().integer().positive(), Joi.date().iso()).optional(),
+  to: Joi.alternatives().try(Joi.number().integer().positive(), Joi.date().iso()).optional()
+});
+
+const createKeySchema = Joi.object({
+  name: Joi.string().required().max(100),
+  scopes: Joi.array().items(Joi.string().valid('*', ...adminAuth.scopes)).min(1).unique().required(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  expiresInDays: Joi.number().integer().min(1).max(3650).optional()
+}).oxor('expiresAt', 'expiresInDays');
+
+const rotateKeySchema = Joi.object({
+  gracePeriod: Joi.number().integer().min(0).max(30 * 24 * 3600).optional()
+});
+
+const transactionQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'mined', 'failed', 'cancelled', 'dropped').optional()
+});
+
+const auditQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  operator: Joi.string().optional(),
+  action: Joi.string().optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional()
+});
+
+const bulkResolveItemSchema = Joi.object({
+  predictionId: Joi.number().integer().positive(),
+  id: Joi.number().integer().positive(),
+  actualPrice: Joi.number().positive().required()
+}).or('predictionId', 'id');
+
+// Items are checked one by one so a bad entry fails alone; the documented body
+// describes them in full
+const bulkResolveSchema = Joi.object({
+  predictions: Joi.array().items(Joi.object().unknown()).min(1).required(),
+  oracleAddress: address
+});
+
+const resolverLogQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  predictionId: Joi.string().optional()
+});
+
+// Response schemas
+// Contract writes answer with the mined receipt, or 202 and the job when asynchronous
+const writeResponses = (fields = {}) => ({
+  200: success(Joi.object({ ...schemas.receiptFields, ...fields }), { message: Joi.string().required() }),
+  202: success(schemas.jobSchema, { message: Joi.string().required() })
+});
+
+const transactionSchema = Joi.object({
+  id: Joi.string().required(),
+  label: Joi.string().required(),
+  nonce: Joi.number().integer().required(),
+  status: Joi.string().valid('pending', 'mined', 'failed', 'cancelled', 'dropped').required(),
+  hash: Joi.string().allow(null).required(),
+  replacements: Joi.number().integer().required(),
+  cancelling: Joi.boolean().required()
+}).unknown().meta({ className: 'Transaction' });
+
+const replacementResponses = {
+  200: success(transactionSchema.keys({
+    txHash: Joi.string().required()
+  }).meta({ className: 'TransactionReplacement' }), { message: Joi.string().required() }),
+  404: 'Pending transaction not found',
+  409: 'Replacement Not Possible'
+};
+
+const resolverStatusSchema = Joi.object({
+  running: Joi.boolean().required(),
+  inProgress: Joi.boolean().required(),
+  priceSource: Joi.string().allow(null).required(),
+  intervalMs: Joi.number().integer().required(),
+  maxRetries: Joi.number().integer().required(),
+  lastRunAt: Joi.string().allow(null).required(),
+  lastRun: Joi.object().unknown().allow(null).required(),
+  totals: Joi.object().unknown().required(),
+  lastError: Joi.string().allow(null).required()
+}).meta({ className: 'ResolverStatus' });
+
+// Transactions and API keys are addressed by their string IDs
+const idParamsSchema = Joi.object({
+  id: Joi.string().max(100).required()
 });
 
 // GET /api/admin/contract-info - Get contract information
-router.get('/contract-info', requireAdmin, async (req, res, next) => {
+router.get('/contract-info', document({
+  summary: 'Get contract information',
+  responses: {
+    200: success(Joi.object({
+      contractAddress: Joi.string().allow(null),
+      network: Joi.string().required(),
+      predictionCounter: schemas.integerString.required(),
+      accuracyThreshold: Joi.string().required(),
+      basisPoints: schemas.integerString.required(),
+      statsVersion: Joi.number().integer().required()
+        .description('1: the contract divides accuracy by every prediction and the API derives resolved-only stats; 2: resolved-only on chain'),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), requireScope('admin:read'), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const [predictionCounter, accuracyThreshold] = await Promise.all([
+    const [predictionCounter, accuracyThreshold, statsVersion] = await Promise.all([
       blockchainService.getPredictionCounter(),
-      blockchainService.getAccuracyThreshold()
+      blockchainService.getAccuracyThreshold(),
+      blockchainService.getStatsVersion()
     ]);
     
     res.json({
@@ -43,6 +154,7 @@ router.get('/contract-info', requireAdmin, async (req, res, next) => {
         predictionCounter,
         accuracyThreshold: `${parseInt(accuracyThreshold) / 100}%`,
         basisPoints: accuracyThreshold,
+        statsVersion,
         timestamp: new Date().toISOString()
       }
     });
@@ -52,27 +164,28 @@ router.get('/contract-info', requireAdmin, async (req, res, next) => {
 });
 
 // PUT /api/admin/accuracy-threshold - Set accuracy threshold
-router.put('/accuracy-threshold', requireAdmin, async (req, res, next) => {
+router.put('/accuracy-threshold', document({
+  summary: 'Set the accuracy threshold in basis points',
+  responses: writeResponses({ threshold: Joi.number().integer().required() })
+}), requireScope('threshold:write'), auditAction('threshold.update'), validateQuery(asyncQuerySchema), validate(setThresholdSchema), async (req, res, next) => {
   try {
-    const { error, value } = setThresholdSchema.validate(req.body);
+    const value = req.validatedData;
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
+    const job = jobQueue.start('threshold.update', { threshold: value.threshold },
+      options => blockchainService.setAccuracyThreshold(value.threshold, options));
+    
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Accuracy threshold update submitted');
     }
     
-    const result = await blockchainService.setAccuracyThreshold(value.threshold);
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        txHash: result.receipt?.hash,
-        blockNumber: result.receipt?.blockNumber,
-        gasUsed: result.receipt?.gasUsed?.toString(),
-        threshold: value.threshold
+        ...jobQueue.receiptOf(result),
+        threshold: value.threshold,
+        jobId: job.id
       },
       message: `Accuracy threshold updated to ${value.threshold / 100}%`
     });
@@ -82,16 +195,24 @@ router.put('/accuracy-threshold', requireAdmin, async (req, res, next) => {
 });
 
 // POST /api/admin/pause - Pause the contract
-router.post('/pause', requireAdmin, async (req, res, next) => {
+router.post('/pause', document({
+  summary: 'Pause the contract',
+  responses: writeResponses()
+}), requireScope('contract:pause'), auditAction('contract.pause'), validateQuery(asyncQuerySchema), validate(contractControlSchema), async (req, res, next) => {
   try {
-    const result = await blockchainService.pauseContract();
+    const job = jobQueue.start('contract.pause', {}, options => blockchainService.pauseContract(options));
+    
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Contract pause submitted');
+    }
+    
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        txHash: result.receipt.hash,
-        blockNumber: result.receipt.blockNumber,
-        gasUsed: result.receipt.gasUsed.toString()
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: 'Contract paused successfully'
     });
@@ -101,16 +222,24 @@ router.post('/pause', requireAdmin, async (req, res, next) => {
 });
 
 // POST /api/admin/unpause - Unpause the contract
-router.post('/unpause', requireAdmin, async (req, res, next) => {
+router.post('/unpause', document({
+  summary: 'Unpause the contract',
+  responses: writeResponses()
+}), requireScope('contract:pause'), auditAction('contract.unpause'), validateQuery(asyncQuerySchema), validate(contractControlSchema), async (req, res, next) => {
   try {
-    const result = await blockchainService.unpauseContract();
+    const job = jobQueue.start('contract.unpause', {}, options => blockchainService.unpauseContract(options));
+    
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Contract unpause submitted');
+    }
+    
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        txHash: result.receipt.hash,
-        blockNumber: result.receipt.blockNumber,
-        gasUsed: result.receipt.gasUsed.toString()
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: 'Contract unpaused successfully'
     });
@@ -120,26 +249,27 @@ router.post('/unpause', requireAdmin, async (req, res, next) => {
 });
 
 // POST /api/admin/oracle/grant - Grant oracle role to address
-router.post('/oracle/grant', requireAdmin, async (req, res, next) => {
+router.post('/oracle/grant', document({
+  summary: 'Grant the oracle role to an address',
+  responses: writeResponses()
+}), requireScope('oracle:manage'), auditAction('oracle.grant'), validateQuery(asyncQuerySchema), validate(oracleRoleSchema), async (req, res, next) => {
   try {
-    const { error, value } = oracleRoleSchema.validate(req.body);
+    const value = req.validatedData;
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
+    const job = jobQueue.start('oracle.grant', { address: value.address },
+      options => blockchainService.grantOracleRole(value.address, options));
+    
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Oracle role grant submitted');
     }
     
-    const result = await blockchainService.grantOracleRole(value.address);
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        txHash: result.receipt.hash,
-        blockNumber: result.receipt.blockNumber,
-        gasUsed: result.receipt.gasUsed.toString()
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: `Oracle role granted to ${value.address}`
     });
@@ -149,26 +279,27 @@ router.post('/oracle/grant', requireAdmin, async (req, res, next) => {
 });
 
 // POST /api/admin/oracle/revoke - Revoke oracle role from address
-router.post('/oracle/revoke', requireAdmin, async (req, res, next) => {
+router.post('/oracle/revoke', document({
+  summary: 'Revoke the oracle role from an address',
+  responses: writeResponses()
+}), requireScope('oracle:manage'), auditAction('oracle.revoke'), validateQuery(asyncQuerySchema), validate(oracleRoleSchema), async (req, res, next) => {
   try {
-    const { error, value } = oracleRoleSchema.validate(req.body);
+    const value = req.validatedData;
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
+    const job = jobQueue.start('oracle.revoke', { address: value.address },
+      options => blockchainService.revokeOracleRole(value.address, options));
+    
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Oracle role revoke submitted');
     }
     
-    const result = await blockchainService.revokeOracleRole(value.address);
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        txHash: result.receipt.hash,
-        blockNumber: result.receipt.blockNumber,
-        gasUsed: result.receipt.gasUsed.toString()
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: `Oracle role revoked from ${value.address}`
     });
@@ -178,78 +309,205 @@ router.post('/oracle/revoke', requireAdmin, async (req, res, next) => {
 });
 
 // GET /api/admin/stats - Get comprehensive system statistics
-router.get('/stats', requireAdmin, async (req, res, next) => {
-  try {
-    const predictionCounter = await blockchainService.getPredictionCounter();
-    const accuracyThreshold = await blockchainService.getAccuracyThreshold();
-    
-    // Get recent predictions for analysis
-    const recentPredictions = [];
-    const totalCount = parseInt(predictionCounter);
-    const recentCount = Math.min(100, totalCount); // Last 100 predictions
-    
-    for (let i = Math.max(1, totalCount - recentCount + 1); i <= totalCount; i++) {
-      try {
-        const prediction = await blockchainService.getPrediction(i);
-        recentPredictions.push(prediction);
-      } catch (error) {
-        // Skip if prediction doesn't exist
-        continue;
-      }
+router.get('/stats', document({
+  summary: 'Get system statistics over recent predictions',
+  responses: {
+    200: success(Joi.object({
+      contractInfo: Joi.object().unknown().required(),
+      recentStats: Joi.object().unknown().required(),
+      usage: Joi.object().unknown().required(),
+      activity: Joi.object().unknown().required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), requireScope('admin:read'), validateQuery(emptySchema), cachedResponse({
+  ttlMs: 30000,
+  tags: ['predictions', 'threshold'],
+  visibility: 'private'
+}, async () => {
+  const predictionCounter = await blockchainService.getPredictionCounter();
+  const accuracyThreshold = await blockchainService.getAccuracyThreshold();
+  
+  // Get recent predictions for analysis (last 100 predictions)
+  const recentPredictions = await predictionIndexer.getRecentPredictions(1, 100);
+  
+  // Analyze recent predictions
+  const resolved = recentPredictions.filter(p => p.isResolved);
+  const accurate = resolved.filter(p => p.wasAccurate);
+  
+  // Model usage statistics
+  const modelUsage = {};
+  recentPredictions.forEach(p => {
+    modelUsage[p.modelType] = (modelUsage[p.modelType] || 0) + 1;
+  });
+  
+  // Crypto usage statistics
+  const cryptoUsage = {};
+  recentPredictions.forEach(p => {
+    cryptoUsage[p.cryptocurrency] = (cryptoUsage[p.cryptocurrency] || 0) + 1;
+  });
+  
+  // Daily activity (last 7 days)
+  const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+  const recentActivity = recentPredictions.filter(p => {
+    const predictionTime = parseInt(p.predictionTimestamp) * 1000;
+    return predictionTime > sevenDaysAgo;
+  });
+  
+  return {
+    success: true,
+    data: {
+      contractInfo: {
+        totalPredictions: predictionCounter,
+        accuracyThreshold: `${parseInt(accuracyThreshold) / 100}%`,
+        network: process.env.NETWORK_NAME || 'localhost'
+      },
+      recentStats: {
+        sampleSize: recentPredictions.length,
+        resolvedPredictions: resolved.length,
+        accuratePredictions: accurate.length,
+        overallAccuracyRate: resolved.length > 0 ? (accurate.length / resolved.length) * 100 : 0,
+        averageAccuracy: resolved.length > 0 
+          ? resolved.reduce((sum, p) => sum + parseFloat(p.accuracyPercentage), 0) / resolved.length / 100
+          : 0
+      },
+      usage: {
+        modelUsage: Object.entries(modelUsage)
+          .sort(([,a], [,b]) => b - a)
+          .reduce((obj, [key, value]) => ({ ...obj, [key]: value }), {}),
+        cryptoUsage: Object.entries(cryptoUsage)
+          .sort(([,a], [,b]) => b - a)
+          .reduce((obj, [key, value]) => ({ ...obj, [key]: value }), {})
+      },
+      activity: {
+        last7Days: recentActivity.length,
+        dailyAverage: recentActivity.length / 7
+      },
+      timestamp: new Date().toISOString()
     }
+  };
+}));
+
+// POST /api/admin/bulk-resolve - Bulk resolve predictions (for oracle operations)
+router.post('/bulk-resolve', document({
+  summary: 'Resolve several predictions',
+  body: Joi.object({
+    predictions: Joi.array().items(bulkResolveItemSchema).min(1).required(),
+    oracleAddress: address
+  }),
+  responses: {
+    200: success(Joi.object({
+      resolved: Joi.number().integer().required(),
+      failed: Joi.number().integer().required(),
+      details: Joi.array().items(Joi.object().unknown()).required(),
+      errors: Joi.array().items(Joi.object().unknown()).required(),
+      summary: Joi.object().unknown().required()
+    })),
+    202: success(Joi.object({
+      submitted: Joi.number().integer().required(),
+      failed: Joi.number().integer().required(),
+      details: Joi.array().items(Joi.object().unknown()).required(),
+      errors: Joi.array().items(Joi.object().unknown()).required(),
+      summary: Joi.object().unknown().required()
+    }), { message: Joi.string().required() })
+  }
+}), requireScope('predictions:resolve'), auditAction('predictions.bulkResolve'), validateQuery(asyncQuerySchema), validate(bulkResolveSchema), async (req, res, next) => {
+  try {
+    const { predictions } = req.validatedData;
     
-    // Analyze recent predictions
-    const resolved = recentPredictions.filter(p => p.isResolved);
-    const accurate = resolved.filter(p => p.wasAccurate);
+    const results = [];
+    const errors = [];
+    const jobs = [];
     
-    // Model usage statistics
-    const modelUsage = {};
-    recentPredictions.forEach(p => {
-      modelUsage[p.modelType] = (modelUsage[p.modelType] || 0) + 1;
+    // Submitted together: the transaction manager assigns nonces in order
+    predictions.forEach((pred) => {
+      const { error, value } = bulkResolveItemSchema.validate(pred);
+      
+      if (error) {
+        errors.push({ predictionId: pred.predictionId || pred.id, error: 'Invalid prediction data' });
+        return;
+      }
+      
+      const { actualPrice } = value;
+      const resolveId = value.predictionId || value.id;
+      jobs.push(jobQueue.start('prediction.resolve', { predictionId: resolveId, actualPrice },
+        options => blockchainService.resolvePrediction(resolveId, actualPrice, options)));
     });
     
-    // Crypto usage statistics
-    const cryptoUsage = {};
-    recentPredictions.forEach(p => {
-      cryptoUsage[p.cryptocurrency] = (cryptoUsage[p.cryptocurrency] || 0) + 1;
-    });
+    if (wantsAsync(req)) {
+      const submitted = await Promise.allSettled(jobs.map(job => jobQueue.waitForBroadcast(job.id)));
+      const accepted = [];
+      submitted.forEach((outcome, index) => {
+        const predictionId = jobs[index].params.predictionId;
+        if (outcome.status === 'fulfilled') {
+          accepted.push({ predictionId, jobId: jobs[index].id, status: outcome.value.status, txHash: outcome.value.txHash });
+        } else {
+          errors.push({ predictionId, jobId: jobs[index].id, error: outcome.reason.message });
+        }
+      });
+      
+      return res.status(202).json({
+        success: true,
+        data: {
+          submitted: accepted.length,
+          failed: errors.length,
+          details: accepted,
+          errors,
+          summary: {
+            total: predictions.length,
+            successful: accepted.length,
+            failed: errors.length
+          }
+        },
+        message: `Submitted ${accepted.length} of ${predictions.length} resolutions; poll GET /api/jobs/:id for progress`
+      });
+    }
     
-    // Daily activity (last 7 days)
-    const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-    const recentActivity = recentPredictions.filter(p => {
-      const predictionTime = parseInt(p.predictionTimestamp) * 1000;
-      return predictionTime > sevenDaysAgo;
+    const outcomes = await Promise.allSettled(jobs.map(job => jobQueue.waitForResult(job.id)));
+    outcomes.forEach((outcome, index) => {
+      const predictionId = jobs[index].params.predictionId;
+      if (outcome.status === 'fulfilled') {
+        results.push({ predictionId, ...jobQueue.receiptOf(outcome.value), jobId: jobs[index].id });
+      } else {
+        errors.push({ predictionId, error: outcome.reason.message });
+      }
     });
     
     res.json({
       success: true,
       data: {
-        contractInfo: {
-          totalPredictions: predictionCounter,
-          accuracyThreshold: `${parseInt(accuracyThreshold) / 100}%`,
-          network: process.env.NETWORK_NAME || 'localhost'
-        },
-        recentStats: {
-          sampleSize: recentPredictions.length,
-          resolvedPredictions: resolved.length,
-          accuratePredictions: accurate.length,
-          overallAccuracyRate: resolved.length > 0 ? (accurate.length / resolved.length) * 100 : 0,
-          averageAccuracy: resolved.length > 0 
-            ? resolved.reduce((sum, p) => sum + parseFloat(p.accuracyPercentage), 0) / resolved.length / 100
-            : 0
-        },
-        usage: {
-          modelUsage: Object.entries(modelUsage)
-            .sort(([,a], [,b]) => b - a)
-            .reduce((obj, [key, value]) => ({ ...obj, [key]: value }), {}),
-          cryptoUsage: Object.entries(cryptoUsage)
-            .sort(([,a], [,b]) => b - a)
-            .reduce((obj, [key, value]) => ({ ...obj, [key]: value }), {})
-        },
-        activity: {
-          last7Days: recentActivity.length,
-          dailyAverage: recentActivity.length / 7
-        },
+        resolved: results.length,
+        failed: errors.length,
+        details: results,
+        errors,
+        summary: {
+          total: predictions.length,
+          successful: results.length,
+          failed: errors.length
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/resolver/status - Get automated resolver status
+router.get('/resolver/status', document({
+  summary: 'Get automated resolver status',
+  responses: {
+    200: success(resolverStatusSchema.keys({
+      recentResolutions: Joi.array().items(Joi.object().unknown()).required(),
+      timestamp: Joi.string().required()
+    }).meta({ className: 'ResolverOverview' }))
+  }
+}), requireScope('admin:read'), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...predictionResolver.getStatus(),
+        recentResolutions: predictionResolver.getLog({ limit: 10 }),
         timestamp: new Date().toISOString()
       }
     });
@@ -258,50 +516,435 @@ router.get('/stats', requireAdmin, async (req, res, next) => {
   }
 });
 
-// POST /api/admin/bulk-resolve - Bulk resolve predictions (for oracle operations)
-router.post('/bulk-resolve', requireAdmin, async (req, res, next) => {
+// POST /api/admin/resolver/start - Start the automated resolver
+router.post('/resolver/start', document({
+  summary: 'Start the automated resolver',
+  responses: { 200: success(resolverStatusSchema, { message: Joi.string().required() }) }
+}), requireScope('predictions:resolve'), auditAction('resolver.start'), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
   try {
-    const { predictions } = req.body;
+    if (!predictionResolver.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'No price source configured for the resolver'
+      });
+    }
+
+    const started = predictionResolver.start();
     
-    if (!Array.isArray(predictions) || predictions.length === 0) {
+    res.json({
+      success: true,
+      data: predictionResolver.getStatus(),
+      message: started ? 'Resolver started' : 'Resolver already running'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/resolver/stop - Stop the automated resolver
+router.post('/resolver/stop', document({
+  summary: 'Stop the automated resolver',
+  responses: { 200: success(resolverStatusSchema, { message: Joi.string().required() }) }
+}), requireScope('predictions:resolve'), auditAction('resolver.stop'), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const stopped = predictionResolver.stop();
+
+    res.json({
+      success: true,
+      data: predictionResolver.getStatus(),
+      message: stopped ? 'Resolver stopped' : 'Resolver is not running'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/resolver/run - Run a single resolution pass immediately
+router.post('/resolver/run', document({
+  summary: 'Run a single resolution pass immediately',
+  responses: {
+    200: success(Joi.object().unknown(), { message: Joi.string().required() }),
+    409: 'A resolution pass is already in progress'
+  }
+}), requireScope('predictions:resolve'), auditAction('resolver.run'), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    if (!predictionResolver.isConfigured()) {
       return res.status(400).json({
         success: false,
-        error: 'Predictions array is required and must not be empty'
+        error: 'No price source configured for the resolver'
       });
     }
+
+    const run = await predictionResolver.runOnce();
     
-    const results = [];
-    const errors = [];
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'A resolution pass is already in progress'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      message: `Resolved ${run.resolved} of ${run.matured} matured predictions`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/resolver/log - Get the resolution log
+router.get('/resolver/log', document({
+  summary: 'Get the resolution log',
+  responses: {
+    200: success(Joi.array().items(Joi.object().unknown()), { meta: Joi.object().unknown().required() })
+  }
+}), requireScope('admin:read'), validateQuery(resolverLogQuerySchema), async (req, res, next) => {
+  try {
+    const { limit, predictionId } = req.validatedQuery;
+    const entries = predictionResolver.getLog({ limit, predictionId });
+
+    res.json({
+      success: true,
+      data: entries,
+      meta: {
+        total: entries.length,
+        filters: { predictionId }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/prices/ingest - Ingest OHLCV candles through a price adapter
+router.post('/prices/ingest', document({
+  summary: 'Ingest OHLCV candles through a price adapter',
+  responses: { 200: success(Joi.object().unknown(), { message: Joi.string().required() }) }
+}), requireScope('prices:write'), auditAction('prices.ingest'), validateQuery(emptySchema), validate(priceIngestSchema), async (req, res, next) => {
+  try {
+    const value = req.validatedData;
     
-    for (const pred of predictions) {
-      try {
-        const { predictionId, id, actualPrice } = pred;
-        const resolveId = predictionId || id;
-        
-        if (!resolveId || !actualPrice || actualPrice <= 0) {
-          errors.push({ predictionId: resolveId, error: 'Invalid prediction data' });
-          continue;
-        }
-        
-        const result = await blockchainService.resolvePrediction(resolveId, actualPrice);
-        results.push({ predictionId: resolveId, ...result });
-      } catch (error) {
-        errors.push({ predictionId: pred.predictionId || pred.id, error: error.message });
+    let adapter;
+    try {
+      adapter = createPriceAdapter(value.adapter, {
+        content: value.content,
+        filePath: value.adapter === 'json' ? process.env.PRICE_JSON_FEED_PATH : undefined
+      });
+    } catch (adapterError) {
+      return res.status(400).json({
+        success: false,
+        error: adapterError.message
+      });
+    }
+    
+    const result = await priceHistory.ingest(adapter, {
+      symbol: value.symbol,
+      interval: value.interval,
+      from: value.from !== undefined ? toMillis(value.from) : undefined,
+      to: value.to !== undefined ? toMillis(value.to) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Stored ${result.stored} ${result.interval} candles for ${result.symbol}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/prices/series - List stored price series
+router.get('/prices/series', document({
+  summary: 'List stored price series',
+  responses: {
+    200: success(Joi.array().items(Joi.object().unknown()), { meta: Joi.object().unknown().required() })
+  }
+}), requireScope('admin:read'), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    const series = priceHistory.listSeries();
+    
+    res.json({
+      success: true,
+      data: series.map(entry => ({
+        ...entry,
+        from: entry.from !== null ? new Date(entry.from).toISOString() : null,
+        to: entry.to !== null ? new Date(entry.to).toISOString() : null
+      })),
+      meta: {
+        total: series.length
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/transactions - List transactions sent by the server signer, newest first
+router.get('/transactions', document({
+  summary: 'List transactions sent by the server signer, newest first',
+  responses: {
+    200: success(Joi.array().items(transactionSchema), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        pending: Joi.number().integer().required()
+      }).required()
+    })
+  }
+}), requireScope('admin:read'), validateQuery(transactionQuerySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedQuery;
+    
+    const transactions = blockchainService.getTransactions(value);
+    
+    res.json({
+      success: true,
+      data: transactions,
+      meta: {
+        total: transactions.length,
+        pending: transactions.filter(tx => tx.status === 'pending').length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/transactions/:id/speed-up - Re-broadcast a pending transaction with bumped fees
+router.post('/transactions/:id/speed-up', document({
+  summary: 'Re-broadcast a pending transaction with bumped fees',
+  responses: replacementResponses
+}), requireScope('transactions:manage'), auditAction('transactions.speedUp'), validateParams(idParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const transaction = await blockchainService.speedUpTransaction(req.validatedParams.id);
+    
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending transaction not found'
+      });
     }
     
     res.json({
       success: true,
-      data: {
-        resolved: results.length,
-        failed: errors.length,
-        details: results,
-        errors,
-        summary: {
-          total: predictions.length,
-          successful: results.length,
-          failed: errors.length
-        }
+      data: { ...transaction, txHash: transaction.hash },
+      message: `Replacement broadcast for nonce ${transaction.nonce}`
+    });
+  } catch (error) {
+    if (error.code === 'REPLACEMENT_UNDERPRICED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Replacement Not Possible',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// POST /api/admin/transactions/:id/cancel - Replace a pending transaction with a no-op transfer
+router.post('/transactions/:id/cancel', document({
+  summary: 'Replace a pending transaction with a no-op transfer',
+  responses: replacementResponses
+}), requireScope('transactions:manage'), auditAction('transactions.cancel'), validateParams(idParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const transaction = await blockchainService.cancelTransaction(req.validatedParams.id);
+    
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending transaction not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...transaction, txHash: transaction.hash },
+      message: `Cancellation broadcast for nonce ${transaction.nonce}`
+    });
+  } catch (error) {
+    if (error.code === 'REPLACEMENT_UNDERPRICED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Replacement Not Possible',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// GET /api/admin/keys - List admin API keys (secrets are never returned)
+router.get('/keys', document({
+  summary: 'List admin API keys',
+  responses: {
+    200: success(Joi.array().items(schemas.apiKeySchema), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        active: Joi.number().integer().required(),
+        scopes: Joi.array().items(Joi.string()).required()
+      }).required()
+    })
+  }
+}), requireScope('keys:manage'), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    const keys = adminAuth.listKeys();
+    
+    res.json({
+      success: true,
+      data: keys,
+      meta: {
+        total: keys.length,
+        active: keys.filter(key => key.active).length,
+        scopes: adminAuth.scopes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/keys - Create a named admin API key
+router.post('/keys', document({
+  summary: 'Create a named admin API key',
+  responses: {
+    201: success(schemas.apiKeySchema.keys({
+      secret: Joi.string().required()
+    }).meta({ className: 'ApiKeyWithSecret' }), { message: Joi.string().required() }),
+    403: 'Admin key lacks `keys:manage` or a scope it tries to grant'
+  }
+}), requireScope('keys:manage'), auditAction('keys.create'), validateQuery(emptySchema), validate(createKeySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedData;
+    
+    const ungrantable = adminAuth.ungrantableScopes(req.admin, value.scopes);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot grant scopes the admin key does not hold',
+        scopes: ungrantable
+      });
+    }
+    
+    const expiresAt = value.expiresInDays
+      ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : value.expiresAt?.toISOString() || null;
+    const { key, secret } = adminAuth.createKey({ name: value.name, scopes: value.scopes, expiresAt });
+    
+    res.status(201).json({
+      success: true,
+      data: { ...key, secret },
+      message: 'Store this key now; it cannot be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/keys/:id/rotate - Replace a key, keeping the old one valid for a grace period
+router.post('/keys/:id/rotate', document({
+  summary: 'Replace a key, keeping the old one valid for a grace period',
+  responses: {
+    200: success(schemas.apiKeySchema.keys({
+      secret: Joi.string().required(),
+      previous: schemas.apiKeySchema.required()
+    }).meta({ className: 'RotatedApiKey' }), { message: Joi.string().required() }),
+    403: 'Admin key lacks `keys:manage` or a scope the rotated key holds',
+    404: 'Active key not found'
+  }
+}), requireScope('keys:manage'), auditAction('keys.rotate'), validateParams(idParamsSchema), validateQuery(emptySchema), validate(rotateKeySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedData;
+    
+    // Rotating hands out a new secret with the key's scopes, so it is a grant too
+    const existing = adminAuth.getKey(req.validatedParams.id);
+    const ungrantable = existing ? adminAuth.ungrantableScopes(req.admin, existing.scopes) : [];
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot grant scopes the admin key does not hold',
+        scopes: ungrantable
+      });
+    }
+    
+    const rotated = adminAuth.rotateKey(req.validatedParams.id, value);
+    
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active key not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...rotated.key, secret: rotated.secret, previous: rotated.previous },
+      message: `Previous key expires at ${rotated.previous.expiresAt}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/keys/:id - Revoke a key immediately
+router.delete('/keys/:id', document({
+  summary: 'Revoke a key immediately',
+  responses: {
+    200: success(schemas.apiKeySchema, { message: Joi.string().required() }),
+    404: 'Key not found'
+  }
+}), requireScope('keys:manage'), auditAction('keys.revoke'), validateParams(idParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const key = adminAuth.revokeKey(req.validatedParams.id);
+    
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'Key not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: key,
+      message: `Key ${key.name} revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/audit - Query the admin audit log, newest first
+router.get('/audit', document({
+  summary: 'Query the admin audit log, newest first',
+  responses: {
+    200: success(Joi.array().items(Joi.object().unknown()), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        count: Joi.number().integer().required(),
+        limit: Joi.number().integer().required()
+      }).required()
+    })
+  }
+}), requireScope('audit:read'), validateQuery(auditQuerySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedQuery;
+    
+    const { total, entries } = adminAuth.getAudit({
+      ...value,
+      since: value.since?.toISOString(),
+      until: value.until?.toISOString()
+    });
+    
+    res.json({
+      success: true,
+      data: entries,
+      meta: {
+        total,
+        count: entries.length,
+        limit: value.limit
       }
     });
   } catch (error) {
@@ -1,48 +1,212 @@
 const express = require('express');
+const Joi = require('joi');
 const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const predictionQuery = require('../services/predictionQuery');
+const registry = require('../services/registry');
+const priceHistory = require('../services/priceHistory');
+const { INTERVALS, toMillis } = require('../services/priceAdapters');
+const { validateQuery, validateParams, sendValidationError, schemas: { emptySchema } } = require('../middleware/validation');
+const { document, success, predictionList, schemas } = require('../middleware/openapi');
+const { cachedResponse } = require('../middleware/cache');
 
 const router = express.Router();
 
+// Validation schemas
+const timeBoundSchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.date().iso()
+);
+
+const priceHistoryQuerySchema = Joi.object({
+  interval: Joi.string().valid(...Object.keys(INTERVALS)).default('5m'),
+  from: timeBoundSchema.optional(),
+  to: timeBoundSchema.optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Unknown symbols are answered with empty results rather than rejected
+const symbolParamsSchema = Joi.object({
+  symbol: Joi.string().pattern(/^[A-Za-z0-9._-]+$/).max(32).required()
+});
+
+const analysisQuerySchema = Joi.object({
+  timeframe: Joi.string().valid('1d', '7d', '30d', '90d').default('7d')
+});
+
+const trendingQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).default(10)
+});
+
+// Response schemas
+const candleSchema = Joi.object({
+  timestamp: Joi.string().required(),
+  price: Joi.number().required(),
+  open: Joi.number().required(),
+  high: Joi.number().required(),
+  low: Joi.number().required(),
+  close: Joi.number().required(),
+  volume: Joi.number().required()
+}).meta({ className: 'Candle' });
+
 // GET /api/crypto - Get all cryptocurrencies with prediction data
-router.get('/', async (req, res, next) => {
+router.get('/', document({
+  summary: 'List cryptocurrencies that have predictions',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      symbol: Joi.string().required(),
+      totalPredictions: Joi.number().integer().required(),
+      resolvedPredictions: Joi.number().integer().required(),
+      accuratePredictions: Joi.number().integer().required(),
+      accuracyRate: Joi.number().required(),
+      hasData: Joi.boolean().required()
+    })), {
+      meta: Joi.object({
+        totalCryptocurrencies: Joi.number().integer().required(),
+        cryptosWithData: Joi.number().integer().required()
+      }).required()
+    })
+  }
+}), validateQuery(emptySchema), cachedResponse({ ttlMs: 60000, tags: ['predictions'] }, async () => {
+  // Every symbol seen in PredictionMade events
+  const cryptoStats = await Promise.all(
+    registry.getSymbolNames().map(async (crypto) => {
+      try {
+        const predictions = await predictionIndexer.getCryptoPredictions(crypto);
+        const resolved = predictions.filter(p => p.isResolved);
+        const accurate = resolved.filter(p => p.wasAccurate);
+        
+        return {
+          symbol: crypto,
+          totalPredictions: predictions.length,
+          resolvedPredictions: resolved.length,
+          accuratePredictions: accurate.length,
+          accuracyRate: resolved.length > 0 ? (accurate.length / resolved.length) * 100 : 0,
+          hasData: predictions.length > 0
+        };
+      } catch (error) {
+        return {
+          symbol: crypto,
+          totalPredictions: 0,
+          resolvedPredictions: 0,
+          accuratePredictions: 0,
+          accuracyRate: 0,
+          hasData: false
+        };
+      }
+    })
+  );
+  
+  return {
+    success: true,
+    data: cryptoStats.filter(crypto => crypto.hasData),
+    meta: {
+      totalCryptocurrencies: cryptoStats.length,
+      cryptosWithData: cryptoStats.filter(crypto => crypto.hasData).length
+    }
+  };
+}));
+
+// GET /api/crypto/symbols - List every symbol seen in predictions with its metadata
+router.get('/symbols', document({
+  summary: 'List every cryptocurrency symbol seen in predictions',
+  description: 'Discovered from PredictionMade events, most predicted first. Until the indexer has caught up, ' +
+    'the well-known symbols are listed with `source: seed` and no counts.',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      symbol: Joi.string().required(),
+      displayName: Joi.string().required(),
+      decimals: Joi.number().integer().required(),
+      predictionCount: Joi.number().integer().allow(null).required(),
+      resolvedCount: Joi.number().integer().allow(null).required(),
+      firstSeen: Joi.string().allow(null).required(),
+      lastSeen: Joi.string().allow(null).required(),
+      firstBlock: Joi.number().integer().allow(null).required(),
+      lastBlock: Joi.number().integer().allow(null).required(),
+      models: Joi.array().items(Joi.string()).required()
+    }).meta({ className: 'RegisteredSymbol' })), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        source: Joi.string().valid('index', 'seed').required()
+      }).required()
+    })
+  }
+}), validateQuery(emptySchema), cachedResponse({ ttlMs: 60000, tags: ['predictions'] }, async () => {
+  const { source, entries } = registry.getSymbols();
+  
+  return {
+    success: true,
+    data: entries,
+    meta: {
+      total: entries.length,
+      source
+    }
+  };
+}));
+
+// GET /api/crypto/price/:symbol - Get OHLCV price history for a cryptocurrency
+router.get('/price/:symbol', document({
+  summary: 'Get OHLCV price history for a cryptocurrency',
+  responses: {
+    200: success(Joi.object({
+      symbol: Joi.string().required(),
+      interval: Joi.string().required(),
+      currentPrice: Joi.number().required(),
+      priceHistory: Joi.array().items(candleSchema).required()
+    }), {
+      meta: Joi.object({
+        count: Joi.number().integer().required(),
+        from: Joi.string().required(),
+        to: Joi.string().required(),
+        limit: Joi.number().integer().required()
+      }).required()
+    }),
+    404: 'No price history for the symbol and interval'
+  }
+}), validateParams(symbolParamsSchema), validateQuery(priceHistoryQuerySchema), async (req, res, next) => {
   try {
-    // Common cryptocurrencies - in a real app, this would come from a database or API
-    const commonCryptos = ['BTC', 'ETH', 'BLOCKDAG', 'ADA', 'SOL', 'DOT', 'LINK', 'UNI'];
+    const { symbol } = req.validatedParams;
+    const value = req.validatedQuery;
     
-    const cryptoStats = await Promise.all(
-      commonCryptos.map(async (crypto) => {
-        try {
-          const predictions = await blockchainService.getCryptoPredictions(crypto);
-          const resolved = predictions.filter(p => p.isResolved);
-          const accurate = resolved.filter(p => p.wasAccurate);
-          
-          return {
-            symbol: crypto,
-            totalPredictions: predictions.length,
-            resolvedPredictions: resolved.length,
-            accuratePredictions: accurate.length,
-            accuracyRate: resolved.length > 0 ? (accurate.length / resolved.length) * 100 : 0,
-            hasData: predictions.length > 0
-          };
-        } catch (error) {
-          return {
-            symbol: crypto,
-            totalPredictions: 0,
-            resolvedPredictions: 0,
-            accuratePredictions: 0,
-            accuracyRate: 0,
-            hasData: false
-          };
-        }
-      })
-    );
+    const from = value.from !== undefined ? toMillis(value.from) : undefined;
+    const to = value.to !== undefined ? toMillis(value.to) : undefined;
+    
+    if (from !== undefined && to !== undefined && from > to) {
+      return sendValidationError(res, 'query', [
+        { message: '"to" must be after "from"', path: ['to'], type: 'any.invalid' }
+      ]);
+    }
+    
+    const candles = priceHistory.getCandles(symbol, value.interval, { from, to, limit: value.limit });
+    
+    if (candles.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No price history for ${symbol.toUpperCase()} at interval ${value.interval}`
+      });
+    }
     
     res.json({
       success: true,
-      data: cryptoStats.filter(crypto => crypto.hasData),
+      data: {
+        symbol: symbol.toUpperCase(),
+        interval: value.interval,
+        currentPrice: candles[candles.length - 1].close,
+        priceHistory: candles.map(candle => ({
+          timestamp: new Date(candle.timestamp).toISOString(),
+          price: candle.close,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume
+        }))
+      },
       meta: {
-        totalCryptocurrencies: cryptoStats.length,
-        cryptosWithData: cryptoStats.filter(crypto => crypto.hasData).length
+        count: candles.length,
+        from: new Date(candles[0].timestamp).toISOString(),
+        to: new Date(candles[candles.length - 1].timestamp).toISOString(),
+        limit: value.limit
       }
     });
   } catch (error) {
@@ -51,34 +215,34 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/crypto/:symbol/predictions - Get predictions for specific cryptocurrency
-router.get('/:symbol/predictions', async (req, res, next) => {
+router.get('/:symbol/predictions', document({
+  summary: 'List predictions for a cryptocurrency',
+  responses: {
+    200: predictionList(Joi.object({
+      cryptocurrency: Joi.string().required(),
+      total: Joi.number().integer().required(),
+      filters: Joi.object().unknown().required()
+    }))
+  }
+}), validateParams(symbolParamsSchema), validateQuery(predictionQuery.schema), async (req, res, next) => {
   try {
-    const { symbol } = req.params;
-    const { resolved, modelType, user } = req.query;
-    
-    let predictions = await blockchainService.getCryptoPredictions(symbol.toUpperCase());
-    
-    // Apply filters
-    if (resolved !== undefined) {
-      const isResolved = resolved === 'true';
-      predictions = predictions.filter(p => p.isResolved === isResolved);
-    }
+    const symbol = req.validatedParams.symbol.toUpperCase();
+    const { error, value } = predictionQuery.prepare(req.validatedQuery, { crypto: symbol });
     
-    if (modelType) {
-      predictions = predictions.filter(p => p.modelType.toLowerCase() === modelType.toLowerCase());
+    if (error) {
+      return sendValidationError(res, 'query', error.details);
     }
     
-    if (user) {
-      predictions = predictions.filter(p => p.predictor.toLowerCase() === user.toLowerCase());
-    }
+    const { data, pagination } = await predictionQuery.run(value);
     
     res.json({
       success: true,
-      data: predictions,
+      data,
+      pagination,
       meta: {
-        cryptocurrency: symbol.toUpperCase(),
-        total: predictions.length,
-        filters: { resolved, modelType, user }
+        cryptocurrency: symbol,
+        total: pagination.total,
+        filters: predictionQuery.describeFilters(value)
       }
     });
   } catch (error) {
@@ -87,11 +251,21 @@ router.get('/:symbol/predictions', async (req, res, next) => {
 });
 
 // GET /api/crypto/:symbol/stats - Get statistics for specific cryptocurrency
-router.get('/:symbol/stats', async (req, res, next) => {
+router.get('/:symbol/stats', document({
+  summary: 'Get statistics for a cryptocurrency',
+  responses: {
+    200: success(Joi.object({
+      cryptocurrency: Joi.string().required(),
+      overallStats: Joi.object().unknown().required(),
+      modelPerformance: Joi.object().unknown().required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateParams(symbolParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { symbol } = req.params;
+    const { symbol } = req.validatedParams;
     
-    const predictions = await blockchainService.getCryptoPredictions(symbol.toUpperCase());
+    const predictions = await predictionIndexer.getCryptoPredictions(symbol.toUpperCase());
     
     const resolved = predictions.filter(p => p.isResolved);
     const accurate = resolved.filter(p => p.wasAccurate);
@@ -147,12 +321,28 @@ router.get('/:symbol/stats', async (req, res, next) => {
 });
 
 // GET /api/crypto/:symbol/analysis - Get detailed analysis for cryptocurrency
-router.get('/:symbol/analysis', async (req, res, next) => {
+router.get('/:symbol/analysis', document({
+  summary: 'Get sentiment, price and top predictions for a cryptocurrency',
+  responses: {
+    200: success(Joi.object({
+      cryptocurrency: Joi.string().required(),
+      timeframe: Joi.string().required(),
+      summary: Joi.object().unknown().required(),
+      sentiment: Joi.object().unknown().required(),
+      priceData: Joi.array().items(Joi.object().unknown()).required(),
+      topPredictions: Joi.object({
+        mostAccurate: Joi.array().items(schemas.predictionSchema).required(),
+        leastAccurate: Joi.array().items(schemas.predictionSchema).required()
+      }).required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateParams(symbolParamsSchema), validateQuery(analysisQuerySchema), async (req, res, next) => {
   try {
-    const { symbol } = req.params;
-    const { timeframe = '7d' } = req.query;
+    const { symbol } = req.validatedParams;
+    const { timeframe } = req.validatedQuery;
     
-    const predictions = await blockchainService.getCryptoPredictions(symbol.toUpperCase());
+    const predictions = await predictionIndexer.getCryptoPredictions(symbol.toUpperCase());
     
     // Filter by timeframe
     const now = Date.now();
@@ -234,59 +424,66 @@ router.get('/:symbol/analysis', async (req, res, next) => {
 });
 
 // GET /api/crypto/trending - Get trending cryptocurrencies based on prediction activity
-router.get('/trending', async (req, res, next) => {
-  try {
-    const { limit = 10 } = req.query;
-    
-    // Get all cryptos and their recent activity
-    const commonCryptos = ['BTC', 'ETH', 'BLOCKDAG', 'ADA', 'SOL', 'DOT', 'LINK', 'UNI', 'AVAX', 'MATIC'];
-    
-    const cryptoActivity = await Promise.all(
-      commonCryptos.map(async (crypto) => {
-        try {
-          const predictions = await blockchainService.getCryptoPredictions(crypto);
-          
-          // Filter recent predictions (last 24 hours)
-          const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-          const recentPredictions = predictions.filter(p => {
-            const predictionTime = parseInt(p.predictionTimestamp) * 1000;
-            return predictionTime > oneDayAgo;
-          });
-          
-          return {
-            symbol: crypto,
-            totalPredictions: predictions.length,
-            recentPredictions: recentPredictions.length,
-            trendScore: recentPredictions.length * 2 + predictions.length
-          };
-        } catch (error) {
-          return {
-            symbol: crypto,
-            totalPredictions: 0,
-            recentPredictions: 0,
-            trendScore: 0
-          };
-        }
-      })
-    );
-    
-    const trending = cryptoActivity
-      .filter(crypto => crypto.trendScore > 0)
-      .sort((a, b) => b.trendScore - a.trendScore)
-      .slice(0, parseInt(limit));
-    
-    res.json({
-      success: true,
-      data: trending,
-      meta: {
-        timeframe: '24h',
-        totalCryptosAnalyzed: commonCryptos.length,
-        timestamp: new Date().toISOString()
-      }
-    });
-  } catch (error) {
-    next(error);
+router.get('/trending', document({
+  summary: 'Get cryptocurrencies ranked by recent prediction activity',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      symbol: Joi.string().required(),
+      totalPredictions: Joi.number().integer().required(),
+      recentPredictions: Joi.number().integer().required(),
+      trendScore: Joi.number().required()
+    })), {
+      meta: Joi.object().unknown().required()
+    })
   }
-});
+}), validateQuery(trendingQuerySchema), cachedResponse({ ttlMs: 30000, tags: ['predictions'] }, async (req) => {
+  const { limit } = req.validatedQuery;
+  const symbols = registry.getSymbolNames();
+  
+  // Get all cryptos and their recent activity
+  const cryptoActivity = await Promise.all(
+    symbols.map(async (crypto) => {
+      try {
+        const predictions = await predictionIndexer.getCryptoPredictions(crypto);
+        
+        // Filter recent predictions (last 24 hours)
+        const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+        const recentPredictions = predictions.filter(p => {
+          const predictionTime = parseInt(p.predictionTimestamp) * 1000;
+          return predictionTime > oneDayAgo;
+        });
+        
+        return {
+          symbol: crypto,
+          totalPredictions: predictions.length,
+          recentPredictions: recentPredictions.length,
+          trendScore: recentPredictions.length * 2 + predictions.length
+        };
+      } catch (error) {
+        return {
+          symbol: crypto,
+          totalPredictions: 0,
+          recentPredictions: 0,
+          trendScore: 0
+        };
+      }
+    })
+  );
+  
+  const trending = cryptoActivity
+    .filter(crypto => crypto.trendScore > 0)
+    .sort((a, b) => b.trendScore - a.trendScore)
+    .slice(0, limit);
+  
+  return {
+    success: true,
+    data: trending,
+    meta: {
+      timeframe: '24h',
+      totalCryptosAnalyzed: symbols.length,
+      timestamp: new Date().toISOString()
+    }
+  };
+}));
 
 module.exports = router;
\ No newline at end of file
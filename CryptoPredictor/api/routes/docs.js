@@ -0,0 +1,18 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const openApiService = require('../services/openapi');
+
+const router = express.Router();
+
+// GET /api/openapi.json - OpenAPI 3 document generated from the route schemas
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiService.getSpec());
+});
+
+// GET /api/docs - Interactive API explorer
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'CryptoPredictor API',
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const Joi = require('joi');
+const eventStream = require('../services/eventStream');
+const { validateQuery, sendValidationError, schemas: { emptySchema } } = require('../middleware/validation');
+const { document, success, schemas } = require('../middleware/openapi');
+
+const router = express.Router();
+
+const recentQuerySchema = Joi.object({
+  symbols: Joi.string(),
+  users: Joi.string(),
+  models: Joi.string(),
+  events: Joi.string(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Query parameters of the stream; each filter is a comma-separated list
+const streamQuerySchema = recentQuerySchema
+  .fork(['limit'], schema => schema.forbidden())
+  .keys({ lastEventId: Joi.string().description('Alternative to the `Last-Event-ID` header') });
+
+// Parse stream filters from the validated query, answering 400 when they are invalid
+const parseFilters = (req, res) => {
+  const { error, field, filters } = eventStream.parseFilters(req.validatedQuery);
+  if (error) {
+    sendValidationError(res, 'query', [{ message: error, path: [field], type: 'any.invalid' }]);
+    return null;
+  }
+  return filters;
+};
+
+// GET /api/events/stream - Server-Sent Events stream of contract events
+router.get('/stream', document({
+  summary: 'Server-Sent Events stream of contract events',
+  description: 'Resume with the `Last-Event-ID` header. The same events are served over WebSocket at /api/events/ws.',
+  contentType: 'text/event-stream',
+  responses: {
+    200: Joi.string().description('`event` messages carry a StreamEvent, `reorg` messages the rolled-back block'),
+    503: 'Too many stream clients'
+  }
+}), validateQuery(streamQuerySchema), (req, res) => {
+  const filters = parseFilters(req, res);
+  if (!filters) {
+    return;
+  }
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // compression buffers the response unless it is flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+  const writeEvent = (message) => write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+
+  const client = eventStream.subscribe({
+    transport: 'sse',
+    filters,
+    send: (kind, payload) => (kind === 'event' ? writeEvent(payload) : write(`event: ${kind}\ndata: ${JSON.stringify(payload)}\n\n`)),
+    close: () => res.end()
+  });
+
+  if (!client) {
+    return res.status(503).json({
+      success: false,
+      error: 'Too many stream clients'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  write('retry: 5000\n\n');
+
+  // Replay what the client missed while reconnecting
+  const lastEventId = req.get('Last-Event-ID') || req.validatedQuery.lastEventId;
+  if (lastEventId) {
+    eventStream.getRecent({ filters, lastEventId }).forEach(writeEvent);
+  }
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), eventStream.heartbeatMs);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStream.unsubscribe(client);
+  });
+});
+
+// GET /api/events/recent - Get buffered events matching the stream filters
+router.get('/recent', document({
+  summary: 'Get buffered events matching the stream filters',
+  responses: {
+    200: success(Joi.array().items(schemas.streamEventSchema), {
+      meta: Joi.object({
+        count: Joi.number().integer().required(),
+        limit: Joi.number().integer().required()
+      }).required()
+    })
+  }
+}), validateQuery(recentQuerySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedQuery;
+    const filters = parseFilters(req, res);
+    if (!filters) {
+      return;
+    }
+
+    const events = eventStream.getRecent({ filters, limit: value.limit }).reverse();
+
+    res.json({
+      success: true,
+      data: events,
+      meta: {
+        count: events.length,
+        limit: value.limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/events/status - Get stream client counts
+router.get('/status', document({
+  summary: 'Get stream client counts',
+  responses: {
+    200: success(Joi.object({
+      running: Joi.boolean().required(),
+      clients: Joi.object({
+        sse: Joi.number().integer().required(),
+        websocket: Joi.number().integer().required()
+      }).required(),
+      maxClients: Joi.number().integer().required(),
+      buffered: Joi.number().integer().required(),
+      lastEventId: Joi.string().allow(null).required()
+    }))
+  }
+}), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: eventStream.getStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const diagnostics = require('../services/diagnostics');
+
+const router = express.Router();
+
+// GET /health - Basic service information
+router.get('/', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    service: 'CryptoPredictor API',
+    version: '1.0.0',
+    network: process.env.NETWORK_NAME || 'localhost'
+  });
+});
+
+// GET /health/live - Liveness: the process is up; never checks the chain
+router.get('/live', (req, res) => {
+  res.json(diagnostics.live());
+});
+
+// GET /health/ready - Readiness: RPC, chain ID, contract, pause state, signer roles and
+// balance; 503 when any check fails
+router.get('/ready', async (req, res, next) => {
+  try {
+    const report = await diagnostics.ready();
+    res.status(report.status === 'fail' ? 503 : 200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
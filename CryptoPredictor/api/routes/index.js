@@ -0,0 +1,25 @@
+const predictionRoutes = require('./predictions');
+const userRoutes = require('./users');
+const modelRoutes = require('./models');
+const cryptoRoutes = require('./crypto');
+const adminRoutes = require('./admin');
+const indexerRoutes = require('./indexer');
+const jobRoutes = require('./jobs');
+const eventRoutes = require('./events');
+const webhookRoutes = require('./webhooks');
+const leaderboardRoutes = require('./leaderboard');
+
+// API routers and where they are mounted. server.js mounts them in this order and the
+// OpenAPI document groups their operations under `tag`.
+module.exports = [
+  { prefix: '/api/predictions', tag: 'Predictions', router: predictionRoutes },
+  { prefix: '/api/users', tag: 'Users', router: userRoutes },
+  { prefix: '/api/models', tag: 'Models', router: modelRoutes },
+  { prefix: '/api/crypto', tag: 'Crypto', router: cryptoRoutes },
+  { prefix: '/api/admin', tag: 'Admin', router: adminRoutes },
+  { prefix: '/api/indexer', tag: 'Indexer', router: indexerRoutes },
+  { prefix: '/api/jobs', tag: 'Jobs', router: jobRoutes },
+  { prefix: '/api/events', tag: 'Events', router: eventRoutes },
+  { prefix: '/api/webhooks', tag: 'Webhooks', router: webhookRoutes },
+  { prefix: '/api/leaderboard', tag: 'Leaderboard', router: leaderboardRoutes }
+];
@@ -0,0 +1,42 @@
+const express = require('express');
+const Joi = require('joi');
+const predictionIndexer = require('../services/indexer');
+const { validateQuery, schemas: { emptySchema } } = require('../middleware/validation');
+const { document, success } = require('../middleware/openapi');
+
+const router = express.Router();
+
+// GET /api/indexer/status - Get prediction indexer sync status
+router.get('/status', document({
+  summary: 'Get prediction indexer sync status',
+  responses: {
+    200: success(Joi.object({
+      running: Joi.boolean().required(),
+      ready: Joi.boolean().required(),
+      startBlock: Joi.number().integer().required(),
+      lastIndexedBlock: Joi.number().integer().allow(null).required(),
+      latestBlock: Joi.number().integer().allow(null).required(),
+      lag: Joi.number().integer().allow(null).required(),
+      confirmations: Joi.number().integer().required(),
+      eventsIndexed: Joi.number().integer().required(),
+      predictionsIndexed: Joi.number().integer().required(),
+      lastSyncedAt: Joi.string().allow(null).required(),
+      lastError: Joi.string().allow(null).required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...predictionIndexer.getStatus(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
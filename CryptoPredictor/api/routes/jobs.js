@@ -0,0 +1,41 @@
+const express = require('express');
+const Joi = require('joi');
+const jobQueue = require('../services/jobs');
+const { validateQuery, validateParams, schemas: { emptySchema } } = require('../middleware/validation');
+const { document, success, schemas } = require('../middleware/openapi');
+
+const router = express.Router();
+
+// Validation schemas
+const jobParamsSchema = Joi.object({
+  id: Joi.string().max(100).required()
+});
+
+// GET /api/jobs/:id - Get the status of an asynchronous write
+router.get('/:id', document({
+  summary: 'Get the status of an asynchronous write',
+  responses: {
+    200: success(schemas.jobSchema),
+    404: 'Job not found'
+  }
+}), validateParams(jobParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    const job = jobQueue.getJob(req.validatedParams.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
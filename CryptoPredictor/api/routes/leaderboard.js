@@ -0,0 +1,99 @@
+const express = require('express');
+const Joi = require('joi');
+const leaderboard = require('../services/leaderboard');
+const { validateQuery } = require('../middleware/validation');
+const { document, success } = require('../middleware/openapi');
+const { cachedResponse } = require('../middleware/cache');
+
+const router = express.Router();
+
+// Validation schemas
+const leaderboardQuerySchema = Joi.object({
+  metric: Joi.string().valid(...leaderboard.metrics).default('accuracyRate'),
+  window: Joi.string().valid(...leaderboard.windows).default('all')
+    .description('Predictions whose target timestamp falls in the last 24h, 7d, 30d or 90d'),
+  symbol: Joi.string().pattern(/^[A-Za-z0-9._-]+$/).max(32).uppercase().optional(),
+  minResolved: Joi.number().integer().min(1).max(10000).default(leaderboard.minResolved)
+    .description('Resolved predictions (scored ones for brierScore) an entry needs to be ranked'),
+  priorWeight: Joi.number().min(0).max(10000).default(leaderboard.priorWeight)
+    .description('Pseudo-predictions at the board mean added to every rate; 0 ranks raw rates'),
+  limit: Joi.number().integer().min(1).max(100).default(25)
+});
+
+// Response schemas
+const leaderboardSchema = (field, className) => Joi.array().items(Joi.object({
+  rank: Joi.number().integer().required(),
+  [field]: Joi.string().required(),
+  score: Joi.number().required(),
+  resolvedPredictions: Joi.number().integer().required(),
+  accuratePredictions: Joi.number().integer().required(),
+  accuracyRate: Joi.number().required(),
+  averageAccuracy: Joi.number().required(),
+  scoredPredictions: Joi.number().integer().required(),
+  brierScore: Joi.number().allow(null).required(),
+  currentStreak: Joi.number().integer().required(),
+  longestStreak: Joi.number().integer().required(),
+  lastTarget: Joi.string().required()
+}).meta({ className }));
+
+const leaderboardMetaSchema = Joi.object({
+  metric: Joi.string().required(),
+  window: Joi.string().required(),
+  symbol: Joi.string().allow(null).required(),
+  minResolved: Joi.number().integer().required(),
+  priorWeight: Joi.number().required(),
+  prior: Joi.object({
+    accuracyRate: Joi.number().required(),
+    averageAccuracy: Joi.number().required(),
+    brierScore: Joi.number().required()
+  }).required(),
+  candidates: Joi.number().integer().required(),
+  eligible: Joi.number().integer().required(),
+  resolvedPredictions: Joi.number().integer().required(),
+  timestamp: Joi.string().required()
+});
+
+const RANKING_DESCRIPTION = 'Ranks over resolved predictions by `accuracyRate` and `averageAccuracy` (percent, ' +
+  'higher is better), `brierScore` (mean squared error of the stated metadata `confidence` against the outcome, ' +
+  'lower is better) or `streak` (current run of accurate predictions). Entries with fewer than `minResolved` ' +
+  'predictions are not ranked, and rates are shrunk towards the board mean (`meta.prior`) by `priorWeight` ' +
+  'pseudo-predictions, so `score` is the shrunk value and the raw rates are reported alongside.';
+
+const leaderboardHandler = (board) => cachedResponse({ ttlMs: 60000, tags: ['predictions'] }, async (req) => {
+  const query = req.validatedQuery;
+  const { entries, ...summary } = await leaderboard.getLeaderboard(board, query);
+
+  return {
+    success: true,
+    data: entries,
+    meta: {
+      metric: query.metric,
+      window: query.window,
+      symbol: query.symbol || null,
+      minResolved: query.minResolved,
+      priorWeight: query.priorWeight,
+      ...summary,
+      timestamp: new Date().toISOString()
+    }
+  };
+});
+
+// GET /api/leaderboard/predictors - Rank predictor addresses
+router.get('/predictors', document({
+  summary: 'Rank predictors',
+  description: RANKING_DESCRIPTION,
+  responses: {
+    200: success(leaderboardSchema('predictor', 'PredictorRanking'), { meta: leaderboardMetaSchema.required() })
+  }
+}), validateQuery(leaderboardQuerySchema), leaderboardHandler('predictors'));
+
+// GET /api/leaderboard/models - Rank model types
+router.get('/models', document({
+  summary: 'Rank model types',
+  description: RANKING_DESCRIPTION,
+  responses: {
+    200: success(leaderboardSchema('modelType', 'ModelRanking'), { meta: leaderboardMetaSchema.required() })
+  }
+}), validateQuery(leaderboardQuerySchema), leaderboardHandler('models'));
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const metrics = require('../services/metrics');
+
+const router = express.Router();
+
+// GET /metrics - Prometheus metrics: HTTP requests, RPC calls, transactions and chain gauges
+router.get('/metrics', async (req, res, next) => {
+  try {
+    const body = await metrics.render();
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,69 +1,281 @@
 const express = require('express');
+const Joi = require('joi');
+const { getModel, listModels, parseModelParams } = require('@cryptopredictor/forecasting');
 const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const predictionQuery = require('../services/predictionQuery');
+const backtestService = require('../services/backtest');
+const registry = require('../services/registry');
+const modelVersions = require('../services/modelVersions');
+const { INTERVALS, toMillis } = require('../services/priceAdapters');
+const { calibrate } = require('../services/calibration');
+const { requireScope, auditAction } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, sendValidationError, schemas: { emptySchema } } = require('../middleware/validation');
+const { document, success, predictionList, schemas } = require('../middleware/openapi');
+const { cachedResponse } = require('../middleware/cache');
 
 const router = express.Router();
 
+// Validation schemas
+const timeBoundSchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.date().iso()
+);
+
+const backtestQuerySchema = Joi.object({
+  symbol: Joi.string().required(),
+  interval: Joi.string().valid(...Object.keys(INTERVALS)).default('1h'),
+  horizon: Joi.number().integer().min(1).max(100).default(1),
+  window: Joi.number().integer().min(2).max(1000).default(50),
+  stride: Joi.number().integer().min(1).max(1000).default(1),
+  params: Joi.string().optional(),
+  from: timeBoundSchema.optional(),
+  to: timeBoundSchema.optional(),
+  threshold: Joi.number().integer().min(0).max(10000).optional(),
+  includeForecasts: Joi.boolean().default(false)
+});
+
+const modelParamsSchema = Joi.object({
+  modelType: Joi.string().max(50).required()
+});
+
+const registerVersionSchema = Joi.object({
+  version: Joi.string().max(64).required().description('Semantic version, e.g. 2.1.0'),
+  parentVersion: Joi.string().max(64).allow(null).default(null).description('Registered version this one was derived from'),
+  trainingWindow: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required()
+  }).required(),
+  parameterHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).required().description('Hash of the trained parameters'),
+  description: Joi.string().max(500).allow(null)
+});
+
+const comparisonQuerySchema = Joi.object({
+  models: Joi.string().required().description('Comma-separated model types')
+});
+
+// Response schemas
+const percentage = Joi.string().pattern(/%$/);
+
+const modelVersionSchema = Joi.object({
+  modelType: Joi.string().required(),
+  version: Joi.string().required(),
+  parentVersion: Joi.string().allow(null).required(),
+  trainingWindow: Joi.object({
+    from: Joi.string().required(),
+    to: Joi.string().required()
+  }).required(),
+  parameterHash: Joi.string().required(),
+  description: Joi.string().allow(null).required(),
+  registeredAt: Joi.string().required()
+}).meta({ className: 'ModelVersion' });
+
+const versionPerformanceSchema = Joi.object({
+  totalPredictions: Joi.number().integer().required(),
+  resolvedPredictions: Joi.number().integer().required(),
+  accuratePredictions: Joi.number().integer().required(),
+  accuracyRate: Joi.number().allow(null).required(),
+  averageAccuracy: Joi.number().allow(null).required(),
+  pinballLoss: Joi.number().allow(null).required(),
+  firstPrediction: Joi.string().allow(null).required(),
+  lastPrediction: Joi.string().allow(null).required()
+}).meta({ className: 'ModelVersionPerformance' });
+
 // GET /api/models - Get all model types with their performance
-router.get('/', async (req, res, next) => {
+router.get('/', document({
+  summary: 'List model types with their accuracy',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      modelType: Joi.string().required(),
+      accuracyRate: percentage.required(),
+      averageAccuracy: percentage.required(),
+      resolvedPredictions: Joi.number().integer().required(),
+      hasData: Joi.boolean().required()
+    })), {
+      meta: Joi.object({
+        totalModels: Joi.number().integer().required(),
+        modelsWithData: Joi.number().integer().required()
+      }).required()
+    })
+  }
+}), validateQuery(emptySchema), cachedResponse({ ttlMs: 60000, tags: ['predictions'] }, async () => {
+  // Every model type seen in PredictionMade events
+  const modelStats = await Promise.all(
+    registry.getModelNames().map(async (modelType) => {
+      try {
+        const stats = await blockchainService.getModelStats(modelType);
+        
+        return {
+          modelType,
+          accuracyRate: `${parseFloat(stats.accuracyRate) / 100}%`,
+          averageAccuracy: `${parseFloat(stats.averageAccuracy) / 100}%`,
+          resolvedPredictions: parseInt(stats.resolvedPredictions),
+          hasData: parseInt(stats.resolvedPredictions) > 0
+        };
+      } catch (error) {
+        return {
+          modelType,
+          accuracyRate: '0%',
+          averageAccuracy: '0%',
+          resolvedPredictions: 0,
+          hasData: false
+        };
+      }
+    })
+  );
+  
+  return {
+    success: true,
+    data: modelStats.filter(model => model.hasData),
+    meta: {
+      totalModels: modelStats.length,
+      modelsWithData: modelStats.filter(model => model.hasData).length
+    }
+  };
+}));
+
+// GET /api/models/registry - List every model type seen in predictions with its metadata
+router.get('/registry', document({
+  summary: 'List every model type seen in predictions',
+  description: 'Discovered from PredictionMade events, most predicted first. Until the indexer has caught up, ' +
+    'the common model types are listed with `source: seed` and no counts.',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      modelType: Joi.string().required(),
+      displayName: Joi.string().required(),
+      description: Joi.string().optional(),
+      predictionCount: Joi.number().integer().allow(null).required(),
+      resolvedCount: Joi.number().integer().allow(null).required(),
+      firstSeen: Joi.string().allow(null).required(),
+      lastSeen: Joi.string().allow(null).required(),
+      firstBlock: Joi.number().integer().allow(null).required(),
+      lastBlock: Joi.number().integer().allow(null).required(),
+      symbols: Joi.array().items(Joi.string()).required()
+    }).meta({ className: 'RegisteredModel' })), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        source: Joi.string().valid('index', 'seed').required()
+      }).required()
+    })
+  }
+}), validateQuery(emptySchema), cachedResponse({ ttlMs: 60000, tags: ['predictions'] }, async () => {
+  const { source, entries } = registry.getModels();
+  
+  return {
+    success: true,
+    data: entries,
+    meta: {
+      total: entries.length,
+      source
+    }
+  };
+}));
+
+// GET /api/models/forecasting - List the forecasting models available for backtests
+router.get('/forecasting', document({
+  summary: 'List the forecasting models available for backtests',
+  responses: {
+    200: success(Joi.array().items(Joi.object().unknown()), {
+      meta: Joi.object({ total: Joi.number().integer().required() }).required()
+    })
+  }
+}), validateQuery(emptySchema), (req, res) => {
+  const models = listModels();
+
+  res.json({
+    success: true,
+    data: models,
+    meta: {
+      total: models.length
+    }
+  });
+});
+
+// GET /api/models/:modelType/backtest - Walk-forward backtest of a forecasting model over stored prices
+router.get('/:modelType/backtest', document({
+  summary: 'Walk-forward backtest of a forecasting model over stored prices',
+  responses: {
+    200: success(Joi.object().unknown(), {
+      meta: Joi.object({ timestamp: Joi.string().required() }).required()
+    }),
+    404: 'Unknown forecasting model',
+    422: 'Insufficient Price History'
+  }
+}), validateParams(modelParamsSchema), validateQuery(backtestQuerySchema), async (req, res, next) => {
   try {
-    // This would need to be implemented by tracking models used in predictions
-    // For now, we'll return common model types
-    const commonModels = ['LSTM', 'Random Forest', 'Linear Regression', 'Neural Network', 'Technical Analysis'];
-    
-    const modelStats = await Promise.all(
-      commonModels.map(async (modelType) => {
-        try {
-          const [accuracyRate, averageAccuracy] = await Promise.all([
-            blockchainService.getModelAccuracyRate(modelType),
-            blockchainService.getModelAverageAccuracy(modelType)
-          ]);
-          
-          return {
-            modelType,
-            accuracyRate: `${parseFloat(accuracyRate) / 100}%`,
-            averageAccuracy: `${parseFloat(averageAccuracy) / 100}%`,
-            hasData: parseFloat(accuracyRate) > 0
-          };
-        } catch (error) {
-          return {
-            modelType,
-            accuracyRate: '0%',
-            averageAccuracy: '0%',
-            hasData: false
-          };
-        }
-      })
-    );
-    
+    const { modelType } = req.validatedParams;
+
+    if (!getModel(modelType)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown forecasting model',
+        available: listModels().map(model => model.id)
+      });
+    }
+
+    const { params, from, to, ...options } = req.validatedQuery;
+    const result = await backtestService.run(modelType, {
+      ...options,
+      params: parseModelParams(params),
+      from: from !== undefined ? toMillis(from) : undefined,
+      to: to !== undefined ? toMillis(to) : undefined
+    });
+
     res.json({
       success: true,
-      data: modelStats.filter(model => model.hasData),
+      data: result,
       meta: {
-        totalModels: modelStats.length,
-        modelsWithData: modelStats.filter(model => model.hasData).length
+        timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (error.name === 'ModelParameterError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Model Parameters',
+        message: error.message
+      });
+    }
+    if (error.name === 'InsufficientDataError') {
+      return res.status(422).json({
+        success: false,
+        error: 'Insufficient Price History',
+        message: error.message
+      });
+    }
     next(error);
   }
 });
 
 // GET /api/models/:modelType/stats - Get specific model statistics
-router.get('/:modelType/stats', async (req, res, next) => {
+router.get('/:modelType/stats', document({
+  summary: 'Get model statistics',
+  responses: {
+    200: success(Joi.object({
+      modelType: Joi.string().required(),
+      totalPredictions: schemas.integerString.required(),
+      resolvedPredictions: schemas.integerString.required(),
+      accuratePredictions: schemas.integerString.required(),
+      accuracyRate: percentage.required(),
+      averageAccuracy: percentage.required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateParams(modelParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { modelType } = req.params;
+    const { modelType } = req.validatedParams;
     
-    const [accuracyRate, averageAccuracy] = await Promise.all([
-      blockchainService.getModelAccuracyRate(modelType),
-      blockchainService.getModelAverageAccuracy(modelType)
-    ]);
+    const stats = await blockchainService.getModelStats(modelType);
     
     res.json({
       success: true,
       data: {
         modelType,
-        accuracyRate: `${parseFloat(accuracyRate) / 100}%`,
-        averageAccuracy: `${parseFloat(averageAccuracy) / 100}%`,
+        totalPredictions: stats.totalPredictions,
+        resolvedPredictions: stats.resolvedPredictions,
+        accuratePredictions: stats.accuratePredictions,
+        accuracyRate: `${parseFloat(stats.accuracyRate) / 100}%`,
+        averageAccuracy: `${parseFloat(stats.averageAccuracy) / 100}%`,
         timestamp: new Date().toISOString()
       }
     });
@@ -73,30 +285,34 @@ router.get('/:modelType/stats', async (req, res, next) => {
 });
 
 // GET /api/models/:modelType/predictions - Get predictions by model type
-router.get('/:modelType/predictions', async (req, res, next) => {
+router.get('/:modelType/predictions', document({
+  summary: 'List predictions made with a model',
+  responses: {
+    200: predictionList(Joi.object({
+      modelType: Joi.string().required(),
+      total: Joi.number().integer().required(),
+      filters: Joi.object().unknown().required()
+    }))
+  }
+}), validateParams(modelParamsSchema), validateQuery(predictionQuery.schema), async (req, res, next) => {
   try {
-    const { modelType } = req.params;
-    const { resolved, crypto } = req.query;
-    
-    let predictions = await blockchainService.getModelTypePredictions(modelType);
+    const { modelType } = req.validatedParams;
+    const { error, value } = predictionQuery.prepare(req.validatedQuery, { modelType });
     
-    // Apply filters
-    if (resolved !== undefined) {
-      const isResolved = resolved === 'true';
-      predictions = predictions.filter(p => p.isResolved === isResolved);
+    if (error) {
+      return sendValidationError(res, 'query', error.details);
     }
     
-    if (crypto) {
-      predictions = predictions.filter(p => p.cryptocurrency.toLowerCase() === crypto.toLowerCase());
-    }
+    const { data, pagination } = await predictionQuery.run(value);
     
     res.json({
       success: true,
-      data: predictions,
+      data,
+      pagination,
       meta: {
         modelType,
-        total: predictions.length,
-        filters: { resolved, crypto }
+        total: pagination.total,
+        filters: predictionQuery.describeFilters(value)
       }
     });
   } catch (error) {
@@ -105,11 +321,22 @@ router.get('/:modelType/predictions', async (req, res, next) => {
 });
 
 // GET /api/models/:modelType/performance - Get detailed model performance analysis
-router.get('/:modelType/performance', async (req, res, next) => {
+router.get('/:modelType/performance', document({
+  summary: 'Get model performance by cryptocurrency and over time',
+  responses: {
+    200: success(Joi.object({
+      modelType: Joi.string().required(),
+      overallStats: Joi.object().unknown().required(),
+      cryptoPerformance: Joi.object().unknown().required(),
+      timeline: Joi.array().items(Joi.object().unknown()).required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateParams(modelParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { modelType } = req.params;
+    const { modelType } = req.validatedParams;
     
-    const predictions = await blockchainService.getModelTypePredictions(modelType);
+    const predictions = await predictionIndexer.getModelTypePredictions(modelType);
     
     // Analyze performance by cryptocurrency
     const cryptoPerformance = {};
@@ -187,36 +414,174 @@ router.get('/:modelType/performance', async (req, res, next) => {
   }
 });
 
-// GET /api/models/comparison - Compare performance of different models
-router.get('/comparison', async (req, res, next) => {
+// GET /api/models/:modelType/calibration - Compare stated confidence and intervals with realized outcomes
+router.get('/:modelType/calibration', document({
+  summary: 'Get model calibration',
+  description: 'Scores resolved predictions whose additionalData carries prediction intervals: the share of ' +
+    'actual prices each interval level covered and the mean pinball loss relative to the actual price. ' +
+    'Predictions with a stated `confidence` are bucketed and compared with their realized accuracy rate. ' +
+    'Predictions without intervals count as resolved but are not scored.',
+  responses: {
+    200: success(Joi.object({
+      modelType: Joi.string().required(),
+      resolvedPredictions: Joi.number().integer().required(),
+      scoredPredictions: Joi.number().integer().required(),
+      intervals: Joi.array().items(Joi.object({
+        level: Joi.number().required(),
+        predictions: Joi.number().integer().required(),
+        covered: Joi.number().integer().required(),
+        coverage: Joi.number().required(),
+        calibrationError: Joi.number().required()
+      })).required(),
+      pinballLoss: Joi.number().allow(null).required(),
+      confidence: Joi.array().items(Joi.object({
+        range: Joi.array().items(Joi.number()).length(2).required(),
+        predictions: Joi.number().integer().required(),
+        statedConfidence: Joi.number().required(),
+        accuracyRate: Joi.number().required()
+      })).required(),
+      timestamp: Joi.string().required()
+    }).meta({ className: 'ModelCalibration' }))
+  }
+}), validateParams(modelParamsSchema), validateQuery(emptySchema), cachedResponse({
+  ttlMs: 60000,
+  tags: (req) => [`model:${req.validatedParams.modelType}`]
+}, async (req) => {
+  const { modelType } = req.validatedParams;
+
+  const predictions = await predictionIndexer.getModelTypePredictions(modelType);
+
+  return {
+    success: true,
+    data: {
+      modelType,
+      ...calibrate(predictions),
+      timestamp: new Date().toISOString()
+    }
+  };
+}));
+
+// GET /api/models/:modelType/versions - List a model's versions with lineage and performance per version
+router.get('/:modelType/versions', document({
+  summary: 'List model versions with lineage, performance and changes from their parent',
+  description: 'Predictions are linked to a version by `modelVersion` in their metadata. Versions named by ' +
+    'predictions but never registered are listed with `registered: false`; predictions without a version are ' +
+    'summarized under `unversioned`. Accuracy rates count resolved predictions only.',
+  responses: {
+    200: success(Joi.object({
+      modelType: Joi.string().required(),
+      versions: Joi.array().items(Joi.object({
+        modelType: Joi.string().required(),
+        version: Joi.string().required(),
+        registered: Joi.boolean().required(),
+        performance: versionPerformanceSchema.required(),
+        lineage: Joi.array().items(Joi.string()),
+        diff: Joi.object({
+          from: Joi.string().required(),
+          parameterHashChanged: Joi.boolean().required(),
+          trainingWindowChanged: Joi.boolean().required(),
+          accuracyRate: Joi.number().allow(null).required(),
+          averageAccuracy: Joi.number().allow(null).required(),
+          pinballLoss: Joi.number().allow(null).required()
+        }).allow(null)
+      }).unknown()).required(),
+      unversioned: versionPerformanceSchema.required(),
+      timestamp: Joi.string().required()
+    }), {
+      meta: Joi.object({
+        registeredVersions: Joi.number().integer().required(),
+        latestVersion: Joi.string().allow(null).required()
+      }).required()
+    })
+  }
+}), validateParams(modelParamsSchema), validateQuery(emptySchema), cachedResponse({
+  ttlMs: 60000,
+  tags: (req) => [`model:${req.validatedParams.modelType}`]
+}, async (req) => {
+  const { modelType } = req.validatedParams;
+
+  const { versions, unversioned } = await modelVersions.report(modelType);
+  const registered = versions.filter(version => version.registered);
+
+  return {
+    success: true,
+    data: {
+      modelType,
+      versions,
+      unversioned,
+      timestamp: new Date().toISOString()
+    },
+    meta: {
+      registeredVersions: registered.length,
+      latestVersion: registered.length > 0 ? registered[0].version : null
+    }
+  };
+}));
+
+// POST /api/models/:modelType/versions - Register a model version
+router.post('/:modelType/versions', document({
+  summary: 'Register a model version',
+  description: 'Once a model type has a registered version, predictions for it may only name registered versions ' +
+    'in `modelVersion`.',
+  responses: {
+    201: success(modelVersionSchema, { message: Joi.string().required() }),
+    409: 'Version already registered'
+  }
+}), requireScope('models:manage'), auditAction('models.registerVersion'), validateParams(modelParamsSchema), validateQuery(emptySchema), validate(registerVersionSchema), async (req, res, next) => {
   try {
-    const { models } = req.query;
-    
-    if (!models) {
-      return res.status(400).json({
+    const { modelType } = req.validatedParams;
+
+    const version = modelVersions.register(modelType, req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      data: version,
+      message: `Registered ${modelType} ${version.version}`
+    });
+  } catch (error) {
+    if (error.name === 'ModelVersionError') {
+      return res.status(error.code === 'DUPLICATE_VERSION' ? 409 : 400).json({
         success: false,
-        error: 'Models parameter is required (comma-separated list)'
+        error: error.code === 'DUPLICATE_VERSION' ? 'Version already registered' : 'Invalid Model Version',
+        message: error.message
       });
     }
+    next(error);
+  }
+});
+
+// GET /api/models/comparison - Compare performance of different models
+router.get('/comparison', document({
+  summary: 'Compare the accuracy of several models',
+  responses: {
+    200: success(Joi.array().items(Joi.object({
+      modelType: Joi.string().required(),
+      accuracyRate: Joi.number().required(),
+      averageAccuracy: Joi.number().required(),
+      totalPredictions: Joi.number().integer().required(),
+      resolvedPredictions: Joi.number().integer().required(),
+      error: Joi.string()
+    })), {
+      meta: Joi.object().unknown().required()
+    })
+  }
+}), validateQuery(comparisonQuerySchema), async (req, res, next) => {
+  try {
+    const { models } = req.validatedQuery;
     
     const modelList = models.split(',').map(m => m.trim());
     
     const comparison = await Promise.all(
       modelList.map(async (modelType) => {
         try {
-          const [accuracyRate, averageAccuracy] = await Promise.all([
-            blockchainService.getModelAccuracyRate(modelType),
-            blockchainService.getModelAverageAccuracy(modelType)
-          ]);
-          
-          const predictions = await blockchainService.getModelTypePredictions(modelType);
+          const stats = await blockchainService.getModelStats(modelType);
           
           return {
             modelType,
-            accuracyRate: parseFloat(accuracyRate) / 100,
-            averageAccuracy: parseFloat(averageAccuracy) / 100,
-            totalPredictions: predictions.length,
-            resolvedPredictions: predictions.filter(p => p.isResolved).length
+            accuracyRate: parseFloat(stats.accuracyRate) / 100,
+            averageAccuracy: parseFloat(stats.averageAccuracy) / 100,
+            totalPredictions: parseInt(stats.totalPredictions),
+            resolvedPredictions: parseInt(stats.resolvedPredictions)
           };
         } catch (error) {
           return {
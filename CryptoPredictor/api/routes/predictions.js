@@ -1,64 +1,124 @@
 const express = require('express');
 const Joi = require('joi');
 const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const jobQueue = require('../services/jobs');
+const predictionQuery = require('../services/predictionQuery');
+const predictionMetadata = require('../services/metadata');
+const modelVersions = require('../services/modelVersions');
+const { verifyPredictionSignature } = require('../middleware/signature');
+const { requireScope, auditAction } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, sendValidationError, schemas: { address, emptySchema } } = require('../middleware/validation');
+const { asyncQuerySchema, wantsAsync, acceptJob } = require('../middleware/jobs');
+const { document, success, predictionList, schemas } = require('../middleware/openapi');
 
 const router = express.Router();
 
 // Validation schemas
+const checkMetadata = (value, helpers) => {
+  const prediction = helpers.state.ancestors[0];
+  const { error } = predictionMetadata.validate(value, prediction);
+  if (error) {
+    return helpers.error('metadata.invalid', { reason: error });
+  }
+
+  // Model types with registered versions only take predictions that name one of them.
+  // Legacy metadata (free text or JSON without a schemaVersion) may leave the version out.
+  const metadata = predictionMetadata.parse(value);
+  const { modelVersion } = metadata || {};
+  const versioned = Boolean(metadata) && metadata.schemaVersion !== null;
+  if ((modelVersion || versioned) && !modelVersions.accepts(prediction.modelType, modelVersion)) {
+    return helpers.error(modelVersion ? 'metadata.version' : 'metadata.versionRequired',
+      { modelType: prediction.modelType, modelVersion });
+  }
+  return value;
+};
+
+const futureTimestamp = (value, helpers) =>
+  (value > Math.floor(Date.now() / 1000) ? value : helpers.error('timestamp.future'));
+
 const makePredictionSchema = Joi.object({
   cryptocurrency: Joi.string().required().max(10),
   currentPrice: Joi.number().positive().required(),
   predictedPrice: Joi.number().positive().required(),
-  targetTimestamp: Joi.number().integer().positive().required(),
+  targetTimestamp: Joi.number().integer().positive().required()
+    .custom(futureTimestamp, 'future timestamp')
+    .messages({ 'timestamp.future': '{{#label}} must be in the future' }),
   modelType: Joi.string().required().max(50),
-  additionalData: Joi.string().optional().default('{}'),
-  userAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
-  predictorAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+  // Prediction metadata JSON (see services/metadata.js), or free text from older clients
+  additionalData: Joi.string().optional().default('{}')
+    .custom(checkMetadata, 'prediction metadata')
+    .messages({
+      'metadata.invalid': '{{#label}} does not match the prediction metadata schema: {{#reason}}',
+      'metadata.version': '{{#label}} names version {{#modelVersion}}, which is not registered for {{#modelType}}',
+      'metadata.versionRequired': '{{#label}} must name a modelVersion, as {{#modelType}} has registered versions'
+    }),
+  userAddress: address,
+  predictorAddress: address,
+  // EIP-712 signed submission (see middleware/signature.js)
+  predictor: address,
+  signature: Joi.string().pattern(/^0x[a-fA-F0-9]{130}$/).optional(),
+  nonce: Joi.number().integer().min(0).when('signature', { is: Joi.exist(), then: Joi.required() }),
+  deadline: Joi.number().integer().positive().when('signature', { is: Joi.exist(), then: Joi.required() })
+});
+
+// `oracleAddress` is informational; resolutions are signed by the server wallet
+const resolveBodySchema = Joi.object({
+  actualPrice: Joi.number().positive().required(),
+  oracleAddress: address
 });
 
-const resolvePredictionSchema = Joi.object({
-  predictionId: Joi.number().integer().positive().required(),
+const resolveParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const predictionIdSchema = Joi.object({
+  id: Joi.number().integer().min(0).required()
+});
+
+const metadataSchemaQuerySchema = Joi.object({
+  version: Joi.number().integer().valid(...predictionMetadata.getVersions()).default(predictionMetadata.currentVersion)
+});
+
+const calculateAccuracySchema = Joi.object({
+  predictedPrice: Joi.number().positive().required(),
   actualPrice: Joi.number().positive().required()
 });
 
-// GET /api/predictions - Get all predictions with pagination
-router.get('/', async (req, res, next) => {
+// Response schemas
+const createdPredictionSchema = Joi.object({
+  prediction: Joi.object().unknown().required(),
+  ...schemas.receiptFields
+});
+
+const resolveResponses = {
+  200: success(schemas.resolutionSchema, { message: Joi.string().required() }),
+  202: success(schemas.jobSchema, { message: Joi.string().required() }),
+  404: 'Prediction not found'
+};
+
+// GET /api/predictions - List predictions with filters, sorting and cursor pagination
+router.get('/', document({
+  summary: 'List predictions with filters, sorting and cursor pagination',
+  responses: {
+    200: predictionList(Joi.object({ filters: Joi.object().unknown().required() }))
+  }
+}), validateQuery(predictionQuery.schema), async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, crypto, modelType, user } = req.query;
-    
-    let predictions = [];
+    const { error, value } = predictionQuery.prepare(req.validatedQuery);
     
-    if (crypto) {
-      predictions = await blockchainService.getCryptoPredictions(crypto);
-    } else if (modelType) {
-      predictions = await blockchainService.getModelTypePredictions(modelType);
-    } else if (user) {
-      predictions = await blockchainService.getUserPredictions(user);
-    } else {
-      // Get total count and fetch recent predictions
-      const totalCount = await blockchainService.getPredictionCounter();
-      const startId = Math.max(1, parseInt(totalCount) - (page * limit) + 1);
-      const endId = Math.max(1, parseInt(totalCount) - ((page - 1) * limit));
-      
-      predictions = [];
-      for (let i = endId; i >= startId; i--) {
-        try {
-          const prediction = await blockchainService.getPrediction(i);
-          predictions.push(prediction);
-        } catch (error) {
-          // Skip if prediction doesn't exist
-          continue;
-        }
-      }
+    if (error) {
+      return sendValidationError(res, 'query', error.details);
     }
     
+    const { data, pagination } = await predictionQuery.run(value);
+    
     res.json({
       success: true,
-      data: predictions,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: predictions.length
+      data,
+      pagination,
+      meta: {
+        filters: predictionQuery.describeFilters(value)
       }
     });
   } catch (error) {
@@ -66,19 +126,46 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// GET /api/predictions/metadata/schema - JSON Schema for additionalData
+router.get('/metadata/schema', document({
+  summary: 'Get the JSON Schema for prediction metadata (additionalData)',
+  description: 'Defaults to the current version. Submitted JSON objects with `schemaVersion` are validated ' +
+    'against that version; unversioned objects only have their known fields checked, and free text is stored as sent.',
+  responses: {
+    200: success(Joi.object().unknown(), {
+      meta: Joi.object({
+        version: Joi.number().integer().required(),
+        currentVersion: Joi.number().integer().required(),
+        versions: Joi.array().items(Joi.number().integer()).required()
+      }).required()
+    })
+  }
+}), validateQuery(metadataSchemaQuerySchema), (req, res) => {
+  const { version } = req.validatedQuery;
+
+  res.json({
+    success: true,
+    data: predictionMetadata.getSchema(version),
+    meta: {
+      version,
+      currentVersion: predictionMetadata.currentVersion,
+      versions: predictionMetadata.getVersions()
+    }
+  });
+});
+
 // GET /api/predictions/:id - Get specific prediction
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', document({
+  summary: 'Get a prediction',
+  responses: {
+    200: success(schemas.predictionSchema),
+    404: 'Prediction not found'
+  }
+}), validateParams(predictionIdSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { id } = req.validatedParams;
     
-    if (!id || isNaN(id)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid prediction ID'
-      });
-    }
-    
-    const prediction = await blockchainService.getPrediction(id);
+    const prediction = await predictionIndexer.getPrediction(id);
     
     if (!prediction) {
       return res.status(404).json({
@@ -104,31 +191,38 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/predictions - Create new prediction
-router.post('/', async (req, res, next) => {
+router.post('/', document({
+  summary: 'Create a prediction, optionally relaying an EIP-712 signed submission',
+  description: 'Send `Prefer: respond-async` or `?async=true` to get 202 and a job to poll instead of waiting for the transaction.',
+  responses: {
+    201: success(createdPredictionSchema, { message: Joi.string().required() }),
+    202: success(schemas.jobSchema, { message: Joi.string().required() })
+  }
+}), validateQuery(asyncQuerySchema), validate(makePredictionSchema), verifyPredictionSignature, async (req, res, next) => {
   try {
-    const { error, value } = makePredictionSchema.validate(req.body);
+    const value = req.validatedData;
+    const predictor = req.signedPrediction?.predictor || process.env.DEFAULT_PREDICTOR_ADDRESS;
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
-    }
+    // Signed predictions are relayed and attributed to the signer on-chain
+    const job = jobQueue.start('prediction.create', {
+      cryptocurrency: value.cryptocurrency,
+      currentPrice: value.currentPrice,
+      predictedPrice: value.predictedPrice,
+      targetTimestamp: value.targetTimestamp,
+      modelType: value.modelType,
+      predictor: predictor || null
+    }, options => (req.signedPrediction
+      ? blockchainService.makePredictionFor(value, req.signedPrediction, options)
+      : blockchainService.makePrediction(predictor, value, options)));
+    const completion = jobQueue.waitForResult(job.id);
     
-    // Validate target timestamp is in the future
-    const now = Math.floor(Date.now() / 1000);
-    if (value.targetTimestamp <= now) {
-      return res.status(400).json({
-        success: false,
-        error: 'Target timestamp must be in the future'
-      });
+    if (wantsAsync(req)) {
+      // A signed nonce stays reserved until its transaction settles
+      res.locals.settled = completion.catch(() => {});
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Prediction submitted');
     }
     
-    const result = await blockchainService.makePrediction(
-      req.body.userAddress || req.body.predictorAddress || process.env.DEFAULT_PREDICTOR_ADDRESS,
-      value
-    );
+    const result = await completion;
     
     // Handle both real blockchain service format and mock format
     let responseData;
@@ -142,11 +236,12 @@ router.post('/', async (req, res, next) => {
           predictedPrice: value.predictedPrice,
           targetTimestamp: value.targetTimestamp,
           modelType: value.modelType,
-          user: req.body.userAddress || req.body.predictorAddress || process.env.DEFAULT_PREDICTOR_ADDRESS
+          user: result.predictor || predictor
         },
         txHash: result.txHash,
         blockNumber: result.blockNumber,
-        gasUsed: result.gasUsed
+        gasUsed: result.gasUsed,
+        jobId: job.id
       };
     } else {
       // Mock format
@@ -154,7 +249,8 @@ router.post('/', async (req, res, next) => {
         prediction: result.prediction,
         txHash: result.receipt?.hash,
         blockNumber: result.receipt?.blockNumber,
-        gasUsed: result.receipt?.gasUsed?.toString()
+        gasUsed: result.receipt?.gasUsed?.toString(),
+        jobId: job.id
       };
     }
     
@@ -169,34 +265,30 @@ router.post('/', async (req, res, next) => {
 });
 
 // PUT /api/predictions/:id/resolve - Resolve prediction
-router.put('/:id/resolve', async (req, res, next) => {
+router.put('/:id/resolve', document({
+  summary: 'Resolve a prediction with the actual price',
+  responses: resolveResponses
+}), requireScope('predictions:resolve'), auditAction('predictions.resolve'), validateParams(resolveParamsSchema), validateQuery(asyncQuerySchema), validate(resolveBodySchema), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { actualPrice } = req.body;
+    const { id } = req.validatedParams;
+    const { actualPrice } = req.validatedData;
     
-    const { error } = resolvePredictionSchema.validate({
-      predictionId: parseInt(id),
-      actualPrice
-    });
+    const job = jobQueue.start('prediction.resolve', { predictionId: id, actualPrice },
+      options => blockchainService.resolvePrediction(id, actualPrice, options));
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Resolution submitted');
     }
     
-    const result = await blockchainService.resolvePrediction(id, actualPrice);
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        correct: result.correct,
-        accuracyBasisPoints: result.accuracyBasisPoints,
-        txHash: result.receipt?.hash,
-        blockNumber: result.receipt?.blockNumber,
-        gasUsed: result.receipt?.gasUsed?.toString()
+        wasAccurate: result.wasAccurate,
+        accuracyPercentage: result.accuracyPercentage,
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: 'Prediction resolved successfully'
     });
@@ -206,34 +298,30 @@ router.put('/:id/resolve', async (req, res, next) => {
 });
 
 // POST /api/predictions/:id/resolve - Resolve prediction (alternative to PUT)
-router.post('/:id/resolve', async (req, res, next) => {
+router.post('/:id/resolve', document({
+  summary: 'Resolve a prediction with the actual price (alternative to PUT)',
+  responses: resolveResponses
+}), requireScope('predictions:resolve'), auditAction('predictions.resolve'), validateParams(resolveParamsSchema), validateQuery(asyncQuerySchema), validate(resolveBodySchema), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { actualPrice } = req.body;
+    const { id } = req.validatedParams;
+    const { actualPrice } = req.validatedData;
     
-    const { error } = resolvePredictionSchema.validate({
-      predictionId: parseInt(id),
-      actualPrice
-    });
+    const job = jobQueue.start('prediction.resolve', { predictionId: id, actualPrice },
+      options => blockchainService.resolvePrediction(id, actualPrice, options));
     
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: error.details
-      });
+    if (wantsAsync(req)) {
+      return acceptJob(res, await jobQueue.waitForBroadcast(job.id), 'Resolution submitted');
     }
     
-    const result = await blockchainService.resolvePrediction(id, actualPrice);
+    const result = await jobQueue.waitForResult(job.id);
     
     res.json({
       success: true,
       data: {
-        correct: result.correct,
-        accuracyBasisPoints: result.accuracyBasisPoints,
-        txHash: result.receipt?.hash,
-        blockNumber: result.receipt?.blockNumber,
-        gasUsed: result.receipt?.gasUsed?.toString()
+        wasAccurate: result.wasAccurate,
+        accuracyPercentage: result.accuracyPercentage,
+        ...jobQueue.receiptOf(result),
+        jobId: job.id
       },
       message: 'Prediction resolved successfully'
     });
@@ -243,7 +331,16 @@ router.post('/:id/resolve', async (req, res, next) => {
 });
 
 // GET /api/predictions/stats/summary - Get prediction statistics
-router.get('/stats/summary', async (req, res, next) => {
+router.get('/stats/summary', document({
+  summary: 'Get prediction statistics',
+  responses: {
+    200: success(Joi.object({
+      totalPredictions: schemas.integerString.required(),
+      accuracyThreshold: Joi.string().required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateQuery(emptySchema), async (req, res, next) => {
   try {
     const totalPredictions = await blockchainService.getPredictionCounter();
     const accuracyThreshold = await blockchainService.getAccuracyThreshold();
@@ -262,16 +359,19 @@ router.get('/stats/summary', async (req, res, next) => {
 });
 
 // POST /api/predictions/calculate-accuracy - Calculate accuracy between two prices
-router.post('/calculate-accuracy', async (req, res, next) => {
+router.post('/calculate-accuracy', document({
+  summary: 'Calculate accuracy between two prices',
+  responses: {
+    200: success(Joi.object({
+      predictedPrice: Joi.number().required(),
+      actualPrice: Joi.number().required(),
+      accuracyBasisPoints: schemas.integerString.required(),
+      accuracyPercentage: Joi.string().required()
+    }))
+  }
+}), validateQuery(emptySchema), validate(calculateAccuracySchema), async (req, res, next) => {
   try {
-    const { predictedPrice, actualPrice } = req.body;
-    
-    if (!predictedPrice || !actualPrice || predictedPrice <= 0 || actualPrice <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid predicted price and actual price are required'
-      });
-    }
+    const { predictedPrice, actualPrice } = req.validatedData;
     
     const accuracy = await blockchainService.calculateAccuracy(predictedPrice, actualPrice);
     const accuracyPercentage = parseFloat(accuracy) / 100;
@@ -1,19 +1,55 @@
 const express = require('express');
+const Joi = require('joi');
 const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const predictionQuery = require('../services/predictionQuery');
+const { PREDICTION_TYPES } = require('../middleware/signature');
+const { validateQuery, validateParams, sendValidationError, schemas: { addressSchema, emptySchema } } = require('../middleware/validation');
+const { document, success, predictionList, schemas } = require('../middleware/openapi');
 
 const router = express.Router();
 
+// Validation schemas
+const addressParamsSchema = Joi.object({
+  address: addressSchema
+});
+
+const modelStatsParamsSchema = addressParamsSchema.keys({
+  modelType: Joi.string().max(50).required()
+});
+
+const cryptoStatsParamsSchema = addressParamsSchema.keys({
+  crypto: Joi.string().max(10).required()
+});
+
+// Response schemas
+const percentage = Joi.string().pattern(/%$/);
+
+const userStatsSchema = Joi.object({
+  address: schemas.address.required(),
+  totalPredictions: schemas.integerString.required(),
+  resolvedPredictions: schemas.integerString.required(),
+  accuratePredictions: schemas.integerString.required(),
+  totalAccuracyScore: schemas.integerString.required(),
+  accuracyRate: percentage.required(),
+  averageAccuracy: percentage.required(),
+  timestamp: Joi.string().required()
+});
+
+const countSchema = (field) => Joi.object({
+  address: schemas.address.required(),
+  [field]: Joi.string().required(),
+  predictionCount: schemas.integerString.required(),
+  timestamp: Joi.string().required()
+});
+
 // GET /api/users/:address/stats - Get user statistics
-router.get('/:address/stats', async (req, res, next) => {
+router.get('/:address/stats', document({
+  summary: 'Get user statistics',
+  responses: { 200: success(userStatsSchema) }
+}), validateParams(addressParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { address } = req.params;
-    
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address'
-      });
-    }
+    const { address } = req.validatedParams;
     
     const stats = await blockchainService.getUserStats(address);
     
@@ -26,6 +62,7 @@ router.get('/:address/stats', async (req, res, next) => {
       data: {
         address,
         totalPredictions: stats.totalPredictions,
+        resolvedPredictions: stats.resolvedPredictions,
         accuratePredictions: stats.accuratePredictions,
         totalAccuracyScore: stats.totalAccuracyScore,
         accuracyRate: `${accuracyRate}%`,
@@ -38,42 +75,72 @@ router.get('/:address/stats', async (req, res, next) => {
   }
 });
 
-// GET /api/users/:address/predictions - Get user predictions
-router.get('/:address/predictions', async (req, res, next) => {
+// GET /api/users/:address/nonce - Get the nonce and EIP-712 typed data for signing a prediction
+router.get('/:address/nonce', document({
+  summary: 'Get the nonce and EIP-712 typed data for signing a prediction',
+  responses: {
+    200: success(Joi.object({
+      address: schemas.address.required(),
+      nonce: schemas.integerString.required(),
+      domain: Joi.object().unknown().required(),
+      types: Joi.object().unknown().required(),
+      primaryType: Joi.string().valid('Prediction').required()
+    }))
+  }
+}), validateParams(addressParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { address } = req.params;
-    const { resolved, crypto, modelType } = req.query;
-    
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address'
-      });
-    }
+    const { address } = req.validatedParams;
     
-    let predictions = await blockchainService.getUserPredictions(address);
+    const [nonce, domain] = await Promise.all([
+      blockchainService.getPredictionNonce(address),
+      blockchainService.getSigningDomain()
+    ]);
     
-    // Apply filters
-    if (resolved !== undefined) {
-      const isResolved = resolved === 'true';
-      predictions = predictions.filter(p => p.isResolved === isResolved);
-    }
+    res.json({
+      success: true,
+      data: {
+        address,
+        nonce,
+        domain,
+        types: PREDICTION_TYPES,
+        primaryType: 'Prediction'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/users/:address/predictions - Get user predictions
+router.get('/:address/predictions', document({
+  summary: 'List a user\'s predictions',
+  responses: {
+    200: predictionList(Joi.object({
+      address: schemas.address.required(),
+      total: Joi.number().integer().required(),
+      filters: Joi.object().unknown().required()
+    }))
+  }
+}), validateParams(addressParamsSchema), validateQuery(predictionQuery.schema), async (req, res, next) => {
+  try {
+    const { address } = req.validatedParams;
     
-    if (crypto) {
-      predictions = predictions.filter(p => p.cryptocurrency.toLowerCase() === crypto.toLowerCase());
-    }
+    const { error, value } = predictionQuery.prepare(req.validatedQuery, { user: address });
     
-    if (modelType) {
-      predictions = predictions.filter(p => p.modelType.toLowerCase() === modelType.toLowerCase());
+    if (error) {
+      return sendValidationError(res, 'query', error.details);
     }
     
+    const { data, pagination } = await predictionQuery.run(value);
+    
     res.json({
       success: true,
-      data: predictions,
+      data,
+      pagination,
       meta: {
         address,
-        total: predictions.length,
-        filters: { resolved, crypto, modelType }
+        total: pagination.total,
+        filters: predictionQuery.describeFilters(value)
       }
     });
   } catch (error) {
@@ -82,16 +149,12 @@ router.get('/:address/predictions', async (req, res, next) => {
 });
 
 // GET /api/users/:address/model-stats/:modelType - Get user stats for specific model
-router.get('/:address/model-stats/:modelType', async (req, res, next) => {
+router.get('/:address/model-stats/:modelType', document({
+  summary: 'Get a user\'s prediction count for a model',
+  responses: { 200: success(countSchema('modelType')) }
+}), validateParams(modelStatsParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { address, modelType } = req.params;
-    
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address'
-      });
-    }
+    const { address, modelType } = req.validatedParams;
     
     const count = await blockchainService.getUserModelTypeCount(address, modelType);
     
@@ -110,16 +173,12 @@ router.get('/:address/model-stats/:modelType', async (req, res, next) => {
 });
 
 // GET /api/users/:address/crypto-stats/:crypto - Get user stats for specific cryptocurrency
-router.get('/:address/crypto-stats/:crypto', async (req, res, next) => {
+router.get('/:address/crypto-stats/:crypto', document({
+  summary: 'Get a user\'s prediction count for a cryptocurrency',
+  responses: { 200: success(countSchema('cryptocurrency')) }
+}), validateParams(cryptoStatsParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { address, crypto } = req.params;
-    
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address'
-      });
-    }
+    const { address, crypto } = req.validatedParams;
     
     const count = await blockchainService.getUserCryptoCount(address, crypto.toUpperCase());
     
@@ -138,20 +197,25 @@ router.get('/:address/crypto-stats/:crypto', async (req, res, next) => {
 });
 
 // GET /api/users/:address/performance - Get comprehensive user performance
-router.get('/:address/performance', async (req, res, next) => {
+router.get('/:address/performance', document({
+  summary: 'Get a user\'s performance by cryptocurrency, model and over time',
+  responses: {
+    200: success(Joi.object({
+      address: schemas.address.required(),
+      overallStats: Joi.object().unknown().required(),
+      cryptoPerformance: Joi.object().unknown().required(),
+      modelPerformance: Joi.object().unknown().required(),
+      timeline: Joi.array().items(Joi.object().unknown()).required(),
+      timestamp: Joi.string().required()
+    }))
+  }
+}), validateParams(addressParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
   try {
-    const { address } = req.params;
-    
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address'
-      });
-    }
+    const { address } = req.validatedParams;
     
     const [stats, predictions] = await Promise.all([
       blockchainService.getUserStats(address),
-      blockchainService.getUserPredictions(address)
+      predictionIndexer.getUserPredictions(address)
     ]);
     
     // Analyze predictions by crypto and model
@@ -164,12 +228,14 @@ router.get('/:address/performance', async (req, res, next) => {
       if (!cryptoPerformance[prediction.cryptocurrency]) {
         cryptoPerformance[prediction.cryptocurrency] = {
           total: 0,
+          resolved: 0,
           accurate: 0,
           totalAccuracy: 0
         };
       }
       cryptoPerformance[prediction.cryptocurrency].total++;
       if (prediction.isResolved) {
+        cryptoPerformance[prediction.cryptocurrency].resolved++;
         if (prediction.wasAccurate) {
           cryptoPerformance[prediction.cryptocurrency].accurate++;
         }
@@ -180,12 +246,14 @@ router.get('/:address/performance', async (req, res, next) => {
       if (!modelPerformance[prediction.modelType]) {
         modelPerformance[prediction.modelType] = {
           total: 0,
+          resolved: 0,
           accurate: 0,
           totalAccuracy: 0
         };
       }
       modelPerformance[prediction.modelType].total++;
       if (prediction.isResolved) {
+        modelPerformance[prediction.modelType].resolved++;
         if (prediction.wasAccurate) {
           modelPerformance[prediction.modelType].accurate++;
         }
@@ -203,17 +271,17 @@ router.get('/:address/performance', async (req, res, next) => {
       }
     });
     
-    // Calculate percentages
+    // Calculate percentages over resolved predictions, like the overall stats
     Object.keys(cryptoPerformance).forEach(crypto => {
       const perf = cryptoPerformance[crypto];
-      perf.accuracyRate = perf.total > 0 ? (perf.accurate / perf.total) * 100 : 0;
-      perf.averageAccuracy = perf.total > 0 ? perf.totalAccuracy / perf.total / 100 : 0;
+      perf.accuracyRate = perf.resolved > 0 ? (perf.accurate / perf.resolved) * 100 : 0;
+      perf.averageAccuracy = perf.resolved > 0 ? perf.totalAccuracy / perf.resolved / 100 : 0;
     });
     
     Object.keys(modelPerformance).forEach(model => {
       const perf = modelPerformance[model];
-      perf.accuracyRate = perf.total > 0 ? (perf.accurate / perf.total) * 100 : 0;
-      perf.averageAccuracy = perf.total > 0 ? perf.totalAccuracy / perf.total / 100 : 0;
+      perf.accuracyRate = perf.resolved > 0 ? (perf.accurate / perf.resolved) * 100 : 0;
+      perf.averageAccuracy = perf.resolved > 0 ? perf.totalAccuracy / perf.resolved / 100 : 0;
     });
     
     res.json({
@@ -222,6 +290,7 @@ router.get('/:address/performance', async (req, res, next) => {
         address,
         overallStats: {
           totalPredictions: stats.totalPredictions,
+          resolvedPredictions: stats.resolvedPredictions,
           accuratePredictions: stats.accuratePredictions,
           accuracyRate: `${parseFloat(stats.accuracyRate) / 100}%`,
           averageAccuracy: `${parseFloat(stats.averageAccuracy) / 100}%`
@@ -0,0 +1,311 @@
+const express = require('express');
+const Joi = require('joi');
+const webhookService = require('../services/webhooks');
+const { requireScope, auditAction } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, schemas: { address, emptySchema } } = require('../middleware/validation');
+const { document, success, schemas } = require('../middleware/openapi');
+
+const router = express.Router();
+
+// Validation schemas
+const webhookParamsSchema = Joi.object({
+  id: Joi.string().max(100).required()
+});
+
+const deliveryParamsSchema = Joi.object({
+  deliveryId: Joi.string().max(100).required()
+});
+
+const filtersSchema = Joi.object({
+  symbols: Joi.array().items(Joi.string().min(1).max(10)).default([]),
+  users: Joi.array().items(address).default([]),
+  models: Joi.array().items(Joi.string().min(1).max(50)).default([])
+});
+
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  events: Joi.array().items(Joi.string().valid(...webhookService.events)).min(1).unique(),
+  filters: filtersSchema,
+  description: Joi.string().max(200).allow(null)
+};
+
+const createWebhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required()
+});
+
+const updateWebhookSchema = Joi.object({
+  ...webhookFields,
+  active: Joi.boolean()
+}).min(1);
+
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'dead'),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const deadLetterQuerySchema = Joi.object({
+  webhookId: Joi.string(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Response schemas
+const webhookWithSecretSchema = schemas.webhookSchema.keys({
+  secret: Joi.string().required()
+}).meta({ className: 'WebhookWithSecret' });
+
+const deliveryListMeta = Joi.object({
+  count: Joi.number().integer().required(),
+  limit: Joi.number().integer().required(),
+  status: Joi.string().allow(null)
+});
+
+// GET /api/webhooks - List registered webhooks (secrets are never returned)
+router.get('/', document({
+  summary: 'List registered webhooks',
+  responses: {
+    200: success(Joi.array().items(schemas.webhookSchema), {
+      meta: Joi.object({
+        total: Joi.number().integer().required(),
+        active: Joi.number().integer().required(),
+        events: Joi.array().items(Joi.string()).required()
+      }).required()
+    })
+  }
+}), requireScope('webhooks:manage'), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    const webhooks = webhookService.listWebhooks();
+    
+    res.json({
+      success: true,
+      data: webhooks,
+      meta: {
+        total: webhooks.length,
+        active: webhooks.filter(webhook => webhook.active).length,
+        events: webhookService.events
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks - Register a webhook endpoint
+router.post('/', document({
+  summary: 'Register a webhook endpoint',
+  responses: {
+    201: success(webhookWithSecretSchema, { message: Joi.string().required() })
+  }
+}), requireScope('webhooks:manage'), auditAction('webhooks.create'), validateQuery(emptySchema), validate(createWebhookSchema), async (req, res, next) => {
+  try {
+    const { webhook, secret } = webhookService.createWebhook(req.validatedData);
+    
+    res.status(201).json({
+      success: true,
+      data: { ...webhook, secret },
+      message: 'Store this signing secret now; it cannot be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/dead-letters - List deliveries that ran out of retries
+router.get('/dead-letters', document({
+  summary: 'List deliveries that ran out of retries',
+  responses: {
+    200: success(Joi.array().items(schemas.deliverySchema), { meta: deliveryListMeta.required() })
+  }
+}), requireScope('webhooks:manage'), validateQuery(deadLetterQuerySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedQuery;
+    const deliveries = webhookService.getDeadLetters(value);
+    
+    res.json({
+      success: true,
+      data: deliveries,
+      meta: {
+        count: deliveries.length,
+        limit: value.limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/retry - Attempt a dead letter again
+router.post('/deliveries/:deliveryId/retry', document({
+  summary: 'Attempt a dead letter again',
+  responses: {
+    200: success(schemas.deliverySchema, { message: Joi.string().required() }),
+    404: 'Settled delivery not found'
+  }
+}), requireScope('webhooks:manage'), auditAction('webhooks.retry'), validateParams(deliveryParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(req.validatedParams.deliveryId);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Settled delivery not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: delivery,
+      message: delivery.status === 'delivered' ? 'Delivery succeeded' : 'Delivery failed again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:id - Get a webhook
+router.get('/:id', document({
+  summary: 'Get a webhook',
+  responses: {
+    200: success(schemas.webhookSchema),
+    404: 'Webhook not found'
+  }
+}), requireScope('webhooks:manage'), validateParams(webhookParamsSchema), validateQuery(emptySchema), async (req, res, next) => {
+  try {
+    const webhook = webhookService.getWebhook(req.validatedParams.id);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/webhooks/:id - Change a webhook's URL, events, filters or active flag
+router.patch('/:id', document({
+  summary: 'Change a webhook\'s URL, events, filters or active flag',
+  responses: {
+    200: success(schemas.webhookSchema),
+    404: 'Webhook not found'
+  }
+}), requireScope('webhooks:manage'), auditAction('webhooks.update'), validateParams(webhookParamsSchema), validateQuery(emptySchema), validate(updateWebhookSchema), async (req, res, next) => {
+  try {
+    const webhook = webhookService.updateWebhook(req.validatedParams.id, req.validatedData);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/webhooks/:id - Remove a webhook and its pending deliveries
+router.delete('/:id', document({
+  summary: 'Remove a webhook and its pending deliveries',
+  responses: {
+    200: success(schemas.webhookSchema, { message: Joi.string().required() }),
+    404: 'Webhook not found'
+  }
+}), requireScope('webhooks:manage'), auditAction('webhooks.delete'), validateParams(webhookParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const webhook = webhookService.deleteWebhook(req.validatedParams.id);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook,
+      message: `Webhook ${webhook.id} deleted`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+router.post('/:id/rotate-secret', document({
+  summary: 'Replace the signing secret',
+  responses: {
+    200: success(webhookWithSecretSchema, { message: Joi.string().required() }),
+    404: 'Webhook not found'
+  }
+}), requireScope('webhooks:manage'), auditAction('webhooks.rotateSecret'), validateParams(webhookParamsSchema), validateQuery(emptySchema), validate(emptySchema), async (req, res, next) => {
+  try {
+    const rotated = webhookService.rotateSecret(req.validatedParams.id);
+    
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...rotated.webhook, secret: rotated.secret },
+      message: 'Store this signing secret now; it cannot be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Get a webhook's delivery history, newest first
+router.get('/:id/deliveries', document({
+  summary: 'Get a webhook\'s delivery history, newest first',
+  responses: {
+    200: success(Joi.array().items(schemas.deliverySchema), { meta: deliveryListMeta.required() }),
+    404: 'Webhook not found'
+  }
+}), requireScope('webhooks:manage'), validateParams(webhookParamsSchema), validateQuery(deliveryQuerySchema), async (req, res, next) => {
+  try {
+    const value = req.validatedQuery;
+    const { id } = req.validatedParams;
+    
+    if (!webhookService.getWebhook(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    const deliveries = webhookService.getDeliveries(id, value);
+    
+    res.json({
+      success: true,
+      data: deliveries,
+      meta: {
+        count: deliveries.length,
+        limit: value.limit,
+        status: value.status || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
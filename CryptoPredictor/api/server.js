@@ -3,14 +3,20 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
 require('dotenv').config();
 
-const predictionRoutes = require('./routes/predictions');
-const userRoutes = require('./routes/users');
-const modelRoutes = require('./routes/models');
-const cryptoRoutes = require('./routes/crypto');
-const adminRoutes = require('./routes/admin');
+const apiRoutes = require('./routes');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
+const predictionIndexer = require('./services/indexer');
+const predictionResolver = require('./services/resolver');
+const eventStream = require('./services/eventStream');
+const webhookService = require('./services/webhooks');
+const cache = require('./services/cache');
+const logger = require('./services/logger');
+const { requestLogger, requestContext } = require('./middleware/requestLogger');
+const { httpMetrics } = require('./middleware/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -29,32 +35,28 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(morgan('combined'));
+app.use(requestLogger);
+app.use(httpMetrics);
+
+// Prometheus metrics and health checks, served ahead of the rate limiter so scrapes and
+// probes are never refused
+app.use(metricsRoutes);
+app.use('/health', healthRoutes);
+
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    service: 'CryptoPredictor API',
-    version: '1.0.0',
-    network: process.env.NETWORK_NAME || 'localhost'
-  });
-});
+app.use(requestContext);
 
 // API Routes
-app.use('/api/predictions', predictionRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/models', modelRoutes);
-app.use('/api/crypto', cryptoRoutes);
-app.use('/api/admin', adminRoutes);
+apiRoutes.forEach(({ prefix, router }) => app.use(prefix, router));
+
+// OpenAPI document and explorer
+app.use('/api', docsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Request failed', { requestId: req.id, method: req.method, path: req.originalUrl, error: err });
   
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -72,7 +74,8 @@ app.use((err, req, res, next) => {
   
   res.status(500).json({
     error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    requestId: req.id
   });
 });
 
@@ -85,11 +88,32 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 CryptoPredictor API server running on port ${PORT}`);
-  console.log(`📊 Network: ${process.env.NETWORK_NAME || 'localhost'}`);
-  console.log(`🔗 Contract: ${process.env.CONTRACT_ADDRESS || 'Not configured'}`);
-  console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+const server = app.listen(PORT, () => {
+  logger.info('CryptoPredictor API server running', {
+    port: Number(PORT),
+    network: process.env.NETWORK_NAME || 'localhost',
+    contractAddress: process.env.CONTRACT_ADDRESS || null,
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    logLevel: logger.level
+  });
+
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    cache.start();
+    eventStream.start();
+    webhookService.start();
+    predictionIndexer.start();
+  }
+
+  if (process.env.RESOLVER_ENABLED === 'true') {
+    try {
+      predictionResolver.start();
+    } catch (error) {
+      logger.error('Failed to start prediction resolver', { error });
+    }
+  }
 });
 
+// WebSocket event stream shares the HTTP server
+eventStream.attach(server);
+
 module.exports = app;
\ No newline at end of file
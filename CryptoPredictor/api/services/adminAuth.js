@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').child({ component: 'admin' });
+
+// Permissions an admin key can hold. '*' grants all of them.
+const SCOPES = [
+  'admin:read',
+  'threshold:write',
+  'contract:pause',
+  'oracle:manage',
+  'predictions:resolve',
+  'prices:write',
+  'transactions:manage',
+  'webhooks:manage',
+  'models:manage',
+  'keys:manage',
+  'audit:read'
+];
+
+const STORE_VERSION = 1;
+const KEY_PREFIX = 'cpk';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Fields never written to the audit log
+const REDACTED_FIELDS = ['content', 'secret', 'key', 'privateKey', 'signature'];
+
+const redact = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) =>
+    [field, REDACTED_FIELDS.includes(field) ? '[redacted]' : fieldValue]));
+};
+
+// Named admin API keys with scopes, expiry and rotation, plus an append-only audit
+// log of admin actions. Only SHA-256 hashes of key secrets are stored.
+class AdminAuthService {
+  constructor() {
+    this.storePath = process.env.ADMIN_KEYS_PATH || path.join(__dirname, '..', 'data', 'admin-keys.json');
+    this.auditPath = process.env.ADMIN_AUDIT_LOG_PATH || path.join(__dirname, '..', 'data', 'admin-audit.jsonl');
+    this.auditLimit = parseInt(process.env.ADMIN_AUDIT_LIMIT || '10000');
+    this.scopes = SCOPES;
+    this.rotationGraceSeconds = parseInt(process.env.ADMIN_KEY_ROTATION_GRACE || '3600');
+    this.keys = new Map();
+    this.auditLog = [];
+    this.load();
+    this.loadAudit();
+  }
+
+  // ADMIN_API_KEY keeps working as an unnamed root key so existing deployments
+  // don't lock themselves out; issue named keys and unset it to retire it.
+  envKey() {
+    if (!process.env.ADMIN_API_KEY) {
+      return null;
+    }
+    const scopes = process.env.ADMIN_API_KEY_SCOPES;
+    return {
+      id: 'env',
+      name: 'ADMIN_API_KEY',
+      scopes: scopes ? scopes.split(',').map(scope => scope.trim()) : ['*'],
+      hash: hashSecret(process.env.ADMIN_API_KEY),
+      createdAt: null,
+      expiresAt: null,
+      revokedAt: null
+    };
+  }
+
+  // Keys
+  authenticate(secret) {
+    if (!secret) {
+      return null;
+    }
+
+    const hash = hashSecret(secret);
+    const envKey = this.envKey();
+    if (envKey && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(envKey.hash))) {
+      return envKey;
+    }
+
+    const key = [...this.keys.values()].find(candidate => candidate.hash === hash);
+    if (!key || !this.isActive(key)) {
+      return null;
+    }
+
+    key.lastUsedAt = new Date().toISOString();
+    return key;
+  }
+
+  isActive(key, now = Date.now()) {
+    return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt).getTime() > now);
+  }
+
+  hasScope(key, scope) {
+    return key.scopes.includes('*') || key.scopes.includes(scope);
+  }
+
+  // Scopes `key` could not grant: a key only hands out scopes it holds itself, so
+  // only a '*' key can grant '*'
+  ungrantableScopes(key, scopes) {
+    return scopes.filter(scope => !this.hasScope(key, scope));
+  }
+
+  getKey(id) {
+    const key = this.keys.get(id);
+    return key ? this.describe(key) : null;
+  }
+
+  createKey({ name, scopes, expiresAt = null, rotatedFrom = null }) {
+    const invalid = scopes.filter(scope => scope !== '*' && !this.scopes.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id,
+      name,
+      scopes,
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      revokedAt: null,
+      lastUsedAt: null,
+      rotatedFrom
+    };
+
+    this.keys.set(id, key);
+    this.persist();
+    return { key: this.describe(key), secret };
+  }
+
+  // Issue a replacement with the same name and scopes; the old key keeps working
+  // for the grace period so clients can switch over
+  rotateKey(id, { gracePeriod = this.rotationGraceSeconds } = {}) {
+    const key = this.keys.get(id);
+    if (!key || !this.isActive(key)) {
+      return null;
+    }
+
+    const replacement = this.createKey({
+      name: key.name,
+      scopes: key.scopes,
+      expiresAt: key.expiresAt,
+      rotatedFrom: key.id
+    });
+
+    const graceEnd = Date.now() + gracePeriod * 1000;
+    if (!key.expiresAt || new Date(key.expiresAt).getTime() > graceEnd) {
+      key.expiresAt = new Date(graceEnd).toISOString();
+    }
+    this.persist();
+
+    return { ...replacement, previous: this.describe(key) };
+  }
+
+  revokeKey(id) {
+    const key = this.keys.get(id);
+    if (!key) {
+      return null;
+    }
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return this.describe(key);
+  }
+
+  listKeys() {
+    const keys = [...this.keys.values()].map(key => this.describe(key));
+    const envKey = this.envKey();
+    return envKey ? [this.describe(envKey), ...keys] : keys;
+  }
+
+  describe(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, active: this.isActive(key) };
+  }
+
+  // Audit log
+  recordAudit(entry) {
+    const logged = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry,
+      body: redact(entry.body)
+    };
+
+    this.auditLog.push(logged);
+    if (this.auditLog.length > this.auditLimit) {
+      this.auditLog.shift();
+    }
+
+    if (!this.auditPath) {
+      return logged;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+      fs.appendFileSync(this.auditPath, `${JSON.stringify(logged)}\n`);
+    } catch (error) {
+      log.error('Error writing admin audit log', { error });
+    }
+    return logged;
+  }
+
+  getAudit({ limit = 50, operator, action, since, until } = {}) {
+    const entries = this.auditLog.filter(entry =>
+      (!operator || entry.operator.id === operator || entry.operator.name === operator) &&
+      (!action || entry.action === action) &&
+      (!since || entry.timestamp >= since) &&
+      (!until || entry.timestamp <= until));
+
+    return {
+      total: entries.length,
+      entries: entries.slice(-limit).reverse()
+    };
+  }
+
+  loadAudit() {
+    if (!this.auditPath || !fs.existsSync(this.auditPath)) {
+      return;
+    }
+
+    try {
+      this.auditLog = fs.readFileSync(this.auditPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-this.auditLimit)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      log.error('Error loading admin audit log', { error });
+    }
+  }
+
+  // Persistence
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      store.keys.forEach(key => this.keys.set(key.id, key));
+    } catch (error) {
+      log.error('Error loading admin key store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: STORE_VERSION, keys: [...this.keys.values()] }), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting admin key store', { error });
+    }
+  }
+}
+
+module.exports = new AdminAuthService();
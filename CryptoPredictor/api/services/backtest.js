@@ -0,0 +1,175 @@
+const { ethers } = require('ethers');
+const { getModel, ModelParameterError } = require('@cryptopredictor/forecasting');
+const blockchainService = require('./blockchain');
+const priceHistory = require('./priceHistory');
+const { scoreIntervals } = require('./calibration');
+const log = require('./logger').child({ component: 'backtest' });
+
+// Same constants as PredictionLogger.sol
+const BASIS_POINTS = 10000n;
+const DEFAULT_ACCURACY_THRESHOLD = 500;
+
+const MAX_FORECASTS = parseInt(process.env.BACKTEST_MAX_FORECASTS || '5000');
+
+class InsufficientDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InsufficientDataError';
+  }
+}
+
+// Prices go on-chain as 18-decimal fixed point
+const toWei = (price) => ethers.parseUnits(price.toFixed(18), 18);
+
+const wasAccurate = (accuracy, accuracyThreshold) => accuracy >= Number(BASIS_POINTS) - accuracyThreshold;
+
+const direction = (from, to) => Math.sign(to - from);
+
+// Replays stored candles through a forecasting model. Each step feeds the model the
+// `window` candles ending at t and scores its forecast against the close at t + horizon.
+class BacktestService {
+  // Port of PredictionLogger.calculateAccuracy: basis points, integer division, floored at 0
+  calculateAccuracy(predictedPrice, actualPrice) {
+    const predicted = toWei(predictedPrice);
+    const actual = toWei(actualPrice);
+
+    if (predicted === actual) {
+      return Number(BASIS_POINTS);
+    }
+
+    const difference = predicted > actual ? predicted - actual : actual - predicted;
+    const percentageDifference = (difference * BASIS_POINTS) / actual;
+
+    return percentageDifference >= BASIS_POINTS ? 0 : Number(BASIS_POINTS - percentageDifference);
+  }
+
+  async resolveThreshold(override) {
+    if (override !== undefined) {
+      return { accuracyThreshold: override, source: 'query' };
+    }
+
+    try {
+      const threshold = parseInt(await blockchainService.getAccuracyThreshold());
+      if (Number.isFinite(threshold)) {
+        return { accuracyThreshold: threshold, source: 'contract' };
+      }
+    } catch (error) {
+      log.error('Error reading accuracy threshold for backtest', { error });
+    }
+
+    return { accuracyThreshold: DEFAULT_ACCURACY_THRESHOLD, source: 'default' };
+  }
+
+  async run(modelId, { symbol, interval, horizon, window, stride = 1, params = {}, from, to, threshold, includeForecasts = false }) {
+    const model = getModel(modelId);
+    if (!model) {
+      throw new ModelParameterError(`Unknown forecasting model: ${modelId}`);
+    }
+
+    const modelParams = model.resolveParams({ ...params, horizon });
+    const required = model.minDataPoints(modelParams);
+    if (window < required) {
+      throw new ModelParameterError(`Window must be at least ${required} candles for ${model.name}`);
+    }
+
+    const candles = priceHistory.getCandles(symbol, interval, { from, to });
+    if (candles.length < window + horizon) {
+      throw new InsufficientDataError(
+        `Need at least ${window + horizon} ${interval} candles for ${symbol.toUpperCase()}, found ${candles.length}`
+      );
+    }
+
+    const { accuracyThreshold, source } = await this.resolveThreshold(threshold);
+
+    const forecasts = [];
+    for (let t = window - 1; t + horizon < candles.length && forecasts.length < MAX_FORECASTS; t += stride) {
+      const history = candles
+        .slice(t - window + 1, t + 1)
+        .map(candle => ({ timestamp: new Date(candle.timestamp).toISOString(), price: candle.close }));
+      const { predictedPrice, confidence, intervals } = model.predict(history, modelParams);
+
+      const currentPrice = candles[t].close;
+      const actualPrice = candles[t + horizon].close;
+      const accuracy = this.calculateAccuracy(predictedPrice, actualPrice);
+
+      forecasts.push({
+        timestamp: new Date(candles[t].timestamp).toISOString(),
+        targetTimestamp: new Date(candles[t + horizon].timestamp).toISOString(),
+        currentPrice,
+        predictedPrice,
+        actualPrice,
+        confidence,
+        intervals,
+        accuracyPercentage: accuracy,
+        wasAccurate: wasAccurate(accuracy, accuracyThreshold)
+      });
+    }
+
+    return {
+      model: { id: model.id, name: model.name, parameters: modelParams },
+      symbol: symbol.toUpperCase(),
+      interval,
+      horizon,
+      window,
+      stride,
+      accuracyThreshold,
+      thresholdSource: source,
+      period: {
+        from: forecasts[0].timestamp,
+        to: forecasts[forecasts.length - 1].targetTimestamp,
+        candles: candles.length
+      },
+      metrics: this.score(forecasts),
+      ...(includeForecasts ? { forecasts } : {})
+    };
+  }
+
+  score(forecasts) {
+    const count = forecasts.length;
+    let absoluteError = 0;
+    let absolutePercentageError = 0;
+    let squaredError = 0;
+    let directionalHits = 0;
+    let accurate = 0;
+    let totalAccuracy = 0;
+    let pinballLoss = 0;
+    const covered = new Map();
+
+    forecasts.forEach(({ currentPrice, predictedPrice, actualPrice, intervals, accuracyPercentage, wasAccurate: hit }) => {
+      const error = predictedPrice - actualPrice;
+      absoluteError += Math.abs(error);
+      absolutePercentageError += Math.abs(error) / actualPrice;
+      squaredError += error * error;
+
+      if (direction(currentPrice, predictedPrice) === direction(currentPrice, actualPrice)) {
+        directionalHits++;
+      }
+      if (hit) {
+        accurate++;
+      }
+      totalAccuracy += accuracyPercentage;
+
+      const intervalScore = scoreIntervals(intervals, predictedPrice, actualPrice);
+      pinballLoss += intervalScore.pinballLoss;
+      intervalScore.coverage.forEach(({ level, covered: hitInterval }) => {
+        covered.set(level, (covered.get(level) || 0) + (hitInterval ? 1 : 0));
+      });
+    });
+
+    return {
+      forecasts: count,
+      mae: absoluteError / count,
+      mape: (absolutePercentageError / count) * 100,
+      rmse: Math.sqrt(squaredError / count),
+      directionalHitRate: (directionalHits / count) * 100,
+      accuratePredictions: accurate,
+      accuracyRate: (accurate / count) * 100,
+      averageAccuracy: totalAccuracy / count / 100,
+      // Share of actual prices inside each prediction interval, as a percentage
+      intervalCoverage: [...covered].map(([level, hits]) => ({ level, coverage: (hits / count) * 100 })),
+      pinballLoss: pinballLoss / count
+    };
+  }
+}
+
+module.exports = new BacktestService();
@@ -1,11 +1,70 @@
 const { ethers } = require('ethers');
 const PREDICTION_LOGGER_ABI = require('../contracts/PredictionLogger.abi.json');
+const { TransactionManager } = require('./transactions');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const cache = require('./cache');
+const predictionMetadata = require('./metadata');
+
+const log = logger.child({ component: 'blockchain' });
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+// Stats and threshold reads are cached until an indexed event touches them, or this long
+const READ_CACHE_TTL_MS = parseInt(process.env.CACHE_READ_TTL_MS || '15000');
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Runs at most `concurrency` tasks at once; extra tasks wait in FIFO order
+const createLimiter = (concurrency) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
 
 class BlockchainService {
   constructor() {
     this.provider = null;
     this.contract = null;
     this.signer = null;
+    this.transactions = null;
+    this.signingDomain = null;
+    this.multicall3 = null;
+    this.multicallAvailable = null;
+    this.statsVersion = null;
+    this.multicallEnabled = process.env.MULTICALL_ENABLED !== 'false';
+    this.multicallChunkSize = parseInt(process.env.MULTICALL_CHUNK_SIZE || '100');
+    this.rpcBatchSize = parseInt(process.env.RPC_BATCH_MAX_COUNT || '100');
+    this.limit = createLimiter(parseInt(process.env.RPC_CONCURRENCY || '4'));
     this.initialize();
   }
 
@@ -13,12 +72,31 @@ class BlockchainService {
     try {
       // Initialize provider
       const rpcUrl = process.env.RPC_URL || 'https://rpc.primordial.bdagscan.com';
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+      // The ID of the API request being served is forwarded to the node, so RPC logs
+      // can be matched with ours
+      const rpcRequest = new ethers.FetchRequest(rpcUrl);
+      rpcRequest.preflightFunc = async (req) => {
+        const { requestId } = logger.context();
+        if (requestId) {
+          req.setHeader('X-Request-Id', requestId);
+        }
+        return req;
+      };
+      // Concurrent requests are coalesced into JSON-RPC batches
+      this.provider = new ethers.JsonRpcProvider(rpcRequest, undefined, {
+        batchMaxCount: this.rpcBatchSize,
+        batchStallTime: parseInt(process.env.RPC_BATCH_STALL_MS || '10')
+      });
+      this.multicall3 = new ethers.Contract(
+        process.env.MULTICALL_ADDRESS || MULTICALL3_ADDRESS,
+        MULTICALL3_ABI,
+        this.provider
+      );
 
       // Initialize contract
       const contractAddress = process.env.CONTRACT_ADDRESS;
       if (!contractAddress) {
-        console.warn('CONTRACT_ADDRESS not found in environment variables');
+        log.warn('CONTRACT_ADDRESS not found in environment variables');
         return;
       }
 
@@ -33,308 +111,545 @@ class BlockchainService {
       if (privateKey) {
         this.signer = new ethers.Wallet(privateKey, this.provider);
         this.contract = this.contract.connect(this.signer);
+        this.transactions = new TransactionManager(this.signer);
+        this.transactions.recover().catch(error => {
+          log.error('Error recovering pending transactions', { error });
+        });
       }
 
-      console.log('✅ Blockchain service initialized');
-      console.log(`📍 Contract Address: ${contractAddress}`);
-      console.log(`🌐 RPC URL: ${rpcUrl}`);
+      log.info('Blockchain service initialized', {
+        contractAddress,
+        rpcUrl,
+        signer: this.signer ? this.signer.address : null
+      });
     } catch (error) {
-      console.error('❌ Failed to initialize blockchain service:', error);
+      log.error('Failed to initialize blockchain service', { error });
     }
   }
 
   // Prediction Management
-  async makePrediction(predictorAddress, predictionData) {
-    try {
-      const { cryptocurrency, currentPrice, predictedPrice, targetTimestamp, modelType, additionalData } = predictionData;
-      
-      const tx = await this.contract.makePrediction(
+  async makePrediction(predictorAddress, predictionData, options = {}) {
+    const { cryptocurrency, currentPrice, predictedPrice, targetTimestamp, modelType, additionalData } = predictionData;
+    
+    const receipt = await this.sendTransaction('makePrediction', [
+      cryptocurrency,
+      ethers.parseUnits(currentPrice.toString(), 18),
+      ethers.parseUnits(predictedPrice.toString(), 18),
+      targetTimestamp,
+      modelType,
+      additionalData || '{}'
+    ], options);
+
+    return this.predictionReceipt(receipt);
+  }
+
+  // Relay a prediction signed by its predictor (EIP-712); the contract verifies the
+  // signature and attributes the prediction to the signer rather than the server wallet
+  async makePredictionFor(predictionData, { predictor, deadline, signature }, options = {}) {
+    const { cryptocurrency, currentPrice, predictedPrice, targetTimestamp, modelType, additionalData } = predictionData;
+
+    const receipt = await this.sendTransaction('makePredictionFor', [
+      {
+        predictor,
         cryptocurrency,
-        ethers.parseUnits(currentPrice.toString(), 18),
-        ethers.parseUnits(predictedPrice.toString(), 18),
+        currentPrice: ethers.parseUnits(currentPrice.toString(), 18),
+        predictedPrice: ethers.parseUnits(predictedPrice.toString(), 18),
         targetTimestamp,
         modelType,
-        additionalData || '{}'
-      );
+        additionalData: additionalData || '{}'
+      },
+      deadline,
+      signature
+    ], options);
 
-      const receipt = await tx.wait();
-      const event = receipt.logs.find(log => {
-        try {
-          return this.contract.interface.parseLog(log).name === 'PredictionMade';
-        } catch {
-          return false;
-        }
-      });
+    return this.predictionReceipt(receipt);
+  }
 
-      if (event) {
-        const parsedEvent = this.contract.interface.parseLog(event);
-        return {
-          predictionId: parsedEvent.args[0].toString(),
-          txHash: receipt.hash,
-          blockNumber: receipt.blockNumber,
-          gasUsed: receipt.gasUsed.toString()
-        };
-      }
+  transactionReceipt(receipt) {
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
 
-      throw new Error('PredictionMade event not found');
-    } catch (error) {
-      console.error('Error making prediction:', error);
-      throw error;
+  // The first `name` event the contract emitted in the receipt, decoded
+  receiptEvent(receipt, name) {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) {
+          return parsed;
+        }
+      } catch {
+        // Logs from other contracts
+      }
     }
+    throw new Error(`${name} event not found`);
   }
 
-  async resolvePrediction(predictionId, actualPrice) {
-    try {
-      const tx = await this.contract.resolvePrediction(
-        predictionId,
-        ethers.parseUnits(actualPrice.toString(), 18)
-      );
+  predictionReceipt(receipt) {
+    const parsedEvent = this.receiptEvent(receipt, 'PredictionMade');
+    return {
+      predictionId: parsedEvent.args[0].toString(),
+      predictor: parsedEvent.args[1],
+      ...this.transactionReceipt(receipt)
+    };
+  }
 
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+  // Outcome of a resolution as the contract scored it, accuracy in basis points
+  resolutionReceipt(receipt) {
+    const parsedEvent = this.receiptEvent(receipt, 'PredictionResolved');
+    return {
+      predictionId: parsedEvent.args.predictionId.toString(),
+      wasAccurate: parsedEvent.args.wasAccurate,
+      accuracyPercentage: parsedEvent.args.accuracyPercentage.toString(),
+      ...this.transactionReceipt(receipt)
+    };
+  }
+
+  // EIP-712 domain of the contract (ERC-5267), used to sign predictions
+  async getSigningDomain() {
+    if (!this.signingDomain) {
+      const domain = await this.call('eip712Domain');
+      this.signingDomain = {
+        name: domain.name,
+        version: domain.version,
+        chainId: Number(domain.chainId),
+        verifyingContract: domain.verifyingContract
       };
-    } catch (error) {
-      console.error('Error resolving prediction:', error);
-      throw error;
     }
+    return this.signingDomain;
   }
 
-  // Data Retrieval
-  async getPrediction(predictionId) {
+  async getPredictionNonce(userAddress) {
+    const nonce = await this.call('nonces', [userAddress]);
+    return nonce.toString();
+  }
+
+  async resolvePrediction(predictionId, actualPrice, options = {}) {
+    const receipt = await this.sendTransaction('resolvePrediction', [
+      predictionId,
+      ethers.parseUnits(actualPrice.toString(), 18)
+    ], options);
+
+    return this.resolutionReceipt(receipt);
+  }
+
+  // Call tracing
+  // Every RPC call is logged with the contract method, its duration and, for writes, the
+  // transaction hash; failures add the ethers error code. Entries carry the request ID
+  // from the logging context (middleware/requestLogger.js). Reads are counted as RPC
+  // calls and writes as transactions in the Prometheus metrics.
+  call(method, args = []) {
+    return this.trace(method, () => this.contract[method](...args));
+  }
+
+  async trace(method, task, { write = false, ...fields } = {}) {
+    const started = Date.now();
     try {
-      const prediction = await this.contract.predictions(predictionId);
-      return {
-        id: prediction.id.toString(),
-        predictor: prediction.predictor,
-        cryptocurrency: prediction.cryptocurrency,
-        currentPrice: ethers.formatUnits(prediction.currentPrice, 18),
-        predictedPrice: ethers.formatUnits(prediction.predictedPrice, 18),
-        predictionTimestamp: prediction.predictionTimestamp.toString(),
-        targetTimestamp: prediction.targetTimestamp.toString(),
-        modelType: prediction.modelType,
-        isResolved: prediction.isResolved,
-        actualPrice: prediction.actualPrice ? ethers.formatUnits(prediction.actualPrice, 18) : null,
-        wasAccurate: prediction.wasAccurate,
-        accuracyPercentage: prediction.accuracyPercentage.toString(),
-        additionalData: prediction.additionalData
-      };
+      const result = await task();
+      const durationMs = Date.now() - started;
+      log[write ? 'info' : 'debug']('Contract call', {
+        method,
+        ...fields,
+        durationMs,
+        ...(write ? { txHash: result.hash } : {})
+      });
+      if (write) {
+        metrics.observeTransaction(method, result);
+      } else {
+        metrics.observeRpcCall(method, durationMs / 1000);
+      }
+      return result;
     } catch (error) {
-      console.error('Error getting prediction:', error);
+      const durationMs = Date.now() - started;
+      log.error('Contract call failed', {
+        method,
+        ...fields,
+        durationMs,
+        errorCode: error.code || null,
+        error
+      });
+      if (write) {
+        metrics.observeTransaction(method, null, error);
+      } else {
+        metrics.observeRpcCall(method, durationMs / 1000, error);
+      }
       throw error;
     }
   }
 
-  async getUserPredictions(userAddress) {
-    try {
-      const predictionIds = await this.contract.getUserPredictions(userAddress);
-      const predictions = await Promise.all(
-        predictionIds.map(id => this.getPrediction(id.toString()))
-      );
-      return predictions;
-    } catch (error) {
-      console.error('Error getting user predictions:', error);
-      throw error;
+  // Cached Reads
+  // Tags follow services/cache.js: `user:<lowercase address>`, `model:<type>`, `threshold`
+  cachedRead(key, tags, read) {
+    return cache.wrap(`blockchain:${key}`, read, { ttlMs: READ_CACHE_TTL_MS, tags, namespace: 'blockchain' });
+  }
+
+  // Batched Reads
+
+  async isMulticallAvailable() {
+    if (!this.multicallEnabled || !this.multicall3) {
+      return false;
     }
+    if (this.multicallAvailable === null) {
+      try {
+        const address = await this.multicall3.getAddress();
+        const code = await this.trace('getCode', () => this.provider.getCode(address), { address });
+        this.multicallAvailable = code !== '0x';
+      } catch (error) {
+        return false;
+      }
+    }
+    return this.multicallAvailable;
   }
 
-  async getCryptoPredictions(cryptocurrency) {
-    try {
-      const predictionIds = await this.contract.getCryptoPredictions(cryptocurrency);
-      const predictions = await Promise.all(
-        predictionIds.map(id => this.getPrediction(id.toString()))
-      );
-      return predictions;
-    } catch (error) {
-      console.error('Error getting crypto predictions:', error);
-      throw error;
+  // Read many PredictionLogger view functions at once. `calls` is a list of
+  // [functionName, args] pairs; results come back decoded, in order. With
+  // allowFailure a failed call yields null instead of rejecting the batch.
+  async batchRead(calls, { allowFailure = false } = {}) {
+    if (calls.length === 0) {
+      return [];
     }
+
+    if (await this.isMulticallAvailable()) {
+      try {
+        return await this.multicallRead(calls, { allowFailure });
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+          throw error;
+        }
+        // Multicall3 is not usable on this chain; fall back to batched eth_calls
+        log.warn('Multicall3 aggregate failed, falling back to JSON-RPC batching', { error });
+        this.multicallAvailable = false;
+      }
+    }
+
+    // Each chunk is sent at once so the provider coalesces it into one JSON-RPC batch;
+    // the limiter bounds the batches in flight, not the calls within them
+    const results = await Promise.all(chunk(calls, this.rpcBatchSize).map(batch => this.limit(() =>
+      Promise.all(batch.map(async ([method, args]) => {
+        try {
+          return await this.call(method, args);
+        } catch (error) {
+          if (allowFailure) {
+            return null;
+          }
+          throw error;
+        }
+      }))
+    )));
+
+    return results.flat();
+  }
+
+  async multicallRead(calls, { allowFailure }) {
+    const contractInterface = this.contract.interface;
+    const target = await this.contract.getAddress();
+
+    const results = await Promise.all(chunk(calls, this.multicallChunkSize).map(batch => this.limit(async () => {
+      const responses = await this.trace('aggregate3', () => this.multicall3.aggregate3(batch.map(([method, args]) => ({
+        target,
+        allowFailure: true,
+        callData: contractInterface.encodeFunctionData(method, args)
+      }))), { calls: batch.length });
+
+      return responses.map(({ success, returnData }, i) => {
+        const [method, args] = batch[i];
+        if (success) {
+          const decoded = contractInterface.decodeFunctionResult(method, returnData);
+          return decoded.length === 1 ? decoded[0] : decoded;
+        }
+        if (allowFailure) {
+          return null;
+        }
+        const error = new Error(`Batched call ${method}(${args.join(', ')}) reverted`);
+        error.code = 'CALL_EXCEPTION';
+        error.data = returnData;
+        throw error;
+      });
+    })));
+
+    return results.flat();
+  }
+
+  formatPrediction(prediction) {
+    return {
+      id: prediction.id.toString(),
+      predictor: prediction.predictor,
+      cryptocurrency: prediction.cryptocurrency,
+      currentPrice: ethers.formatUnits(prediction.currentPrice, 18),
+      predictedPrice: ethers.formatUnits(prediction.predictedPrice, 18),
+      predictionTimestamp: prediction.predictionTimestamp.toString(),
+      targetTimestamp: prediction.targetTimestamp.toString(),
+      modelType: prediction.modelType,
+      isResolved: prediction.isResolved,
+      actualPrice: prediction.actualPrice ? ethers.formatUnits(prediction.actualPrice, 18) : null,
+      wasAccurate: prediction.wasAccurate,
+      accuracyPercentage: prediction.accuracyPercentage.toString(),
+      additionalData: prediction.additionalData,
+      metadata: predictionMetadata.parse(prediction.additionalData)
+    };
+  }
+
+  // Data Retrieval
+  async getPrediction(predictionId) {
+    const prediction = await this.call('predictions', [predictionId]);
+    return this.formatPrediction(prediction);
+  }
+
+  // With allowFailure, predictions that cannot be read are left out
+  async getPredictions(predictionIds, { allowFailure = false } = {}) {
+    const predictions = await this.batchRead(
+      predictionIds.map(id => ['predictions', [id.toString()]]),
+      { allowFailure }
+    );
+    return predictions.filter(Boolean).map(prediction => this.formatPrediction(prediction));
+  }
+
+  async getUserPredictions(userAddress) {
+    const predictionIds = await this.call('getUserPredictions', [userAddress]);
+    return await this.getPredictions(predictionIds);
+  }
+
+  async getCryptoPredictions(cryptocurrency) {
+    const predictionIds = await this.call('getCryptoPredictions', [cryptocurrency]);
+    return await this.getPredictions(predictionIds);
   }
 
   async getModelTypePredictions(modelType) {
-    try {
-      const predictionIds = await this.contract.getModelTypePredictions(modelType);
-      const predictions = await Promise.all(
-        predictionIds.map(id => this.getPrediction(id.toString()))
-      );
-      return predictions;
-    } catch (error) {
-      console.error('Error getting model type predictions:', error);
-      throw error;
+    const predictionIds = await this.call('getModelTypePredictions', [modelType]);
+    return await this.getPredictions(predictionIds);
+  }
+
+  // Statistics
+  // Contracts with STATS_VERSION 2 track resolved predictions and divide by them. Earlier
+  // deployments have no STATS_VERSION and divide by every prediction made, so for them the
+  // same figures are derived from the predictions; either way rates count resolved
+  // predictions only.
+  async getStatsVersion() {
+    if (this.statsVersion === null) {
+      try {
+        this.statsVersion = Number(await this.call('STATS_VERSION'));
+      } catch (error) {
+        // Reverts (no such function) or returns nothing; anything else is worth retrying
+        if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') {
+          throw error;
+        }
+        this.statsVersion = 1;
+      }
     }
+    return this.statsVersion;
+  }
+
+  // Counts and basis-point rates of a prediction list, rounded down like the contract
+  summarizePredictions(predictions) {
+    const resolved = predictions.filter(prediction => prediction.isResolved);
+    const accurate = resolved.filter(prediction => prediction.wasAccurate).length;
+    const totalAccuracyScore = resolved.reduce((sum, prediction) => sum + BigInt(prediction.accuracyPercentage || 0), 0n);
+    const count = BigInt(resolved.length);
+
+    return {
+      totalPredictions: predictions.length.toString(),
+      resolvedPredictions: resolved.length.toString(),
+      accuratePredictions: accurate.toString(),
+      totalAccuracyScore: totalAccuracyScore.toString(),
+      accuracyRate: count > 0n ? ((BigInt(accurate) * 10000n) / count).toString() : '0',
+      averageAccuracy: count > 0n ? (totalAccuracyScore / count).toString() : '0'
+    };
   }
 
   // User Statistics
   async getUserStats(userAddress) {
-    try {
-      const stats = await this.contract.userStats(userAddress);
-      const accuracyRate = await this.contract.getUserAccuracyRate(userAddress);
-      const averageAccuracy = await this.contract.getUserAverageAccuracy(userAddress);
+    const user = userAddress.toLowerCase();
+    return this.cachedRead(`userStats:${user}`, [`user:${user}`], async () => {
+      if (await this.getStatsVersion() < 2) {
+        return this.summarizePredictions(await this.getUserPredictions(userAddress));
+      }
+
+      const [stats, accuracyRate, averageAccuracy] = await this.batchRead([
+        ['userStats', [userAddress]],
+        ['getUserAccuracyRate', [userAddress]],
+        ['getUserAverageAccuracy', [userAddress]]
+      ]);
 
       return {
         totalPredictions: stats.totalPredictions.toString(),
+        resolvedPredictions: stats.resolvedPredictions.toString(),
         accuratePredictions: stats.accuratePredictions.toString(),
         totalAccuracyScore: stats.totalAccuracyScore.toString(),
         accuracyRate: accuracyRate.toString(),
         averageAccuracy: averageAccuracy.toString()
       };
-    } catch (error) {
-      console.error('Error getting user stats:', error);
-      throw error;
-    }
+    });
   }
 
   async getUserModelTypeCount(userAddress, modelType) {
-    try {
-      const count = await this.contract.getUserModelTypeCount(userAddress, modelType);
-      return count.toString();
-    } catch (error) {
-      console.error('Error getting user model type count:', error);
-      throw error;
-    }
+    const count = await this.call('getUserModelTypeCount', [userAddress, modelType]);
+    return count.toString();
   }
 
   async getUserCryptoCount(userAddress, cryptocurrency) {
-    try {
-      const count = await this.contract.getUserCryptoCount(userAddress, cryptocurrency);
-      return count.toString();
-    } catch (error) {
-      console.error('Error getting user crypto count:', error);
-      throw error;
-    }
+    const count = await this.call('getUserCryptoCount', [userAddress, cryptocurrency]);
+    return count.toString();
   }
 
   // Model Performance
+  async getModelStats(modelType) {
+    return this.cachedRead(`modelStats:${modelType}`, [`model:${modelType}`], async () => {
+      if (await this.getStatsVersion() < 2) {
+        return this.summarizePredictions(await this.getModelTypePredictions(modelType));
+      }
+
+      const [performance, accuracyRate, averageAccuracy] = await this.batchRead([
+        ['modelPerformance', [modelType]],
+        ['getModelAccuracyRate', [modelType]],
+        ['getModelAverageAccuracy', [modelType]]
+      ]);
+
+      return {
+        totalPredictions: performance.totalPredictions.toString(),
+        resolvedPredictions: performance.resolvedPredictions.toString(),
+        accuratePredictions: performance.accuratePredictions.toString(),
+        totalAccuracyScore: performance.totalAccuracyScore.toString(),
+        accuracyRate: accuracyRate.toString(),
+        averageAccuracy: averageAccuracy.toString()
+      };
+    });
+  }
+
   async getModelAccuracyRate(modelType) {
-    try {
-      const rate = await this.contract.getModelAccuracyRate(modelType);
-      return rate.toString();
-    } catch (error) {
-      console.error('Error getting model accuracy rate:', error);
-      throw error;
+    if (await this.getStatsVersion() < 2) {
+      return (await this.getModelStats(modelType)).accuracyRate;
     }
+    return this.cachedRead(`modelAccuracyRate:${modelType}`, [`model:${modelType}`], async () => {
+      const rate = await this.call('getModelAccuracyRate', [modelType]);
+      return rate.toString();
+    });
   }
 
   async getModelAverageAccuracy(modelType) {
-    try {
-      const accuracy = await this.contract.getModelAverageAccuracy(modelType);
-      return accuracy.toString();
-    } catch (error) {
-      console.error('Error getting model average accuracy:', error);
-      throw error;
+    if (await this.getStatsVersion() < 2) {
+      return (await this.getModelStats(modelType)).averageAccuracy;
     }
+    return this.cachedRead(`modelAverageAccuracy:${modelType}`, [`model:${modelType}`], async () => {
+      const accuracy = await this.call('getModelAverageAccuracy', [modelType]);
+      return accuracy.toString();
+    });
   }
 
   // Utility functions
   async calculateAccuracy(predictedPrice, actualPrice) {
-    try {
-      const accuracy = await this.contract.calculateAccuracy(
-        ethers.parseUnits(predictedPrice.toString(), 18),
-        ethers.parseUnits(actualPrice.toString(), 18)
-      );
-      return accuracy.toString();
-    } catch (error) {
-      console.error('Error calculating accuracy:', error);
-      throw error;
-    }
+    const accuracy = await this.call('calculateAccuracy', [
+      ethers.parseUnits(predictedPrice.toString(), 18),
+      ethers.parseUnits(actualPrice.toString(), 18)
+    ]);
+    return accuracy.toString();
+  }
+
+  async getBlockNumber() {
+    return this.trace('getBlockNumber', () => this.provider.getBlockNumber());
   }
 
   async getPredictionCounter() {
-    try {
-      const counter = await this.contract.predictionCounter();
-      return counter.toString();
-    } catch (error) {
-      console.error('Error getting prediction counter:', error);
-      throw error;
+    const counter = await this.call('predictionCounter');
+    return counter.toString();
+  }
+
+  async isPaused() {
+    return this.call('paused');
+  }
+
+  // Deployment checks
+  async getChainId() {
+    const network = await this.trace('getNetwork', () => this.provider.getNetwork());
+    return network.chainId.toString();
+  }
+
+  async getContractCode() {
+    const address = await this.contract.getAddress();
+    return this.trace('getCode', () => this.provider.getCode(address), { address });
+  }
+
+  // `role` is the name of a role constant on the contract, e.g. ORACLE_ROLE
+  async hasRole(role, account) {
+    const roleId = await this.call(role);
+    return this.call('hasRole', [roleId, account]);
+  }
+
+  getSignerAddress() {
+    return this.signer ? this.signer.address : null;
+  }
+
+  // Native balance of the transaction signer in ether units, or null without a signer
+  async getSignerBalance() {
+    if (!this.signer) {
+      return null;
     }
+    const balance = await this.trace('getBalance', () => this.provider.getBalance(this.signer.address));
+    return ethers.formatEther(balance);
   }
 
   async getAccuracyThreshold() {
-    try {
-      const threshold = await this.contract.accuracyThreshold();
+    return this.cachedRead('accuracyThreshold', ['threshold'], async () => {
+      const threshold = await this.call('accuracyThreshold');
       return threshold.toString();
-    } catch (error) {
-      console.error('Error getting accuracy threshold:', error);
-      throw error;
-    }
+    });
   }
 
   // Admin functions
-  async setAccuracyThreshold(newThreshold) {
-    try {
-      const tx = await this.contract.setAccuracyThreshold(newThreshold);
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      };
-    } catch (error) {
-      console.error('Error setting accuracy threshold:', error);
-      throw error;
-    }
+  async setAccuracyThreshold(newThreshold, options = {}) {
+    const receipt = await this.sendTransaction('setAccuracyThreshold', [newThreshold], options);
+    return this.transactionReceipt(receipt);
   }
 
-  async pauseContract() {
-    try {
-      const tx = await this.contract.pause();
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      };
-    } catch (error) {
-      console.error('Error pausing contract:', error);
-      throw error;
-    }
+  async pauseContract(options = {}) {
+    const receipt = await this.sendTransaction('pause', [], options);
+    return this.transactionReceipt(receipt);
   }
 
-  async unpauseContract() {
-    try {
-      const tx = await this.contract.unpause();
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      };
-    } catch (error) {
-      console.error('Error unpausing contract:', error);
-      throw error;
-    }
+  async unpauseContract(options = {}) {
+    const receipt = await this.sendTransaction('unpause', [], options);
+    return this.transactionReceipt(receipt);
   }
 
-  async grantOracleRole(oracleAddress) {
-    try {
-      const tx = await this.contract.grantOracleRole(oracleAddress);
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      };
-    } catch (error) {
-      console.error('Error granting oracle role:', error);
-      throw error;
-    }
+  async grantOracleRole(oracleAddress, options = {}) {
+    const receipt = await this.sendTransaction('grantOracleRole', [oracleAddress], options);
+    return this.transactionReceipt(receipt);
   }
 
-  async revokeOracleRole(oracleAddress) {
-    try {
-      const tx = await this.contract.revokeOracleRole(oracleAddress);
-      const receipt = await tx.wait();
-      return {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      };
-    } catch (error) {
-      console.error('Error revoking oracle role:', error);
-      throw error;
+  async revokeOracleRole(oracleAddress, options = {}) {
+    const receipt = await this.sendTransaction('revokeOracleRole', [oracleAddress], options);
+    return this.transactionReceipt(receipt);
+  }
+
+  // Transactions
+  // Every write goes through the signer's transaction manager, which assigns nonces,
+  // prices gas and replaces stuck transactions. Resolves with the mined receipt;
+  // `options.onBroadcast` is called with the transaction once it has been sent.
+  async sendTransaction(method, args, options = {}) {
+    if (!this.transactions) {
+      throw new Error('No signer configured; set PRIVATE_KEY to send transactions');
     }
+
+    const request = await this.contract[method].populateTransaction(...args);
+    return this.trace(method, () => this.transactions.send(method, request, options), { write: true });
+  }
+
+  getTransaction(id) {
+    return this.transactions ? this.transactions.getTransaction(id) : null;
+  }
+
+  getTransactions({ status } = {}) {
+    return this.transactions ? this.transactions.listTransactions({ status }) : [];
+  }
+
+  async speedUpTransaction(id) {
+    return this.transactions ? await this.transactions.speedUp(id) : null;
+  }
+
+  async cancelTransaction(id) {
+    return this.transactions ? await this.transactions.cancel(id) : null;
   }
 }
 
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'cache' });
+
+// Tags an indexed event makes stale. Resolutions don't carry the symbol or model, so
+// they are taken from the prediction the indexer has just updated.
+const eventTags = (event, predictionIndexer) => {
+  const { args = {} } = event;
+
+  if (event.name === 'PredictionMade' || event.name === 'PredictionResolved') {
+    const prediction = predictionIndexer.predictions.get(args.predictionId) || args;
+    return [
+      'predictions',
+      `prediction:${args.predictionId}`,
+      prediction.cryptocurrency && `crypto:${prediction.cryptocurrency}`,
+      prediction.modelType && `model:${prediction.modelType}`,
+      prediction.predictor && `user:${prediction.predictor.toLowerCase()}`
+    ].filter(Boolean);
+  }
+  if (event.name === 'AccuracyThresholdUpdated') {
+    return ['threshold'];
+  }
+  if (event.name === 'UserStatsUpdated') {
+    return [`user:${args.user.toLowerCase()}`];
+  }
+  return [];
+};
+
+// In-memory cache in front of contract reads (BlockchainService) and the aggregate
+// routes (middleware/cache.js). Entries are fresh for their TTL, then served stale for
+// up to `staleMs` while one background load refreshes them. Each entry carries tags
+// such as `crypto:BTC` or `model:LSTM`; indexed contract events drop exactly the entries
+// whose tags they touch, and a reorg drops everything. Without the indexer running,
+// entries only expire.
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.defaultTtlMs = parseInt(process.env.CACHE_DEFAULT_TTL_MS || '30000');
+    this.staleMs = parseInt(process.env.CACHE_STALE_MS || '60000');
+    this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES || '1000');
+    this.entries = new Map();
+    this.loading = new Map();
+    this.started = false;
+    this.predictionIndexer = null;
+    this.onIndexedEvent = (event) => {
+      this.invalidate(eventTags(event, this.predictionIndexer));
+    };
+    this.onReorg = () => {
+      this.clear();
+    };
+  }
+
+  // Lifecycle
+  start() {
+    if (this.started) {
+      return;
+    }
+    // Required here: the indexer reads through BlockchainService, which caches here
+    this.predictionIndexer = require('./indexer');
+    this.started = true;
+    this.predictionIndexer.on('event', this.onIndexedEvent);
+    this.predictionIndexer.on('reorg', this.onReorg);
+  }
+
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    this.predictionIndexer.off('event', this.onIndexedEvent);
+    this.predictionIndexer.off('reorg', this.onReorg);
+  }
+
+  // Reads
+  // The cached value for `key`, loading it on a miss
+  async wrap(key, load, options = {}) {
+    const { entry } = await this.lookup(key, load, options);
+    return entry.value;
+  }
+
+  // The entry for `key` and how it was served: `hit`, `stale` (a refresh is running),
+  // `miss` or `bypass` when caching is disabled. Failed loads are never cached.
+  async lookup(key, load, { ttlMs = this.defaultTtlMs, staleMs = this.staleMs, tags = [], namespace = 'response' } = {}) {
+    const options = { ttlMs, staleMs, tags };
+
+    if (!this.enabled) {
+      return { entry: this.createEntry(await load(), options), status: 'bypass' };
+    }
+
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    let status = 'miss';
+
+    if (entry && now < entry.expiresAt) {
+      status = 'hit';
+    } else if (entry && now < entry.staleUntil) {
+      status = 'stale';
+      this.refresh(key, load, options).catch(error => {
+        log.warn('Error refreshing stale cache entry', { key, error });
+      });
+    }
+
+    metrics.observeCacheLookup(namespace, status);
+    return status === 'miss'
+      ? { entry: await this.refresh(key, load, options), status }
+      : { entry, status };
+  }
+
+  // Concurrent loads of one key share a promise. A load overtaken by an invalidation
+  // still answers its callers but isn't stored, since it may predate the event.
+  refresh(key, load, options) {
+    if (this.loading.has(key)) {
+      return this.loading.get(key).promise;
+    }
+
+    const pending = { tags: new Set(options.tags) };
+    pending.promise = Promise.resolve()
+      .then(load)
+      .then(value => {
+        const entry = this.createEntry(value, options);
+        if (this.loading.get(key) === pending) {
+          this.store(key, entry);
+        }
+        return entry;
+      })
+      .finally(() => {
+        if (this.loading.get(key) === pending) {
+          this.loading.delete(key);
+        }
+      });
+
+    this.loading.set(key, pending);
+    return pending.promise;
+  }
+
+  createEntry(value, { ttlMs, staleMs, tags }) {
+    const storedAt = Date.now();
+    return {
+      value,
+      tags: new Set(tags),
+      storedAt,
+      expiresAt: storedAt + ttlMs,
+      staleUntil: storedAt + ttlMs + staleMs,
+      etag: null
+    };
+  }
+
+  // Least recently stored entries are evicted first
+  store(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Strong validator for an entry's JSON body, computed once per entry
+  etag(entry) {
+    if (!entry.etag) {
+      const digest = crypto.createHash('sha1').update(JSON.stringify(entry.value)).digest('base64url');
+      entry.etag = `"${digest}"`;
+    }
+    return entry.etag;
+  }
+
+  // Invalidation
+  // Drop entries and in-flight loads carrying any of `tags`; returns the entries dropped
+  invalidate(tags) {
+    if (tags.length === 0) {
+      return 0;
+    }
+
+    const matches = (item) => tags.some(tag => item.tags.has(tag));
+    let dropped = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (matches(entry)) {
+        this.entries.delete(key);
+        dropped++;
+      }
+    }
+    for (const [key, pending] of this.loading) {
+      if (matches(pending)) {
+        this.loading.delete(key);
+      }
+    }
+
+    if (dropped > 0) {
+      log.debug('Cache entries invalidated', { tags, dropped });
+    }
+    return dropped;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.loading.clear();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      listening: this.started
+    };
+  }
+}
+
+module.exports = new CacheService();
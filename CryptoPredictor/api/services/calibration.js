@@ -0,0 +1,130 @@
+// Interval forecasts and their scoring. Forecasting models (@cryptopredictor/forecasting)
+// report central prediction intervals, which submitters store in
+// `additionalData.intervals`:
+//
+//   { "schemaVersion": 1, "confidence": 0.82, "intervals": [{ "level": 0.5, "lower": 44100.5, "upper": 45900.2 }, ...] }
+//
+// Resolved predictions are scored on whether each interval covered the actual price and
+// on the pinball (quantile) loss of the interval bounds and the point forecast. The
+// intervals and confidence are read through the prediction metadata schema
+// (services/metadata.js), so malformed or legacy values are simply not scored.
+const predictionMetadata = require('./metadata');
+
+// Stated-confidence buckets compared with realized accuracy: [0, 0.1), ..., [0.9, 1]
+const CONFIDENCE_BUCKETS = 10;
+
+// Intervals from a prediction's additionalData, narrowest first, or null
+const parseIntervals = (additionalData) => {
+  const metadata = predictionMetadata.parse(additionalData);
+  return metadata && metadata.intervals ? metadata.intervals : null;
+};
+
+// Stated confidence in [0, 1], or null
+const parseConfidence = (additionalData) => {
+  const metadata = predictionMetadata.parse(additionalData);
+  return metadata && metadata.confidence !== undefined ? metadata.confidence : null;
+};
+
+// Quantile loss of forecasting `forecast` for quantile `q` when `actual` happened
+const pinball = (q, forecast, actual) => (actual >= forecast ? q * (actual - forecast) : (1 - q) * (forecast - actual));
+
+// Coverage of each interval, and the pinball loss averaged over the interval bounds
+// (quantiles (1 - level) / 2 and (1 + level) / 2) and the point forecast as the median.
+// The loss is relative to the actual price so symbols at different prices compare.
+const scoreIntervals = (intervals, predictedPrice, actualPrice) => {
+  const quantiles = [
+    [0.5, predictedPrice],
+    ...intervals.flatMap(({ level, lower, upper }) => [[(1 - level) / 2, lower], [(1 + level) / 2, upper]])
+  ];
+  const loss = quantiles.reduce((sum, [q, forecast]) => sum + pinball(q, forecast, actualPrice), 0) / quantiles.length;
+
+  return {
+    coverage: intervals.map(({ level, lower, upper }) => ({
+      level,
+      covered: actualPrice >= lower && actualPrice <= upper
+    })),
+    pinballLoss: loss / actualPrice
+  };
+};
+
+// Score one prediction (indexer or BlockchainService shape); null until it is resolved
+// or when it has no intervals
+const scorePrediction = (prediction) => {
+  const intervals = parseIntervals(prediction.additionalData);
+  if (!prediction.isResolved || !intervals) {
+    return null;
+  }
+  return scoreIntervals(intervals, parseFloat(prediction.predictedPrice), parseFloat(prediction.actualPrice));
+};
+
+// Calibration of a set of predictions: for each interval level, how often the interval
+// covered the actual price (a calibrated model covers `level` of the time), the mean
+// pinball loss, and realized accuracy per stated-confidence bucket
+const calibrate = (predictions) => {
+  const resolved = predictions.filter(p => p.isResolved);
+  const levels = new Map();
+  let scored = 0;
+  let totalLoss = 0;
+
+  resolved.forEach(prediction => {
+    const score = scorePrediction(prediction);
+    if (!score) {
+      return;
+    }
+    scored++;
+    totalLoss += score.pinballLoss;
+    score.coverage.forEach(({ level, covered }) => {
+      const stats = levels.get(level) || { level, predictions: 0, covered: 0 };
+      stats.predictions++;
+      stats.covered += covered ? 1 : 0;
+      levels.set(level, stats);
+    });
+  });
+
+  const buckets = new Map();
+  resolved.forEach(prediction => {
+    const confidence = parseConfidence(prediction.additionalData);
+    if (confidence === null) {
+      return;
+    }
+    const index = Math.min(Math.floor(confidence * CONFIDENCE_BUCKETS), CONFIDENCE_BUCKETS - 1);
+    const bucket = buckets.get(index) || { index, predictions: 0, totalConfidence: 0, accurate: 0 };
+    bucket.predictions++;
+    bucket.totalConfidence += confidence;
+    bucket.accurate += prediction.wasAccurate ? 1 : 0;
+    buckets.set(index, bucket);
+  });
+
+  return {
+    resolvedPredictions: resolved.length,
+    scoredPredictions: scored,
+    intervals: [...levels.values()]
+      .sort((a, b) => a.level - b.level)
+      .map(({ level, predictions: count, covered }) => ({
+        level,
+        predictions: count,
+        covered,
+        coverage: covered / count,
+        // Positive when intervals are too wide, negative when they are overconfident
+        calibrationError: covered / count - level
+      })),
+    pinballLoss: scored > 0 ? totalLoss / scored : null,
+    confidence: [...buckets.values()]
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, predictions: count, totalConfidence, accurate }) => ({
+        range: [index / CONFIDENCE_BUCKETS, (index + 1) / CONFIDENCE_BUCKETS],
+        predictions: count,
+        statedConfidence: totalConfidence / count,
+        accuracyRate: accurate / count
+      }))
+  };
+};
+
+module.exports = {
+  parseIntervals,
+  parseConfidence,
+  pinball,
+  scoreIntervals,
+  scorePrediction,
+  calibrate
+};
@@ -0,0 +1,194 @@
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchain');
+const log = require('./logger').child({ component: 'diagnostics' });
+
+// Worst first; a report takes the status of its worst check. `skip` never fails it.
+const STATUSES = ['fail', 'warn', 'pass', 'skip'];
+
+const STATUS_SYMBOLS = { pass: '✅', warn: '⚠️ ', fail: '❌', skip: '➖' };
+
+const result = (status, message, details = {}) => ({ status, message, ...details });
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Deployment checks behind /health/ready and `npm run diagnose`: the RPC node answers on
+// the expected chain, the contract is deployed and not paused, and the signer holds the
+// roles it writes with and enough gas to do so. Each check passes, warns, fails or is
+// skipped when it doesn't apply (no signer configured); any failure makes the API not
+// ready. Results are cached briefly so frequent probes don't each hit the node.
+class DiagnosticsService {
+  constructor() {
+    this.expectedChainId = process.env.CHAIN_ID || null;
+    this.requiredRoles = (process.env.DIAGNOSTICS_REQUIRED_ROLES || 'ORACLE_ROLE,ADMIN_ROLE')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+    this.balanceFloor = process.env.SIGNER_BALANCE_FLOOR || '0.01';
+    this.balanceWarning = process.env.SIGNER_BALANCE_WARNING || '0.1';
+    this.timeoutMs = parseInt(process.env.DIAGNOSTICS_TIMEOUT_MS || '5000');
+    this.cacheMs = parseInt(process.env.READINESS_CACHE_MS || '10000');
+    this.cached = null;
+    this.running = null;
+
+    this.checks = {
+      rpc: () => this.checkRpc(),
+      chainId: () => this.checkChainId(),
+      contract: () => this.checkContract(),
+      paused: () => this.checkPaused(),
+      signer: () => this.checkSigner(),
+      roles: () => this.checkRoles(),
+      balance: () => this.checkBalance()
+    };
+  }
+
+  // Liveness only says the process is serving requests; it never touches the chain, so
+  // a slow node doesn't get the API restarted
+  live() {
+    return {
+      status: 'pass',
+      uptime: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Readiness report, from the cache unless `fresh`. Concurrent callers share one run.
+  async ready({ fresh = false } = {}) {
+    if (!fresh && this.cached && Date.now() - this.cached.at < this.cacheMs) {
+      return this.cached.report;
+    }
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run(names = Object.keys(this.checks)) {
+    const checks = await Promise.all(names.map(name => this.runCheck(name)));
+    const report = {
+      status: STATUSES.find(status => status !== 'skip' && checks.some(check => check.status === status)) || 'pass',
+      checkedAt: new Date().toISOString(),
+      checks
+    };
+
+    checks
+      .filter(check => check.status === 'fail')
+      .forEach(check => log.warn('Readiness check failed', { check: check.name, reason: check.message }));
+
+    this.cached = { at: Date.now(), report };
+    return report;
+  }
+
+  async runCheck(name) {
+    const started = Date.now();
+    let outcome;
+    try {
+      outcome = await withTimeout(this.checks[name](), this.timeoutMs);
+    } catch (error) {
+      outcome = result('fail', error.shortMessage || error.message, { errorCode: error.code || null });
+    }
+    return { name, ...outcome, durationMs: Date.now() - started };
+  }
+
+  // Checks
+  async checkRpc() {
+    const blockNumber = await blockchainService.getBlockNumber();
+    return result('pass', `Latest block ${blockNumber}`, { blockNumber });
+  }
+
+  async checkChainId() {
+    const chainId = await blockchainService.getChainId();
+    if (!this.expectedChainId) {
+      return result('warn', `Connected to chain ${chainId}; set CHAIN_ID to verify it`, { chainId });
+    }
+    if (chainId !== String(this.expectedChainId)) {
+      return result('fail', `Connected to chain ${chainId}, expected ${this.expectedChainId}`, {
+        chainId,
+        expected: String(this.expectedChainId)
+      });
+    }
+    return result('pass', `Connected to chain ${chainId}`, { chainId });
+  }
+
+  async checkContract() {
+    const address = process.env.CONTRACT_ADDRESS;
+    if (!address) {
+      return result('fail', 'CONTRACT_ADDRESS is not set');
+    }
+    const code = await blockchainService.getContractCode();
+    if (!code || code === '0x') {
+      return result('fail', `No contract deployed at ${address}`, { address });
+    }
+    const codeSize = (code.length - 2) / 2;
+    return result('pass', `Contract deployed at ${address} (${codeSize} bytes)`, { address, codeSize });
+  }
+
+  async checkPaused() {
+    if (!process.env.CONTRACT_ADDRESS) {
+      return result('skip', 'No contract configured');
+    }
+    return await blockchainService.isPaused()
+      ? result('fail', 'Contract is paused', { paused: true })
+      : result('pass', 'Contract is not paused', { paused: false });
+  }
+
+  async checkSigner() {
+    const address = blockchainService.getSignerAddress();
+    if (!address) {
+      return result('warn', 'PRIVATE_KEY is not set; contract writes are disabled');
+    }
+    const expected = process.env.DEFAULT_PREDICTOR_ADDRESS;
+    if (expected && expected.toLowerCase() !== address.toLowerCase()) {
+      return result('fail', `PRIVATE_KEY belongs to ${address}, not DEFAULT_PREDICTOR_ADDRESS ${expected}`, { address });
+    }
+    return result('pass', `Signing as ${address}`, { address });
+  }
+
+  async checkRoles() {
+    const address = blockchainService.getSignerAddress();
+    if (!address || !process.env.CONTRACT_ADDRESS) {
+      return result('skip', 'No signer or contract configured');
+    }
+    const held = await Promise.all(this.requiredRoles.map(role => blockchainService.hasRole(role, address)));
+    const roles = Object.fromEntries(this.requiredRoles.map((role, i) => [role, Boolean(held[i])]));
+    const missing = this.requiredRoles.filter(role => !roles[role]);
+    if (missing.length > 0) {
+      return result('fail', `Signer ${address} is missing ${missing.join(', ')}`, { roles });
+    }
+    return result('pass', `Signer holds ${this.requiredRoles.join(', ')}`, { roles });
+  }
+
+  async checkBalance() {
+    if (!blockchainService.getSignerAddress()) {
+      return result('skip', 'No signer configured');
+    }
+    const balance = await blockchainService.getSignerBalance();
+    const details = { balance, floor: this.balanceFloor };
+    if (ethers.parseEther(balance) < ethers.parseEther(this.balanceFloor)) {
+      return result('fail', `Signer balance ${balance} is below the floor of ${this.balanceFloor}`, details);
+    }
+    if (ethers.parseEther(balance) < ethers.parseEther(this.balanceWarning)) {
+      return result('warn', `Signer balance ${balance} is below ${this.balanceWarning}`, details);
+    }
+    return result('pass', `Signer balance ${balance}`, details);
+  }
+
+  // Plain-text report for the CLI
+  format(report) {
+    const width = Math.max(...report.checks.map(check => check.name.length));
+    return [
+      ...report.checks.map(check => `${STATUS_SYMBOLS[check.status]} ${check.name.padEnd(width)}  ${check.message}`),
+      '',
+      `Status: ${report.status.toUpperCase()} (${report.checkedAt})`
+    ].join('\n');
+  }
+}
+
+module.exports = new DiagnosticsService();
@@ -0,0 +1,276 @@
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const predictionIndexer = require('./indexer');
+const { schemas: { address } } = require('../middleware/validation');
+
+// Contract events pushed to clients
+const STREAM_EVENTS = ['PredictionMade', 'PredictionResolved', 'AccuracyThresholdUpdated', 'UserStatsUpdated'];
+
+const WEBSOCKET_PATH = '/api/events/ws';
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Pushes indexed contract events to Server-Sent Events and WebSocket clients. Each
+// client subscribes with optional symbol, user, model and event type filters; a filter
+// only applies to events that carry the field, so e.g. AccuracyThresholdUpdated reaches
+// every client unless it filters by event type. Recent events are buffered so clients
+// can resume after a reconnect.
+class EventStream {
+  constructor() {
+    this.bufferSize = parseInt(process.env.STREAM_BUFFER_SIZE || '500');
+    this.heartbeatMs = parseInt(process.env.STREAM_HEARTBEAT_MS || '25000');
+    this.maxClients = parseInt(process.env.STREAM_MAX_CLIENTS || '500');
+    this.events = STREAM_EVENTS;
+    this.buffer = [];
+    this.clients = new Set();
+    this.wss = null;
+    this.started = false;
+    // Events the indexer replays while catching up (at startup or after a re-index) are
+    // history, not news, so only events indexed once it is ready are pushed
+    this.onIndexedEvent = (event) => {
+      if (predictionIndexer.isReady() && STREAM_EVENTS.includes(event.name)) {
+        this.publish(this.toMessage(event));
+      }
+    };
+    // Rolled-back events leave the replay buffer; clients are told to refetch
+    this.onReorg = (reorg) => {
+      this.buffer = this.buffer.filter(message => message.blockNumber <= reorg.blockNumber);
+      this.clients.forEach(client => client.send('reorg', reorg));
+    };
+  }
+
+  // Lifecycle
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    predictionIndexer.on('event', this.onIndexedEvent);
+    predictionIndexer.on('reorg', this.onReorg);
+  }
+
+  stop() {
+    this.started = false;
+    predictionIndexer.off('event', this.onIndexedEvent);
+    predictionIndexer.off('reorg', this.onReorg);
+    this.clients.forEach(client => client.close());
+    this.clients.clear();
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  // Filters
+  // Parse comma-separated (or array) filters; returns { error, field } for invalid values.
+  // Users are checked like any other address (see middleware/validation.js).
+  parseFilters({ symbols, users, models, events } = {}) {
+    const filters = {
+      symbols: new Set(toList(symbols).map(symbol => symbol.toUpperCase())),
+      users: new Set(toList(users)),
+      models: new Set(toList(models)),
+      events: new Set(toList(events))
+    };
+
+    const invalidEvents = [...filters.events].filter(name => !STREAM_EVENTS.includes(name));
+    if (invalidEvents.length > 0) {
+      return { error: `Unknown events: ${invalidEvents.join(', ')}`, field: 'events' };
+    }
+
+    const invalidUsers = [...filters.users].filter(user => address.validate(user).error);
+    if (invalidUsers.length > 0) {
+      return { error: `Invalid user addresses: ${invalidUsers.join(', ')}`, field: 'users' };
+    }
+
+    filters.users = new Set([...filters.users].map(user => user.toLowerCase()));
+    return { filters };
+  }
+
+  describeFilters(filters) {
+    return Object.fromEntries(Object.entries(filters).map(([name, values]) => [name, [...values]]));
+  }
+
+  matches(message, filters) {
+    const { data } = message;
+    const user = data.predictor || data.user;
+
+    if (filters.events.size > 0 && !filters.events.has(message.type)) {
+      return false;
+    }
+    if (filters.symbols.size > 0 && data.cryptocurrency && !filters.symbols.has(data.cryptocurrency.toUpperCase())) {
+      return false;
+    }
+    if (filters.users.size > 0 && user && !filters.users.has(user.toLowerCase())) {
+      return false;
+    }
+    if (filters.models.size > 0 && data.modelType && !filters.models.has(data.modelType)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Events
+  // PredictionResolved doesn't carry the symbol or model, so they are filled in from the
+  // indexed prediction to let symbol and model filters apply
+  toMessage(event) {
+    const data = { ...event.args };
+
+    if (event.name === 'PredictionResolved') {
+      const prediction = predictionIndexer.predictions.get(data.predictionId);
+      if (prediction) {
+        data.cryptocurrency = prediction.cryptocurrency;
+        data.modelType = prediction.modelType;
+        data.predictedPrice = prediction.predictedPrice;
+      }
+    }
+
+    return {
+      id: `${event.blockNumber}-${event.logIndex}`,
+      type: event.name,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: event.timestamp,
+      data
+    };
+  }
+
+  publish(message) {
+    this.buffer.push(message);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach(client => {
+      if (this.matches(message, client.filters)) {
+        client.send('event', message);
+      }
+    });
+  }
+
+  // Buffered events after `lastEventId`, or the most recent `limit` events without one
+  getRecent({ filters, lastEventId, limit = this.bufferSize } = {}) {
+    let events = this.buffer;
+    if (lastEventId) {
+      const index = events.findIndex(message => message.id === lastEventId);
+      events = index === -1 ? events : events.slice(index + 1);
+    }
+
+    return events
+      .filter(message => !filters || this.matches(message, filters))
+      .slice(-limit);
+  }
+
+  // Clients
+  // Register a client; `send(kind, payload)` receives 'event' and 'reorg' messages.
+  // Returns null when the client limit is reached.
+  subscribe({ transport, filters, send, close }) {
+    if (this.clients.size >= this.maxClients) {
+      return null;
+    }
+
+    const client = { transport, filters, send, close, connectedAt: new Date().toISOString() };
+    this.clients.add(client);
+    return client;
+  }
+
+  unsubscribe(client) {
+    this.clients.delete(client);
+  }
+
+  // WebSocket endpoint at /api/events/ws. Filters come from the query string and can be
+  // changed with { "action": "subscribe", "symbols": [...], ... } messages.
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: WEBSOCKET_PATH });
+    this.wss.on('connection', (socket, req) => this.handleSocket(socket, req));
+    return this.wss;
+  }
+
+  handleSocket(socket, req) {
+    const reply = (payload) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(payload));
+      }
+    };
+
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    const { error, filters } = this.parseFilters(query);
+    if (error) {
+      reply({ type: 'error', message: error });
+      return socket.close(1008, 'Invalid filters');
+    }
+
+    const client = this.subscribe({
+      transport: 'websocket',
+      filters,
+      send: (kind, payload) => reply(kind === 'event' ? { type: 'event', event: payload } : { type: kind, ...payload }),
+      close: () => socket.close(1001, 'Server shutting down')
+    });
+    if (!client) {
+      reply({ type: 'error', message: 'Too many stream clients' });
+      return socket.close(1013, 'Too many stream clients');
+    }
+
+    reply({ type: 'subscribed', filters: this.describeFilters(filters) });
+    if (query.lastEventId) {
+      this.getRecent({ filters, lastEventId: query.lastEventId })
+        .forEach(message => reply({ type: 'event', event: message }));
+    }
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (parseError) {
+        return reply({ type: 'error', message: 'Messages must be JSON' });
+      }
+
+      if (message.action !== 'subscribe') {
+        return reply({ type: 'error', message: `Unknown action: ${message.action}` });
+      }
+
+      const parsed = this.parseFilters(message);
+      if (parsed.error) {
+        return reply({ type: 'error', message: parsed.error });
+      }
+      client.filters = parsed.filters;
+      reply({ type: 'subscribed', filters: this.describeFilters(parsed.filters) });
+    });
+
+    // Drop connections that stop answering pings
+    let alive = true;
+    socket.on('pong', () => {
+      alive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        return socket.terminate();
+      }
+      alive = false;
+      socket.ping();
+    }, this.heartbeatMs);
+    heartbeat.unref();
+
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      this.unsubscribe(client);
+    });
+  }
+
+  getStatus() {
+    const clients = [...this.clients];
+    return {
+      running: this.started,
+      clients: {
+        sse: clients.filter(client => client.transport === 'sse').length,
+        websocket: clients.filter(client => client.transport === 'websocket').length
+      },
+      maxClients: this.maxClients,
+      buffered: this.buffer.length,
+      lastEventId: this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].id : null
+    };
+  }
+}
+
+module.exports = new EventStream();
@@ -0,0 +1,497 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchain');
+const predictionMetadata = require('./metadata');
+const log = require('./logger').child({ component: 'indexer' });
+
+// Contract events consumed by the indexer, in the order they are applied. Threshold and
+// user stats events don't change the projection but are kept for the event stream.
+const INDEXED_EVENTS = ['PredictionMade', 'PredictionResolved', 'AccuracyThresholdUpdated', 'UserStatsUpdated'];
+
+const STORE_VERSION = 2;
+
+class PredictionIndexer extends EventEmitter {
+  constructor() {
+    super();
+    this.startBlock = parseInt(process.env.INDEXER_START_BLOCK || '0');
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE || '2000');
+    this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || '0');
+    this.reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH || '12');
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000');
+    this.storePath = process.env.INDEXER_STORE_PATH || path.join(__dirname, '..', 'data', 'indexer-store.json');
+    this.running = false;
+    this.timer = null;
+    this.reset();
+  }
+
+  reset() {
+    // The event log is the source of truth; everything else is a projection of it
+    this.events = [];
+    this.blockHashes = new Map();
+    this.lastIndexedBlock = this.startBlock - 1;
+    this.latestBlock = null;
+    this.caughtUp = false;
+    this.lastSyncedAt = null;
+    this.lastError = null;
+    this.rebuild();
+  }
+
+  // Lifecycle
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!blockchainService.contract || !blockchainService.provider) {
+      log.warn('Prediction indexer not started: blockchain service is not configured');
+      return;
+    }
+
+    this.running = true;
+    this.load();
+    log.info('Prediction indexer started', { fromBlock: this.lastIndexedBlock + 1 });
+    await this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    try {
+      await this.sync();
+    } catch (error) {
+      this.lastError = error.message;
+      log.error('Error syncing prediction indexer', { error });
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+      this.timer.unref();
+    }
+  }
+
+  async sync() {
+    const provider = blockchainService.provider;
+    this.latestBlock = await provider.getBlockNumber();
+
+    await this.handleReorg();
+
+    const targetBlock = this.latestBlock - this.confirmations;
+    let fromBlock = this.lastIndexedBlock + 1;
+
+    while (fromBlock <= targetBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+      const events = await this.fetchEvents(fromBlock, toBlock);
+      const block = await provider.getBlock(toBlock);
+      this.commit(events, toBlock, block.hash);
+      fromBlock = toBlock + 1;
+    }
+
+    this.caughtUp = true;
+    this.lastSyncedAt = new Date().toISOString();
+    this.lastError = null;
+    this.persist();
+  }
+
+  // Chain access
+  async fetchEvents(fromBlock, toBlock) {
+    const contract = blockchainService.contract;
+    const topics = INDEXED_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+
+    const logs = await blockchainService.provider.getLogs({
+      address: await contract.getAddress(),
+      topics: [topics],
+      fromBlock,
+      toBlock
+    });
+
+    const blockTimestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      if (!blockTimestamps.has(log.blockNumber)) {
+        const block = await blockchainService.provider.getBlock(log.blockNumber);
+        blockTimestamps.set(log.blockNumber, block.timestamp);
+        this.blockHashes.set(log.blockNumber, block.hash);
+      }
+
+      const event = {
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: blockTimestamps.get(log.blockNumber)
+      };
+
+      if (parsed.name === 'PredictionMade') {
+        event.args = {
+          predictionId: parsed.args.predictionId.toString(),
+          predictor: parsed.args.predictor,
+          cryptocurrency: parsed.args.cryptocurrency,
+          currentPrice: ethers.formatUnits(parsed.args.currentPrice, 18),
+          predictedPrice: ethers.formatUnits(parsed.args.predictedPrice, 18),
+          targetTimestamp: parsed.args.targetTimestamp.toString(),
+          modelType: parsed.args.modelType,
+          additionalData: await this.fetchAdditionalData(log.transactionHash, parsed.args.predictionId)
+        };
+      } else if (parsed.name === 'PredictionResolved') {
+        event.args = {
+          predictionId: parsed.args.predictionId.toString(),
+          predictor: parsed.args.predictor,
+          actualPrice: ethers.formatUnits(parsed.args.actualPrice, 18),
+          wasAccurate: parsed.args.wasAccurate,
+          accuracyPercentage: parsed.args.accuracyPercentage.toString()
+        };
+      } else if (parsed.name === 'AccuracyThresholdUpdated') {
+        event.args = {
+          oldThreshold: parsed.args.oldThreshold.toString(),
+          newThreshold: parsed.args.newThreshold.toString()
+        };
+      } else {
+        event.args = {
+          user: parsed.args.user,
+          totalPredictions: parsed.args.totalPredictions.toString(),
+          accuratePredictions: parsed.args.accuratePredictions.toString()
+        };
+      }
+
+      events.push(event);
+    }
+
+    return events;
+  }
+
+  // additionalData is not part of the PredictionMade event, so recover it from the calldata
+  async fetchAdditionalData(txHash, predictionId) {
+    const contract = blockchainService.contract;
+    try {
+      const tx = await blockchainService.provider.getTransaction(txHash);
+      const parsedTx = tx && contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+      if (parsedTx && parsedTx.name === 'makePrediction') {
+        return parsedTx.args[5];
+      }
+      if (parsedTx && parsedTx.name === 'makePredictionFor') {
+        return parsedTx.args[0].additionalData;
+      }
+    } catch (error) {
+      // Fall through to a state read when the calldata cannot be decoded
+    }
+
+    const prediction = await contract.predictions(predictionId);
+    return prediction.additionalData;
+  }
+
+  async handleReorg() {
+    if (this.blockHashes.size === 0) {
+      return;
+    }
+
+    const recorded = [...this.blockHashes.entries()].sort(([a], [b]) => b - a);
+    let commonAncestor = null;
+
+    for (const [blockNumber, hash] of recorded) {
+      const block = await blockchainService.provider.getBlock(blockNumber);
+      if (block && block.hash === hash) {
+        commonAncestor = blockNumber;
+        break;
+      }
+    }
+
+    if (commonAncestor === recorded[0][0]) {
+      return;
+    }
+
+    if (commonAncestor === null) {
+      commonAncestor = Math.max(this.startBlock - 1, this.lastIndexedBlock - this.reorgDepth);
+    }
+
+    log.warn('Chain reorganization detected, rolling prediction index back', { toBlock: commonAncestor });
+    this.rollback(commonAncestor);
+  }
+
+  // Event log
+  commit(events, toBlock, blockHash) {
+    const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    ordered.forEach(event => {
+      this.events.push(event);
+      this.apply(event);
+      this.emit('event', event);
+    });
+
+    this.lastIndexedBlock = toBlock;
+    if (blockHash) {
+      this.blockHashes.set(toBlock, blockHash);
+    }
+    this.pruneBlockHashes();
+  }
+
+  rollback(blockNumber) {
+    const removed = this.events.filter(event => event.blockNumber > blockNumber);
+    this.events = this.events.filter(event => event.blockNumber <= blockNumber);
+
+    for (const recordedBlock of [...this.blockHashes.keys()]) {
+      if (recordedBlock > blockNumber) {
+        this.blockHashes.delete(recordedBlock);
+      }
+    }
+
+    this.lastIndexedBlock = Math.max(this.startBlock - 1, blockNumber);
+    this.rebuild();
+    this.emit('reorg', { blockNumber, removedEvents: removed.length });
+  }
+
+  pruneBlockHashes() {
+    const floor = this.lastIndexedBlock - this.reorgDepth;
+    for (const blockNumber of [...this.blockHashes.keys()]) {
+      if (blockNumber < floor && blockNumber !== this.lastIndexedBlock) {
+        this.blockHashes.delete(blockNumber);
+      }
+    }
+  }
+
+  // Projection
+  rebuild() {
+    this.predictions = new Map();
+    this.userIndex = new Map();
+    this.cryptoIndex = new Map();
+    this.modelIndex = new Map();
+    // Every symbol and model type seen in PredictionMade, with first/last sighting and counts
+    this.symbolRegistry = new Map();
+    this.modelRegistry = new Map();
+    this.events.forEach(event => this.apply(event));
+  }
+
+  apply(event) {
+    const { args } = event;
+
+    if (event.name === 'PredictionMade') {
+      this.predictions.set(args.predictionId, {
+        id: args.predictionId,
+        predictor: args.predictor,
+        cryptocurrency: args.cryptocurrency,
+        currentPrice: args.currentPrice,
+        predictedPrice: args.predictedPrice,
+        predictionTimestamp: event.timestamp.toString(),
+        targetTimestamp: args.targetTimestamp,
+        modelType: args.modelType,
+        isResolved: false,
+        actualPrice: null,
+        wasAccurate: false,
+        accuracyPercentage: '0',
+        additionalData: args.additionalData,
+        metadata: predictionMetadata.parse(args.additionalData)
+      });
+
+      addToIndex(this.userIndex, args.predictor.toLowerCase(), args.predictionId);
+      addToIndex(this.cryptoIndex, args.cryptocurrency, args.predictionId);
+      addToIndex(this.modelIndex, args.modelType, args.predictionId);
+      addToRegistry(this.symbolRegistry, args.cryptocurrency, event, args.modelType);
+      addToRegistry(this.modelRegistry, args.modelType, event, args.cryptocurrency);
+    } else if (event.name === 'PredictionResolved') {
+      const prediction = this.predictions.get(args.predictionId);
+      if (!prediction) {
+        return;
+      }
+
+      prediction.isResolved = true;
+      prediction.actualPrice = args.actualPrice;
+      prediction.wasAccurate = args.wasAccurate;
+      prediction.accuracyPercentage = args.accuracyPercentage;
+      this.symbolRegistry.get(prediction.cryptocurrency).resolvedCount++;
+      this.modelRegistry.get(prediction.modelType).resolvedCount++;
+    }
+  }
+
+  // Persistence
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION ||
+          store.contractAddress !== process.env.CONTRACT_ADDRESS ||
+          store.startBlock !== this.startBlock) {
+        log.warn('Prediction index store does not match current configuration, re-indexing');
+        return;
+      }
+
+      this.events = store.events;
+      this.blockHashes = new Map(store.blockHashes);
+      this.lastIndexedBlock = store.lastIndexedBlock;
+      this.rebuild();
+    } catch (error) {
+      log.error('Error loading prediction index store', { error });
+      this.reset();
+    }
+  }
+
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        version: STORE_VERSION,
+        contractAddress: process.env.CONTRACT_ADDRESS,
+        startBlock: this.startBlock,
+        lastIndexedBlock: this.lastIndexedBlock,
+        blockHashes: [...this.blockHashes.entries()],
+        events: this.events
+      }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting prediction index store', { error });
+    }
+  }
+
+  // Read API - mirrors BlockchainService and falls back to it until the index has caught up
+  isReady() {
+    return this.caughtUp;
+  }
+
+  async getPrediction(predictionId) {
+    const prediction = this.predictions.get(predictionId.toString());
+    if (this.isReady() && prediction) {
+      return { ...prediction };
+    }
+    return blockchainService.getPrediction(predictionId);
+  }
+
+  async getUserPredictions(userAddress) {
+    if (!this.isReady()) {
+      return blockchainService.getUserPredictions(userAddress);
+    }
+    return this.lookup(this.userIndex, userAddress.toLowerCase());
+  }
+
+  async getCryptoPredictions(cryptocurrency) {
+    if (!this.isReady()) {
+      return blockchainService.getCryptoPredictions(cryptocurrency);
+    }
+    return this.lookup(this.cryptoIndex, cryptocurrency);
+  }
+
+  async getModelTypePredictions(modelType) {
+    if (!this.isReady()) {
+      return blockchainService.getModelTypePredictions(modelType);
+    }
+    return this.lookup(this.modelIndex, modelType);
+  }
+
+  // Most recent predictions first, one page at a time
+  async getRecentPredictions(page, limit) {
+    if (this.isReady()) {
+      return [...this.predictions.values()]
+        .sort((a, b) => parseInt(b.id) - parseInt(a.id))
+        .slice((page - 1) * limit, page * limit)
+        .map(prediction => ({ ...prediction }));
+    }
+
+    const totalCount = await blockchainService.getPredictionCounter();
+    const startId = Math.max(1, parseInt(totalCount) - (page * limit) + 1);
+    const endId = Math.max(1, parseInt(totalCount) - ((page - 1) * limit));
+
+    const ids = [];
+    for (let i = endId; i >= startId; i--) {
+      ids.push(i);
+    }
+    // Predictions that don't exist are skipped
+    return blockchainService.getPredictions(ids, { allowFailure: true });
+  }
+
+  // Every prediction, in no particular order
+  async getAllPredictions() {
+    if (this.isReady()) {
+      return [...this.predictions.values()].map(prediction => ({ ...prediction }));
+    }
+
+    const totalCount = parseInt(await blockchainService.getPredictionCounter());
+    const ids = Array.from({ length: totalCount }, (_, i) => i + 1);
+    return blockchainService.getPredictions(ids, { allowFailure: true });
+  }
+
+  // Unresolved predictions whose target timestamp has passed, oldest first
+  async getMaturedPredictions(now = Math.floor(Date.now() / 1000)) {
+    const predictions = await this.getAllPredictions();
+
+    return predictions
+      .filter(p => !p.isResolved && parseInt(p.targetTimestamp) <= now)
+      .sort((a, b) => parseInt(a.targetTimestamp) - parseInt(b.targetTimestamp));
+  }
+
+  // Symbols and model types seen so far; complete once the index has caught up
+  getSymbols() {
+    return listRegistry(this.symbolRegistry);
+  }
+
+  getModelTypes() {
+    return listRegistry(this.modelRegistry);
+  }
+
+  lookup(index, key) {
+    return (index.get(key) || []).map(id => ({ ...this.predictions.get(id) }));
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      ready: this.isReady(),
+      startBlock: this.startBlock,
+      lastIndexedBlock: this.lastIndexedBlock >= this.startBlock ? this.lastIndexedBlock : null,
+      latestBlock: this.latestBlock,
+      lag: this.latestBlock !== null ? Math.max(0, this.latestBlock - this.lastIndexedBlock) : null,
+      confirmations: this.confirmations,
+      eventsIndexed: this.events.length,
+      predictionsIndexed: this.predictions.size,
+      lastSyncedAt: this.lastSyncedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+function addToIndex(index, key, predictionId) {
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(predictionId);
+}
+
+// `related` collects the model types a symbol was predicted with, and vice versa
+function addToRegistry(registry, name, event, related) {
+  if (!registry.has(name)) {
+    registry.set(name, {
+      name,
+      predictionCount: 0,
+      resolvedCount: 0,
+      firstSeen: event.timestamp,
+      firstBlock: event.blockNumber,
+      related: new Set()
+    });
+  }
+  const entry = registry.get(name);
+  entry.predictionCount++;
+  entry.lastSeen = event.timestamp;
+  entry.lastBlock = event.blockNumber;
+  entry.related.add(related);
+}
+
+function listRegistry(registry) {
+  return [...registry.values()].map(entry => ({ ...entry, related: [...entry.related] }));
+}
+
+module.exports = new PredictionIndexer();
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const blockchainService = require('./blockchain');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'jobs' });
+
+const STORE_VERSION = 1;
+
+// Transaction manager states that end a broadcast job restored after a restart
+const FAILED_TRANSACTION_STATES = ['failed', 'cancelled', 'dropped'];
+
+// Tracks contract writes as jobs: queued -> broadcast -> mined -> confirmed, or failed.
+// Routes start a job and either wait for its result or, in async mode, answer as soon
+// as the transaction is broadcast and let clients poll GET /api/jobs/:id.
+class JobQueue {
+  constructor() {
+    this.storePath = process.env.JOB_STORE_PATH || path.join(__dirname, '..', 'data', 'jobs.json');
+    this.limit = parseInt(process.env.JOB_HISTORY_LIMIT || '1000');
+    this.confirmations = parseInt(process.env.JOB_CONFIRMATIONS || '2');
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000');
+    this.jobs = new Map();
+    this.running = new Map();
+    this.timer = null;
+    this.load();
+  }
+
+  // Start `task(options)` as a job. The task must pass `options` to the blockchain
+  // write so the job hears about the broadcast.
+  start(type, params, task) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      params,
+      txHash: null,
+      transactionId: null,
+      predictionId: params.predictionId !== undefined ? String(params.predictionId) : null,
+      receipt: null,
+      confirmations: 0,
+      error: null,
+      history: [{ status: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+    this.persist();
+
+    let markBroadcast;
+    const broadcast = new Promise(resolve => {
+      markBroadcast = resolve;
+    });
+
+    const onBroadcast = (transaction) => {
+      this.update(job, 'broadcast', { txHash: transaction.hash, transactionId: transaction.id });
+      markBroadcast();
+    };
+
+    // Entries logged by the task, including its contract calls, carry the job ID
+    // alongside the request ID of the request that started it
+    const completion = Promise.resolve()
+      .then(() => logger.withContext({ jobId: job.id }, () => task({ onBroadcast })))
+      .then(result => {
+        this.mined(job, result);
+        return result;
+      }, error => {
+        this.update(job, 'failed', { error: error.reason || error.message });
+        throw error;
+      });
+
+    // A task that fails or finishes without reporting a broadcast settles this too
+    const broadcasted = Promise.race([broadcast, completion]).then(() => this.describe(job));
+
+    // Callers wait on one or the other; failures are recorded on the job either way
+    broadcasted.catch(() => {});
+    completion
+      .catch(() => {})
+      .finally(() => this.running.delete(job.id));
+    this.running.set(job.id, { broadcast: broadcasted, completion });
+
+    return this.describe(job);
+  }
+
+  // Resolves with the job once its transaction is broadcast; rejects if it failed first
+  waitForBroadcast(id) {
+    const running = this.running.get(id);
+    return running ? running.broadcast : Promise.resolve(this.getJob(id));
+  }
+
+  // Resolves with the task's result once mined; rejects with the task's error
+  waitForResult(id) {
+    const running = this.running.get(id);
+    return running ? running.completion : Promise.reject(new Error(`Job ${id} is not running`));
+  }
+
+  // Receipt fields from a blockchain write result (also accepts { receipt } results)
+  receiptOf(result) {
+    const receipt = result.receipt || {};
+    const gasUsed = result.gasUsed !== undefined ? result.gasUsed : receipt.gasUsed;
+    return {
+      txHash: result.txHash || receipt.hash || null,
+      blockNumber: result.blockNumber || receipt.blockNumber || null,
+      gasUsed: gasUsed !== undefined && gasUsed !== null ? gasUsed.toString() : null
+    };
+  }
+
+  mined(job, result) {
+    const receipt = this.receiptOf(result);
+    const predictionId = result.predictionId || result.prediction?.id;
+
+    this.update(job, 'mined', {
+      txHash: receipt.txHash || job.txHash,
+      receipt,
+      confirmations: 1,
+      ...(predictionId !== undefined ? { predictionId: String(predictionId) } : {})
+    });
+
+    if (this.confirmations <= 1) {
+      this.update(job, 'confirmed');
+    } else {
+      this.schedule();
+    }
+  }
+
+  update(job, status, changes = {}) {
+    const now = new Date().toISOString();
+    Object.assign(job, changes, { updatedAt: now });
+    if (job.status !== status) {
+      job.status = status;
+      job.history.push({ status, at: now });
+    }
+    this.persist();
+  }
+
+  // Confirmation tracking
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll();
+      if (this.getUnsettled().length > 0) {
+        this.schedule();
+      }
+    }, this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  // Count confirmations for mined jobs and settle broadcast jobs restored after a restart
+  // from the transaction manager's record
+  async poll() {
+    const unsettled = this.getUnsettled();
+    if (unsettled.length === 0) {
+      return;
+    }
+
+    try {
+      const latestBlock = await blockchainService.getBlockNumber();
+
+      for (const job of unsettled) {
+        if (job.status === 'mined') {
+          const confirmations = latestBlock - job.receipt.blockNumber + 1;
+          if (confirmations >= this.confirmations) {
+            this.update(job, 'confirmed', { confirmations });
+          } else if (confirmations !== job.confirmations) {
+            this.update(job, 'mined', { confirmations });
+          }
+          continue;
+        }
+
+        const transaction = blockchainService.getTransaction(job.transactionId);
+        if (transaction && transaction.status === 'mined') {
+          this.update(job, 'mined', {
+            txHash: transaction.hash,
+            receipt: { txHash: transaction.hash, blockNumber: transaction.blockNumber, gasUsed: null },
+            confirmations: latestBlock - transaction.blockNumber + 1
+          });
+        } else if (transaction && FAILED_TRANSACTION_STATES.includes(transaction.status)) {
+          this.update(job, 'failed', { error: transaction.error || `Transaction ${transaction.status}` });
+        }
+      }
+    } catch (error) {
+      log.error('Error polling job confirmations', { error });
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Mined jobs waiting for confirmations and broadcast jobs no task is waiting on
+  getUnsettled() {
+    return [...this.jobs.values()].filter(job =>
+      job.status === 'mined' || (job.status === 'broadcast' && !this.running.has(job.id)));
+  }
+
+  // Queries
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  describe(job) {
+    return { ...job, history: [...job.history] };
+  }
+
+  prune() {
+    const excess = this.jobs.size - this.limit;
+    [...this.jobs.keys()].slice(0, Math.max(0, excess)).forEach(id => this.jobs.delete(id));
+  }
+
+  // Persistence
+  // Jobs still queued when the process stopped were never broadcast and are marked
+  // failed; broadcast jobs are settled from the transaction manager once it recovers.
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      store.jobs.forEach(job => this.jobs.set(job.id, job));
+      [...this.jobs.values()]
+        .filter(job => job.status === 'queued')
+        .forEach(job => this.update(job, 'failed', { error: 'Interrupted before the transaction was broadcast' }));
+
+      if (this.getUnsettled().length > 0) {
+        this.schedule();
+      }
+    } catch (error) {
+      log.error('Error loading job store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: STORE_VERSION, jobs: [...this.jobs.values()] }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting job store', { error });
+    }
+  }
+}
+
+module.exports = new JobQueue();
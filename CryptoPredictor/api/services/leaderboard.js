@@ -0,0 +1,197 @@
+const predictionIndexer = require('./indexer');
+
+// Ranking metrics and the direction they are ranked in
+const METRICS = {
+  accuracyRate: 'desc',
+  averageAccuracy: 'desc',
+  brierScore: 'asc',
+  streak: 'desc'
+};
+
+// Time windows over the prediction target timestamp, in seconds; `all` is unbounded
+const WINDOWS = {
+  '24h': 24 * 3600,
+  '7d': 7 * 24 * 3600,
+  '30d': 30 * 24 * 3600,
+  '90d': 90 * 24 * 3600,
+  all: null
+};
+
+// The prediction field each board ranks by
+const BOARDS = {
+  predictors: 'predictor',
+  models: 'modelType'
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+// Stated confidence from the prediction metadata (services/metadata.js), or null
+const statedConfidence = (prediction) => (prediction.metadata && prediction.metadata.confidence !== undefined
+  ? prediction.metadata.confidence
+  : null);
+
+// Rankings of predictors and model types over resolved predictions. Raw rates reward
+// luck on small samples, so entries need `minResolved` resolved predictions to be ranked
+// and the rate metrics are shrunk towards the mean of every entry on the board: with a
+// prior of `priorWeight` pseudo-predictions at the board mean, a rate over n predictions
+// becomes (n * rate + priorWeight * mean) / (n + priorWeight). A single accurate
+// prediction then ranks near the mean rather than at 100%.
+//
+//   accuracyRate     share of resolved predictions that were accurate, in percent
+//   averageAccuracy  mean contract accuracy score, in percent
+//   brierScore       mean (confidence - outcome)^2 over predictions with a stated
+//                    confidence, lower is better; predictions without one aren't scored
+//   streak           run of accurate predictions up to the latest target timestamp;
+//                    counts aren't shrunk, ties go to the longest run
+class LeaderboardService {
+  constructor() {
+    this.minResolved = parseInt(process.env.LEADERBOARD_MIN_RESOLVED || '5');
+    this.priorWeight = parseFloat(process.env.LEADERBOARD_PRIOR_WEIGHT || '10');
+    this.boards = Object.keys(BOARDS);
+    this.metrics = Object.keys(METRICS);
+    this.windows = Object.keys(WINDOWS);
+  }
+
+  async getLeaderboard(board, {
+    metric = 'accuracyRate',
+    window = 'all',
+    symbol = null,
+    minResolved = this.minResolved,
+    priorWeight = this.priorWeight,
+    limit = 25,
+    now = Math.floor(Date.now() / 1000)
+  } = {}) {
+    const predictions = symbol
+      ? await predictionIndexer.getCryptoPredictions(symbol.toUpperCase())
+      : await predictionIndexer.getAllPredictions();
+
+    const since = WINDOWS[window] === null ? null : now - WINDOWS[window];
+    const resolved = predictions.filter(prediction => prediction.isResolved &&
+      (since === null || parseInt(prediction.targetTimestamp) >= since));
+
+    const entries = this.summarize(resolved, BOARDS[board]);
+    const prior = this.prior(entries);
+    const eligible = entries.filter(entry => (metric === 'brierScore' ? entry.scoredPredictions : entry.resolvedPredictions) >= minResolved);
+
+    const ranked = eligible
+      .map(entry => ({ ...entry, score: this.score(entry, metric, prior, priorWeight) }))
+      .sort((a, b) => this.compare(a, b, metric));
+
+    return {
+      entries: this.assignRanks(ranked, metric).slice(0, limit).map(entry => this.format(entry, BOARDS[board])),
+      prior: {
+        accuracyRate: round(prior.accuracyRate * 100),
+        averageAccuracy: round(prior.averageAccuracy * 100),
+        brierScore: round(prior.brierScore)
+      },
+      candidates: entries.length,
+      eligible: eligible.length,
+      resolvedPredictions: resolved.length
+    };
+  }
+
+  // Totals and streaks per entry, as fractions so the prior can be applied
+  summarize(resolved, field) {
+    const groups = new Map();
+    resolved.forEach(prediction => {
+      const key = prediction[field];
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(prediction);
+    });
+
+    return [...groups].map(([id, predictions]) => {
+      const confident = predictions.filter(prediction => statedConfidence(prediction) !== null);
+      const ordered = [...predictions].sort((a, b) => parseInt(a.targetTimestamp) - parseInt(b.targetTimestamp) ||
+        parseInt(a.id) - parseInt(b.id));
+
+      let currentStreak = 0;
+      let longestStreak = 0;
+      ordered.forEach(prediction => {
+        currentStreak = prediction.wasAccurate ? currentStreak + 1 : 0;
+        longestStreak = Math.max(longestStreak, currentStreak);
+      });
+
+      return {
+        id,
+        resolvedPredictions: predictions.length,
+        accuratePredictions: predictions.filter(prediction => prediction.wasAccurate).length,
+        totalAccuracy: predictions.reduce((sum, prediction) => sum + parseInt(prediction.accuracyPercentage || 0) / 10000, 0),
+        scoredPredictions: confident.length,
+        totalBrier: confident.reduce((sum, prediction) => sum + (statedConfidence(prediction) - (prediction.wasAccurate ? 1 : 0)) ** 2, 0),
+        currentStreak,
+        longestStreak,
+        lastTarget: ordered.length > 0 ? parseInt(ordered[ordered.length - 1].targetTimestamp) : null
+      };
+    });
+  }
+
+  // Board means over every resolved prediction, whether or not its entry is eligible
+  prior(entries) {
+    const total = (field) => entries.reduce((sum, entry) => sum + entry[field], 0);
+    const resolvedCount = total('resolvedPredictions');
+    const scoredCount = total('scoredPredictions');
+
+    return {
+      accuracyRate: resolvedCount > 0 ? total('accuratePredictions') / resolvedCount : 0,
+      averageAccuracy: resolvedCount > 0 ? total('totalAccuracy') / resolvedCount : 0,
+      brierScore: scoredCount > 0 ? total('totalBrier') / scoredCount : 0
+    };
+  }
+
+  score(entry, metric, prior, priorWeight) {
+    const shrink = (sum, count, mean) => (sum + priorWeight * mean) / (count + priorWeight);
+
+    switch (metric) {
+      case 'averageAccuracy':
+        return shrink(entry.totalAccuracy, entry.resolvedPredictions, prior.averageAccuracy) * 100;
+      case 'brierScore':
+        return shrink(entry.totalBrier, entry.scoredPredictions, prior.brierScore);
+      case 'streak':
+        return entry.currentStreak;
+      default:
+        return shrink(entry.accuratePredictions, entry.resolvedPredictions, prior.accuracyRate) * 100;
+    }
+  }
+
+  // Best score first; ties go to the longest streak (streak board) or the larger sample
+  compare(a, b, metric) {
+    const byScore = METRICS[metric] === 'asc' ? round(a.score) - round(b.score) : round(b.score) - round(a.score);
+    const tieBreak = metric === 'streak'
+      ? b.longestStreak - a.longestStreak
+      : b.resolvedPredictions - a.resolvedPredictions;
+    return byScore || tieBreak || String(a.id).localeCompare(String(b.id));
+  }
+
+  // Competition ranking: entries that tie share a rank and the next rank is skipped
+  assignRanks(ranked, metric) {
+    const ties = (a, b) => round(a.score) === round(b.score) &&
+      (metric !== 'streak' || a.longestStreak === b.longestStreak);
+
+    let rank = 0;
+    return ranked.map((entry, i) => {
+      rank = i > 0 && ties(ranked[i - 1], entry) ? rank : i + 1;
+      return { ...entry, rank };
+    });
+  }
+
+  format(entry, field) {
+    return {
+      rank: entry.rank,
+      [field]: entry.id,
+      score: round(entry.score),
+      resolvedPredictions: entry.resolvedPredictions,
+      accuratePredictions: entry.accuratePredictions,
+      accuracyRate: round((entry.accuratePredictions / entry.resolvedPredictions) * 100),
+      averageAccuracy: round((entry.totalAccuracy / entry.resolvedPredictions) * 100),
+      scoredPredictions: entry.scoredPredictions,
+      brierScore: entry.scoredPredictions > 0 ? round(entry.totalBrier / entry.scoredPredictions) : null,
+      currentStreak: entry.currentStreak,
+      longestStreak: entry.longestStreak,
+      lastTarget: new Date(entry.lastTarget * 1000).toISOString()
+    };
+  }
+}
+
+module.exports = new LeaderboardService();
@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Field names whose values are never written; extend with LOG_REDACT_KEYS
+const REDACTED_KEYS = ['privatekey', 'private_key', 'secret', 'password', 'mnemonic', 'authorization',
+  'cookie', 'apikey', 'api_key', 'adminkey', 'admin_key', 'x-admin-key', 'token'];
+
+// Environment values that must not appear anywhere in a log line
+const SECRET_ENV = ['PRIVATE_KEY', 'ADMIN_API_KEY'];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Structured JSON logger. Each entry is one line of JSON with `time`, `level` and `msg`,
+// the fields bound with `child()`, the fields of the current context (the request ID
+// set by middleware/requestLogger.js, a job ID) and the entry's own fields. Errors are
+// serialized with their code; secrets are redacted by field name and by value.
+class Logger {
+  constructor(bindings = {}, root = null) {
+    this.bindings = bindings;
+    this.root = root || this;
+    if (!root) {
+      this.storage = new AsyncLocalStorage();
+      this.stream = process.stdout;
+      this.setLevel(process.env.LOG_LEVEL || 'info');
+      this.redactedKeys = new Set([
+        ...REDACTED_KEYS,
+        ...(process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim().toLowerCase()).filter(Boolean)
+      ]);
+    }
+  }
+
+  // `silent` turns logging off
+  setLevel(level) {
+    const name = String(level).toLowerCase();
+    this.root.level = name === 'silent' || LEVELS[name] !== undefined ? name : 'info';
+  }
+
+  isEnabled(level) {
+    const { level: current } = this.root;
+    return current !== 'silent' && LEVELS[level] <= LEVELS[current];
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.root);
+  }
+
+  // Context: fields added to every entry logged while `task` runs, including from
+  // callbacks and promises it starts
+  withContext(fields, task) {
+    return this.root.storage.run({ ...this.context(), ...fields }, task);
+  }
+
+  context() {
+    return this.root.storage.getStore() || {};
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = this.redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.context(),
+      ...this.bindings,
+      ...fields
+    });
+
+    try {
+      this.root.stream.write(`${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      // Logging must never take a request down
+    }
+  }
+
+  // Redaction
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.maskSecrets(value);
+    }
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (value instanceof Error) {
+      return this.redact(serializeError(value), depth, seen);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      this.root.redactedKeys.has(key.toLowerCase()) ? REDACTED : this.redact(item, depth + 1, seen)
+    ]));
+  }
+
+  maskSecrets(text) {
+    return SECRET_ENV
+      .map(name => process.env[name])
+      .filter(secret => secret && secret.length >= 8)
+      .reduce((masked, secret) => masked.split(secret).join(REDACTED), text)
+      .replace(/\b(Bearer)\s+[^\s"]+/gi, `$1 ${REDACTED}`);
+  }
+}
+
+// Errors keep their name, message and code; ethers errors add a short message and reason
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(error.shortMessage ? { shortMessage: error.shortMessage } : {}),
+  ...(error.reason ? { reason: error.reason } : {}),
+  stack: error.stack
+});
+
+module.exports = new Logger();
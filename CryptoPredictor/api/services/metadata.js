@@ -0,0 +1,125 @@
+const Ajv = require('ajv');
+
+// JSON Schemas for additionalData by schemaVersion (schemas/prediction-metadata.v<n>.json).
+// A new version gets a new file; older ones stay so their predictions keep validating.
+const SCHEMAS = {
+  1: require('../schemas/prediction-metadata.v1.json')
+};
+
+const CURRENT_VERSION = 1;
+
+const parseObject = (additionalData) => {
+  if (!additionalData || typeof additionalData !== 'string') {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(additionalData);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const describeErrors = (errors) => errors
+  .map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+  .join('; ');
+
+// Typed prediction metadata stored as JSON in additionalData. The contract treats the
+// field as an opaque string, so three shapes exist:
+//   - versioned: a JSON object with `schemaVersion`, validated against that version
+//   - unversioned JSON objects from older clients: known fields are validated against
+//     the current schema, anything else is kept as sent
+//   - free text (or anything that isn't a JSON object), stored as sent
+// On read every prediction carries `metadata`: the known fields that pass the schema,
+// with `schemaVersion: null` when unversioned, or null for free text. Predictions logged
+// straight to the contract are never rejected, only trimmed to what validates.
+class PredictionMetadataService {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validators = new Map(Object.entries(SCHEMAS).map(([version, schema]) => [Number(version), this.ajv.compile(schema)]));
+    this.fieldValidators = new Map(Object.entries(SCHEMAS[CURRENT_VERSION].properties)
+      .filter(([name]) => name !== 'schemaVersion')
+      .map(([name, schema]) => [name, this.ajv.compile(schema)]));
+    this.currentVersion = CURRENT_VERSION;
+  }
+
+  getSchema(version = CURRENT_VERSION) {
+    return SCHEMAS[version] || null;
+  }
+
+  getVersions() {
+    return [...this.validators.keys()];
+  }
+
+  // Submission check; `prediction` holds the sibling fields (predictedPrice). Returns
+  // { error } with a readable reason, or {} when the value may be stored.
+  validate(additionalData, prediction = {}) {
+    const data = parseObject(additionalData);
+    if (!data) {
+      return {};
+    }
+
+    if (data.schemaVersion !== undefined) {
+      const validator = this.validators.get(data.schemaVersion);
+      if (!validator) {
+        return { error: `/schemaVersion must be one of ${this.getVersions().join(', ')}` };
+      }
+      if (!validator(data)) {
+        return { error: describeErrors(validator.errors) };
+      }
+    } else {
+      const errors = [...this.fieldValidators]
+        .filter(([name, validator]) => data[name] !== undefined && !validator(data[name]))
+        .flatMap(([name, validator]) => validator.errors.map(error => ({ ...error, instancePath: `/${name}${error.instancePath}` })));
+      if (errors.length > 0) {
+        return { error: describeErrors(errors) };
+      }
+    }
+
+    return data.intervals ? { error: this.checkIntervals(data.intervals, prediction.predictedPrice) } : {};
+  }
+
+  // What JSON Schema can't express: one interval per level, ordered bounds, wider levels
+  // containing narrower ones and, on submission, every interval containing the forecast
+  checkIntervals(intervals, predictedPrice) {
+    const sorted = [...intervals].sort((a, b) => a.level - b.level);
+
+    if (sorted.some((interval, i) => i > 0 && interval.level === sorted[i - 1].level)) {
+      return '/intervals must have one interval per level';
+    }
+    if (sorted.some(({ lower, upper }) => lower > upper)) {
+      return '/intervals lower must not exceed upper';
+    }
+    if (sorted.some((interval, i) => i > 0 && (interval.lower > sorted[i - 1].lower || interval.upper < sorted[i - 1].upper))) {
+      return '/intervals must widen with their level';
+    }
+    if (predictedPrice !== undefined && sorted.some(({ lower, upper }) => predictedPrice < lower || predictedPrice > upper)) {
+      return '/intervals must contain predictedPrice';
+    }
+    return undefined;
+  }
+
+  // Metadata for a stored prediction: the fields that validate, intervals narrowest first
+  parse(additionalData) {
+    const data = parseObject(additionalData);
+    if (!data) {
+      return null;
+    }
+
+    const metadata = { schemaVersion: this.validators.has(data.schemaVersion) ? data.schemaVersion : null };
+    this.fieldValidators.forEach((validator, name) => {
+      if (data[name] !== undefined && validator(data[name])) {
+        metadata[name] = data[name];
+      }
+    });
+
+    if (metadata.intervals && this.checkIntervals(metadata.intervals) !== undefined) {
+      delete metadata.intervals;
+    } else if (metadata.intervals) {
+      metadata.intervals = [...metadata.intervals].sort((a, b) => a.level - b.level);
+    }
+    return metadata;
+  }
+}
+
+module.exports = new PredictionMetadataService();
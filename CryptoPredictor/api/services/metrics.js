@@ -0,0 +1,137 @@
+const { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } = require('prom-client');
+const log = require('./logger').child({ component: 'metrics' });
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const RPC_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Prometheus metrics served on /metrics. Request, RPC and transaction metrics are
+// recorded as they happen (middleware/metrics.js and BlockchainService.trace); the
+// chain gauges are read from the contract when Prometheus scrapes.
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+    if (process.env.METRICS_DEFAULT_ENABLED !== 'false') {
+      collectDefaultMetrics({ register: this.registry });
+    }
+
+    const registers = [this.registry];
+
+    this.httpRequestDuration = new Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request duration by method, route template and status code',
+      labelNames: ['method', 'route', 'status'],
+      buckets: HTTP_BUCKETS,
+      registers
+    });
+
+    this.rpcCalls = new Counter({
+      name: 'blockchain_rpc_calls_total',
+      help: 'Contract reads and RPC calls by method and outcome',
+      labelNames: ['method', 'outcome'],
+      registers
+    });
+
+    this.rpcDuration = new Histogram({
+      name: 'blockchain_rpc_duration_seconds',
+      help: 'Contract read and RPC call duration by method',
+      labelNames: ['method'],
+      buckets: RPC_BUCKETS,
+      registers
+    });
+
+    this.transactions = new Counter({
+      name: 'blockchain_transactions_total',
+      help: 'Contract writes by method and outcome (success once mined, failure otherwise)',
+      labelNames: ['method', 'outcome'],
+      registers
+    });
+
+    this.gasUsed = new Counter({
+      name: 'blockchain_transaction_gas_used_total',
+      help: 'Gas used by mined contract writes by method',
+      labelNames: ['method'],
+      registers
+    });
+
+    this.cacheLookups = new Counter({
+      name: 'cache_lookups_total',
+      help: 'Cache lookups by namespace (response, blockchain) and result (hit, stale, miss)',
+      labelNames: ['namespace', 'result'],
+      registers
+    });
+
+    // The services are required when scraped: the blockchain service records its calls
+    // here, so requiring it up front would be circular
+    this.chainGauge('blockchain_signer_balance', 'Native balance of the transaction signer wallet, in ether units',
+      async (gauge) => {
+        const blockchainService = require('./blockchain');
+        const balance = await blockchainService.getSignerBalance();
+        if (balance !== null) {
+          gauge.set({ address: blockchainService.getSignerAddress() }, Number(balance));
+        }
+      }, ['address']);
+
+    this.chainGauge('contract_prediction_counter', 'Predictions logged by the contract (predictionCounter)',
+      async (gauge) => {
+        gauge.set(Number(await require('./blockchain').getPredictionCounter()));
+      });
+
+    this.chainGauge('contract_paused', 'Whether the contract is paused (1) or not (0)',
+      async (gauge) => {
+        gauge.set(await require('./blockchain').isPaused() ? 1 : 0);
+      });
+
+    // Counted from the index only; without one every prediction would be read per scrape
+    this.chainGauge('contract_matured_unresolved_predictions', 'Unresolved predictions past their target timestamp',
+      async (gauge) => {
+        const predictionIndexer = require('./indexer');
+        if (predictionIndexer.isReady()) {
+          gauge.set((await predictionIndexer.getMaturedPredictions()).length);
+        }
+      });
+  }
+
+  // A gauge read when scraped. A failed read is logged and leaves the last value in
+  // place, so an unreachable node doesn't fail the whole scrape.
+  chainGauge(name, help, read, labelNames = []) {
+    return new Gauge({
+      name,
+      help,
+      labelNames,
+      registers: [this.registry],
+      async collect() {
+        try {
+          await read(this);
+        } catch (error) {
+          log.warn('Error reading metric', { metric: name, error });
+        }
+      }
+    });
+  }
+
+  observeRequest({ method, route, status }, seconds) {
+    this.httpRequestDuration.observe({ method, route, status: String(status) }, seconds);
+  }
+
+  observeRpcCall(method, seconds, error = null) {
+    this.rpcCalls.inc({ method, outcome: error ? 'error' : 'success' });
+    this.rpcDuration.observe({ method }, seconds);
+  }
+
+  observeTransaction(method, receipt, error = null) {
+    this.transactions.inc({ method, outcome: error ? 'failure' : 'success' });
+    if (!error && receipt && receipt.gasUsed !== undefined && receipt.gasUsed !== null) {
+      this.gasUsed.inc({ method }, Number(receipt.gasUsed));
+    }
+  }
+
+  observeCacheLookup(namespace, result) {
+    this.cacheLookups.inc({ namespace, result });
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
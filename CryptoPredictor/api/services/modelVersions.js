@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const predictionIndexer = require('./indexer');
+const cache = require('./cache');
+const { calibrate } = require('./calibration');
+const log = require('./logger').child({ component: 'model-versions' });
+
+const STORE_VERSION = 1;
+
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+class ModelVersionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ModelVersionError';
+    this.code = code;
+  }
+}
+
+// Semver precedence: release fields numerically, a prerelease before its release,
+// prerelease identifiers numerically when both are numbers. Build metadata is ignored.
+const compareVersions = (a, b) => {
+  const [, ...partsA] = a.match(SEMVER);
+  const [, ...partsB] = b.match(SEMVER);
+
+  for (let i = 0; i < 3; i++) {
+    const difference = Number(partsA[i]) - Number(partsB[i]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  const [preA, preB] = [partsA[3], partsB[3]];
+  if (!preA || !preB) {
+    return (preA ? -1 : 0) + (preB ? 1 : 0);
+  }
+  return preA.localeCompare(preB, 'en', { numeric: true });
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+// Registered versions of each model type: semantic version, training data window,
+// parameter hash and the version it was derived from. The contract only knows the
+// free-text modelType, so a prediction is linked to a version through its metadata
+// (`modelVersion`, see services/metadata.js) and performance per version is computed
+// from the index. Once a model type has versions, predictions for it may only name
+// registered ones; model types without versions are unrestricted.
+class ModelVersionService {
+  constructor() {
+    this.storePath = process.env.MODEL_VERSION_STORE_PATH || path.join(__dirname, '..', 'data', 'model-versions.json');
+    this.models = new Map();
+    this.load();
+  }
+
+  // Registry
+  register(modelType, { version, parentVersion = null, trainingWindow, parameterHash, description = null }) {
+    const versions = this.models.get(modelType) || new Map();
+
+    if (!SEMVER.test(version)) {
+      throw new ModelVersionError(`"${version}" is not a semantic version`, 'INVALID_VERSION');
+    }
+    if (versions.has(version)) {
+      throw new ModelVersionError(`${modelType} ${version} is already registered`, 'DUPLICATE_VERSION');
+    }
+    if (parentVersion !== null && !versions.has(parentVersion)) {
+      throw new ModelVersionError(`Parent version ${parentVersion} of ${modelType} is not registered`, 'UNKNOWN_PARENT');
+    }
+    if (parentVersion !== null && compareVersions(parentVersion, version) >= 0) {
+      throw new ModelVersionError(`Parent version ${parentVersion} must precede ${version}`, 'INVALID_PARENT');
+    }
+
+    const record = {
+      modelType,
+      version,
+      parentVersion,
+      trainingWindow: {
+        from: new Date(trainingWindow.from).toISOString(),
+        to: new Date(trainingWindow.to).toISOString()
+      },
+      parameterHash: parameterHash.toLowerCase(),
+      description,
+      registeredAt: new Date().toISOString()
+    };
+
+    versions.set(version, record);
+    this.models.set(modelType, versions);
+    this.persist();
+    cache.invalidate([`model:${modelType}`]);
+    return { ...record };
+  }
+
+  getVersion(modelType, version) {
+    const versions = this.models.get(modelType);
+    const record = versions && versions.get(version);
+    return record ? { ...record } : null;
+  }
+
+  // Oldest first
+  listVersions(modelType) {
+    const versions = this.models.get(modelType);
+    return versions
+      ? [...versions.values()].sort((a, b) => compareVersions(a.version, b.version)).map(record => ({ ...record }))
+      : [];
+  }
+
+  // Whether a prediction for `modelType` may name `version`; once the model type has
+  // registered versions, only those are accepted
+  accepts(modelType, version) {
+    const versions = this.models.get(modelType);
+    return !versions || versions.size === 0 || versions.has(version);
+  }
+
+  // The version and its ancestors, newest first
+  getLineage(modelType, version) {
+    const lineage = [];
+    let record = this.getVersion(modelType, version);
+    while (record) {
+      lineage.push(record.version);
+      record = record.parentVersion ? this.getVersion(modelType, record.parentVersion) : null;
+    }
+    return lineage;
+  }
+
+  // Performance
+  // Every registered version with its lineage, performance and the change from its
+  // parent, newest first; versions named by predictions but never registered are listed
+  // with `registered: false`, and predictions without a version are reported apart.
+  async report(modelType) {
+    const predictions = await predictionIndexer.getModelTypePredictions(modelType);
+
+    const byVersion = new Map();
+    predictions.forEach(prediction => {
+      const version = (prediction.metadata && prediction.metadata.modelVersion) || null;
+      if (!byVersion.has(version)) {
+        byVersion.set(version, []);
+      }
+      byVersion.get(version).push(prediction);
+    });
+
+    const performance = new Map(this.listVersions(modelType)
+      .map(record => [record.version, this.performance(byVersion.get(record.version) || [])]));
+
+    const registered = this.listVersions(modelType).map(record => ({
+      ...record,
+      registered: true,
+      lineage: this.getLineage(modelType, record.version),
+      performance: performance.get(record.version),
+      diff: record.parentVersion
+        ? this.diff(record, this.getVersion(modelType, record.parentVersion), performance)
+        : null
+    }));
+
+    const unregistered = [...byVersion.keys()]
+      .filter(version => version !== null && !performance.has(version))
+      .sort()
+      .map(version => ({
+        modelType,
+        version,
+        registered: false,
+        performance: this.performance(byVersion.get(version))
+      }));
+
+    return {
+      versions: [...registered.reverse(), ...unregistered],
+      unversioned: this.performance(byVersion.get(null) || [])
+    };
+  }
+
+  // Accuracy over resolved predictions only, as percentages
+  performance(predictions) {
+    const resolved = predictions.filter(prediction => prediction.isResolved);
+    const accurate = resolved.filter(prediction => prediction.wasAccurate).length;
+    const totalAccuracy = resolved.reduce((sum, prediction) => sum + parseInt(prediction.accuracyPercentage || 0), 0);
+    const timestamps = predictions.map(prediction => parseInt(prediction.predictionTimestamp || 0)).sort((a, b) => a - b);
+
+    return {
+      totalPredictions: predictions.length,
+      resolvedPredictions: resolved.length,
+      accuratePredictions: accurate,
+      accuracyRate: resolved.length > 0 ? round((accurate / resolved.length) * 100) : null,
+      averageAccuracy: resolved.length > 0 ? round(totalAccuracy / resolved.length / 100) : null,
+      pinballLoss: round(calibrate(predictions).pinballLoss),
+      firstPrediction: timestamps.length > 0 ? new Date(timestamps[0] * 1000).toISOString() : null,
+      lastPrediction: timestamps.length > 0 ? new Date(timestamps[timestamps.length - 1] * 1000).toISOString() : null
+    };
+  }
+
+  // Metric changes from the parent version; null where either side has no data
+  diff(record, parent, performance) {
+    const current = performance.get(record.version);
+    const previous = performance.get(parent.version);
+    const change = (metric) => (current[metric] === null || previous[metric] === null
+      ? null
+      : round(current[metric] - previous[metric]));
+
+    return {
+      from: parent.version,
+      parameterHashChanged: record.parameterHash !== parent.parameterHash,
+      trainingWindowChanged: record.trainingWindow.from !== parent.trainingWindow.from ||
+        record.trainingWindow.to !== parent.trainingWindow.to,
+      accuracyRate: change('accuracyRate'),
+      averageAccuracy: change('averageAccuracy'),
+      pinballLoss: change('pinballLoss')
+    };
+  }
+
+  // Persistence
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      store.versions.forEach(record => {
+        const versions = this.models.get(record.modelType) || new Map();
+        versions.set(record.version, record);
+        this.models.set(record.modelType, versions);
+      });
+    } catch (error) {
+      log.error('Error loading model version store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        version: STORE_VERSION,
+        versions: [...this.models.values()].flatMap(versions => [...versions.values()])
+      }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting model version store', { error });
+    }
+  }
+}
+
+module.exports = new ModelVersionService();
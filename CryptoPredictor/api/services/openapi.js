@@ -0,0 +1,185 @@
+const j2s = require('joi-to-swagger');
+const packageInfo = require('../package.json');
+const { success, schemas } = require('../middleware/openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Express `:param` segments become OpenAPI `{param}` templates
+const toTemplate = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Builds the OpenAPI 3 document from the API routers. Each route's request schemas come
+// from its validation middleware (middleware/validation.js), its summary and responses
+// from `document()` (middleware/openapi.js) and required admin scopes from
+// `requireScope()`; routes without metadata are still listed with their path
+// parameters so the document never misses an endpoint.
+class OpenApiService {
+  constructor() {
+    this.spec = null;
+  }
+
+  getSpec() {
+    if (!this.spec) {
+      // Required lazily so the routers load before the document is built from them
+      this.spec = this.buildSpec(require('../routes'));
+    }
+    return this.spec;
+  }
+
+  buildSpec(mounts) {
+    this.components = { schemas: {} };
+    this.convert(schemas.errorSchema);
+
+    const healthOperation = (summary, operationId, responses) => ({
+      get: {
+        tags: ['Health'],
+        summary,
+        operationId,
+        responses: Object.fromEntries(Object.entries(responses).map(([status, description]) => [status, {
+          description,
+          content: { 'application/json': { schema: { type: 'object' } } }
+        }]))
+      }
+    });
+
+    const paths = {
+      '/health': healthOperation('Service information', 'getHealth', { 200: 'Service is running' }),
+      '/health/live': healthOperation('Liveness check', 'getHealthLive', { 200: 'Process is serving requests' }),
+      '/health/ready': healthOperation('Readiness check against the chain and contract', 'getHealthReady', {
+        200: 'Every check passed or warned',
+        503: 'At least one check failed'
+      })
+    };
+
+    mounts.forEach(({ prefix, tag, router }) => {
+      router.stack
+        .filter(layer => layer.route)
+        .forEach(layer => {
+          const path = toTemplate(`${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+          METHODS
+            .filter(method => layer.route.methods[method])
+            .forEach(method => {
+              paths[path] = paths[path] || {};
+              paths[path][method] = this.buildOperation(method, path, tag, layer.route.stack);
+            });
+        });
+    });
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'CryptoPredictor API',
+        version: packageInfo.version,
+        description: packageInfo.description
+      },
+      servers: [{ url: '/' }],
+      tags: [{ name: 'Health' }, ...mounts.map(({ tag }) => ({ name: tag }))],
+      paths,
+      components: {
+        ...this.components,
+        securitySchemes: {
+          adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' },
+          bearerKey: { type: 'http', scheme: 'bearer' }
+        }
+      }
+    };
+  }
+
+  buildOperation(method, path, tag, stack) {
+    const handlers = stack.map(layer => layer.handle);
+    // Request schemas come from the validation middleware unless document() overrides them
+    const validated = Object.fromEntries(handlers
+      .filter(handle => handle.validates)
+      .map(({ validates }) => [validates.location, validates.schema]));
+    const meta = { ...validated, ...(handlers.find(handle => handle.openapi) || {}).openapi };
+    const scope = (handlers.find(handle => handle.scope) || {}).scope;
+
+    const operation = {
+      tags: [tag],
+      summary: meta.summary || `${method.toUpperCase()} ${path}`,
+      operationId: meta.operationId || this.operationId(method, path),
+      ...(meta.description ? { description: meta.description } : {}),
+      parameters: [...this.pathParameters(path, meta.params), ...this.queryParameters(meta.query)],
+      responses: {}
+    };
+
+    // Routes that take no body still validate an empty one; only real bodies are documented
+    const body = meta.body && this.convert(meta.body);
+    if (body && Object.keys(body.properties || {}).length > 0) {
+      operation.requestBody = {
+        required: (body.required || []).length > 0,
+        content: { 'application/json': { schema: body } }
+      };
+    }
+
+    Object.entries(meta.responses || { 200: success(schemas.anyData).unknown() }).forEach(([status, response]) => {
+      operation.responses[status] = typeof response === 'string'
+        ? errorResponse(response)
+        : {
+          description: status.startsWith('2') ? 'Success' : 'Error',
+          content: { [meta.contentType || 'application/json']: { schema: this.convert(response) } }
+        };
+    });
+
+    if ((meta.body || meta.query || meta.params) && !operation.responses[400]) {
+      operation.responses[400] = errorResponse('Validation Error');
+    }
+
+    if (scope) {
+      operation.security = [{ adminKey: [] }, { bearerKey: [] }];
+      operation['x-required-scope'] = scope;
+      operation.responses[401] = errorResponse('Admin key missing, unknown or expired');
+      if (!operation.responses[403]) {
+        operation.responses[403] = errorResponse(`Admin key with the \`${scope}\` scope required`);
+      }
+    }
+
+    operation.responses.default = errorResponse('Unexpected error');
+    return operation;
+  }
+
+  pathParameters(path, paramsSchema) {
+    const properties = paramsSchema ? this.convert(paramsSchema).properties || {} : {};
+    return [...path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: properties[name] || { type: 'string' }
+    }));
+  }
+
+  queryParameters(querySchema) {
+    if (!querySchema) {
+      return [];
+    }
+    const { properties = {}, required = [] } = this.convert(querySchema);
+    return Object.entries(properties).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: required.includes(name),
+      schema
+    }));
+  }
+
+  // Convert a Joi schema, collecting named schemas into components
+  convert(schema) {
+    const { swagger, components } = j2s(schema);
+    Object.assign(this.components.schemas, components && components.schemas);
+    return swagger;
+  }
+
+  operationId(method, path) {
+    const words = path
+      .replace(/^\/api\//, '')
+      .split(/[/{}-]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+    return `${method}${words.join('')}`;
+  }
+}
+
+module.exports = new OpenApiService();
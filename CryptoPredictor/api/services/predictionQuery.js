@@ -0,0 +1,222 @@
+const { createHash } = require('crypto');
+const Joi = require('joi');
+const predictionIndexer = require('./indexer');
+const { schemas: { address } } = require('../middleware/validation');
+
+// Sort keys and the prediction field each one orders by
+const SORT_FIELDS = {
+  timestamp: 'predictionTimestamp',
+  accuracy: 'accuracyPercentage',
+  target: 'targetTimestamp'
+};
+
+// Query parameters shared by every prediction list route
+const querySchema = Joi.object({
+  crypto: Joi.string().max(10),
+  modelType: Joi.string().max(50),
+  user: address,
+  resolved: Joi.boolean(),
+  from: Joi.number().integer().min(0),
+  to: Joi.number().integer().min(0),
+  minAccuracy: Joi.number().integer().min(0).max(10000),
+  // Prediction metadata (see services/metadata.js); predictions without the field never match
+  'metadata.schemaVersion': Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().valid('legacy'))
+    .description('Schema version, or `legacy` for unversioned and free-text metadata'),
+  'metadata.modelVersion': Joi.string().max(64),
+  'metadata.feature': Joi.string().max(64).description('Predictions whose features include this one'),
+  'metadata.minConfidence': Joi.number().min(0).max(1),
+  'metadata.horizon': Joi.number().integer().min(1),
+  'metadata.dataSourceHash': Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/),
+  sort: Joi.string().valid(...Object.keys(SORT_FIELDS)).default('timestamp'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500),
+  // Offset pagination, kept for existing clients; prefer cursors
+  page: Joi.number().integer().min(1)
+}).oxor('cursor', 'page');
+
+const METADATA_FILTERS = [
+  'metadata.schemaVersion',
+  'metadata.modelVersion',
+  'metadata.feature',
+  'metadata.minConfidence',
+  'metadata.horizon',
+  'metadata.dataSourceHash'
+];
+
+const FILTERS = ['crypto', 'modelType', 'user', 'resolved', 'from', 'to', 'minAccuracy', ...METADATA_FILTERS];
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b).toLowerCase();
+
+// Filtering, sorting and keyset pagination over predictions. Cursors are opaque to
+// clients: they hold the sort key and ID of the last prediction on the page, plus a
+// fingerprint of the sort and filters so a cursor can't be replayed against another query.
+class PredictionQuery {
+  constructor() {
+    this.schema = querySchema;
+    this.sortFields = Object.keys(SORT_FIELDS);
+  }
+
+  // Check a query already validated against `schema` (see validateQuery) for what the
+  // schema can't express; `scope` holds filters fixed by the route (e.g. the symbol in
+  // /api/crypto/:symbol/predictions) and overrides the query string. Returns Joi-style
+  // { error } or { value }.
+  prepare(value, scope = {}) {
+    const options = { ...value, ...scope };
+    if (options.from !== undefined && options.to !== undefined && options.from > options.to) {
+      return { error: this.invalid('to', '"to" must be greater than or equal to "from"') };
+    }
+
+    if (options.cursor) {
+      const cursor = this.decodeCursor(options.cursor);
+      if (!cursor) {
+        return { error: this.invalid('cursor', '"cursor" is not a valid cursor') };
+      }
+      if (cursor.fingerprint !== this.fingerprint(options)) {
+        return { error: this.invalid('cursor', '"cursor" belongs to a query with different filters or sorting') };
+      }
+      options.after = cursor;
+    }
+
+    return { value: options };
+  }
+
+  invalid(field, message) {
+    return { details: [{ message, path: [field], type: 'any.invalid', context: { key: field } }] };
+  }
+
+  // Filters as applied, for echoing back in responses
+  describeFilters(options) {
+    return Object.fromEntries(FILTERS.filter(name => options[name] !== undefined).map(name => [name, options[name]]));
+  }
+
+  async run(options) {
+    const { filter, predictions: candidates } = await this.source(options);
+    // The index lookup already applied its own filter
+    const predictions = candidates.filter(prediction => this.matches(prediction, { ...options, [filter]: undefined }));
+    const direction = options.order === 'asc' ? 1 : -1;
+    predictions.sort((a, b) => this.compare(this.keyOf(a, options.sort), this.keyOf(b, options.sort)) * direction);
+
+    const total = predictions.length;
+    let start = 0;
+    if (options.after) {
+      const after = [options.after.value, options.after.id];
+      start = predictions.findIndex(prediction => this.compare(this.keyOf(prediction, options.sort), after) * direction > 0);
+      start = start === -1 ? total : start;
+    } else if (options.page) {
+      start = (options.page - 1) * options.limit;
+    }
+
+    const data = predictions.slice(start, start + options.limit);
+    const hasMore = start + data.length < total;
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      pagination: {
+        limit: options.limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last, options) : null,
+        sort: options.sort,
+        order: options.order,
+        ...(options.page ? { page: options.page } : {})
+      }
+    };
+  }
+
+  // Start from the narrowest index the filters allow; returns the filter it applied
+  async source({ crypto, modelType, user }) {
+    if (user) {
+      return { filter: 'user', predictions: await predictionIndexer.getUserPredictions(user) };
+    }
+    if (crypto) {
+      return { filter: 'crypto', predictions: await predictionIndexer.getCryptoPredictions(crypto.toUpperCase()) };
+    }
+    if (modelType) {
+      return { filter: 'modelType', predictions: await predictionIndexer.getModelTypePredictions(modelType) };
+    }
+    return { filter: null, predictions: await predictionIndexer.getAllPredictions() };
+  }
+
+  // Accuracy only exists for resolved predictions, so minAccuracy implies resolved=true
+  matches(prediction, options) {
+    const { crypto, modelType, user, resolved, from, to, minAccuracy } = options;
+    const isResolved = Boolean(prediction.isResolved || prediction.resolved);
+    const timestamp = parseInt(prediction.predictionTimestamp || 0);
+
+    return (!crypto || sameText(prediction.cryptocurrency, crypto)) &&
+      (!modelType || sameText(prediction.modelType, modelType)) &&
+      (!user || sameText(prediction.predictor || prediction.user, user)) &&
+      (resolved === undefined || isResolved === resolved) &&
+      (from === undefined || timestamp >= from) &&
+      (to === undefined || timestamp <= to) &&
+      (minAccuracy === undefined || (isResolved && parseInt(prediction.accuracyPercentage || 0) >= minAccuracy)) &&
+      this.matchesMetadata(prediction.metadata, options);
+  }
+
+  matchesMetadata(metadata, options) {
+    const filters = Object.fromEntries(METADATA_FILTERS
+      .filter(name => options[name] !== undefined)
+      .map(name => [name.slice('metadata.'.length), options[name]]));
+
+    // Legacy: unversioned JSON or free text
+    if (filters.schemaVersion === 'legacy') {
+      if (metadata && metadata.schemaVersion !== null) {
+        return false;
+      }
+      delete filters.schemaVersion;
+    }
+    if (Object.keys(filters).length === 0) {
+      return true;
+    }
+    if (!metadata) {
+      return false;
+    }
+
+    const { schemaVersion, modelVersion, feature, minConfidence, horizon, dataSourceHash } = filters;
+    return (schemaVersion === undefined || metadata.schemaVersion === schemaVersion) &&
+      (modelVersion === undefined || metadata.modelVersion === modelVersion) &&
+      (feature === undefined || (metadata.features || []).includes(feature)) &&
+      (minConfidence === undefined || (metadata.confidence !== undefined && metadata.confidence >= minConfidence)) &&
+      (horizon === undefined || metadata.horizon === horizon) &&
+      (dataSourceHash === undefined || sameText(metadata.dataSourceHash, dataSourceHash));
+  }
+
+  // [sort value, ID]; the ID breaks ties so every prediction has a unique position
+  keyOf(prediction, sort) {
+    return [parseInt(prediction[SORT_FIELDS[sort]] || 0), parseInt(prediction.id)];
+  }
+
+  compare([valueA, idA], [valueB, idB]) {
+    return valueA - valueB || idA - idB;
+  }
+
+  // Cursors
+  fingerprint(options) {
+    const filters = FILTERS.map(name => (options[name] === undefined ? null : String(options[name]).toLowerCase()));
+    return createHash('sha256')
+      .update(JSON.stringify([options.sort, options.order, ...filters]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  encodeCursor(prediction, options) {
+    const [value, id] = this.keyOf(prediction, options.sort);
+    return Buffer.from(JSON.stringify({ v: value, id, f: this.fingerprint(options) })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { v, id, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isFinite(v) || !Number.isFinite(id) || typeof f !== 'string') {
+        return null;
+      }
+      return { value: v, id, fingerprint: f };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new PredictionQuery();
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// Supported candle intervals and their length in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Accepts unix seconds, unix milliseconds or anything Date can parse
+const toMillis = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  return new Date(value).getTime();
+};
+
+// Normalize a raw candle to { timestamp, open, high, low, close, volume },
+// where timestamp is the candle's open time in milliseconds
+const normalizeCandle = (raw) => {
+  const close = Number(raw.close ?? raw.price);
+  const candle = {
+    timestamp: toMillis(raw.timestamp ?? raw.time ?? raw.openTime),
+    open: Number(raw.open ?? close),
+    high: Number(raw.high ?? close),
+    low: Number(raw.low ?? close),
+    close,
+    volume: Number(raw.volume ?? 0)
+  };
+
+  const valid = Number.isFinite(candle.timestamp) &&
+    ['open', 'high', 'low', 'close'].every(field => Number.isFinite(candle[field]) && candle[field] > 0) &&
+    Number.isFinite(candle.volume);
+
+  return valid ? candle : null;
+};
+
+const filterRange = (candles, { from, to }) => candles.filter(candle =>
+  (from === undefined || candle.timestamp >= from) &&
+  (to === undefined || candle.timestamp <= to)
+);
+
+// Adapters share one interface: fetchCandles({ symbol, interval, from, to }) resolves
+// to normalized candles. `from`/`to` are optional bounds in milliseconds.
+
+// Parses CSV with a header row, e.g. "timestamp,open,high,low,close,volume"
+class CsvPriceAdapter {
+  constructor({ content, filePath } = {}) {
+    if (!content && !filePath) {
+      throw new Error('CsvPriceAdapter requires content or a filePath');
+    }
+    this.name = 'csv';
+    this.content = content;
+    this.filePath = filePath;
+  }
+
+  async fetchCandles(options = {}) {
+    const text = this.content || fs.readFileSync(this.filePath, 'utf8');
+    const [header, ...rows] = text.trim().split(/\r?\n/);
+    const columns = header.split(',').map(column => column.trim().toLowerCase());
+
+    const candles = rows
+      .filter(row => row.trim())
+      .map(row => {
+        const values = row.split(',').map(value => value.trim());
+        return normalizeCandle(Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+      })
+      .filter(Boolean);
+
+    return filterRange(candles, options);
+  }
+}
+
+// Reads a local JSON feed, either an array of candles or { "BTC": { "1h": [...] } }
+class JsonFeedPriceAdapter {
+  constructor({ filePath, content } = {}) {
+    if (!content && !filePath) {
+      throw new Error('JsonFeedPriceAdapter requires content or a filePath');
+    }
+    this.name = 'json';
+    this.filePath = filePath;
+    this.content = content;
+  }
+
+  async fetchCandles(options = {}) {
+    const feed = this.content !== undefined
+      ? (typeof this.content === 'string' ? JSON.parse(this.content) : this.content)
+      : JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    let raw = feed;
+    if (!Array.isArray(feed)) {
+      const series = feed[options.symbol] || feed[options.symbol?.toLowerCase()] || {};
+      raw = Array.isArray(series) ? series : series[options.interval] || [];
+    }
+
+    return filterRange(raw.map(normalizeCandle).filter(Boolean), options);
+  }
+}
+
+// Fetches klines from a Binance-compatible exchange REST API
+class ExchangeRestPriceAdapter {
+  constructor({ baseUrl, quoteAsset = 'USDT', limit = 1000, timeout = 10000 } = {}) {
+    this.name = 'exchange';
+    this.baseUrl = baseUrl || process.env.PRICE_EXCHANGE_URL || 'https://api.binance.com';
+    this.quoteAsset = quoteAsset;
+    this.limit = limit;
+    this.timeout = timeout;
+  }
+
+  async fetchCandles({ symbol, interval, from, to }) {
+    const params = {
+      symbol: `${symbol.toUpperCase()}${this.quoteAsset}`,
+      interval,
+      limit: this.limit
+    };
+    if (from !== undefined) params.startTime = from;
+    if (to !== undefined) params.endTime = to;
+
+    const response = await axios.get(`${this.baseUrl}/api/v3/klines`, {
+      params,
+      timeout: this.timeout
+    });
+
+    // Kline rows: [openTime, open, high, low, close, volume, closeTime, ...]
+    return (response.data || [])
+      .map(([openTime, open, high, low, close, volume]) => normalizeCandle({ timestamp: openTime, open, high, low, close, volume }))
+      .filter(Boolean);
+  }
+}
+
+const priceAdapterTypes = {
+  csv: CsvPriceAdapter,
+  json: JsonFeedPriceAdapter,
+  exchange: ExchangeRestPriceAdapter
+};
+
+// Create a price adapter by type name, e.g. createPriceAdapter('csv', { content })
+const createPriceAdapter = (type, options) => {
+  const PriceAdapter = priceAdapterTypes[type];
+  if (!PriceAdapter) {
+    throw new Error(`Unknown price adapter type: ${type}`);
+  }
+  return new PriceAdapter(options);
+};
+
+const registerPriceAdapter = (type, PriceAdapter) => {
+  priceAdapterTypes[type] = PriceAdapter;
+};
+
+module.exports = {
+  INTERVALS,
+  toMillis,
+  normalizeCandle,
+  CsvPriceAdapter,
+  JsonFeedPriceAdapter,
+  ExchangeRestPriceAdapter,
+  createPriceAdapter,
+  registerPriceAdapter
+};
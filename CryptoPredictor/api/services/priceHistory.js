@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { INTERVALS, normalizeCandle } = require('./priceAdapters');
+const log = require('./logger').child({ component: 'priceHistory' });
+
+const STORE_VERSION = 1;
+
+// Stores OHLCV candles per symbol and interval. Candles are keyed by their open time
+// (milliseconds, aligned to the interval) so re-ingesting a range overwrites it.
+class PriceHistoryService {
+  constructor() {
+    this.storePath = process.env.PRICE_STORE_PATH || path.join(__dirname, '..', 'data', 'price-history.json');
+    this.series = new Map();
+    this.load();
+  }
+
+  seriesKey(symbol, interval) {
+    return `${symbol.toUpperCase()}:${interval}`;
+  }
+
+  // Ingestion
+  async ingest(adapter, { symbol, interval, from, to }) {
+    const candles = await adapter.fetchCandles({ symbol, interval, from, to });
+    const stored = this.upsertCandles(symbol, interval, candles);
+    this.persist();
+
+    return {
+      symbol: symbol.toUpperCase(),
+      interval,
+      adapter: adapter.name,
+      received: candles.length,
+      stored
+    };
+  }
+
+  // Candles finer than `interval` are aggregated into the bucket they fall in
+  upsertCandles(symbol, interval, candles) {
+    const intervalMs = INTERVALS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    const buckets = new Map();
+    candles
+      .map(normalizeCandle)
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(candle => {
+        const openTime = Math.floor(candle.timestamp / intervalMs) * intervalMs;
+        const bucket = buckets.get(openTime);
+        if (!bucket) {
+          buckets.set(openTime, { ...candle, timestamp: openTime });
+          return;
+        }
+        bucket.high = Math.max(bucket.high, candle.high);
+        bucket.low = Math.min(bucket.low, candle.low);
+        bucket.close = candle.close;
+        bucket.volume += candle.volume;
+      });
+
+    const key = this.seriesKey(symbol, interval);
+    if (!this.series.has(key)) {
+      this.series.set(key, new Map());
+    }
+    const series = this.series.get(key);
+    buckets.forEach((candle, openTime) => series.set(openTime, candle));
+
+    return buckets.size;
+  }
+
+  // Queries
+  getCandles(symbol, interval, { from, to, limit } = {}) {
+    const series = this.series.get(this.seriesKey(symbol, interval));
+    if (!series) {
+      return [];
+    }
+
+    const candles = [...series.values()]
+      .filter(candle =>
+        (from === undefined || candle.timestamp >= from) &&
+        (to === undefined || candle.timestamp <= to))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return limit ? candles.slice(-limit) : candles;
+  }
+
+  listSeries() {
+    return [...this.series.entries()].map(([key, series]) => {
+      const [symbol, interval] = key.split(':');
+      const timestamps = [...series.keys()];
+      return {
+        symbol,
+        interval,
+        candles: series.size,
+        from: series.size ? Math.min(...timestamps) : null,
+        to: series.size ? Math.max(...timestamps) : null
+      };
+    });
+  }
+
+  // Close of the latest candle that closed at or before `timestamp` (unix seconds),
+  // preferring the finest interval available
+  getPriceAt(symbol, timestamp) {
+    const target = timestamp * 1000;
+    const intervals = Object.entries(INTERVALS).sort(([, a], [, b]) => a - b);
+
+    for (const [interval, intervalMs] of intervals) {
+      const candles = this.getCandles(symbol, interval, { to: target - intervalMs });
+      const candle = candles[candles.length - 1];
+      if (candle) {
+        return {
+          price: candle.close,
+          timestamp: Math.floor((candle.timestamp + intervalMs) / 1000),
+          interval
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Persistence
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      Object.entries(store.series).forEach(([key, candles]) => {
+        this.series.set(key, new Map(candles.map(candle => [candle.timestamp, candle])));
+      });
+    } catch (error) {
+      log.error('Error loading price history store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const series = {};
+      this.series.forEach((candles, key) => {
+        series[key] = [...candles.values()];
+      });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: STORE_VERSION, series }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting price history store', { error });
+    }
+  }
+}
+
+module.exports = new PriceHistoryService();
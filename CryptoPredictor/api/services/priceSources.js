@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const priceHistory = require('./priceHistory');
+
+// Price sources share one interface: { name, getPriceAt(symbol, timestamp) }
+// getPriceAt resolves to { price, timestamp } for the last known price at or
+// before `timestamp` (unix seconds), or null when no usable price exists.
+
+// Reads prices from a JSON file so the resolver can run offline and in tests.
+// Accepted layouts:
+//   { "BTC": [[1695986400, 54000.0], ...] }
+//   { "BTC": [{ "timestamp": 1695986400, "price": 54000.0 }, ...] }
+class FilePriceSource {
+  constructor({ filePath, maxAge = 3600 } = {}) {
+    if (!filePath) {
+      throw new Error('FilePriceSource requires a filePath');
+    }
+    this.name = `file:${path.basename(filePath)}`;
+    this.filePath = filePath;
+    this.maxAge = maxAge;
+    this.prices = null;
+    this.loadedMtime = null;
+  }
+
+  load() {
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (this.prices && this.loadedMtime === mtimeMs) {
+      return;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.prices = new Map();
+
+    Object.entries(raw).forEach(([symbol, points]) => {
+      const series = points
+        .map(point => Array.isArray(point)
+          ? { timestamp: Number(point[0]), price: Number(point[1]) }
+          : { timestamp: Number(point.timestamp), price: Number(point.price) })
+        .filter(point => Number.isFinite(point.timestamp) && point.price > 0)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      this.prices.set(symbol.toUpperCase(), series);
+    });
+
+    this.loadedMtime = mtimeMs;
+  }
+
+  async getPriceAt(symbol, timestamp) {
+    this.load();
+    const series = this.prices.get(symbol.toUpperCase()) || [];
+
+    let match = null;
+    for (const point of series) {
+      if (point.timestamp > timestamp) {
+        break;
+      }
+      match = point;
+    }
+
+    if (!match || timestamp - match.timestamp > this.maxAge) {
+      return null;
+    }
+
+    return { price: match.price, timestamp: match.timestamp };
+  }
+}
+
+// Reads prices from the candles stored by the price history service
+class HistoryPriceSource {
+  constructor({ maxAge = 3600 } = {}) {
+    this.name = 'history';
+    this.maxAge = maxAge;
+  }
+
+  async getPriceAt(symbol, timestamp) {
+    const quote = priceHistory.getPriceAt(symbol, timestamp);
+    if (!quote || timestamp - quote.timestamp > this.maxAge) {
+      return null;
+    }
+    return { price: quote.price, timestamp: quote.timestamp };
+  }
+}
+
+const priceSourceTypes = {
+  file: FilePriceSource,
+  history: HistoryPriceSource
+};
+
+// Create a price source by type name, e.g. createPriceSource('file', { filePath })
+const createPriceSource = (type, options) => {
+  const PriceSource = priceSourceTypes[type];
+  if (!PriceSource) {
+    throw new Error(`Unknown price source type: ${type}`);
+  }
+  return new PriceSource(options);
+};
+
+const registerPriceSource = (type, PriceSource) => {
+  priceSourceTypes[type] = PriceSource;
+};
+
+module.exports = {
+  FilePriceSource,
+  HistoryPriceSource,
+  createPriceSource,
+  registerPriceSource
+};
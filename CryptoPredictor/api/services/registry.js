@@ -0,0 +1,136 @@
+const fs = require('fs');
+const predictionIndexer = require('./indexer');
+const log = require('./logger').child({ component: 'registry' });
+
+// Display metadata for well-known symbols, which are also listed until the index has
+// caught up. Anything else is shown under its on-chain symbol with DEFAULT_DECIMALS;
+// REGISTRY_METADATA_PATH can add or override entries.
+const KNOWN_SYMBOLS = {
+  BTC: { displayName: 'Bitcoin', decimals: 2 },
+  ETH: { displayName: 'Ethereum', decimals: 2 },
+  BLOCKDAG: { displayName: 'BlockDAG', decimals: 6 },
+  ADA: { displayName: 'Cardano', decimals: 4 },
+  SOL: { displayName: 'Solana', decimals: 2 },
+  DOT: { displayName: 'Polkadot', decimals: 3 },
+  LINK: { displayName: 'Chainlink', decimals: 3 },
+  UNI: { displayName: 'Uniswap', decimals: 3 },
+  AVAX: { displayName: 'Avalanche', decimals: 2 },
+  MATIC: { displayName: 'Polygon', decimals: 4 }
+};
+
+// Listed until the index has caught up; model names are shown as logged unless overridden
+const SEED_MODELS = ['LSTM', 'Random Forest', 'Linear Regression', 'Neural Network', 'Technical Analysis'];
+
+const DEFAULT_DECIMALS = 8;
+
+const toIso = (timestamp) => (timestamp !== undefined ? new Date(Number(timestamp) * 1000).toISOString() : null);
+
+// Most predicted first, then by name
+const byActivity = (a, b) => b.predictionCount - a.predictionCount || a.name.localeCompare(b.name);
+
+// Symbols and model types discovered from PredictionMade events (see the indexer's
+// registries), decorated with display metadata. Until the index has caught up the
+// registry can't be complete, so the well-known symbols and models are listed instead
+// with `source: 'seed'` and no counts.
+class RegistryService {
+  constructor() {
+    this.metadataPath = process.env.REGISTRY_METADATA_PATH || null;
+    this.metadata = null;
+  }
+
+  // Reads
+  getSymbols() {
+    const { symbols } = this.loadMetadata();
+
+    if (!predictionIndexer.isReady()) {
+      return { source: 'seed', entries: Object.keys(symbols).map(symbol => this.describeSymbol(symbol, symbols)) };
+    }
+    return {
+      source: 'index',
+      entries: predictionIndexer.getSymbols()
+        .sort(byActivity)
+        .map(entry => this.describeSymbol(entry.name, symbols, entry))
+    };
+  }
+
+  getModels() {
+    const { models } = this.loadMetadata();
+
+    if (!predictionIndexer.isReady()) {
+      return { source: 'seed', entries: SEED_MODELS.map(modelType => this.describeModel(modelType, models)) };
+    }
+    return {
+      source: 'index',
+      entries: predictionIndexer.getModelTypes()
+        .sort(byActivity)
+        .map(entry => this.describeModel(entry.name, models, entry))
+    };
+  }
+
+  // Names only, for routes that aggregate over every symbol or model
+  getSymbolNames() {
+    return this.getSymbols().entries.map(entry => entry.symbol);
+  }
+
+  getModelNames() {
+    return this.getModels().entries.map(entry => entry.modelType);
+  }
+
+  describeSymbol(symbol, metadata, entry = null) {
+    const known = metadata[symbol] || metadata[symbol.toUpperCase()] || {};
+    return {
+      symbol,
+      displayName: known.displayName || symbol,
+      decimals: known.decimals !== undefined ? known.decimals : DEFAULT_DECIMALS,
+      ...this.describeActivity(entry),
+      models: entry ? entry.related.sort() : []
+    };
+  }
+
+  describeModel(modelType, metadata, entry = null) {
+    const known = metadata[modelType] || {};
+    return {
+      modelType,
+      displayName: known.displayName || modelType,
+      ...(known.description ? { description: known.description } : {}),
+      ...this.describeActivity(entry),
+      symbols: entry ? entry.related.sort() : []
+    };
+  }
+
+  describeActivity(entry) {
+    return {
+      predictionCount: entry ? entry.predictionCount : null,
+      resolvedCount: entry ? entry.resolvedCount : null,
+      firstSeen: entry ? toIso(entry.firstSeen) : null,
+      lastSeen: entry ? toIso(entry.lastSeen) : null,
+      firstBlock: entry ? entry.firstBlock : null,
+      lastBlock: entry ? entry.lastBlock : null
+    };
+  }
+
+  // Built-in metadata merged with the optional file, read once:
+  //   { "symbols": { "PEPE": { "displayName": "Pepe", "decimals": 10 } }, "models": { ... } }
+  loadMetadata() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    let custom = {};
+    if (this.metadataPath) {
+      try {
+        custom = JSON.parse(fs.readFileSync(this.metadataPath, 'utf8'));
+      } catch (error) {
+        log.error('Error loading registry metadata, using built-in names', { path: this.metadataPath, error });
+      }
+    }
+
+    this.metadata = {
+      symbols: { ...KNOWN_SYMBOLS, ...custom.symbols },
+      models: { ...custom.models }
+    };
+    return this.metadata;
+  }
+}
+
+module.exports = new RegistryService();
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const blockchainService = require('./blockchain');
+const predictionIndexer = require('./indexer');
+const { createPriceSource } = require('./priceSources');
+const log = require('./logger').child({ component: 'resolver' });
+
+// Errors worth retrying: nonce races with other writers, replaced transactions and
+// transient RPC failures. Contract reverts (CALL_EXCEPTION) are final.
+const RETRYABLE_ERROR_CODES = [
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'TIMEOUT'
+];
+
+const isRetryable = (error) => {
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  return /nonce/i.test(error.message || '');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PredictionResolver {
+  constructor() {
+    this.intervalMs = parseInt(process.env.RESOLVER_INTERVAL_MS || '60000');
+    this.maxRetries = parseInt(process.env.RESOLVER_MAX_RETRIES || '3');
+    this.retryDelayMs = parseInt(process.env.RESOLVER_RETRY_DELAY_MS || '2000');
+    this.batchSize = parseInt(process.env.RESOLVER_BATCH_SIZE || '25');
+    this.backoffMs = parseInt(process.env.RESOLVER_BACKOFF_MS || '60000');
+    this.maxBackoffMs = parseInt(process.env.RESOLVER_MAX_BACKOFF_MS || '3600000');
+    this.logPath = process.env.RESOLVER_LOG_PATH || path.join(__dirname, '..', 'data', 'resolutions.jsonl');
+    this.logLimit = 1000;
+    this.priceSource = null;
+    this.running = false;
+    this.inProgress = false;
+    this.timer = null;
+    this.resolutionLog = [];
+    // Prediction ID -> { attempts, retryAt } for predictions that could not be priced
+    // or resolved; they sit out until retryAt so the batch isn't stuck behind them
+    this.backoff = new Map();
+    this.lastRunAt = null;
+    this.lastRun = null;
+    this.lastError = null;
+    this.totals = { resolved: 0, failed: 0, skipped: 0 };
+  }
+
+  setPriceSource(priceSource) {
+    this.priceSource = priceSource;
+  }
+
+  configureFromEnv() {
+    const type = process.env.RESOLVER_PRICE_SOURCE || 'file';
+    if (this.priceSource || (type === 'file' && !process.env.RESOLVER_PRICE_FILE)) {
+      return;
+    }
+    this.priceSource = createPriceSource(type, {
+      filePath: process.env.RESOLVER_PRICE_FILE,
+      maxAge: parseInt(process.env.RESOLVER_MAX_PRICE_AGE || '3600')
+    });
+  }
+
+  isConfigured() {
+    this.configureFromEnv();
+    return this.priceSource !== null;
+  }
+
+  // Lifecycle
+  start() {
+    if (this.running) {
+      return false;
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error('No price source configured for the resolver');
+    }
+
+    this.running = true;
+    this.loadLog();
+    this.schedule(0);
+    log.info('Prediction resolver started', { priceSource: this.priceSource.name });
+    return true;
+  }
+
+  stop() {
+    if (!this.running) {
+      return false;
+    }
+
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return true;
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        log.error('Error running prediction resolver', { error });
+      }
+
+      if (this.running) {
+        this.schedule(this.intervalMs);
+      }
+    }, delay);
+    this.timer.unref();
+  }
+
+  // Resolve one batch of matured predictions. Resolutions are sent one at a time so
+  // the resolver never races itself for the signer's next nonce. The batch is filled
+  // from predictions that are due, skipping those still backing off.
+  async runOnce() {
+    if (this.inProgress) {
+      return null;
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error('No price source configured for the resolver');
+    }
+
+    this.inProgress = true;
+    const run = { matured: 0, resolved: 0, failed: 0, skipped: 0, deferred: 0 };
+
+    try {
+      const now = Date.now();
+      const matured = await predictionIndexer.getMaturedPredictions();
+      run.matured = matured.length;
+      this.pruneBackoff(matured);
+
+      const due = matured.filter(prediction => this.isDue(prediction.id.toString(), now));
+      run.deferred = matured.length - due.length;
+
+      for (const prediction of due.slice(0, this.batchSize)) {
+        const predictionId = prediction.id.toString();
+        const targetTimestamp = parseInt(prediction.targetTimestamp);
+
+        let quote;
+        try {
+          quote = await this.priceSource.getPriceAt(prediction.cryptocurrency, targetTimestamp);
+        } catch (error) {
+          log.warn('Price source failed', { predictionId, cryptocurrency: prediction.cryptocurrency, error });
+        }
+
+        if (!quote) {
+          this.defer(predictionId, now);
+          run.skipped++;
+          continue;
+        }
+
+        const entry = {
+          predictionId,
+          cryptocurrency: prediction.cryptocurrency,
+          targetTimestamp,
+          source: this.priceSource.name,
+          price: quote.price,
+          priceTimestamp: quote.timestamp
+        };
+
+        try {
+          const { result, attempts } = await this.resolveWithRetry(entry.predictionId, quote.price);
+          this.record({
+            ...entry,
+            status: 'resolved',
+            attempts,
+            txHash: result.txHash || result.receipt?.hash,
+            blockNumber: result.blockNumber || result.receipt?.blockNumber
+          });
+          this.backoff.delete(predictionId);
+          run.resolved++;
+        } catch (error) {
+          this.record({
+            ...entry,
+            status: 'failed',
+            attempts: error.attempts,
+            error: error.reason || error.message
+          });
+          this.defer(predictionId, now);
+          run.failed++;
+        }
+      }
+
+      this.lastError = null;
+    } finally {
+      this.inProgress = false;
+      this.lastRunAt = new Date().toISOString();
+      this.lastRun = run;
+      this.totals.resolved += run.resolved;
+      this.totals.failed += run.failed;
+      this.totals.skipped += run.skipped;
+    }
+
+    return run;
+  }
+
+  // Backoff
+  isDue(predictionId, now) {
+    const entry = this.backoff.get(predictionId);
+    return !entry || entry.retryAt <= now;
+  }
+
+  // Doubles the wait after every unsuccessful pass, up to maxBackoffMs
+  defer(predictionId, now) {
+    const { attempts = 0 } = this.backoff.get(predictionId) || {};
+    const delay = Math.min(this.backoffMs * 2 ** attempts, this.maxBackoffMs);
+    this.backoff.set(predictionId, { attempts: attempts + 1, retryAt: now + delay });
+  }
+
+  // Forget predictions that are no longer waiting, e.g. resolved by someone else
+  pruneBackoff(matured) {
+    const waiting = new Set(matured.map(prediction => prediction.id.toString()));
+    [...this.backoff.keys()]
+      .filter(predictionId => !waiting.has(predictionId))
+      .forEach(predictionId => this.backoff.delete(predictionId));
+  }
+
+  async resolveWithRetry(predictionId, price) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await blockchainService.resolvePrediction(predictionId, price);
+        return { result, attempts: attempt };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.maxRetries) {
+          error.attempts = attempt;
+          throw error;
+        }
+        await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  // Resolution log
+  record(entry) {
+    const logged = { ...entry, loggedAt: new Date().toISOString() };
+    this.resolutionLog.push(logged);
+    if (this.resolutionLog.length > this.logLimit) {
+      this.resolutionLog.shift();
+    }
+
+    if (!this.logPath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, `${JSON.stringify(logged)}\n`);
+    } catch (error) {
+      log.error('Error writing resolution log', { error });
+    }
+  }
+
+  loadLog() {
+    if (!this.logPath || !fs.existsSync(this.logPath)) {
+      return;
+    }
+
+    try {
+      this.resolutionLog = fs.readFileSync(this.logPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-this.logLimit)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      log.error('Error loading resolution log', { error });
+    }
+  }
+
+  getLog({ limit = 50, predictionId } = {}) {
+    let entries = this.resolutionLog;
+    if (predictionId) {
+      entries = entries.filter(entry => entry.predictionId === predictionId.toString());
+    }
+    return entries.slice(-limit).reverse();
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      inProgress: this.inProgress,
+      priceSource: this.priceSource ? this.priceSource.name : null,
+      intervalMs: this.intervalMs,
+      maxRetries: this.maxRetries,
+      lastRunAt: this.lastRunAt,
+      lastRun: this.lastRun,
+      totals: { ...this.totals },
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new PredictionResolver();
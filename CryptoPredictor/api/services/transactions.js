@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const log = require('./logger').child({ component: 'transactions' });
+
+const STORE_VERSION = 1;
+const HISTORY_LIMIT = 100;
+
+// Send errors meaning our local nonce is behind the chain (another writer used it)
+const isNonceError = (error) =>
+  error.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error.message || '');
+
+const gwei = (value) => (value ? ethers.parseUnits(value, 'gwei') : null);
+
+const minBigInt = (a, b) => (a < b ? a : b);
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+const FEE_FIELDS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+// Fees and transaction fields are persisted as decimal strings
+const serializeFees = (fees) => Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, value.toString()]));
+
+const parseFees = (fees) => Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, BigInt(value)]));
+
+const transactionError = (message, code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+// Sends transactions for one signer. Nonces are assigned locally in submission order
+// so concurrent writers never collide, fees follow the configured gas policy, and
+// transactions that sit unmined for too long are re-broadcast with bumped fees and
+// finally cancelled. Pending transactions are persisted and tracked again after a restart.
+class TransactionManager {
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.storePath = options.storePath !== undefined
+      ? options.storePath
+      : process.env.TX_STORE_PATH || path.join(__dirname, '..', 'data', 'transactions.json');
+    this.gasStrategy = options.gasStrategy || process.env.TX_GAS_STRATEGY || 'auto';
+    this.gasPrice = options.gasPrice !== undefined ? options.gasPrice : gwei(process.env.TX_GAS_PRICE_GWEI);
+    this.priorityFee = options.priorityFee !== undefined ? options.priorityFee : gwei(process.env.TX_PRIORITY_FEE_GWEI);
+    this.maxFee = options.maxFee !== undefined ? options.maxFee : gwei(process.env.TX_MAX_FEE_GWEI);
+    this.feeMultiplier = BigInt(options.feeMultiplier || process.env.TX_FEE_MULTIPLIER_PERCENT || '100');
+    this.bumpPercent = BigInt(options.bumpPercent || process.env.TX_REPLACEMENT_BUMP_PERCENT || '15');
+    this.maxReplacements = options.maxReplacements !== undefined
+      ? options.maxReplacements
+      : parseInt(process.env.TX_MAX_REPLACEMENTS || '3');
+    this.cancelStuck = options.cancelStuck !== undefined ? options.cancelStuck : process.env.TX_CANCEL_STUCK !== 'false';
+    this.stuckAfterMs = options.stuckAfterMs || parseInt(process.env.TX_STUCK_AFTER_MS || '120000');
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.TX_POLL_INTERVAL_MS || '4000');
+    this.address = null;
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+    this.transactions = new Map();
+    this.waiters = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Load persisted transactions for this signer and resume tracking the pending ones
+  async recover() {
+    this.address = await this.signer.getAddress();
+    this.load();
+
+    const pending = this.getPending();
+    if (pending.length > 0) {
+      log.info('Tracking pending transactions from a previous run', { count: pending.length });
+      this.schedule();
+    }
+    return pending.length;
+  }
+
+  // Submit a populated contract call ({ to, data, value }) and resolve with its receipt
+  // once mined. Rejects with CALL_EXCEPTION if it reverts, or TRANSACTION_REPLACED
+  // (cancelled: true) if it was cancelled as stuck. `onBroadcast` is called with the
+  // transaction as soon as it has been sent.
+  async send(label, request, { onBroadcast } = {}) {
+    const submitted = this.queue.then(() => this.submit(label, request));
+    this.queue = submitted.catch(() => {});
+
+    const entry = await submitted;
+    const receipt = this.waiters.get(entry.id).promise;
+    if (onBroadcast) {
+      onBroadcast(this.describe(entry));
+    }
+    return receipt;
+  }
+
+  async submit(label, request, retried = false) {
+    if (!this.address) {
+      this.address = await this.signer.getAddress();
+    }
+
+    if (this.nextNonce === null) {
+      const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+      const localNonce = Math.max(-1, ...this.getPending().map(entry => entry.nonce)) + 1;
+      this.nextNonce = Math.max(chainNonce, localNonce);
+    }
+
+    const nonce = this.nextNonce;
+    const fees = await this.getFees();
+
+    let populated;
+    let tx;
+    try {
+      populated = await this.signer.populateTransaction({
+        to: request.to,
+        data: request.data,
+        value: request.value || 0n,
+        nonce,
+        ...this.typeFor(fees),
+        ...fees
+      });
+      tx = await this.signer.sendTransaction(populated);
+    } catch (error) {
+      if (isNonceError(error) && !retried) {
+        this.nextNonce = null;
+        return this.submit(label, request, true);
+      }
+      throw error;
+    }
+
+    this.nextNonce = nonce + 1;
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      label,
+      from: this.address,
+      nonce,
+      status: 'pending',
+      request: {
+        to: populated.to,
+        data: populated.data,
+        value: (populated.value || 0n).toString(),
+        gasLimit: populated.gasLimit.toString(),
+        chainId: populated.chainId.toString()
+      },
+      attempts: [{ kind: 'original', hash: tx.hash, fees: serializeFees(fees), submittedAt: now }],
+      hash: tx.hash,
+      replacements: 0,
+      cancelling: false,
+      submittedAt: now,
+      lastSubmittedAt: now,
+      settledAt: null,
+      blockNumber: null,
+      error: null
+    };
+
+    this.transactions.set(entry.id, entry);
+    this.createWaiter(entry.id);
+    this.persist();
+    this.schedule();
+    return entry;
+  }
+
+  createWaiter(id) {
+    const waiter = {};
+    waiter.promise = new Promise((resolve, reject) => {
+      waiter.resolve = resolve;
+      waiter.reject = reject;
+    });
+    this.waiters.set(id, waiter);
+  }
+
+  // Gas policy
+  typeFor(fees) {
+    return fees.gasPrice !== undefined ? { type: 0 } : { type: 2 };
+  }
+
+  // Fixed gas price if TX_GAS_PRICE_GWEI is set; otherwise network fees scaled by
+  // TX_FEE_MULTIPLIER_PERCENT, as EIP-1559 fees when the strategy (or, for `auto`,
+  // the network) supports them. All fees are capped at TX_MAX_FEE_GWEI.
+  async getFees() {
+    if (this.gasPrice) {
+      return { gasPrice: this.capFee(this.gasPrice) };
+    }
+
+    const feeData = await this.provider.getFeeData();
+    const scale = (value) => (value * this.feeMultiplier) / 100n;
+    const useEip1559 = this.gasStrategy === 'eip1559' ||
+      (this.gasStrategy === 'auto' && feeData.maxFeePerGas != null);
+
+    if (!useEip1559) {
+      return { gasPrice: this.capFee(scale(feeData.gasPrice)) };
+    }
+
+    const networkPriority = feeData.maxPriorityFeePerGas != null ? feeData.maxPriorityFeePerGas : 0n;
+    const priority = this.priorityFee !== null ? this.priorityFee : networkPriority;
+    const baseMaxFee = feeData.maxFeePerGas != null ? feeData.maxFeePerGas : feeData.gasPrice;
+    const maxFeePerGas = this.capFee(scale(baseMaxFee - networkPriority + priority));
+
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: minBigInt(priority, maxFeePerGas)
+    };
+  }
+
+  capFee(value) {
+    return this.maxFee ? minBigInt(value, this.maxFee) : value;
+  }
+
+  // Replacement fees must beat the previous attempt by the bump percentage (nodes
+  // require at least 10%) and keep up with current network fees. Returns null if
+  // that would exceed TX_MAX_FEE_GWEI.
+  async getReplacementFees(previousFees) {
+    const previous = parseFees(previousFees);
+    const current = await this.getFees();
+    const bumped = {};
+
+    for (const field of FEE_FIELDS.filter(name => previous[name] !== undefined)) {
+      const minimum = (previous[field] * (100n + this.bumpPercent) + 99n) / 100n;
+      bumped[field] = maxBigInt(minimum, current[field] || 0n);
+      if (this.maxFee && bumped[field] > this.maxFee) {
+        return null;
+      }
+    }
+    return bumped;
+  }
+
+  // Replacement
+  // Re-broadcast a pending transaction (or its cancellation) with the same nonce and bumped fees
+  async speedUp(id) {
+    const entry = this.transactions.get(id);
+    if (!entry || entry.status !== 'pending') {
+      return null;
+    }
+
+    const last = entry.attempts[entry.attempts.length - 1];
+    const kind = entry.cancelling ? 'cancel' : 'replacement';
+    const request = entry.cancelling ? this.cancelRequest() : entry.request;
+    return this.rebroadcast(entry, kind, request, last.fees);
+  }
+
+  // Replace a pending transaction with a zero-value transfer to ourselves at the same nonce
+  async cancel(id) {
+    const entry = this.transactions.get(id);
+    if (!entry || entry.status !== 'pending') {
+      return null;
+    }
+
+    const last = entry.attempts[entry.attempts.length - 1];
+    return this.rebroadcast(entry, 'cancel', this.cancelRequest(), last.fees);
+  }
+
+  cancelRequest() {
+    return { to: this.address, data: '0x', value: '0', gasLimit: '21000' };
+  }
+
+  async rebroadcast(entry, kind, request, previousFees) {
+    const fees = await this.getReplacementFees(previousFees);
+    if (!fees) {
+      throw transactionError('Replacement fees would exceed TX_MAX_FEE_GWEI', 'REPLACEMENT_UNDERPRICED');
+    }
+
+    const tx = await this.signer.sendTransaction({
+      to: request.to,
+      data: request.data,
+      value: BigInt(request.value),
+      gasLimit: BigInt(request.gasLimit),
+      chainId: BigInt(entry.request.chainId),
+      nonce: entry.nonce,
+      ...this.typeFor(fees),
+      ...fees
+    });
+
+    const now = new Date().toISOString();
+    entry.attempts.push({ kind, hash: tx.hash, fees: serializeFees(fees), submittedAt: now });
+    entry.hash = tx.hash;
+    entry.lastSubmittedAt = now;
+    if (kind === 'cancel') {
+      entry.cancelling = true;
+    } else {
+      entry.replacements++;
+    }
+
+    log.info(kind === 'cancel' ? 'Cancelled transaction' : 'Sped up transaction', {
+      transactionId: entry.id,
+      method: entry.label,
+      nonce: entry.nonce,
+      txHash: tx.hash
+    });
+    this.persist();
+    return this.describe(entry);
+  }
+
+  // Tracking
+  schedule() {
+    if (this.timer || this.getPending().length === 0) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll();
+      this.schedule();
+    }, this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Check every pending transaction once: settle mined ones, fail ones whose nonce was
+  // used by another transaction, and speed up or cancel stuck ones
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const pending = this.getPending();
+      if (pending.length === 0) {
+        return;
+      }
+
+      const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+      for (const entry of pending) {
+        try {
+          await this.check(entry, minedNonce);
+        } catch (error) {
+          log.error('Error checking transaction', { transactionId: entry.id, error });
+        }
+      }
+    } catch (error) {
+      log.error('Error polling pending transactions', { error });
+    } finally {
+      this.polling = false;
+      this.persist();
+    }
+  }
+
+  async check(entry, minedNonce) {
+    // Newest attempt first: it is the most likely to have been mined
+    for (const attempt of [...entry.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return this.settle(entry, attempt, receipt);
+      }
+    }
+
+    if (minedNonce > entry.nonce) {
+      return this.finish(entry, 'dropped', null,
+        transactionError(`Nonce ${entry.nonce} was used by another transaction`, 'NONCE_EXPIRED'));
+    }
+
+    if (Date.now() - new Date(entry.lastSubmittedAt).getTime() < this.stuckAfterMs) {
+      return null;
+    }
+
+    if (entry.cancelling || entry.replacements < this.maxReplacements) {
+      return this.speedUp(entry.id);
+    }
+    if (this.cancelStuck) {
+      return this.cancel(entry.id);
+    }
+    return null;
+  }
+
+  settle(entry, attempt, receipt) {
+    entry.hash = attempt.hash;
+    entry.blockNumber = receipt.blockNumber;
+
+    if (attempt.kind === 'cancel') {
+      return this.finish(entry, 'cancelled', receipt,
+        transactionError('Transaction was cancelled after getting stuck', 'TRANSACTION_REPLACED', { cancelled: true, receipt }));
+    }
+    if (receipt.status === 0) {
+      return this.finish(entry, 'failed', receipt,
+        transactionError('Transaction reverted', 'CALL_EXCEPTION', { receipt }));
+    }
+    return this.finish(entry, 'mined', receipt);
+  }
+
+  finish(entry, status, receipt, error = null) {
+    entry.status = status;
+    entry.settledAt = new Date().toISOString();
+    entry.error = error ? error.message : null;
+
+    // A dropped nonce means the chain moved on without us; resync before the next send
+    if (status === 'dropped') {
+      this.nextNonce = null;
+    }
+
+    const waiter = this.waiters.get(entry.id);
+    if (waiter) {
+      this.waiters.delete(entry.id);
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve(receipt);
+      }
+    }
+    this.prune();
+    return this.describe(entry);
+  }
+
+  // Queries
+  getPending() {
+    return [...this.transactions.values()].filter(entry => entry.status === 'pending');
+  }
+
+  getTransaction(id) {
+    const entry = this.transactions.get(id);
+    return entry ? this.describe(entry) : null;
+  }
+
+  listTransactions({ status } = {}) {
+    return [...this.transactions.values()]
+      .filter(entry => !status || entry.status === status)
+      .map(entry => this.describe(entry))
+      .reverse();
+  }
+
+  describe(entry) {
+    const { request, ...rest } = entry;
+    return { ...rest, to: request.to };
+  }
+
+  // Keep every pending transaction and the most recent settled ones
+  prune() {
+    const settled = [...this.transactions.values()].filter(entry => entry.status !== 'pending');
+    settled.slice(0, Math.max(0, settled.length - HISTORY_LIMIT))
+      .forEach(entry => this.transactions.delete(entry.id));
+  }
+
+  // Persistence
+  // The store holds one signer's transactions; entries from another address are ignored
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      store.transactions
+        .filter(entry => entry.from.toLowerCase() === this.address.toLowerCase())
+        .forEach(entry => this.transactions.set(entry.id, entry));
+    } catch (error) {
+      log.error('Error loading transaction store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: STORE_VERSION, transactions: [...this.transactions.values()] }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting transaction store', { error });
+    }
+  }
+}
+
+module.exports = {
+  TransactionManager
+};
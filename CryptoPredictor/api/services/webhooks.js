@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const predictionIndexer = require('./indexer');
+const log = require('./logger').child({ component: 'webhooks' });
+
+// Prediction lifecycle events webhooks can subscribe to
+const WEBHOOK_EVENTS = ['prediction.created', 'prediction.matured', 'prediction.resolved'];
+
+const STORE_VERSION = 1;
+const SECRET_PREFIX = 'whsec';
+
+// Delivers prediction lifecycle events to registered HTTP endpoints. Created and
+// resolved events come from the contract events the indexer decodes; matured events
+// from a periodic check for predictions whose target timestamp has passed. Failed
+// deliveries are retried with exponential backoff and end up as dead letters.
+class WebhookService {
+  constructor() {
+    this.storePath = process.env.WEBHOOK_STORE_PATH || path.join(__dirname, '..', 'data', 'webhooks.json');
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+    this.retryMaxMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000');
+    this.maturityIntervalMs = parseInt(process.env.WEBHOOK_MATURITY_INTERVAL_MS || '60000');
+    this.historyLimit = parseInt(process.env.WEBHOOK_DELIVERY_HISTORY || '1000');
+    this.events = WEBHOOK_EVENTS;
+    this.webhooks = new Map();
+    this.deliveries = new Map();
+    this.lastMaturityCheck = null;
+    // Position of the last contract event handled, as { blockNumber, logIndex };
+    // a null logIndex covers the whole block
+    this.eventCursor = null;
+    this.retryTimer = null;
+    this.maturityTimer = null;
+    this.running = false;
+    this.onIndexedEvent = (event) => {
+      if (!this.isNewEvent(event)) {
+        return;
+      }
+
+      this.eventCursor = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+      const notification = this.fromContractEvent(event);
+      if (notification) {
+        this.notify(notification.type, notification.data).catch(error =>
+          log.error('Error dispatching webhooks', { error }));
+      } else {
+        this.persist();
+      }
+    };
+    this.load();
+  }
+
+  // Lifecycle
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    if (this.lastMaturityCheck === null) {
+      this.lastMaturityCheck = Math.floor(Date.now() / 1000);
+    }
+    predictionIndexer.on('event', this.onIndexedEvent);
+    this.scheduleMaturityCheck();
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    predictionIndexer.off('event', this.onIndexedEvent);
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.maturityTimer);
+    this.retryTimer = null;
+    this.maturityTimer = null;
+  }
+
+  // Webhooks
+  createWebhook({ url, events, filters = {}, description = null }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const now = new Date().toISOString();
+    const webhook = {
+      id,
+      url,
+      description,
+      events,
+      filters: this.normalizeFilters(filters),
+      secret: `${SECRET_PREFIX}_${crypto.randomBytes(24).toString('base64url')}`,
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.webhooks.set(id, webhook);
+    this.persist();
+    return { webhook: this.describe(webhook), secret: webhook.secret };
+  }
+
+  updateWebhook(id, changes) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      return null;
+    }
+
+    Object.assign(webhook, changes, {
+      ...(changes.filters ? { filters: this.normalizeFilters(changes.filters) } : {}),
+      updatedAt: new Date().toISOString()
+    });
+    this.persist();
+    return this.describe(webhook);
+  }
+
+  // New deliveries are signed with the new secret right away
+  rotateSecret(id) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      return null;
+    }
+
+    webhook.secret = `${SECRET_PREFIX}_${crypto.randomBytes(24).toString('base64url')}`;
+    webhook.updatedAt = new Date().toISOString();
+    this.persist();
+    return { webhook: this.describe(webhook), secret: webhook.secret };
+  }
+
+  // Removes the webhook and drops its pending deliveries; history is kept
+  deleteWebhook(id) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      return null;
+    }
+
+    this.webhooks.delete(id);
+    [...this.deliveries.values()]
+      .filter(delivery => delivery.webhookId === id && delivery.status === 'pending')
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+    this.persist();
+    return this.describe(webhook);
+  }
+
+  getWebhook(id) {
+    const webhook = this.webhooks.get(id);
+    return webhook ? this.describe(webhook) : null;
+  }
+
+  listWebhooks() {
+    return [...this.webhooks.values()].map(webhook => this.describe(webhook));
+  }
+
+  describe(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, filters: { ...rest.filters }, events: [...rest.events] };
+  }
+
+  normalizeFilters({ symbols = [], users = [], models = [] }) {
+    return {
+      symbols: symbols.map(symbol => symbol.toUpperCase()),
+      users: users.map(user => user.toLowerCase()),
+      models
+    };
+  }
+
+  // A prediction matches when every non-empty filter contains its value
+  matches(webhook, type, data) {
+    const { symbols, users, models } = webhook.filters;
+    return webhook.active &&
+      webhook.events.includes(type) &&
+      (symbols.length === 0 || symbols.includes(String(data.cryptocurrency).toUpperCase())) &&
+      (users.length === 0 || users.includes(String(data.predictor).toLowerCase())) &&
+      (models.length === 0 || models.includes(data.modelType));
+  }
+
+  // Events
+  // The indexer replays the chain from its start block when its store is new or doesn't
+  // match, and after a reorg. Events at or before the cursor were handled already; with no
+  // cursor yet, only events that arrive once the index has caught up are live.
+  isNewEvent(event) {
+    const cursor = this.eventCursor;
+    if (cursor === null) {
+      return predictionIndexer.isReady() && Number.isInteger(event.blockNumber);
+    }
+    return event.blockNumber > cursor.blockNumber ||
+      (event.blockNumber === cursor.blockNumber && cursor.logIndex !== null && event.logIndex > cursor.logIndex);
+  }
+
+  // Every event up to the indexed block has been seen once the index is ready
+  advanceEventCursor() {
+    const blockNumber = predictionIndexer.lastIndexedBlock;
+    if (predictionIndexer.isReady() && blockNumber >= 0 &&
+        (this.eventCursor === null || blockNumber > this.eventCursor.blockNumber)) {
+      this.eventCursor = { blockNumber, logIndex: null };
+    }
+  }
+
+  // Map an indexed contract event to a webhook notification. Resolutions only carry the
+  // prediction ID, so the rest of the prediction comes from the index.
+  fromContractEvent(event) {
+    const source = { blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+
+    if (event.name === 'PredictionMade') {
+      return { type: 'prediction.created', data: { ...event.args, ...source } };
+    }
+
+    if (event.name === 'PredictionResolved') {
+      const prediction = predictionIndexer.predictions.get(event.args.predictionId) || {};
+      return {
+        type: 'prediction.resolved',
+        data: {
+          predictionId: event.args.predictionId,
+          predictor: event.args.predictor,
+          cryptocurrency: prediction.cryptocurrency,
+          modelType: prediction.modelType,
+          currentPrice: prediction.currentPrice,
+          predictedPrice: prediction.predictedPrice,
+          targetTimestamp: prediction.targetTimestamp,
+          actualPrice: event.args.actualPrice,
+          wasAccurate: event.args.wasAccurate,
+          accuracyPercentage: event.args.accuracyPercentage,
+          ...source
+        }
+      };
+    }
+
+    return null;
+  }
+
+  // Notify about predictions that matured since the last check. Skipped until the index
+  // has caught up so a restart doesn't replay maturities from the whole chain history.
+  async checkMaturity(now = Math.floor(Date.now() / 1000)) {
+    if (!predictionIndexer.isReady()) {
+      return 0;
+    }
+
+    const since = this.lastMaturityCheck === null ? now : this.lastMaturityCheck;
+    const matured = (await predictionIndexer.getMaturedPredictions(now))
+      .filter(prediction => parseInt(prediction.targetTimestamp) > since);
+
+    this.lastMaturityCheck = now;
+    this.advanceEventCursor();
+    this.persist();
+
+    await Promise.all(matured.map(prediction => {
+      const { id, isResolved, actualPrice, wasAccurate, accuracyPercentage, ...fields } = prediction;
+      return this.notify('prediction.matured', { predictionId: id, ...fields });
+    }));
+    return matured.length;
+  }
+
+  scheduleMaturityCheck() {
+    this.maturityTimer = setTimeout(async () => {
+      try {
+        await this.checkMaturity();
+      } catch (error) {
+        log.error('Error checking matured predictions', { error });
+      }
+
+      if (this.running) {
+        this.scheduleMaturityCheck();
+      }
+    }, this.maturityIntervalMs);
+    this.maturityTimer.unref();
+  }
+
+  // Deliveries
+  // Sign `${timestamp}.${body}` so receivers can check both the payload and its age
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Queue a delivery for every matching webhook and make the first attempt
+  async notify(type, data) {
+    const deliveries = [...this.webhooks.values()]
+      .filter(webhook => this.matches(webhook, type, data))
+      .map(webhook => this.enqueue(webhook, type, data));
+
+    if (deliveries.length === 0) {
+      return [];
+    }
+
+    this.prune();
+    this.persist();
+    await Promise.all(deliveries.map(delivery => this.attempt(delivery)));
+    return deliveries.map(delivery => this.describeDelivery(delivery));
+  }
+
+  enqueue(webhook, type, data) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event: type,
+      payload: { id, type, createdAt: now, data },
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: now,
+      deliveredAt: null,
+      createdAt: now
+    };
+
+    this.deliveries.set(id, delivery);
+    return delivery;
+  }
+
+  // POST the payload once. 2xx responses count as delivered; anything else is retried
+  // after retryBaseMs * 2^(attempt - 1), capped at retryMaxMs, until maxAttempts.
+  async attempt(delivery) {
+    const webhook = this.webhooks.get(delivery.webhookId);
+    if (!webhook || delivery.status !== 'pending') {
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+    // Claimed until the request settles so the retry timer doesn't send it twice
+    delivery.nextAttemptAt = null;
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CryptoPredictor-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        // Keep the response as-is and decide on the status code below
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+      record.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        record.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.code || error.message;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = record.at;
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'dead';
+    } else {
+      const delay = Math.min(this.retryBaseMs * 2 ** (delivery.attempts.length - 1), this.retryMaxMs);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    }
+
+    this.persist();
+    if (delivery.status === 'pending' && this.running) {
+      this.schedule();
+    }
+  }
+
+  // Attempt every pending delivery that is due
+  async processDue(now = Date.now()) {
+    const due = [...this.deliveries.values()].filter(delivery =>
+      delivery.status === 'pending' && delivery.nextAttemptAt && new Date(delivery.nextAttemptAt).getTime() <= now);
+
+    await Promise.all(due.map(delivery => this.attempt(delivery)));
+    return due.length;
+  }
+
+  // Wake up for the earliest pending retry
+  schedule() {
+    const next = [...this.deliveries.values()]
+      .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt)
+      .reduce((earliest, delivery) => Math.min(earliest, new Date(delivery.nextAttemptAt).getTime()), Infinity);
+
+    if (next === Infinity) {
+      return;
+    }
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      try {
+        await this.processDue();
+      } catch (error) {
+        log.error('Error retrying webhook deliveries', { error });
+      }
+      if (this.running) {
+        this.schedule();
+      }
+    }, Math.max(0, next - Date.now()));
+    this.retryTimer.unref();
+  }
+
+  // Attempt a dead (or delivered) delivery again now. Earlier attempts are kept, so a
+  // dead letter that fails again stays dead.
+  async redeliver(id) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery || delivery.status === 'pending' || !this.webhooks.has(delivery.webhookId)) {
+      return null;
+    }
+
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date().toISOString();
+    await this.attempt(delivery);
+    return this.describeDelivery(delivery);
+  }
+
+  getDeliveries(webhookId, { status, limit = 50 } = {}) {
+    return [...this.deliveries.values()]
+      .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+      .reverse()
+      .slice(0, limit)
+      .map(delivery => this.describeDelivery(delivery));
+  }
+
+  getDeadLetters({ webhookId, limit = 50 } = {}) {
+    return this.getDeliveries(webhookId, { status: 'dead', limit });
+  }
+
+  describeDelivery(delivery) {
+    return { ...delivery, attempts: delivery.attempts.map(attempt => ({ ...attempt })) };
+  }
+
+  // Drop the oldest settled deliveries over the history limit; pending ones are kept
+  prune() {
+    let excess = this.deliveries.size - this.historyLimit;
+    for (const delivery of [...this.deliveries.values()]) {
+      if (excess <= 0) {
+        break;
+      }
+      if (delivery.status !== 'pending') {
+        this.deliveries.delete(delivery.id);
+        excess--;
+      }
+    }
+  }
+
+  // Persistence
+  // Deliveries that were in flight when the process stopped are retried right away
+  load() {
+    try {
+      if (!this.storePath || !fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (store.version !== STORE_VERSION) {
+        return;
+      }
+
+      store.webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+      store.deliveries.forEach(delivery => {
+        if (delivery.status === 'pending' && !delivery.nextAttemptAt) {
+          delivery.nextAttemptAt = new Date().toISOString();
+        }
+        this.deliveries.set(delivery.id, delivery);
+      });
+      this.lastMaturityCheck = store.lastMaturityCheck;
+      this.eventCursor = store.eventCursor || null;
+    } catch (error) {
+      log.error('Error loading webhook store', { error });
+    }
+  }
+
+  persist() {
+    if (!this.storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        version: STORE_VERSION,
+        lastMaturityCheck: this.lastMaturityCheck,
+        eventCursor: this.eventCursor,
+        webhooks: [...this.webhooks.values()],
+        deliveries: [...this.deliveries.values()]
+      }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      log.error('Error persisting webhook store', { error });
+    }
+  }
+}
+
+module.exports = new WebhookService();
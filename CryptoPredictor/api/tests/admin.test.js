@@ -26,7 +26,7 @@ describe('Admin API', () => {
 
       for (const endpoint of endpoints) {
         const response = await request(app)[endpoint.method](endpoint.path)
-          .expect(403);
+          .expect(401);
 
         expect(response.body.success).toBe(false);
         expect(response.body.error).toBe('Admin privileges required');
@@ -46,7 +46,7 @@ describe('Admin API', () => {
       const response = await request(app)
         .get('/api/admin/contract-info')
         .set('x-admin-key', 'invalid-key')
-        .expect(403);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Admin privileges required');
@@ -294,7 +294,7 @@ describe('Admin API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Predictions array is required and must not be empty');
+      expect(response.body.error).toBe('Validation Error');
     });
 
     it('should require predictions field', async () => {
@@ -305,7 +305,7 @@ describe('Admin API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Predictions array is required and must not be empty');
+      expect(response.body.error).toBe('Validation Error');
     });
 
     it('should handle mixed valid and invalid predictions', async () => {
@@ -328,6 +328,50 @@ describe('Admin API', () => {
     });
   });
 
+  describe('Transactions', () => {
+    it('should list transactions sent by the server signer', async () => {
+      const response = await request(app)
+        .get('/api/admin/transactions?status=pending')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ id: 'tx-1', nonce: 7, status: 'pending' });
+      expect(response.body.meta).toEqual({ total: 1, pending: 1 });
+    });
+
+    it('should reject an unknown status filter', async () => {
+      await request(app)
+        .get('/api/admin/transactions?status=stuck')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(400);
+    });
+
+    it('should speed up a pending transaction', async () => {
+      const response = await request(app)
+        .post('/api/admin/transactions/tx-1/speed-up')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ replacements: 1, txHash: '0xyza567' });
+    });
+
+    it('should cancel a pending transaction', async () => {
+      const response = await request(app)
+        .post('/api/admin/transactions/tx-1/cancel')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ cancelling: true, txHash: '0xbcd890' });
+    });
+
+    it('should return 404 for unknown transactions', async () => {
+      await request(app)
+        .post('/api/admin/transactions/missing/cancel')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(404);
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle blockchain service errors', async () => {
       // Test case where blockchain service might fail
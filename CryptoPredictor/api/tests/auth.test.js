@@ -0,0 +1,258 @@
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../routes/admin');
+const adminAuth = require('../services/adminAuth');
+const blockchainService = require('../services/blockchain');
+
+describe('Admin Authentication', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+  });
+
+  beforeEach(() => {
+    adminAuth.keys = new Map();
+    adminAuth.auditLog = [];
+  });
+
+  const createKey = async (body) => {
+    const response = await request(app)
+      .post('/api/admin/keys')
+      .set('x-admin-key', 'test-admin-key')
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  describe('POST /api/admin/keys', () => {
+    it('should create a named key and return its secret once', async () => {
+      const key = await createKey({ name: 'ops-alice', scopes: ['threshold:write'], expiresInDays: 30 });
+
+      expect(key).toMatchObject({ name: 'ops-alice', scopes: ['threshold:write'], active: true });
+      expect(key.secret).toMatch(/^cpk_/);
+      expect(key.hash).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/admin/keys')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      const listed = list.body.data.find(entry => entry.id === key.id);
+      expect(listed.name).toBe('ops-alice');
+      expect(listed.secret).toBeUndefined();
+      expect(listed.hash).toBeUndefined();
+    });
+
+    it('should reject unknown scopes', async () => {
+      await request(app)
+        .post('/api/admin/keys')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ name: 'bad', scopes: ['everything'] })
+        .expect(400);
+    });
+
+    it('should not let a key grant scopes it does not hold', async () => {
+      const { secret } = await createKey({ name: 'key-admin', scopes: ['keys:manage'] });
+
+      const response = await request(app)
+        .post('/api/admin/keys')
+        .set('x-admin-key', secret)
+        .send({ name: 'root', scopes: ['*'] })
+        .expect(403);
+
+      expect(response.body).toMatchObject({ success: false, scopes: ['*'] });
+
+      await request(app)
+        .post('/api/admin/keys')
+        .set('x-admin-key', secret)
+        .send({ name: 'pauser', scopes: ['keys:manage', 'contract:pause'] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/admin/keys')
+        .set('x-admin-key', secret)
+        .send({ name: 'key-admin-2', scopes: ['keys:manage'] })
+        .expect(201);
+
+      expect(adminAuth.listKeys().map(key => key.name)).not.toContain('root');
+    });
+
+    it('should not let a key rotate a key with scopes it does not hold', async () => {
+      const { secret } = await createKey({ name: 'key-admin', scopes: ['keys:manage'] });
+      const root = await createKey({ name: 'root', scopes: ['*'] });
+
+      await request(app)
+        .post(`/api/admin/keys/${root.id}/rotate`)
+        .set('x-admin-key', secret)
+        .expect(403);
+
+      expect(adminAuth.getKey(root.id).expiresAt).toBeNull();
+    });
+  });
+
+  describe('Scopes', () => {
+    it('should allow actions within the key scopes', async () => {
+      const { secret } = await createKey({ name: 'ops-alice', scopes: ['threshold:write'] });
+
+      await request(app)
+        .put('/api/admin/accuracy-threshold')
+        .set('Authorization', `Bearer ${secret}`)
+        .send({ threshold: 600 })
+        .expect(200);
+    });
+
+    it('should reject actions outside the key scopes', async () => {
+      const { secret } = await createKey({ name: 'ops-alice', scopes: ['threshold:write'] });
+
+      const response = await request(app)
+        .post('/api/admin/pause')
+        .set('x-admin-key', secret)
+        .expect(403);
+
+      expect(response.body).toMatchObject({ error: 'Insufficient scope', requiredScope: 'contract:pause' });
+      expect(blockchainService.pauseContract).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown keys', async () => {
+      await request(app)
+        .get('/api/admin/contract-info')
+        .set('x-admin-key', 'cpk_unknown')
+        .expect(401);
+    });
+  });
+
+  describe('Expiry and rotation', () => {
+    it('should reject expired keys', async () => {
+      const { id, secret } = await createKey({ name: 'temp', scopes: ['admin:read'] });
+      adminAuth.keys.get(id).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      await request(app)
+        .get('/api/admin/contract-info')
+        .set('x-admin-key', secret)
+        .expect(401);
+    });
+
+    it('should rotate a key and keep the old one valid for the grace period', async () => {
+      const old = await createKey({ name: 'ops-bob', scopes: ['admin:read'] });
+
+      const response = await request(app)
+        .post(`/api/admin/keys/${old.id}/rotate`)
+        .set('x-admin-key', 'test-admin-key')
+        .send({ gracePeriod: 60 })
+        .expect(200);
+
+      const rotated = response.body.data;
+      expect(rotated).toMatchObject({ name: 'ops-bob', scopes: ['admin:read'], rotatedFrom: old.id });
+      expect(new Date(rotated.previous.expiresAt).getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+
+      await request(app).get('/api/admin/contract-info').set('x-admin-key', rotated.secret).expect(200);
+      await request(app).get('/api/admin/contract-info').set('x-admin-key', old.secret).expect(200);
+
+      adminAuth.keys.get(old.id).expiresAt = new Date(Date.now() - 1).toISOString();
+      await request(app).get('/api/admin/contract-info').set('x-admin-key', old.secret).expect(401);
+    });
+
+    it('should revoke a key immediately', async () => {
+      const { id, secret } = await createKey({ name: 'ops-carol', scopes: ['admin:read'] });
+
+      await request(app)
+        .delete(`/api/admin/keys/${id}`)
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      await request(app)
+        .get('/api/admin/contract-info')
+        .set('x-admin-key', secret)
+        .expect(401);
+    });
+
+    it('should return 404 when rotating an unknown key', async () => {
+      await request(app)
+        .post('/api/admin/keys/missing/rotate')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should record admin actions with the operator and tx hash', async () => {
+      const { secret } = await createKey({ name: 'ops-alice', scopes: ['threshold:write'] });
+
+      await request(app)
+        .put('/api/admin/accuracy-threshold')
+        .set('x-admin-key', secret)
+        .send({ threshold: 600 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/audit?operator=ops-alice')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.meta.total).toBe(1);
+      expect(response.body.data[0]).toMatchObject({
+        action: 'threshold.update',
+        operator: { name: 'ops-alice', scopes: ['threshold:write'] },
+        method: 'PUT',
+        path: '/api/admin/accuracy-threshold',
+        body: { threshold: 600 },
+        status: 200,
+        success: true,
+        txHash: '0xghi789'
+      });
+    });
+
+    it('should record failed actions', async () => {
+      await request(app)
+        .put('/api/admin/accuracy-threshold')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ threshold: 20000 })
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/admin/audit?action=threshold.update')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ status: 400, success: false, error: 'Validation Error', txHash: null });
+    });
+
+    it('should filter by time and newest first', async () => {
+      await request(app).post('/api/admin/pause').set('x-admin-key', 'test-admin-key').expect(200);
+      await request(app).post('/api/admin/unpause').set('x-admin-key', 'test-admin-key').expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/audit?limit=1')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.meta).toMatchObject({ total: 2, count: 1 });
+      expect(response.body.data[0].action).toBe('contract.unpause');
+
+      const future = await request(app)
+        .get(`/api/admin/audit?since=${new Date(Date.now() + 60000).toISOString()}`)
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+      expect(future.body.data).toHaveLength(0);
+    });
+
+    it('should not log key secrets', async () => {
+      await createKey({ name: 'ops-dave', scopes: ['admin:read'] });
+
+      const [entry] = adminAuth.getAudit({ action: 'keys.create' }).entries;
+      expect(JSON.stringify(entry)).not.toMatch(/cpk_/);
+    });
+
+    it('should require the audit:read scope', async () => {
+      const { secret } = await createKey({ name: 'ops-alice', scopes: ['threshold:write'] });
+
+      await request(app)
+        .get('/api/admin/audit')
+        .set('x-admin-key', secret)
+        .expect(403);
+    });
+  });
+});
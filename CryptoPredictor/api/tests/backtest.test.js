@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const modelRoutes = require('../routes/models');
+const blockchainService = require('../services/blockchain');
+const priceHistory = require('../services/priceHistory');
+const backtestService = require('../services/backtest');
+
+const BASE = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Steady uptrend: close = 100 + i
+const seedTrend = (count = 30) => {
+  priceHistory.upsertCandles('BTC', '1h', Array.from({ length: count }, (_, i) => ({
+    timestamp: BASE + i * HOUR,
+    close: 100 + i
+  })));
+};
+
+describe('Backtest API', () => {
+  let app;
+
+  beforeAll(() => {
+    priceHistory.storePath = null;
+    app = express();
+    app.use(express.json());
+    app.use('/api/models', modelRoutes);
+  });
+
+  beforeEach(() => {
+    priceHistory.series = new Map();
+    seedTrend();
+  });
+
+  describe('calculateAccuracy', () => {
+    it('should match PredictionLogger.calculateAccuracy', () => {
+      expect(backtestService.calculateAccuracy(100, 100)).toBe(10000);
+      expect(backtestService.calculateAccuracy(110, 100)).toBe(9000);
+      expect(backtestService.calculateAccuracy(95, 100)).toBe(9500);
+      expect(backtestService.calculateAccuracy(100, 103)).toBe(9709);
+      expect(backtestService.calculateAccuracy(300, 100)).toBe(0);
+    });
+  });
+
+  describe('GET /api/models/forecasting', () => {
+    it('should list the registered forecasting models', async () => {
+      const response = await request(app)
+        .get('/api/models/forecasting')
+        .expect(200);
+
+      const ids = response.body.data.map(model => model.id);
+      expect(ids).toEqual(expect.arrayContaining(['moving-average', 'linear-regression', 'naive']));
+      expect(response.body.data[0].parameters.horizon).toMatchObject({ default: 1, min: 1 });
+    });
+  });
+
+  describe('GET /api/models/:modelType/backtest', () => {
+    it('should score a naive forecast walk-forward', async () => {
+      const response = await request(app)
+        .get('/api/models/naive/backtest?symbol=btc&window=10&horizon=2')
+        .expect(200);
+
+      const result = response.body.data;
+      expect(result).toMatchObject({
+        symbol: 'BTC',
+        interval: '1h',
+        horizon: 2,
+        window: 10,
+        accuracyThreshold: 7500,
+        thresholdSource: 'contract'
+      });
+      expect(result.metrics.forecasts).toBe(19);
+      expect(result.metrics.mae).toBeCloseTo(2);
+      expect(result.metrics.rmse).toBeCloseTo(2);
+      expect(result.metrics.directionalHitRate).toBe(0);
+      expect(result.metrics.accuracyRate).toBe(100);
+      // Random-walk steps of 1 over two candles: only the 95% interval reaches the +2 move
+      expect(result.metrics.intervalCoverage).toEqual([
+        { level: 0.5, coverage: 0 },
+        { level: 0.8, coverage: 0 },
+        { level: 0.95, coverage: 100 }
+      ]);
+      expect(result.period.from).toBe(new Date(BASE + 9 * HOUR).toISOString());
+      expect(result.forecasts).toBeUndefined();
+    });
+
+    it('should track a linear trend with linear regression', async () => {
+      const response = await request(app)
+        .get('/api/models/linear-regression/backtest?symbol=BTC&window=10&params={"window":5}&includeForecasts=true')
+        .expect(200);
+
+      const { metrics, forecasts } = response.body.data;
+      expect(metrics.mae).toBeCloseTo(0, 6);
+      expect(metrics.directionalHitRate).toBe(100);
+      expect(forecasts).toHaveLength(20);
+      expect(forecasts[0]).toMatchObject({ currentPrice: 109, actualPrice: 110, accuracyPercentage: 10000, wasAccurate: true });
+    });
+
+    it('should use the threshold override', async () => {
+      const response = await request(app)
+        .get('/api/models/naive/backtest?symbol=BTC&window=10&threshold=0')
+        .expect(200);
+
+      expect(response.body.data.thresholdSource).toBe('query');
+      expect(response.body.data.metrics.accuracyRate).toBe(0);
+    });
+
+    it('should fall back to the default threshold when the contract is unavailable', async () => {
+      blockchainService.getAccuracyThreshold.mockRejectedValueOnce(new Error('RPC down'));
+
+      const response = await request(app)
+        .get('/api/models/naive/backtest?symbol=BTC&window=10')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ accuracyThreshold: 500, thresholdSource: 'default' });
+    });
+
+    it('should apply stride and time bounds', async () => {
+      const from = (BASE + 10 * HOUR) / 1000;
+      const response = await request(app)
+        .get(`/api/models/naive/backtest?symbol=BTC&window=5&stride=5&from=${from}`)
+        .expect(200);
+
+      expect(response.body.data.period.candles).toBe(20);
+      expect(response.body.data.metrics.forecasts).toBe(3);
+    });
+
+    it('should return 404 for an unknown model', async () => {
+      const response = await request(app)
+        .get('/api/models/crystal-ball/backtest?symbol=BTC')
+        .expect(404);
+
+      expect(response.body.available).toContain('naive');
+    });
+
+    it('should require a symbol', async () => {
+      const response = await request(app)
+        .get('/api/models/naive/backtest')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    it('should reject a window smaller than the model needs', async () => {
+      const response = await request(app)
+        .get('/api/models/moving-average/backtest?symbol=BTC&window=5')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid Model Parameters');
+    });
+
+    it('should reject invalid model parameters', async () => {
+      await request(app)
+        .get('/api/models/moving-average/backtest?symbol=BTC&params={"shortPeriod":20,"longPeriod":10}&window=20')
+        .expect(400);
+    });
+
+    it('should return 422 when there is not enough price history', async () => {
+      const response = await request(app)
+        .get('/api/models/naive/backtest?symbol=BTC&window=30')
+        .expect(422);
+
+      expect(response.body.error).toBe('Insufficient Price History');
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const { ethers } = require('ethers');
 const blockchainService = require('../services/blockchain');
 
 describe('Blockchain Service', () => {
@@ -18,6 +19,8 @@ describe('Blockchain Service', () => {
         'getUserStats',
         'getUserModelTypeCount',
         'getUserCryptoCount',
+        'getStatsVersion',
+        'getModelStats',
         'getModelAccuracyRate',
         'getModelAverageAccuracy',
         'calculateAccuracy',
@@ -245,4 +248,228 @@ describe('Blockchain Service', () => {
       expect(true).toBe(true);
     });
   });
+
+  describe('Resolution receipts', () => {
+    const { constructor: BlockchainService } = jest.requireActual('../services/blockchain');
+    const iface = new ethers.Interface(require('../contracts/PredictionLogger.abi.json'));
+    const address = '0x1234567890123456789012345678901234567890';
+
+    it('should decode the outcome from the PredictionResolved event', async () => {
+      const service = Object.create(BlockchainService.prototype);
+      service.contract = {
+        interface: iface,
+        resolvePrediction: { populateTransaction: jest.fn().mockResolvedValue({}) }
+      };
+      service.trace = (method, task) => task();
+      service.transactions = {
+        send: jest.fn().mockResolvedValue({
+          hash: '0xresolved',
+          blockNumber: 12346,
+          gasUsed: 90000n,
+          logs: [
+            { address: '0xcA11bde05977b3631167028862bE2a173976CA11', topics: [ethers.id('Other()')], data: '0x' },
+            iface.encodeEventLog('PredictionResolved', [7, address, ethers.parseUnits('49000', 18), false, 9800])
+          ]
+        })
+      };
+
+      await expect(service.resolvePrediction(7, 49000)).resolves.toEqual({
+        predictionId: '7',
+        wasAccurate: false,
+        accuracyPercentage: '9800',
+        txHash: '0xresolved',
+        blockNumber: 12346,
+        gasUsed: '90000'
+      });
+    });
+
+    it('should fail when the receipt has no PredictionResolved event', () => {
+      const service = Object.create(BlockchainService.prototype);
+      service.contract = { interface: iface };
+
+      expect(() => service.resolutionReceipt({ hash: '0xresolved', blockNumber: 1, gasUsed: 0n, logs: [] }))
+        .toThrow('PredictionResolved event not found');
+    });
+  });
+
+  describe('Batched Reads', () => {
+    // The real service, with its contract and Multicall3 replaced by in-memory fakes
+    const { constructor: BlockchainService } = jest.requireActual('../services/blockchain');
+    const iface = new ethers.Interface(require('../contracts/PredictionLogger.abi.json'));
+    const address = '0x1234567890123456789012345678901234567890';
+
+    // 1 is unresolved, 2 resolved accurately and 3 resolved inaccurately
+    const predictionTuple = (id) => [
+      id, address, 'BTC', ethers.parseUnits('45000', 18), ethers.parseUnits('50000', 18),
+      1700000000, 1700086400, 'LSTM', id > 1, id > 1 ? ethers.parseUnits('49000', 18) : 0, id === 2,
+      [0, 0, 9800, 9000][id] || 0, '{}'
+    ];
+
+    // Answers PredictionLogger reads; ids above 3 revert
+    const readContract = (method, args) => {
+      if (method === 'predictions') {
+        if (Number(args[0]) > 3) throw new Error('execution reverted');
+        return predictionTuple(Number(args[0]));
+      }
+      if (method === 'userStats') return [12, 7, 75000, 10];
+      if (method === 'getUserAccuracyRate') return [7000];
+      if (method === 'getUserAverageAccuracy') return [7500];
+      throw new Error(`Unexpected call ${method}`);
+    };
+
+    let service;
+
+    beforeEach(() => {
+      service = Object.create(BlockchainService.prototype);
+      service.multicallEnabled = true;
+      service.multicallAvailable = null;
+      service.statsVersion = 2;
+      service.multicallChunkSize = 2;
+      service.rpcBatchSize = 100;
+      service.limit = (task) => task();
+      service.provider = { getCode: jest.fn().mockResolvedValue('0x6080') };
+      service.contract = {
+        interface: iface,
+        getAddress: async () => address,
+        getUserPredictions: jest.fn().mockResolvedValue([1n, 2n, 3n]),
+        predictions: jest.fn(async (id) => iface.decodeFunctionResult(
+          'predictions', iface.encodeFunctionResult('predictions', readContract('predictions', [id]))
+        ))
+      };
+      service.multicall3 = {
+        getAddress: async () => '0xcA11bde05977b3631167028862bE2a173976CA11',
+        aggregate3: jest.fn(async (calls) => calls.map(({ callData }) => {
+          const { name, args } = iface.parseTransaction({ data: callData });
+          try {
+            return { success: true, returnData: iface.encodeFunctionResult(name, readContract(name, [...args])) };
+          } catch (error) {
+            return { success: false, returnData: '0x' };
+          }
+        }))
+      };
+    });
+
+    it('should load predictions through chunked aggregate3 calls', async () => {
+      const predictions = await service.getUserPredictions(address);
+
+      expect(service.multicall3.aggregate3).toHaveBeenCalledTimes(2);
+      expect(service.contract.predictions).not.toHaveBeenCalled();
+      expect(predictions.map(p => p.id)).toEqual(['1', '2', '3']);
+      expect(predictions[0]).toMatchObject({
+        predictor: address,
+        cryptocurrency: 'BTC',
+        currentPrice: '45000.0',
+        predictedPrice: '50000.0',
+        modelType: 'LSTM',
+        isResolved: false
+      });
+    });
+
+    it('should read user stats in a single aggregate3 call', async () => {
+      service.multicallChunkSize = 100;
+      const stats = await service.getUserStats(address);
+
+      expect(service.multicall3.aggregate3).toHaveBeenCalledTimes(1);
+      expect(stats).toEqual({
+        totalPredictions: '12',
+        resolvedPredictions: '10',
+        accuratePredictions: '7',
+        totalAccuracyScore: '75000',
+        accuracyRate: '7000',
+        averageAccuracy: '7500'
+      });
+    });
+
+    it('should derive resolved-only stats from predictions on contracts without STATS_VERSION', async () => {
+      service.statsVersion = null;
+      service.contract.STATS_VERSION = jest.fn().mockRejectedValue(
+        Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' })
+      );
+
+      const stats = await service.getUserStats(address);
+
+      expect(await service.getStatsVersion()).toBe(1);
+      expect(service.contract.STATS_VERSION).toHaveBeenCalledTimes(1);
+      expect(stats).toEqual({
+        totalPredictions: '3',
+        resolvedPredictions: '2',
+        accuratePredictions: '1',
+        totalAccuracyScore: '18800',
+        accuracyRate: '5000',
+        averageAccuracy: '9400'
+      });
+    });
+
+    it('should retry the stats version after a network error', async () => {
+      service.statsVersion = null;
+      service.contract.STATS_VERSION = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }))
+        .mockResolvedValueOnce(2n);
+
+      await expect(service.getStatsVersion()).rejects.toThrow('timeout');
+      expect(await service.getStatsVersion()).toBe(2);
+    });
+
+    it('should skip failed reads only when failures are allowed', async () => {
+      const predictions = await service.getPredictions([2, 3, 4], { allowFailure: true });
+      expect(predictions.map(p => p.id)).toEqual(['2', '3']);
+
+      await expect(service.getPredictions([3, 4])).rejects.toThrow('reverted');
+    });
+
+    it('should fall back to individual calls when Multicall3 is not deployed', async () => {
+      service.provider.getCode.mockResolvedValue('0x');
+
+      const predictions = await service.getPredictions([1, 2]);
+
+      expect(service.multicall3.aggregate3).not.toHaveBeenCalled();
+      expect(service.contract.predictions).toHaveBeenCalledTimes(2);
+      expect(predictions.map(p => p.id)).toEqual(['1', '2']);
+    });
+
+    it('should limit JSON-RPC batches rather than the calls within them', async () => {
+      // One batch in flight at a time, each sent in full
+      let tail = Promise.resolve();
+      service.limit = jest.fn((task) => {
+        const run = tail.then(task);
+        tail = run.catch(() => {});
+        return run;
+      });
+      service.multicallEnabled = false;
+      service.rpcBatchSize = 2;
+
+      let active = 0;
+      let peak = 0;
+      const read = service.contract.predictions;
+      service.contract.predictions = jest.fn(async (id) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return read(id);
+      });
+
+      const predictions = await service.getPredictions([1, 2, 3]);
+
+      expect(service.limit).toHaveBeenCalledTimes(2);
+      expect(peak).toBe(2);
+      expect(predictions.map(p => p.id)).toEqual(['1', '2', '3']);
+    });
+
+    it('should limit concurrent calls', async () => {
+      const { constructor: Service } = jest.requireActual('../services/blockchain');
+      const limited = new Service();
+      let active = 0;
+      let peak = 0;
+
+      await Promise.all(Array.from({ length: 10 }, () => limited.limit(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      })));
+
+      expect(peak).toBe(4);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const express = require('express');
+const apiRoutes = require('../routes');
+const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const cache = require('../services/cache');
+
+const PREDICTOR = '0x1234567890123456789012345678901234567890';
+
+const predictionMade = (args) => ({
+  name: 'PredictionMade',
+  blockNumber: 200,
+  args: { predictionId: '500', predictor: PREDICTOR, cryptocurrency: 'BTC', modelType: 'LSTM', ...args }
+});
+
+describe('Response cache', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    apiRoutes.forEach(({ prefix, router }) => app.use(prefix, router));
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+    cache.start();
+  });
+
+  afterAll(() => {
+    cache.stop();
+  });
+
+  describe('Aggregate routes', () => {
+    it('should compute a response once and serve it from the cache', async () => {
+      const first = await request(app).get('/api/crypto').expect(200);
+      const calls = blockchainService.getCryptoPredictions.mock.calls.length;
+      const second = await request(app).get('/api/crypto').expect(200);
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body).toEqual(first.body);
+      expect(second).toMatchApiSchema();
+      expect(blockchainService.getCryptoPredictions).toHaveBeenCalledTimes(calls);
+    });
+
+    it('should answer If-None-Match with 304 while the entry is unchanged', async () => {
+      const first = await request(app).get('/api/models').expect(200);
+
+      expect(first.headers.etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+      expect(first.headers['cache-control']).toBe('public, no-cache');
+
+      const revalidated = await request(app)
+        .get('/api/models')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      expect(revalidated.headers.etag).toBe(first.headers.etag);
+      expect(revalidated.text).toBe('');
+    });
+
+    it('should keep one entry per validated query', async () => {
+      await request(app).get('/api/crypto/trending?limit=2').expect(200);
+      const defaults = await request(app).get('/api/crypto/trending').expect(200);
+      const explicit = await request(app).get('/api/crypto/trending?limit=10').expect(200);
+
+      expect(defaults.headers['x-cache']).toBe('MISS');
+      expect(explicit.headers['x-cache']).toBe('HIT');
+    });
+
+    it('should cache admin stats privately behind the scope check', async () => {
+      await request(app).get('/api/admin/stats').expect(401);
+
+      const response = await request(app)
+        .get('/api/admin/stats')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+      expect(response).toMatchApiSchema();
+    });
+
+    it('should not cache failures', async () => {
+      blockchainService.getPredictionCounter.mockRejectedValueOnce(new Error('RPC down'));
+
+      await request(app).get('/api/admin/stats').set('x-admin-key', 'test-admin-key').expect(500);
+      const retry = await request(app).get('/api/admin/stats').set('x-admin-key', 'test-admin-key').expect(200);
+
+      expect(retry.headers['x-cache']).toBe('MISS');
+    });
+  });
+
+  describe('Event invalidation', () => {
+    const xCache = async (path) => (await request(app).get(path).expect(200)).headers['x-cache'];
+
+    beforeEach(async () => {
+      await Promise.all(['/api/crypto', '/api/crypto/trending', '/api/models'].map(path => request(app).get(path)));
+    });
+
+    it('should drop the routes a new prediction changes and keep the rest', async () => {
+      await request(app).get('/api/admin/stats').set('x-admin-key', 'test-admin-key');
+      predictionIndexer.emit('event', {
+        name: 'AccuracyThresholdUpdated',
+        blockNumber: 199,
+        args: { oldThreshold: '7500', newThreshold: '8000' }
+      });
+
+      const stats = await request(app).get('/api/admin/stats').set('x-admin-key', 'test-admin-key');
+      expect(stats.headers['x-cache']).toBe('MISS');
+      expect(await xCache('/api/crypto')).toBe('HIT');
+      expect(await xCache('/api/models')).toBe('HIT');
+
+      predictionIndexer.emit('event', predictionMade({ cryptocurrency: 'XRP' }));
+
+      expect(await xCache('/api/crypto')).toBe('MISS');
+      expect(await xCache('/api/crypto/trending')).toBe('MISS');
+      expect(await xCache('/api/models')).toBe('MISS');
+    });
+
+    it('should tag a resolution with the symbol, model and predictor from the index', async () => {
+      const load = async () => 'cached';
+      await Promise.all([
+        cache.wrap('eth', load, { tags: ['crypto:ETH'] }),
+        cache.wrap('custom', load, { tags: ['model:Custom'] }),
+        cache.wrap('user', load, { tags: [`user:${PREDICTOR.toLowerCase()}`] }),
+        cache.wrap('lstm', load, { tags: ['model:LSTM'] })
+      ]);
+      predictionIndexer.predictions.set('501', { id: '501', predictor: PREDICTOR, cryptocurrency: 'ETH', modelType: 'Custom' });
+
+      try {
+        predictionIndexer.emit('event', {
+          name: 'PredictionResolved',
+          blockNumber: 201,
+          args: { predictionId: '501', predictor: PREDICTOR, actualPrice: '3100.0', wasAccurate: true, accuracyPercentage: '9800' }
+        });
+
+        expect(['eth', 'custom', 'user', 'lstm'].filter(key => cache.entries.has(key))).toEqual(['lstm']);
+      } finally {
+        predictionIndexer.predictions.delete('501');
+      }
+    });
+
+    it('should drop everything on a reorg', async () => {
+      predictionIndexer.emit('reorg', { blockNumber: 150, removedEvents: 3 });
+
+      expect(cache.getStatus().entries).toBe(0);
+      expect(await xCache('/api/models')).toBe('MISS');
+    });
+  });
+
+  describe('Cache service', () => {
+    it('should serve a stale entry while one refresh runs in the background', async () => {
+      const load = jest.fn()
+        .mockResolvedValueOnce('v1')
+        .mockResolvedValueOnce('v2');
+      const options = { ttlMs: 0, staleMs: 60000 };
+
+      expect((await cache.lookup('stale-test', load, options)).status).toBe('miss');
+
+      const [stale, concurrent] = await Promise.all([
+        cache.lookup('stale-test', load, options),
+        cache.lookup('stale-test', load, options)
+      ]);
+      expect(stale).toMatchObject({ status: 'stale', entry: { value: 'v1' } });
+      expect(concurrent.entry.value).toBe('v1');
+
+      await global.testUtils.wait(10);
+      expect((await cache.lookup('stale-test', load, options)).entry.value).toBe('v2');
+      expect(load).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not store a load that an invalidation overtook', async () => {
+      let finish;
+      const pending = cache.wrap('race-test', () => new Promise(resolve => { finish = resolve; }), { tags: ['model:LSTM'] });
+      await Promise.resolve();
+
+      cache.invalidate(['model:LSTM']);
+      finish('before the event');
+
+      expect(await pending).toBe('before the event');
+      expect(cache.entries.has('race-test')).toBe(false);
+    });
+
+    it('should evict the oldest entries beyond the limit', async () => {
+      const maxEntries = cache.maxEntries;
+      cache.maxEntries = 2;
+
+      try {
+        await cache.wrap('a', async () => 1);
+        await cache.wrap('b', async () => 2);
+        await cache.wrap('c', async () => 3);
+
+        expect([...cache.entries.keys()]).toEqual(['b', 'c']);
+      } finally {
+        cache.maxEntries = maxEntries;
+      }
+    });
+  });
+
+  describe('Contract reads', () => {
+    // The real service, with its contract replaced by an in-memory fake
+    const { constructor: BlockchainService } = jest.requireActual('../services/blockchain');
+    let service;
+
+    beforeEach(() => {
+      service = Object.create(BlockchainService.prototype);
+      service.statsVersion = 2;
+      service.contract = {
+        getModelAccuracyRate: jest.fn().mockResolvedValue(7200n),
+        accuracyThreshold: jest.fn().mockResolvedValue(7500n)
+      };
+    });
+
+    it('should read model stats once until a prediction for the model is indexed', async () => {
+      expect(await service.getModelAccuracyRate('LSTM')).toBe('7200');
+      expect(await service.getModelAccuracyRate('LSTM')).toBe('7200');
+      expect(service.contract.getModelAccuracyRate).toHaveBeenCalledTimes(1);
+
+      predictionIndexer.emit('event', predictionMade({ modelType: 'ARIMA' }));
+      await service.getModelAccuracyRate('LSTM');
+      expect(service.contract.getModelAccuracyRate).toHaveBeenCalledTimes(1);
+
+      predictionIndexer.emit('event', predictionMade({ modelType: 'LSTM' }));
+      await service.getModelAccuracyRate('LSTM');
+      expect(service.contract.getModelAccuracyRate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reread the threshold after it is updated on chain', async () => {
+      await service.getAccuracyThreshold();
+      predictionIndexer.emit('event', {
+        name: 'AccuracyThresholdUpdated',
+        blockNumber: 202,
+        args: { oldThreshold: '7500', newThreshold: '8000' }
+      });
+      await service.getAccuracyThreshold();
+
+      expect(service.contract.accuracyThreshold).toHaveBeenCalledTimes(2);
+    });
+  });
+});
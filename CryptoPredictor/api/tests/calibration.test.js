@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const { getModel } = require('@cryptopredictor/forecasting');
+const modelRoutes = require('../routes/models');
+const predictionRoutes = require('../routes/predictions');
+const blockchainService = require('../services/blockchain');
+const { scoreIntervals, calibrate } = require('../services/calibration');
+
+const intervals = (center, halfWidths) => [0.5, 0.8, 0.95].map((level, i) => ({
+  level,
+  lower: center - halfWidths[i],
+  upper: center + halfWidths[i]
+}));
+
+const resolved = (actualPrice, additionalData, wasAccurate = true) => ({
+  id: String(actualPrice),
+  modelType: 'LSTM',
+  cryptocurrency: 'BTC',
+  predictedPrice: '100.0',
+  actualPrice: String(actualPrice),
+  isResolved: true,
+  wasAccurate,
+  additionalData: JSON.stringify(additionalData)
+});
+
+describe('Prediction intervals', () => {
+  describe('Forecasting models', () => {
+    const history = Array.from({ length: 30 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2025, 0, 1, i)).toISOString(),
+      price: 100 + i + ((i * 7) % 5)
+    }));
+
+    it.each(['moving-average', 'ema-crossover', 'linear-regression', 'holt-winters', 'arima-lite', 'naive'])(
+      'should report nested intervals around the %s forecast',
+      (id) => {
+        const { predictedPrice, intervals: forecastIntervals } = getModel(id).predict(history, { horizon: 2 });
+
+        expect(forecastIntervals.map(interval => interval.level)).toEqual([0.5, 0.8, 0.95]);
+        forecastIntervals.forEach((interval, i) => {
+          expect(interval.lower).toBeLessThanOrEqual(predictedPrice);
+          expect(interval.upper).toBeGreaterThanOrEqual(predictedPrice);
+          if (i > 0) {
+            expect(interval.upper - interval.lower).toBeGreaterThan(
+              forecastIntervals[i - 1].upper - forecastIntervals[i - 1].lower
+            );
+          }
+        });
+      }
+    );
+  });
+
+  describe('Scoring', () => {
+    it('should score coverage and the relative pinball loss', () => {
+      const score = scoreIntervals([{ level: 0.5, lower: 90, upper: 110 }], 100, 105);
+
+      expect(score.coverage).toEqual([{ level: 0.5, covered: true }]);
+      // Median: 0.5 * 5, lower (q 0.25): 0.25 * 15, upper (q 0.75): 0.25 * 5
+      expect(score.pinballLoss).toBeCloseTo((2.5 + 3.75 + 1.25) / 3 / 105);
+    });
+
+    it('should compare coverage with each level and skip predictions without intervals', () => {
+      const widths = [5, 10, 20];
+      const result = calibrate([
+        resolved(102, { confidence: 0.85, intervals: intervals(100, widths) }),
+        resolved(108, { confidence: 0.82, intervals: intervals(100, widths) }, false),
+        resolved(115, { confidence: 0.35, intervals: intervals(100, widths) }, false),
+        resolved(130, { confidence: 0.9, intervals: intervals(100, widths) }, false),
+        { ...resolved(101, {}), additionalData: 'free text from an older client' },
+        { ...resolved(0, {}), isResolved: false }
+      ]);
+
+      expect(result).toMatchObject({ resolvedPredictions: 5, scoredPredictions: 4 });
+      expect(result.intervals).toEqual([
+        { level: 0.5, predictions: 4, covered: 1, coverage: 0.25, calibrationError: -0.25 },
+        { level: 0.8, predictions: 4, covered: 2, coverage: 0.5, calibrationError: expect.closeTo(-0.3) },
+        { level: 0.95, predictions: 4, covered: 3, coverage: 0.75, calibrationError: expect.closeTo(-0.2) }
+      ]);
+      expect(result.pinballLoss).toBeGreaterThan(0);
+      expect(result.confidence).toEqual([
+        { range: [0.3, 0.4], predictions: 1, statedConfidence: 0.35, accuracyRate: 0 },
+        { range: [0.8, 0.9], predictions: 2, statedConfidence: expect.closeTo(0.835), accuracyRate: 0.5 },
+        { range: [0.9, 1], predictions: 1, statedConfidence: 0.9, accuracyRate: 0 }
+      ]);
+    });
+  });
+
+  describe('GET /api/models/:modelType/calibration', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/models', modelRoutes);
+    });
+
+    it('should report the calibration of the model\'s resolved predictions', async () => {
+      blockchainService.getModelTypePredictions.mockResolvedValueOnce([
+        resolved(102, { confidence: 0.85, intervals: intervals(100, [5, 10, 20]) }),
+        resolved(125, { confidence: 0.85, intervals: intervals(100, [5, 10, 20]) }, false)
+      ]);
+
+      const response = await request(app)
+        .get('/api/models/LSTM/calibration')
+        .expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(blockchainService.getModelTypePredictions).toHaveBeenCalledWith('LSTM');
+      expect(response.body.data).toMatchObject({ modelType: 'LSTM', resolvedPredictions: 2, scoredPredictions: 2 });
+      expect(response.body.data.intervals.map(level => level.coverage)).toEqual([0.5, 0.5, 0.5]);
+      expect(response.body.data.confidence).toEqual([
+        { range: [0.8, 0.9], predictions: 2, statedConfidence: 0.85, accuracyRate: 0.5 }
+      ]);
+    });
+
+    it('should report nothing to score for predictions without intervals', async () => {
+      const response = await request(app)
+        .get('/api/models/TECHNICAL_ANALYSIS/calibration')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        scoredPredictions: 0,
+        intervals: [],
+        pinballLoss: null,
+        confidence: []
+      });
+    });
+  });
+
+  describe('POST /api/predictions', () => {
+    let app;
+    const prediction = (additionalData) => ({
+      cryptocurrency: 'BTC',
+      currentPrice: 95,
+      predictedPrice: 100,
+      targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+      modelType: 'LSTM',
+      additionalData: typeof additionalData === 'string' ? additionalData : JSON.stringify(additionalData)
+    });
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/predictions', predictionRoutes);
+    });
+
+    it('should accept intervals around the predicted price and free-text data', async () => {
+      await request(app).post('/api/predictions').send(prediction({ intervals: intervals(100, [5, 10, 20]) })).expect(201);
+      await request(app).post('/api/predictions').send(prediction('manual entry')).expect(201);
+    });
+
+    it.each([
+      ['malformed', [{ level: 1.5, lower: 90, upper: 110 }], '/intervals/0/level must be < 1'],
+      ['crossing', [{ level: 0.5, lower: 80, upper: 120 }, { level: 0.8, lower: 90, upper: 110 }], 'must widen'],
+      ['off-center', [{ level: 0.5, lower: 101, upper: 110 }], 'must contain predictedPrice']
+    ])('should reject %s intervals', async (_, badIntervals, message) => {
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(prediction({ intervals: badIntervals }))
+        .expect(400);
+
+      expect(response.body.details[0]).toMatchObject({ field: 'additionalData', location: 'body' });
+      expect(response.body.details[0].message).toContain(message);
+    });
+  });
+});
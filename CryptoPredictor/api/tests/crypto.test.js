@@ -70,7 +70,7 @@ describe('Crypto API', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.meta.filters.resolved).toBe('true');
+      expect(response.body.meta.filters.resolved).toBe(true);
     });
 
     it('should filter by model type', async () => {
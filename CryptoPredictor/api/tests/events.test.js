@@ -0,0 +1,327 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const WebSocket = require('ws');
+const eventRoutes = require('../routes/events');
+const eventStream = require('../services/eventStream');
+const predictionIndexer = require('../services/indexer');
+
+const ALICE = '0x1234567890123456789012345678901234567890';
+const BOB = '0x0987654321098765432109876543210987654321';
+
+const madeEvent = (id, blockNumber, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType: 'LSTM',
+    additionalData: '{}',
+    ...overrides
+  }
+});
+
+const thresholdEvent = (blockNumber) => ({
+  name: 'AccuracyThresholdUpdated',
+  blockNumber,
+  transactionHash: `0xthreshold${blockNumber}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: { oldThreshold: '500', newThreshold: '600' }
+});
+
+// Collect Server-Sent Events from a live server until `count` events arrived
+const readStream = (port, path, count, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get({ port, path, headers }, (res) => {
+    const events = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      frames.forEach(frame => {
+        const fields = Object.fromEntries(frame.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.data) {
+          events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+      });
+      if (events.length >= count) {
+        req.destroy();
+        resolve({ status: res.statusCode, headers: res.headers, events });
+      }
+    });
+  });
+  req.on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Event Stream', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventRoutes);
+    eventStream.start();
+  });
+
+  afterAll(() => {
+    eventStream.stop();
+  });
+
+  beforeEach(() => {
+    eventStream.buffer = [];
+    predictionIndexer.reset();
+    predictionIndexer.caughtUp = true;
+  });
+
+  describe('Filters', () => {
+    const filtersFor = (query) => eventStream.parseFilters(query).filters;
+
+    it('should match symbol, user and model filters case-insensitively where relevant', () => {
+      const message = eventStream.toMessage(madeEvent(1, 10));
+
+      expect(eventStream.matches(message, filtersFor({ symbols: 'btc,eth' }))).toBe(true);
+      expect(eventStream.matches(message, filtersFor({ symbols: 'ETH' }))).toBe(false);
+      expect(eventStream.matches(message, filtersFor({ users: ALICE.toUpperCase().replace('0X', '0x') }))).toBe(true);
+      expect(eventStream.matches(message, filtersFor({ users: BOB }))).toBe(false);
+      expect(eventStream.matches(message, filtersFor({ models: 'GRU' }))).toBe(false);
+      expect(eventStream.matches(message, filtersFor({ events: 'PredictionResolved' }))).toBe(false);
+    });
+
+    it('should let events without the filtered field through', () => {
+      const message = eventStream.toMessage(thresholdEvent(11));
+
+      expect(eventStream.matches(message, filtersFor({ symbols: 'ETH', users: BOB, models: 'GRU' }))).toBe(true);
+    });
+
+    it('should add the symbol and model to resolutions from the index', () => {
+      predictionIndexer.predictions.set('1', { id: '1', cryptocurrency: 'ETH', modelType: 'GRU', predictedPrice: '3000.0' });
+
+      const message = eventStream.toMessage({
+        name: 'PredictionResolved',
+        blockNumber: 12,
+        transactionHash: '0xresolve1',
+        logIndex: 1,
+        timestamp: 1700000012,
+        args: { predictionId: '1', predictor: ALICE, actualPrice: '3100.0', wasAccurate: true, accuracyPercentage: '9666' }
+      });
+
+      expect(message).toMatchObject({ id: '12-1', type: 'PredictionResolved', data: { cryptocurrency: 'ETH', modelType: 'GRU' } });
+    });
+
+    it('should reject unknown events and invalid addresses', () => {
+      expect(eventStream.parseFilters({ events: 'Transfer' }).error).toBe('Unknown events: Transfer');
+      expect(eventStream.parseFilters({ users: 'alice' }).error).toBe('Invalid user addresses: alice');
+    });
+  });
+
+  describe('GET /api/events/stream', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    // Connections closed by the previous test may not have been noticed yet
+    beforeEach(async () => {
+      await waitFor(() => eventStream.clients.size === 0);
+    });
+
+    afterAll((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('should stream matching indexer events', async () => {
+      const stream = readStream(port, '/api/events/stream?symbols=ETH', 2);
+      await waitFor(() => eventStream.clients.size === 1);
+
+      predictionIndexer.emit('event', madeEvent(1, 10));
+      predictionIndexer.emit('event', madeEvent(2, 11, { cryptocurrency: 'ETH' }));
+      predictionIndexer.emit('event', thresholdEvent(12));
+
+      const { status, headers, events } = await stream;
+      expect(status).toBe(200);
+      expect(headers['content-type']).toBe('text/event-stream');
+      expect(events.map(event => [event.id, event.event])).toEqual([
+        ['11-0', 'PredictionMade'],
+        ['12-0', 'AccuracyThresholdUpdated']
+      ]);
+      expect(events[0].data.data).toMatchObject({ predictionId: '2', cryptocurrency: 'ETH' });
+
+      await waitFor(() => eventStream.clients.size === 0);
+      expect(eventStream.clients.size).toBe(0);
+    });
+
+    it('should replay buffered events after Last-Event-ID', async () => {
+      predictionIndexer.emit('event', madeEvent(1, 10));
+      predictionIndexer.emit('event', madeEvent(2, 11));
+      predictionIndexer.emit('event', madeEvent(3, 12));
+
+      const { events } = await readStream(port, '/api/events/stream', 2, { 'Last-Event-ID': '10-0' });
+
+      expect(events.map(event => event.data.data.predictionId)).toEqual(['2', '3']);
+    });
+
+    it('should tell clients about reorganizations and drop rolled-back events', async () => {
+      predictionIndexer.emit('event', madeEvent(1, 10));
+      predictionIndexer.emit('event', madeEvent(2, 11));
+
+      const stream = readStream(port, '/api/events/stream', 1);
+      await waitFor(() => eventStream.clients.size === 1);
+      predictionIndexer.emit('reorg', { blockNumber: 10, removedEvents: 1 });
+
+      const { events } = await stream;
+      expect(events[0]).toMatchObject({ event: 'reorg', data: { blockNumber: 10, removedEvents: 1 } });
+      expect(eventStream.buffer.map(message => message.id)).toEqual(['10-0']);
+    });
+
+    it('should not publish events the indexer replays while catching up', async () => {
+      predictionIndexer.reset();
+      const stream = readStream(port, '/api/events/stream', 1);
+      await waitFor(() => eventStream.clients.size === 1);
+
+      predictionIndexer.commit([madeEvent(1, 10), thresholdEvent(11)], 11, '0xblock11');
+      expect(eventStream.buffer).toEqual([]);
+
+      predictionIndexer.caughtUp = true;
+      predictionIndexer.commit([madeEvent(2, 12)], 12, '0xblock12');
+
+      const { events } = await stream;
+      expect(events.map(event => event.id)).toEqual(['12-0']);
+      expect(eventStream.buffer.map(message => message.id)).toEqual(['12-0']);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/events/stream?events=Transfer')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    it('should return 503 when the client limit is reached', async () => {
+      const maxClients = eventStream.maxClients;
+      eventStream.maxClients = 0;
+
+      try {
+        await request(app)
+          .get('/api/events/stream')
+          .expect(503);
+      } finally {
+        eventStream.maxClients = maxClients;
+      }
+    });
+  });
+
+  describe('GET /api/events/recent', () => {
+    it('should return buffered events newest first', async () => {
+      predictionIndexer.emit('event', madeEvent(1, 10));
+      predictionIndexer.emit('event', madeEvent(2, 11, { modelType: 'GRU' }));
+      predictionIndexer.emit('event', madeEvent(3, 12));
+
+      const response = await request(app)
+        .get('/api/events/recent?models=LSTM&limit=5')
+        .expect(200);
+
+      expect(response.body.data.map(event => event.data.predictionId)).toEqual(['3', '1']);
+      expect(response.body.meta).toEqual({ count: 2, limit: 5 });
+    });
+  });
+
+  describe('WebSocket /api/events/ws', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = http.createServer(app);
+      eventStream.attach(server);
+      server.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      eventStream.wss.close();
+      eventStream.wss = null;
+      server.close(done);
+    });
+
+    // Connect and queue incoming messages so none are missed between awaits
+    const connect = (query = '') => new Promise((resolve, reject) => {
+      const socket = new WebSocket(`ws://localhost:${port}/api/events/ws${query}`);
+      const messages = [];
+      const waiters = [];
+      socket.on('message', (raw) => {
+        messages.push(JSON.parse(raw.toString()));
+        waiters.splice(0).forEach(wake => wake());
+      });
+      socket.next = async () => {
+        while (messages.length === 0) {
+          await new Promise(wake => waiters.push(wake));
+        }
+        return messages.shift();
+      };
+      socket.on('open', () => resolve(socket));
+      socket.on('error', reject);
+    });
+
+    it('should push events matching the query string filters', async () => {
+      const socket = await connect(`?users=${BOB}`);
+      try {
+        expect(await socket.next()).toEqual({
+          type: 'subscribed',
+          filters: { symbols: [], users: [BOB], models: [], events: [] }
+        });
+
+        predictionIndexer.emit('event', madeEvent(1, 10));
+        predictionIndexer.emit('event', madeEvent(2, 11, { predictor: BOB }));
+
+        const message = await socket.next();
+        expect(message).toMatchObject({ type: 'event', event: { id: '11-0', data: { predictor: BOB } } });
+      } finally {
+        socket.close();
+      }
+    });
+
+    it('should change filters with a subscribe message', async () => {
+      const socket = await connect();
+      try {
+        await socket.next();
+        socket.send(JSON.stringify({ action: 'subscribe', symbols: ['eth'], events: ['PredictionMade'] }));
+        expect(await socket.next()).toMatchObject({ type: 'subscribed', filters: { symbols: ['ETH'] } });
+
+        predictionIndexer.emit('event', thresholdEvent(10));
+        predictionIndexer.emit('event', madeEvent(1, 11, { cryptocurrency: 'ETH' }));
+
+        expect((await socket.next()).event).toMatchObject({ type: 'PredictionMade', data: { cryptocurrency: 'ETH' } });
+
+        socket.send(JSON.stringify({ action: 'subscribe', events: ['Transfer'] }));
+        expect(await socket.next()).toEqual({ type: 'error', message: 'Unknown events: Transfer' });
+      } finally {
+        socket.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const express = require('express');
+const healthRoutes = require('../routes/health');
+const blockchainService = require('../services/blockchain');
+const diagnostics = require('../services/diagnostics');
+
+const SIGNER = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+
+describe('Health checks', () => {
+  let app;
+
+  const check = (report, name) => report.checks.find(item => item.name === name);
+
+  beforeAll(() => {
+    app = express();
+    app.use('/health', healthRoutes);
+  });
+
+  beforeEach(() => {
+    diagnostics.cached = null;
+    diagnostics.expectedChainId = '1043';
+    diagnostics.timeoutMs = 5000;
+  });
+
+  describe('GET /health/live', () => {
+    it('should answer without touching the chain', async () => {
+      const response = await request(app).get('/health/live').expect(200);
+
+      expect(response.body).toMatchObject({ status: 'pass', uptime: expect.any(Number) });
+      expect(blockchainService.getBlockNumber).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should pass when the deployment is healthy', async () => {
+      const response = await request(app).get('/health/ready').expect(200);
+
+      expect(response.body.status).toBe('pass');
+      expect(response.body.checks.map(item => [item.name, item.status])).toEqual([
+        ['rpc', 'pass'],
+        ['chainId', 'pass'],
+        ['contract', 'pass'],
+        ['paused', 'pass'],
+        ['signer', 'pass'],
+        ['roles', 'pass'],
+        ['balance', 'pass']
+      ]);
+      expect(check(response.body, 'roles').roles).toEqual({ ORACLE_ROLE: true, ADMIN_ROLE: true });
+      expect(blockchainService.hasRole).toHaveBeenCalledWith('ORACLE_ROLE', SIGNER);
+    });
+
+    it('should fail with 503 on the wrong chain', async () => {
+      blockchainService.getChainId.mockResolvedValueOnce('1');
+
+      const response = await request(app).get('/health/ready').expect(503);
+
+      expect(response.body.status).toBe('fail');
+      expect(check(response.body, 'chainId')).toMatchObject({
+        status: 'fail',
+        message: 'Connected to chain 1, expected 1043'
+      });
+    });
+
+    it('should fail when no contract is deployed or it is paused', async () => {
+      blockchainService.getContractCode.mockResolvedValueOnce('0x');
+      blockchainService.isPaused.mockResolvedValueOnce(true);
+
+      const response = await request(app).get('/health/ready').expect(503);
+
+      expect(check(response.body, 'contract').status).toBe('fail');
+      expect(check(response.body, 'paused')).toMatchObject({ status: 'fail', message: 'Contract is paused' });
+    });
+
+    it('should fail when the signer is missing a role', async () => {
+      blockchainService.hasRole.mockImplementation(async (role) => role !== 'ADMIN_ROLE');
+
+      try {
+        const response = await request(app).get('/health/ready').expect(503);
+
+        expect(check(response.body, 'roles')).toMatchObject({
+          status: 'fail',
+          message: `Signer ${SIGNER} is missing ADMIN_ROLE`,
+          roles: { ORACLE_ROLE: true, ADMIN_ROLE: false }
+        });
+      } finally {
+        blockchainService.hasRole.mockResolvedValue(true);
+      }
+    });
+
+    it('should fail below the balance floor and warn below the warning level', async () => {
+      blockchainService.getSignerBalance.mockResolvedValueOnce('0.005');
+      const empty = await request(app).get('/health/ready').expect(503);
+      expect(check(empty.body, 'balance')).toMatchObject({ status: 'fail', balance: '0.005', floor: '0.01' });
+
+      diagnostics.cached = null;
+      blockchainService.getSignerBalance.mockResolvedValueOnce('0.05');
+      const low = await request(app).get('/health/ready').expect(200);
+      expect(low.body.status).toBe('warn');
+      expect(check(low.body, 'balance').status).toBe('warn');
+    });
+
+    it('should skip signer checks on a read-only deployment', async () => {
+      blockchainService.getSignerAddress.mockReturnValue(null);
+
+      try {
+        const response = await request(app).get('/health/ready').expect(200);
+
+        expect(response.body.status).toBe('warn');
+        expect(check(response.body, 'signer').status).toBe('warn');
+        expect(check(response.body, 'roles').status).toBe('skip');
+        expect(check(response.body, 'balance').status).toBe('skip');
+        expect(blockchainService.getSignerBalance).not.toHaveBeenCalled();
+      } finally {
+        blockchainService.getSignerAddress.mockReturnValue(SIGNER);
+      }
+    });
+
+    it('should fail checks that error or time out', async () => {
+      diagnostics.timeoutMs = 20;
+      blockchainService.getBlockNumber.mockRejectedValueOnce(Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' }));
+      blockchainService.getChainId.mockReturnValueOnce(new Promise(() => {}));
+
+      const response = await request(app).get('/health/ready').expect(503);
+
+      expect(check(response.body, 'rpc')).toMatchObject({ status: 'fail', errorCode: 'ECONNREFUSED' });
+      expect(check(response.body, 'chainId')).toMatchObject({ status: 'fail', message: 'Timed out after 20ms' });
+    });
+
+    it('should serve cached results between probes', async () => {
+      await request(app).get('/health/ready').expect(200);
+      await request(app).get('/health/ready').expect(200);
+      expect(blockchainService.getBlockNumber).toHaveBeenCalledTimes(1);
+
+      await diagnostics.ready({ fresh: true });
+      expect(blockchainService.getBlockNumber).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('CLI report', () => {
+    it('should print one line per check and the overall status', async () => {
+      blockchainService.isPaused.mockResolvedValueOnce(true);
+
+      const lines = diagnostics.format(await diagnostics.ready()).split('\n');
+
+      expect(lines[0]).toBe('✅ rpc       Latest block 12360');
+      expect(lines).toContain('❌ paused    Contract is paused');
+      expect(lines[lines.length - 1]).toMatch(/^Status: FAIL \(/);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const request = require('supertest');
+const express = require('express');
+const indexerRoutes = require('../routes/indexer');
+const cryptoRoutes = require('../routes/crypto');
+const modelRoutes = require('../routes/models');
+const predictionIndexer = require('../services/indexer');
+const blockchainService = require('../services/blockchain');
+
+const USER = '0x1234567890123456789012345678901234567890';
+
+const madeEvent = (id, blockNumber, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: USER,
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType: 'LSTM',
+    additionalData: '{}',
+    ...overrides
+  }
+});
+
+const resolvedEvent = (id, blockNumber) => ({
+  name: 'PredictionResolved',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xresolve${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: USER,
+    actualPrice: '49000.0',
+    wasAccurate: true,
+    accuracyPercentage: '9796'
+  }
+});
+
+describe('Prediction Indexer', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/indexer', indexerRoutes);
+    app.use('/api/crypto', cryptoRoutes);
+    app.use('/api/models', modelRoutes);
+  });
+
+  beforeEach(() => {
+    predictionIndexer.reset();
+  });
+
+  describe('GET /api/indexer/status', () => {
+    it('should report indexer status', async () => {
+      const response = await request(app)
+        .get('/api/indexer/status')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('lastIndexedBlock', null);
+      expect(response.body.data).toHaveProperty('lag', null);
+      expect(response.body.data.ready).toBe(false);
+    });
+
+    it('should report lag behind the latest block', async () => {
+      predictionIndexer.commit([madeEvent(1, 10)], 20, '0xblock20');
+      predictionIndexer.latestBlock = 25;
+
+      const response = await request(app)
+        .get('/api/indexer/status')
+        .expect(200);
+
+      expect(response.body.data.lastIndexedBlock).toBe(20);
+      expect(response.body.data.lag).toBe(5);
+      expect(response.body.data.predictionsIndexed).toBe(1);
+    });
+  });
+
+  describe('Projection', () => {
+    it('should build predictions from made and resolved events', async () => {
+      predictionIndexer.commit([madeEvent(1, 10), resolvedEvent(1, 12)], 15, '0xblock15');
+      predictionIndexer.caughtUp = true;
+
+      const prediction = await predictionIndexer.getPrediction(1);
+
+      expect(prediction.isResolved).toBe(true);
+      expect(prediction.actualPrice).toBe('49000.0');
+      expect(prediction.accuracyPercentage).toBe('9796');
+      expect(prediction.predictionTimestamp).toBe('1700000010');
+    });
+
+    it('should serve list reads from the store once caught up', async () => {
+      predictionIndexer.commit([
+        madeEvent(1, 10),
+        madeEvent(2, 11, { cryptocurrency: 'ETH', modelType: 'ARIMA' })
+      ], 15, '0xblock15');
+      predictionIndexer.caughtUp = true;
+
+      const btc = await predictionIndexer.getCryptoPredictions('BTC');
+      const arima = await predictionIndexer.getModelTypePredictions('ARIMA');
+      const user = await predictionIndexer.getUserPredictions(USER.toUpperCase().replace('0X', '0x'));
+      const recent = await predictionIndexer.getRecentPredictions(1, 10);
+
+      expect(btc.map(p => p.id)).toEqual(['1']);
+      expect(arima.map(p => p.id)).toEqual(['2']);
+      expect(user).toHaveLength(2);
+      expect(recent.map(p => p.id)).toEqual(['2', '1']);
+      expect(blockchainService.getCryptoPredictions).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the blockchain service until caught up', async () => {
+      await predictionIndexer.getCryptoPredictions('BTC');
+
+      expect(blockchainService.getCryptoPredictions).toHaveBeenCalledWith('BTC');
+    });
+
+    it('should roll back events above a reorganized block', async () => {
+      predictionIndexer.commit([madeEvent(1, 10)], 15, '0xblock15');
+      predictionIndexer.commit([madeEvent(2, 18), resolvedEvent(1, 19)], 20, '0xblock20');
+      predictionIndexer.caughtUp = true;
+
+      const onReorg = jest.fn();
+      predictionIndexer.once('reorg', onReorg);
+      predictionIndexer.rollback(15);
+
+      expect(predictionIndexer.lastIndexedBlock).toBe(15);
+      expect(predictionIndexer.predictions.has('2')).toBe(false);
+      expect((await predictionIndexer.getPrediction(1)).isResolved).toBe(false);
+      expect(onReorg).toHaveBeenCalledWith({ blockNumber: 15, removedEvents: 2 });
+    });
+  });
+
+  describe('Registry', () => {
+    beforeEach(() => {
+      predictionIndexer.commit([
+        madeEvent(1, 10),
+        madeEvent(2, 11, { cryptocurrency: 'PEPE', modelType: 'ARIMA' }),
+        madeEvent(3, 12, { cryptocurrency: 'PEPE' }),
+        resolvedEvent(2, 13)
+      ], 15, '0xblock15');
+      predictionIndexer.caughtUp = true;
+    });
+
+    it('should record every symbol and model type with sightings and counts', () => {
+      const pepe = predictionIndexer.getSymbols().find(entry => entry.name === 'PEPE');
+      const arima = predictionIndexer.getModelTypes().find(entry => entry.name === 'ARIMA');
+
+      expect(pepe).toEqual({
+        name: 'PEPE',
+        predictionCount: 2,
+        resolvedCount: 1,
+        firstSeen: 1700000011,
+        lastSeen: 1700000012,
+        firstBlock: 11,
+        lastBlock: 12,
+        related: ['ARIMA', 'LSTM']
+      });
+      expect(arima).toMatchObject({ predictionCount: 1, resolvedCount: 1, related: ['PEPE'] });
+    });
+
+    it('should list discovered symbols with metadata, most predicted first', async () => {
+      const response = await request(app).get('/api/crypto/symbols').expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(response.body.meta).toEqual({ total: 2, source: 'index' });
+      expect(response.body.data.map(entry => entry.symbol)).toEqual(['PEPE', 'BTC']);
+      expect(response.body.data[0]).toMatchObject({
+        displayName: 'PEPE',
+        decimals: 8,
+        firstSeen: new Date(1700000011 * 1000).toISOString(),
+        models: ['ARIMA', 'LSTM']
+      });
+      expect(response.body.data[1]).toMatchObject({ displayName: 'Bitcoin', decimals: 2, predictionCount: 1 });
+    });
+
+    it('should list discovered model types', async () => {
+      const response = await request(app).get('/api/models/registry').expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(response.body.data.map(entry => [entry.modelType, entry.predictionCount])).toEqual([['LSTM', 2], ['ARIMA', 1]]);
+      expect(response.body.data[0].symbols).toEqual(['BTC', 'PEPE']);
+    });
+
+    it('should aggregate over discovered symbols and models only', async () => {
+      const cryptos = await request(app).get('/api/crypto').expect(200);
+      await request(app).get('/api/models').expect(200);
+
+      expect(cryptos.body.data.map(entry => entry.symbol)).toEqual(['PEPE', 'BTC']);
+      expect(cryptos.body.data[0]).toMatchObject({ totalPredictions: 2, resolvedPredictions: 1 });
+      expect(blockchainService.getModelStats.mock.calls.map(([modelType]) => modelType)).toEqual(['LSTM', 'ARIMA']);
+    });
+
+    it('should list well-known symbols and models until caught up', async () => {
+      predictionIndexer.caughtUp = false;
+
+      const symbols = await request(app).get('/api/crypto/symbols').expect(200);
+      const models = await request(app).get('/api/models/registry').expect(200);
+
+      expect(symbols).toMatchApiSchema();
+      expect(symbols.body.meta.source).toBe('seed');
+      expect(symbols.body.data[0]).toMatchObject({ symbol: 'BTC', displayName: 'Bitcoin', predictionCount: null, models: [] });
+      expect(models.body.data.map(entry => entry.modelType)).toContain('Random Forest');
+    });
+
+    it('should drop sightings that a reorg removes', () => {
+      predictionIndexer.rollback(11);
+
+      expect(predictionIndexer.getSymbols().find(entry => entry.name === 'PEPE')).toMatchObject({
+        predictionCount: 1,
+        resolvedCount: 0,
+        lastBlock: 11
+      });
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const express = require('express');
+const predictionRoutes = require('../routes/predictions');
+const adminRoutes = require('../routes/admin');
+const jobRoutes = require('../routes/jobs');
+const blockchainService = require('../services/blockchain');
+const jobQueue = require('../services/jobs');
+
+const validPrediction = () => ({
+  cryptocurrency: 'BTC',
+  currentPrice: 50000,
+  predictedPrice: 55000,
+  targetTimestamp: Math.floor(Date.now() / 1000) + 86400,
+  modelType: 'LSTM'
+});
+
+// A write that is broadcast right away and mined when the test calls mine()/fail()
+const deferredWrite = (result) => {
+  const write = {};
+  write.mock = jest.fn((...args) => {
+    const options = args[args.length - 1];
+    options.onBroadcast({ id: 'tx-1', hash: '0xbroadcast', nonce: 4 });
+    return new Promise((resolve, reject) => {
+      write.mine = () => resolve(result);
+      write.fail = (error) => reject(error);
+    });
+  });
+  return write;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Jobs API', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/predictions', predictionRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/jobs', jobRoutes);
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    jobQueue.jobs = new Map();
+    jobQueue.confirmations = 1;
+  });
+
+  afterEach(() => {
+    jobQueue.stop();
+  });
+
+  describe('POST /api/predictions (async)', () => {
+    it('should return 202 with a job once the transaction is broadcast', async () => {
+      const write = deferredWrite({ predictionId: '42', txHash: '0xmined', blockNumber: 12350, gasUsed: '150000' });
+      blockchainService.makePrediction.mockImplementationOnce(write.mock);
+
+      const response = await request(app)
+        .post('/api/predictions?async=true')
+        .send(validPrediction())
+        .expect(202);
+
+      const job = response.body.data;
+      expect(response.headers.location).toBe(`/api/jobs/${job.id}`);
+      expect(job).toMatchObject({
+        type: 'prediction.create',
+        status: 'broadcast',
+        txHash: '0xbroadcast',
+        transactionId: 'tx-1',
+        predictionId: null
+      });
+
+      write.mine();
+      await flush();
+
+      const status = await request(app)
+        .get(`/api/jobs/${job.id}`)
+        .expect(200);
+
+      expect(status.body.data).toMatchObject({
+        status: 'confirmed',
+        predictionId: '42',
+        txHash: '0xmined',
+        receipt: { txHash: '0xmined', blockNumber: 12350, gasUsed: '150000' }
+      });
+      expect(status.body.data.history.map(entry => entry.status))
+        .toEqual(['queued', 'broadcast', 'mined', 'confirmed']);
+    });
+
+    it('should accept the Prefer: respond-async header', async () => {
+      const write = deferredWrite({ predictionId: '43' });
+      blockchainService.makePrediction.mockImplementationOnce(write.mock);
+
+      await request(app)
+        .post('/api/predictions')
+        .set('Prefer', 'respond-async')
+        .send(validPrediction())
+        .expect(202);
+    });
+
+    it('should accept every boolean spelling of the async flag', async () => {
+      for (const value of ['TRUE', '1', 'yes']) {
+        const write = deferredWrite({ predictionId: '44' });
+        blockchainService.makePrediction.mockImplementationOnce(write.mock);
+
+        await request(app)
+          .post(`/api/predictions?async=${value}`)
+          .send(validPrediction())
+          .expect(202);
+      }
+
+      const response = await request(app)
+        .post('/api/predictions?async=0')
+        .send(validPrediction())
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should record a revert after broadcast as failed', async () => {
+      const write = deferredWrite();
+      blockchainService.makePrediction.mockImplementationOnce(write.mock);
+
+      const response = await request(app)
+        .post('/api/predictions?async=true')
+        .send(validPrediction())
+        .expect(202);
+
+      write.fail(Object.assign(new Error('Transaction reverted'), { code: 'CALL_EXCEPTION', reason: 'Contract is paused' }));
+      await flush();
+
+      const status = await request(app)
+        .get(`/api/jobs/${response.body.data.id}`)
+        .expect(200);
+
+      expect(status.body.data).toMatchObject({ status: 'failed', error: 'Contract is paused' });
+    });
+
+    it('should return the error when submission fails before broadcast', async () => {
+      blockchainService.makePrediction.mockRejectedValueOnce(new Error('insufficient funds'));
+
+      const response = await request(app)
+        .post('/api/predictions?async=true')
+        .send(validPrediction())
+        .expect(500);
+
+      expect(response.body.message).toBe('insufficient funds');
+      expect([...jobQueue.jobs.values()][0]).toMatchObject({ status: 'failed', error: 'insufficient funds' });
+    });
+
+    it('should include the job ID in synchronous responses', async () => {
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(validPrediction())
+        .expect(201);
+
+      const job = jobQueue.getJob(response.body.data.jobId);
+      expect(job).toMatchObject({ type: 'prediction.create', status: 'confirmed', txHash: '0xabc123' });
+    });
+  });
+
+  describe('Resolve and admin writes', () => {
+    it('should resolve a prediction asynchronously', async () => {
+      const write = deferredWrite({ txHash: '0xresolved', blockNumber: 12351, gasUsed: '90000' });
+      blockchainService.resolvePrediction.mockImplementationOnce(write.mock);
+
+      const response = await request(app)
+        .put('/api/predictions/7/resolve?async=true')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ actualPrice: 54000 })
+        .expect(202);
+
+      expect(response.body.data).toMatchObject({ type: 'prediction.resolve', status: 'broadcast', predictionId: '7' });
+    });
+
+    it('should run admin writes as jobs', async () => {
+      const write = deferredWrite({ txHash: '0xthreshold', blockNumber: 12352, gasUsed: '30000' });
+      blockchainService.setAccuracyThreshold.mockImplementationOnce(write.mock);
+
+      const response = await request(app)
+        .put('/api/admin/accuracy-threshold')
+        .set('x-admin-key', 'test-admin-key')
+        .set('Prefer', 'respond-async')
+        .send({ threshold: 600 })
+        .expect(202);
+
+      expect(response.body.data).toMatchObject({ type: 'threshold.update', params: { threshold: 600 } });
+      expect(blockchainService.setAccuracyThreshold).toHaveBeenCalledWith(600, expect.any(Object));
+    });
+
+    it('should submit bulk resolutions as one job each', async () => {
+      const response = await request(app)
+        .post('/api/admin/bulk-resolve?async=true')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ predictions: [{ predictionId: 1, actualPrice: 54000 }, { predictionId: 2, actualPrice: 3200 }, { predictionId: 3 }] })
+        .expect(202);
+
+      expect(response.body.data.submitted).toBe(2);
+      expect(response.body.data.errors).toEqual([{ predictionId: 3, error: 'Invalid prediction data' }]);
+      expect(response.body.data.details.map(detail => detail.predictionId)).toEqual([1, 2]);
+      response.body.data.details.forEach(detail => expect(jobQueue.getJob(detail.jobId)).not.toBeNull());
+    });
+  });
+
+  describe('Confirmations', () => {
+    it('should confirm mined jobs after enough blocks', async () => {
+      jobQueue.confirmations = 3;
+      const job = jobQueue.start('contract.pause', {}, async () => ({ txHash: '0xpause', blockNumber: 100, gasUsed: '30000' }));
+      await jobQueue.waitForResult(job.id);
+
+      blockchainService.getBlockNumber.mockResolvedValueOnce(101);
+      await jobQueue.poll();
+      expect(jobQueue.getJob(job.id)).toMatchObject({ status: 'mined', confirmations: 2 });
+
+      blockchainService.getBlockNumber.mockResolvedValueOnce(102);
+      await jobQueue.poll();
+      expect(jobQueue.getJob(job.id)).toMatchObject({ status: 'confirmed', confirmations: 3 });
+    });
+
+    it('should settle broadcast jobs restored after a restart from the transaction manager', async () => {
+      const now = new Date().toISOString();
+      jobQueue.jobs.set('restored', {
+        id: 'restored',
+        type: 'prediction.resolve',
+        status: 'broadcast',
+        params: { predictionId: '5' },
+        txHash: '0xold',
+        transactionId: 'tx-9',
+        predictionId: '5',
+        receipt: null,
+        confirmations: 0,
+        error: null,
+        history: [{ status: 'queued', at: now }, { status: 'broadcast', at: now }],
+        createdAt: now,
+        updatedAt: now
+      });
+      blockchainService.getTransaction.mockReturnValueOnce({ id: 'tx-9', status: 'mined', hash: '0xreplacement', blockNumber: 12360 });
+
+      await jobQueue.poll();
+
+      expect(jobQueue.getJob('restored')).toMatchObject({
+        status: 'mined',
+        txHash: '0xreplacement',
+        receipt: { blockNumber: 12360 }
+      });
+    });
+  });
+
+  describe('GET /api/jobs/:id', () => {
+    it('should return 404 for unknown jobs', async () => {
+      const response = await request(app)
+        .get('/api/jobs/unknown')
+        .expect(404);
+
+      expect(response.body.error).toBe('Job not found');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const express = require('express');
+const leaderboardRoutes = require('../routes/leaderboard');
+const predictionIndexer = require('../services/indexer');
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+const DAVE = '0x4444444444444444444444444444444444444444';
+
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 24 * 3600;
+
+let nextBlock = 10;
+
+const made = (id, predictor, { modelType = 'LSTM', cryptocurrency = 'BTC', daysAgo = 1, confidence } = {}) => ({
+  name: 'PredictionMade',
+  blockNumber: nextBlock++,
+  blockHash: '0xblock',
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: NOW - daysAgo * DAY - 3600,
+  args: {
+    predictionId: id.toString(),
+    predictor,
+    cryptocurrency,
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: (NOW - daysAgo * DAY + id).toString(),
+    modelType,
+    additionalData: confidence === undefined ? '' : JSON.stringify({ schemaVersion: 1, confidence })
+  }
+});
+
+const resolved = (id, predictor, accuracyPercentage) => ({
+  name: 'PredictionResolved',
+  blockNumber: nextBlock++,
+  blockHash: '0xblock',
+  transactionHash: `0xresolve${id}`,
+  logIndex: 1,
+  timestamp: NOW,
+  args: {
+    predictionId: id.toString(),
+    predictor,
+    actualPrice: '49000.0',
+    wasAccurate: accuracyPercentage >= 9500,
+    accuracyPercentage: accuracyPercentage.toString()
+  }
+});
+
+// Alice: 6 of 8 accurate, the oldest on ETH. Bob: 8 of 9 on ARIMA, ending in a miss.
+// Carol and Dave: a single accurate prediction each, which must not top the board.
+const EVENTS = [
+  ...[9900, 9800, 9000, 9700, 9600, 9000, 9900, 9950].flatMap((accuracy, i) => {
+    const id = i + 1;
+    const options = i < 3 ? { cryptocurrency: 'ETH', daysAgo: 40, confidence: 0.9 } : { confidence: 0.9 };
+    return [made(id, ALICE, options), resolved(id, ALICE, accuracy)];
+  }),
+  ...[9600, 9700, 9800, 9900, 9600, 9700, 9800, 9900, 9100].flatMap((accuracy, i) => {
+    const id = i + 20;
+    return [made(id, BOB, { modelType: 'ARIMA', confidence: 0.6 }), resolved(id, BOB, accuracy)];
+  }),
+  made(30, CAROL, { confidence: 0.99 }),
+  resolved(30, CAROL, 10000),
+  made(31, CAROL),
+  made(32, DAVE, { confidence: 0.99 }),
+  resolved(32, DAVE, 10000)
+];
+
+const board = (response, field) => response.body.data.map(entry => [entry.rank, entry[field]]);
+
+describe('Leaderboard', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/leaderboard', leaderboardRoutes);
+  });
+
+  beforeEach(() => {
+    predictionIndexer.reset();
+    predictionIndexer.commit(EVENTS, 100, '0xblock100');
+    predictionIndexer.caughtUp = true;
+  });
+
+  afterAll(() => {
+    predictionIndexer.reset();
+  });
+
+  describe('GET /api/leaderboard/predictors', () => {
+    it('should rank eligible predictors by shrunk accuracy rate', async () => {
+      const response = await request(app)
+        .get('/api/leaderboard/predictors?minResolved=1')
+        .expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(board(response, 'predictor')).toEqual([[1, BOB], [2, CAROL], [2, DAVE], [4, ALICE]]);
+      expect(response.body.meta).toMatchObject({
+        metric: 'accuracyRate',
+        window: 'all',
+        symbol: null,
+        minResolved: 1,
+        priorWeight: 10,
+        prior: { accuracyRate: 84.2105 },
+        candidates: 4,
+        eligible: 4,
+        resolvedPredictions: 19
+      });
+
+      // (1 + 10 * 16/19) / 11: one lucky prediction barely moves off the mean
+      expect(response.body.data[1]).toMatchObject({ resolvedPredictions: 1, accuracyRate: 100, score: 85.6459 });
+      expect(response.body.data[0]).toMatchObject({ accuracyRate: 88.8889, score: 86.4266 });
+    });
+
+    it('should require the minimum number of resolved predictions', async () => {
+      const response = await request(app).get('/api/leaderboard/predictors').expect(200);
+
+      expect(board(response, 'predictor')).toEqual([[1, BOB], [2, ALICE]]);
+      expect(response.body.meta).toMatchObject({ minResolved: 5, candidates: 4, eligible: 2 });
+    });
+
+    it('should rank raw rates without a prior', async () => {
+      const response = await request(app)
+        .get('/api/leaderboard/predictors?minResolved=1&priorWeight=0')
+        .expect(200);
+
+      expect(board(response, 'predictor')).toEqual([[1, CAROL], [1, DAVE], [3, BOB], [4, ALICE]]);
+      expect(response.body.data[0].score).toBe(100);
+    });
+
+    it('should rank by average accuracy, Brier score and streak', async () => {
+      const [average, brier, streak] = await Promise.all([
+        request(app).get('/api/leaderboard/predictors?metric=averageAccuracy&priorWeight=0').expect(200),
+        request(app).get('/api/leaderboard/predictors?metric=brierScore&priorWeight=0').expect(200),
+        request(app).get('/api/leaderboard/predictors?metric=streak').expect(200)
+      ]);
+
+      expect(board(average, 'predictor')).toEqual([[1, BOB], [2, ALICE]]);
+      expect(average.body.data[0]).toMatchObject({ averageAccuracy: 96.7778, score: 96.7778 });
+
+      // Alice: 0.9 confident, 6 hits and 2 misses; Bob: 0.6 confident, 8 hits and a miss
+      expect(board(brier, 'predictor')).toEqual([[1, BOB], [2, ALICE]]);
+      expect(brier.body.data.map(entry => entry.brierScore)).toEqual([0.1822, 0.21]);
+
+      expect(board(streak, 'predictor')).toEqual([[1, ALICE], [2, BOB]]);
+      expect(streak.body.data.map(({ currentStreak, longestStreak }) => [currentStreak, longestStreak]))
+        .toEqual([[2, 2], [0, 8]]);
+    });
+
+    it('should restrict the board to a time window and a symbol', async () => {
+      const [recent, eth] = await Promise.all([
+        request(app).get('/api/leaderboard/predictors?window=30d&minResolved=1&priorWeight=0').expect(200),
+        request(app).get('/api/leaderboard/predictors?symbol=ETH&minResolved=1').expect(200)
+      ]);
+
+      expect(recent.body.data.find(entry => entry.predictor === ALICE))
+        .toMatchObject({ resolvedPredictions: 5, accuratePredictions: 4 });
+      expect(recent.body.meta.resolvedPredictions).toBe(16);
+
+      expect(board(eth, 'predictor')).toEqual([[1, ALICE]]);
+      expect(eth.body.meta).toMatchObject({ symbol: 'ETH', resolvedPredictions: 3 });
+    });
+
+    it('should match the symbol case-insensitively', async () => {
+      const response = await request(app).get('/api/leaderboard/predictors?symbol=eth&minResolved=1').expect(200);
+
+      expect(board(response, 'predictor')).toEqual([[1, ALICE]]);
+      expect(response.body.meta).toMatchObject({ symbol: 'ETH', resolvedPredictions: 3 });
+    });
+
+    it('should reject unknown metrics and windows', async () => {
+      await request(app).get('/api/leaderboard/predictors?metric=luck').expect(400);
+      await request(app).get('/api/leaderboard/predictors?window=1y').expect(400);
+    });
+  });
+
+  describe('GET /api/leaderboard/models', () => {
+    it('should rank model types', async () => {
+      const response = await request(app).get('/api/leaderboard/models?priorWeight=0').expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(board(response, 'modelType')).toEqual([[1, 'ARIMA'], [2, 'LSTM']]);
+      expect(response.body.data[1]).toMatchObject({ resolvedPredictions: 10, accuratePredictions: 8, accuracyRate: 80 });
+    });
+  });
+});
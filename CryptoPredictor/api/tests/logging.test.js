@@ -0,0 +1,214 @@
+const request = require('supertest');
+const express = require('express');
+const logger = require('../services/logger');
+const jobQueue = require('../services/jobs');
+const { requestLogger, requestContext } = require('../middleware/requestLogger');
+
+describe('Structured logging', () => {
+  let lines;
+
+  const entries = () => lines.map(line => JSON.parse(line));
+  const entry = (msg) => entries().find(item => item.msg === msg);
+
+  beforeEach(() => {
+    lines = [];
+    logger.stream = { write: (line) => lines.push(line) };
+    logger.setLevel('debug');
+  });
+
+  afterEach(() => {
+    logger.stream = process.stdout;
+    logger.setLevel('silent');
+    jobQueue.stop();
+  });
+
+  describe('Logger', () => {
+    it('should write one JSON line per entry with bound fields', () => {
+      logger.child({ component: 'test' }).info('Something happened', { count: 2n });
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].endsWith('\n')).toBe(true);
+      expect(entries()[0]).toMatchObject({ level: 'info', msg: 'Something happened', component: 'test', count: '2' });
+      expect(Date.parse(entries()[0].time)).not.toBeNaN();
+    });
+
+    it('should drop entries below the configured level', () => {
+      logger.setLevel('warn');
+      logger.info('hidden');
+      logger.debug('hidden');
+      logger.warn('shown');
+      logger.error('shown');
+
+      expect(entries().map(item => item.level)).toEqual(['warn', 'error']);
+
+      logger.setLevel('silent');
+      logger.error('hidden');
+      expect(lines).toHaveLength(2);
+    });
+
+    it('should serialize errors with their code', () => {
+      const error = new Error('could not coalesce error');
+      error.code = 'UNKNOWN_ERROR';
+      error.shortMessage = 'could not coalesce error';
+      logger.error('Failed', { error });
+
+      expect(entry('Failed').error).toMatchObject({
+        name: 'Error',
+        message: 'could not coalesce error',
+        code: 'UNKNOWN_ERROR',
+        shortMessage: 'could not coalesce error'
+      });
+    });
+  });
+
+  describe('Redaction', () => {
+    it('should redact secret fields at any depth', () => {
+      logger.info('Config', {
+        privateKey: '0xabc',
+        nested: { headers: { Authorization: 'Bearer abc', 'x-admin-key': 'abc' }, apiKey: 'abc' },
+        list: [{ password: 'abc' }],
+        safe: 'visible'
+      });
+
+      expect(entry('Config')).toMatchObject({
+        privateKey: '[REDACTED]',
+        nested: { headers: { Authorization: '[REDACTED]', 'x-admin-key': '[REDACTED]' }, apiKey: '[REDACTED]' },
+        list: [{ password: '[REDACTED]' }],
+        safe: 'visible'
+      });
+    });
+
+    it('should mask configured secrets wherever they appear', () => {
+      logger.error('Failed', {
+        error: new Error(`invalid private key ${process.env.PRIVATE_KEY}`),
+        detail: `key=${process.env.ADMIN_API_KEY}; Bearer sk_live_123`
+      });
+
+      const line = lines.join('');
+      expect(line).not.toContain(process.env.PRIVATE_KEY);
+      expect(line).not.toContain(process.env.ADMIN_API_KEY);
+      expect(line).not.toContain('sk_live_123');
+      expect(entry('Failed').detail).toBe('key=[REDACTED]; Bearer [REDACTED]');
+    });
+  });
+
+  describe('Request IDs', () => {
+    let app;
+    let service;
+
+    beforeAll(() => {
+      // The real service, with its contract replaced by an in-memory fake
+      const { constructor: BlockchainService } = jest.requireActual('../services/blockchain');
+      service = Object.create(BlockchainService.prototype);
+
+      app = express();
+      app.use(requestLogger);
+      app.use(express.json());
+      app.use(requestContext);
+      app.post('/read', async (req, res, next) => {
+        try {
+          res.json({ counter: await service.getPredictionCounter() });
+        } catch (error) {
+          next(error);
+        }
+      });
+      app.post('/write', async (req, res, next) => {
+        try {
+          res.json(await service.pauseContract());
+        } catch (error) {
+          next(error);
+        }
+      });
+      app.post('/job', (req, res) => {
+        res.json(jobQueue.start('test.job', {}, async () => {
+          logger.info('Job running');
+        }));
+      });
+      app.use((err, req, res, next) => {
+        res.status(500).json({ error: 'Internal Server Error', requestId: req.id });
+      });
+    });
+
+    beforeEach(() => {
+      jobQueue.jobs = new Map();
+      service.contract = {
+        predictionCounter: jest.fn().mockResolvedValue(12n),
+        pause: { populateTransaction: jest.fn().mockResolvedValue({ data: '0x8456cb59' }) }
+      };
+      service.transactions = {
+        send: jest.fn().mockResolvedValue({ hash: '0xpaused', blockNumber: 12, gasUsed: 30000n })
+      };
+    });
+
+    it('should generate an ID and echo it on the response', async () => {
+      const response = await request(app).post('/read').send({}).expect(200);
+
+      const requestId = response.headers['x-request-id'];
+      expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(entry('Request completed')).toMatchObject({
+        component: 'http',
+        requestId,
+        method: 'POST',
+        path: '/read',
+        status: 200
+      });
+    });
+
+    it('should reuse a well-formed incoming ID and replace anything else', async () => {
+      const reused = await request(app).post('/read').set('X-Request-Id', 'trace-123').send({}).expect(200);
+      expect(reused.headers['x-request-id']).toBe('trace-123');
+
+      const replaced = await request(app).post('/read').set('X-Request-Id', 'bad id!').send({}).expect(200);
+      expect(replaced.headers['x-request-id']).not.toBe('bad id!');
+    });
+
+    it('should carry the request ID into contract calls', async () => {
+      const response = await request(app).post('/read').set('X-Request-Id', 'trace-read').send({}).expect(200);
+
+      expect(response.body).toEqual({ counter: '12' });
+      expect(entry('Contract call')).toMatchObject({
+        level: 'debug',
+        component: 'blockchain',
+        requestId: 'trace-read',
+        method: 'predictionCounter',
+        durationMs: expect.any(Number)
+      });
+    });
+
+    it('should log writes with their transaction hash', async () => {
+      await request(app).post('/write').set('X-Request-Id', 'trace-write').send({}).expect(200);
+
+      expect(entry('Contract call')).toMatchObject({
+        level: 'info',
+        requestId: 'trace-write',
+        method: 'pause',
+        txHash: '0xpaused'
+      });
+    });
+
+    it('should log failed calls with the error code', async () => {
+      const error = new Error('missing revert data');
+      error.code = 'CALL_EXCEPTION';
+      service.contract.predictionCounter.mockRejectedValue(error);
+
+      const response = await request(app).post('/read').set('X-Request-Id', 'trace-fail').send({}).expect(500);
+
+      expect(response.body.requestId).toBe('trace-fail');
+      expect(entry('Contract call failed')).toMatchObject({
+        level: 'error',
+        requestId: 'trace-fail',
+        method: 'predictionCounter',
+        errorCode: 'CALL_EXCEPTION',
+        error: { message: 'missing revert data' }
+      });
+      expect(entry('Request completed')).toMatchObject({ level: 'error', status: 500 });
+    });
+
+    it('should tag entries logged by jobs with the job and request IDs', async () => {
+      const response = await request(app).post('/job').set('X-Request-Id', 'trace-job').send({}).expect(200);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(entry('Job running')).toMatchObject({ requestId: 'trace-job', jobId: response.body.id });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const express = require('express');
+const predictionRoutes = require('../routes/predictions');
+const modelRoutes = require('../routes/models');
+const predictionIndexer = require('../services/indexer');
+const predictionMetadata = require('../services/metadata');
+
+const DATA_HASH = `0x${'ab'.repeat(32)}`;
+
+const v1 = (fields = {}) => JSON.stringify({
+  schemaVersion: 1,
+  modelVersion: '2.3.0',
+  features: ['close', 'volume'],
+  hyperparameters: { layers: 3, dropout: 0.2, bidirectional: true },
+  confidence: 0.8,
+  horizon: 3600,
+  dataSourceHash: DATA_HASH,
+  ...fields
+});
+
+const madeEvent = (id, additionalData, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber: 10 + id,
+  blockHash: `0xblock${10 + id}`,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + id,
+  args: {
+    predictionId: id.toString(),
+    predictor: '0x1234567890123456789012345678901234567890',
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType: 'LSTM',
+    additionalData,
+    ...overrides
+  }
+});
+
+const ids = (response) => response.body.data.map(prediction => prediction.id);
+
+describe('Prediction metadata', () => {
+  describe('Schema', () => {
+    it('should accept versioned metadata and free text', () => {
+      expect(predictionMetadata.validate(v1())).toEqual({});
+      expect(predictionMetadata.validate('trained on the weekend run')).toEqual({});
+      expect(predictionMetadata.validate('{}')).toEqual({});
+    });
+
+    it('should reject versioned metadata that does not match its version', () => {
+      expect(predictionMetadata.validate(v1({ confidence: 1.5 })).error).toBe('/confidence must be <= 1');
+      expect(predictionMetadata.validate(v1({ notes: 'x' })).error).toBe('/ must NOT have additional properties');
+      expect(predictionMetadata.validate(v1({ schemaVersion: 7 })).error).toBe('/schemaVersion must be one of 1');
+    });
+
+    it('should check only the known fields of unversioned metadata', () => {
+      expect(predictionMetadata.validate('{"confidence": 0.85, "notes": "legacy"}')).toEqual({});
+      expect(predictionMetadata.validate('{"confidence": "high"}').error).toBe('/confidence must be number');
+    });
+
+    it('should parse stored values, keeping only the fields that validate', () => {
+      expect(predictionMetadata.parse(v1({ extra: { run: 42 } }))).toEqual({ ...JSON.parse(v1()), extra: { run: 42 } });
+      expect(predictionMetadata.parse('{"confidence": 0.85, "horizon": "1h", "notes": "legacy"}'))
+        .toEqual({ schemaVersion: null, confidence: 0.85 });
+      expect(predictionMetadata.parse('free text')).toBeNull();
+      expect(predictionMetadata.parse('')).toBeNull();
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/predictions', predictionRoutes);
+      app.use('/api/models', modelRoutes);
+    });
+
+    beforeEach(() => {
+      predictionIndexer.reset();
+      predictionIndexer.commit([
+        madeEvent(1, v1()),
+        madeEvent(2, v1({ modelVersion: '2.4.0', features: ['close'], confidence: 0.6 })),
+        madeEvent(3, '{"confidence": 0.9}', { modelType: 'ARIMA' }),
+        madeEvent(4, 'manual entry')
+      ], 20, '0xblock20');
+      predictionIndexer.caughtUp = true;
+    });
+
+    afterAll(() => {
+      predictionIndexer.reset();
+    });
+
+    it('should return predictions with their metadata parsed', async () => {
+      const versioned = await request(app).get('/api/predictions/1').expect(200);
+      const legacy = await request(app).get('/api/predictions/4').expect(200);
+
+      expect(versioned).toMatchApiSchema();
+      expect(versioned.body.data.metadata).toMatchObject({ schemaVersion: 1, modelVersion: '2.3.0', horizon: 3600 });
+      expect(legacy.body.data).toMatchObject({ additionalData: 'manual entry', metadata: null });
+    });
+
+    it('should filter list routes by metadata', async () => {
+      const byVersion = await request(app).get('/api/predictions?metadata.modelVersion=2.4.0').expect(200);
+      const byFeature = await request(app).get('/api/predictions?metadata.feature=volume').expect(200);
+      const confident = await request(app).get('/api/predictions?metadata.minConfidence=0.75').expect(200);
+      const legacy = await request(app).get('/api/predictions?metadata.schemaVersion=legacy').expect(200);
+      const byModel = await request(app).get(`/api/models/LSTM/predictions?metadata.dataSourceHash=${DATA_HASH}`).expect(200);
+
+      expect(ids(byVersion)).toEqual(['2']);
+      expect(ids(byFeature)).toEqual(['1']);
+      expect(ids(confident)).toEqual(['3', '1']);
+      expect(ids(legacy)).toEqual(['4', '3']);
+      expect(ids(byModel)).toEqual(['2', '1']);
+      expect(byVersion.body.meta.filters).toEqual({ 'metadata.modelVersion': '2.4.0' });
+    });
+
+    it('should reject a cursor from a query with different metadata filters', async () => {
+      const first = await request(app).get('/api/predictions?metadata.schemaVersion=1&limit=1').expect(200);
+
+      await request(app)
+        .get(`/api/predictions?metadata.schemaVersion=legacy&limit=1&cursor=${first.body.pagination.nextCursor}`)
+        .expect(400);
+    });
+
+    it('should validate metadata on submission', async () => {
+      const prediction = {
+        cryptocurrency: 'BTC',
+        currentPrice: 45000,
+        predictedPrice: 50000,
+        targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+        modelType: 'LSTM'
+      };
+
+      await request(app).post('/api/predictions').send({ ...prediction, additionalData: v1() }).expect(201);
+      await request(app).post('/api/predictions').send({ ...prediction, additionalData: 'manual entry' }).expect(201);
+
+      const response = await request(app)
+        .post('/api/predictions')
+        .send({ ...prediction, additionalData: v1({ dataSourceHash: 'sha256:abc' }) })
+        .expect(400);
+
+      expect(response.body.details[0]).toMatchObject({
+        field: 'additionalData',
+        message: '"additionalData" does not match the prediction metadata schema: /dataSourceHash must match pattern "^0x[a-fA-F0-9]{64}$"'
+      });
+    });
+
+    it('should serve the JSON Schema by version', async () => {
+      const response = await request(app).get('/api/predictions/metadata/schema').expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(response.body.data.properties.schemaVersion).toEqual({ const: 1 });
+      expect(response.body.meta).toEqual({ version: 1, currentVersion: 1, versions: [1] });
+      await request(app).get('/api/predictions/metadata/schema?version=9').expect(400);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const apiRoutes = require('../routes');
+const metricsRoutes = require('../routes/metrics');
+const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const metrics = require('../services/metrics');
+const { httpMetrics } = require('../middleware/metrics');
+
+const SIGNER = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+
+describe('Metrics', () => {
+  let app;
+
+  const scrape = async () => (await request(app).get('/metrics').expect(200)).text;
+
+  // The value of one sample, e.g. sample(text, 'contract_paused') or with labels
+  const sample = (text, name, labels = '') => {
+    const line = text.split('\n').find(item => item.startsWith(`${name}${labels} `));
+    return line ? Number(line.split(' ').pop()) : undefined;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(httpMetrics);
+    app.use(metricsRoutes);
+    app.use(express.json());
+    apiRoutes.forEach(({ prefix, router }) => app.use(prefix, router));
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    metrics.registry.resetMetrics();
+  });
+
+  describe('GET /metrics', () => {
+    it('should serve the Prometheus text format', async () => {
+      const response = await request(app).get('/metrics').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+      expect(response.text).toContain('# TYPE blockchain_rpc_calls_total counter');
+      expect(response.text).toContain('# TYPE blockchain_transactions_total counter');
+      expect(response.text).toContain('process_cpu_user_seconds_total');
+    });
+
+    it('should record requests by route template and status', async () => {
+      await request(app).get('/api/predictions/1').expect(200);
+      await request(app).get('/api/predictions/2').expect(200);
+      await request(app).get('/api/predictions/abc').expect(400);
+      await request(app).get('/api/nothing-here').expect(404);
+
+      const text = await scrape();
+      expect(sample(text, 'http_request_duration_seconds_count', '{method="GET",route="/api/predictions/:id",status="200"}')).toBe(2);
+      expect(sample(text, 'http_request_duration_seconds_count', '{method="GET",route="/api/predictions/:id",status="400"}')).toBe(1);
+      expect(sample(text, 'http_request_duration_seconds_count', '{method="GET",route="unmatched",status="404"}')).toBe(1);
+    });
+
+    it('should keep the mount path for requests that fail in the handler', async () => {
+      blockchainService.getPredictionCounter.mockRejectedValueOnce(new Error('RPC down'));
+
+      await request(app).get('/api/predictions/stats/summary').expect(500);
+
+      const text = await scrape();
+      expect(sample(text, 'http_request_duration_seconds_count', '{method="GET",route="/api/predictions/stats/summary",status="500"}')).toBe(1);
+    });
+  });
+
+  describe('Chain gauges', () => {
+    it('should read the signer balance, prediction counter and paused state when scraped', async () => {
+      blockchainService.isPaused.mockResolvedValueOnce(true);
+
+      const text = await scrape();
+
+      expect(sample(text, 'blockchain_signer_balance', `{address="${SIGNER}"}`)).toBe(12.5);
+      expect(sample(text, 'contract_prediction_counter')).toBe(100);
+      expect(sample(text, 'contract_paused')).toBe(1);
+    });
+
+    it('should count matured unresolved predictions from the index', async () => {
+      const isReady = jest.spyOn(predictionIndexer, 'isReady').mockReturnValue(true);
+      const matured = jest.spyOn(predictionIndexer, 'getMaturedPredictions').mockResolvedValue([{ id: '1' }, { id: '2' }]);
+
+      try {
+        expect(sample(await scrape(), 'contract_matured_unresolved_predictions')).toBe(2);
+      } finally {
+        isReady.mockRestore();
+        matured.mockRestore();
+      }
+    });
+
+    it('should keep the last value when a chain read fails', async () => {
+      expect(sample(await scrape(), 'contract_prediction_counter')).toBe(100);
+      blockchainService.getPredictionCounter.mockRejectedValueOnce(new Error('RPC down'));
+
+      const text = await scrape();
+
+      expect(sample(text, 'contract_prediction_counter')).toBe(100);
+      expect(sample(text, 'contract_paused')).toBe(0);
+    });
+  });
+
+  describe('Blockchain calls', () => {
+    // The real service, with its contract and signer replaced by in-memory fakes
+    const { constructor: BlockchainService } = jest.requireActual('../services/blockchain');
+    const iface = new ethers.Interface(require('../contracts/PredictionLogger.abi.json'));
+    const resolvedLog = (id) => iface.encodeEventLog('PredictionResolved', [id, SIGNER, ethers.parseUnits('50000', 18), true, 10000]);
+    let service;
+
+    beforeEach(() => {
+      service = Object.create(BlockchainService.prototype);
+      service.contract = {
+        interface: iface,
+        predictionCounter: jest.fn().mockResolvedValue(12n),
+        accuracyThreshold: jest.fn().mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' })),
+        resolvePrediction: { populateTransaction: jest.fn().mockResolvedValue({ data: '0x' }) },
+        pause: { populateTransaction: jest.fn().mockResolvedValue({ data: '0x' }) }
+      };
+      service.transactions = {
+        send: jest.fn()
+          .mockResolvedValueOnce({ hash: '0x1', blockNumber: 10, gasUsed: 85000n, logs: [resolvedLog(1)] })
+          .mockResolvedValueOnce({ hash: '0x2', blockNumber: 11, gasUsed: 60000n, logs: [resolvedLog(2)] })
+          .mockRejectedValueOnce(new Error('replacement transaction underpriced'))
+      };
+    });
+
+    it('should count reads and their latency per contract method', async () => {
+      await service.getPredictionCounter();
+      await service.getPredictionCounter();
+      await expect(service.getAccuracyThreshold()).rejects.toThrow('timeout');
+
+      const text = await scrape();
+      expect(sample(text, 'blockchain_rpc_calls_total', '{method="predictionCounter",outcome="success"}')).toBe(2);
+      expect(sample(text, 'blockchain_rpc_calls_total', '{method="accuracyThreshold",outcome="error"}')).toBe(1);
+      expect(sample(text, 'blockchain_rpc_duration_seconds_count', '{method="predictionCounter"}')).toBe(2);
+    });
+
+    it('should count transactions and the gas they used', async () => {
+      await service.resolvePrediction(1, 50000);
+      await service.resolvePrediction(2, 50000);
+      await expect(service.pauseContract()).rejects.toThrow('underpriced');
+
+      const text = await scrape();
+      expect(sample(text, 'blockchain_transactions_total', '{method="resolvePrediction",outcome="success"}')).toBe(2);
+      expect(sample(text, 'blockchain_transactions_total', '{method="pause",outcome="failure"}')).toBe(1);
+      expect(sample(text, 'blockchain_transaction_gas_used_total', '{method="resolvePrediction"}')).toBe(145000);
+    });
+  });
+});
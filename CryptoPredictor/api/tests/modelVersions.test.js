@@ -0,0 +1,229 @@
+const request = require('supertest');
+const express = require('express');
+const modelRoutes = require('../routes/models');
+const predictionRoutes = require('../routes/predictions');
+const predictionIndexer = require('../services/indexer');
+const modelVersions = require('../services/modelVersions');
+
+const hash = (byte) => `0x${byte.repeat(32)}`;
+
+const version = (fields) => ({
+  trainingWindow: { from: '2025-01-01T00:00:00.000Z', to: '2025-06-30T00:00:00.000Z' },
+  parameterHash: hash('aa'),
+  ...fields
+});
+
+let nextBlock = 10;
+
+const made = (id, modelVersion, modelType = 'LSTM') => ({
+  name: 'PredictionMade',
+  blockNumber: nextBlock++,
+  blockHash: '0xblock',
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1750000000 + id,
+  args: {
+    predictionId: id.toString(),
+    predictor: '0x1234567890123456789012345678901234567890',
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType,
+    additionalData: modelVersion ? JSON.stringify({ schemaVersion: 1, modelVersion }) : 'legacy notes'
+  }
+});
+
+const resolved = (id, accuracyPercentage) => ({
+  name: 'PredictionResolved',
+  blockNumber: nextBlock++,
+  blockHash: '0xblock',
+  transactionHash: `0xresolve${id}`,
+  logIndex: 1,
+  timestamp: 1760000000 + id,
+  args: {
+    predictionId: id.toString(),
+    predictor: '0x1234567890123456789012345678901234567890',
+    actualPrice: '49000.0',
+    wasAccurate: accuracyPercentage >= 9500,
+    accuracyPercentage: accuracyPercentage.toString()
+  }
+});
+
+describe('Model versions', () => {
+  let app;
+
+  const register = (body, modelType = 'LSTM') => request(app)
+    .post(`/api/models/${modelType}/versions`)
+    .set('x-admin-key', 'test-admin-key')
+    .send(body);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/models', modelRoutes);
+    app.use('/api/predictions', predictionRoutes);
+  });
+
+  beforeEach(() => {
+    modelVersions.models = new Map();
+    predictionIndexer.reset();
+    predictionIndexer.commit([
+      made(1, '1.0.0'),
+      made(2, '1.0.0'),
+      made(3, '1.1.0'),
+      made(4, '1.1.0'),
+      made(5, '0.9.0-beta'),
+      made(6, null),
+      made(7, '1.0.0', 'ARIMA'),
+      resolved(1, 9800),
+      resolved(2, 9000),
+      resolved(3, 9900),
+      resolved(4, 9700)
+    ], 100, '0xblock100');
+    predictionIndexer.caughtUp = true;
+  });
+
+  afterAll(() => {
+    predictionIndexer.reset();
+  });
+
+  describe('POST /api/models/:modelType/versions', () => {
+    it('should register a version and its lineage', async () => {
+      const first = await register(version({ version: '1.0.0', description: 'Baseline' })).expect(201);
+      await register(version({ version: '1.1.0', parentVersion: '1.0.0', parameterHash: hash('BB') })).expect(201);
+
+      expect(first).toMatchApiSchema();
+      expect(first.body.data).toMatchObject({ modelType: 'LSTM', version: '1.0.0', parentVersion: null, description: 'Baseline' });
+      expect(modelVersions.getLineage('LSTM', '1.1.0')).toEqual(['1.1.0', '1.0.0']);
+      expect(modelVersions.getVersion('LSTM', '1.1.0').parameterHash).toBe(hash('bb'));
+    });
+
+    it('should require the models:manage scope', async () => {
+      await request(app).post('/api/models/LSTM/versions').send(version({ version: '1.0.0' })).expect(401);
+    });
+
+    it('should reject duplicates, unknown or later parents and non-semantic versions', async () => {
+      await register(version({ version: '1.0.0' })).expect(201);
+
+      const duplicate = await register(version({ version: '1.0.0' })).expect(409);
+      const orphan = await register(version({ version: '2.0.0', parentVersion: '1.5.0' })).expect(400);
+      const backwards = await register(version({ version: '0.9.0', parentVersion: '1.0.0' })).expect(400);
+      const loose = await register(version({ version: 'v2' })).expect(400);
+
+      expect(duplicate.body.error).toBe('Version already registered');
+      expect(orphan.body.message).toBe('Parent version 1.5.0 of LSTM is not registered');
+      expect(backwards.body.message).toBe('Parent version 1.0.0 must precede 0.9.0');
+      expect(loose.body.message).toBe('"v2" is not a semantic version');
+    });
+
+    it('should only accept predictions that name a registered version once the model has one', async () => {
+      const prediction = (modelVersion, modelType = 'LSTM') => ({
+        cryptocurrency: 'BTC',
+        currentPrice: 45000,
+        predictedPrice: 50000,
+        targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+        modelType,
+        additionalData: JSON.stringify({ schemaVersion: 1, modelVersion })
+      });
+
+      await request(app).post('/api/predictions').send(prediction('7.0.0')).expect(201);
+      await register(version({ version: '1.0.0' })).expect(201);
+
+      await request(app).post('/api/predictions').send(prediction('1.0.0')).expect(201);
+      await request(app).post('/api/predictions').send(prediction('7.0.0', 'ARIMA')).expect(201);
+      const rejected = await request(app).post('/api/predictions').send(prediction('7.0.0')).expect(400);
+
+      expect(rejected.body.details[0].message).toBe('"additionalData" names version 7.0.0, which is not registered for LSTM');
+    });
+
+    it('should require a version in versioned metadata once the model has one', async () => {
+      const prediction = (additionalData, modelType = 'LSTM') => ({
+        cryptocurrency: 'BTC',
+        currentPrice: 45000,
+        predictedPrice: 50000,
+        targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+        modelType,
+        additionalData
+      });
+
+      await request(app).post('/api/predictions').send(prediction(JSON.stringify({ schemaVersion: 1 }))).expect(201);
+      await register(version({ version: '1.0.0' })).expect(201);
+
+      await request(app).post('/api/predictions').send(prediction(JSON.stringify({ schemaVersion: 1 }), 'ARIMA')).expect(201);
+      const rejected = await request(app)
+        .post('/api/predictions')
+        .send(prediction(JSON.stringify({ schemaVersion: 1, confidence: 0.8 })))
+        .expect(400);
+
+      expect(rejected.body.details[0].message).toBe('"additionalData" must name a modelVersion, as LSTM has registered versions');
+    });
+
+    it('should still accept legacy metadata without a version for a versioned model', async () => {
+      await register(version({ version: '1.0.0' })).expect(201);
+
+      const prediction = (additionalData) => ({
+        cryptocurrency: 'BTC',
+        currentPrice: 45000,
+        predictedPrice: 50000,
+        targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+        modelType: 'LSTM',
+        additionalData
+      });
+
+      await request(app).post('/api/predictions').send(prediction('legacy notes')).expect(201);
+      await request(app).post('/api/predictions').send(prediction(JSON.stringify({ confidence: 0.8 }))).expect(201);
+      await request(app)
+        .post('/api/predictions')
+        .send(prediction(JSON.stringify({ confidence: 0.8, modelVersion: '7.0.0' })))
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/models/:modelType/versions', () => {
+    it('should report performance per version with the change from the parent', async () => {
+      await register(version({ version: '1.0.0' })).expect(201);
+      await register(version({ version: '1.1.0', parentVersion: '1.0.0', parameterHash: hash('bb') })).expect(201);
+
+      const response = await request(app)
+        .get('/api/models/LSTM/versions')
+        .expect(200);
+
+      expect(response).toMatchApiSchema();
+      expect(response.body.meta).toEqual({ registeredVersions: 2, latestVersion: '1.1.0' });
+
+      const [latest, baseline, beta] = response.body.data.versions;
+      expect(latest).toMatchObject({
+        version: '1.1.0',
+        registered: true,
+        lineage: ['1.1.0', '1.0.0'],
+        performance: { totalPredictions: 2, resolvedPredictions: 2, accuratePredictions: 2, accuracyRate: 100, averageAccuracy: 98 },
+        diff: {
+          from: '1.0.0',
+          parameterHashChanged: true,
+          trainingWindowChanged: false,
+          accuracyRate: 50,
+          averageAccuracy: 4,
+          pinballLoss: null
+        }
+      });
+      expect(baseline).toMatchObject({ version: '1.0.0', diff: null, performance: { accuracyRate: 50, averageAccuracy: 94 } });
+      expect(beta).toMatchObject({
+        version: '0.9.0-beta',
+        registered: false,
+        performance: { totalPredictions: 1, resolvedPredictions: 0, accuracyRate: null }
+      });
+      expect(response.body.data.unversioned).toMatchObject({ totalPredictions: 1, resolvedPredictions: 0 });
+    });
+
+    it('should refresh the cached report when a version is registered', async () => {
+      const before = await request(app).get('/api/models/LSTM/versions').expect(200);
+      await register(version({ version: '1.0.0' })).expect(201);
+      const after = await request(app).get('/api/models/LSTM/versions').expect(200);
+
+      expect(before.body.meta.registeredVersions).toBe(0);
+      expect(after.headers['x-cache']).toBe('MISS');
+      expect(after.body.meta).toEqual({ registeredVersions: 1, latestVersion: '1.0.0' });
+    });
+  });
+});
@@ -81,7 +81,7 @@ describe('Models API', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.meta.filters.resolved).toBe('true');
+      expect(response.body.meta.filters.resolved).toBe(true);
     });
 
     it('should filter by cryptocurrency', async () => {
@@ -166,7 +166,8 @@ describe('Models API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Models parameter is required (comma-separated list)');
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0]).toMatchObject({ field: 'models', location: 'query', type: 'any.required' });
     });
 
     it('should handle single model comparison', async () => {
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const express = require('express');
+const apiRoutes = require('../routes');
+const docsRoutes = require('../routes/docs');
+const blockchainService = require('../services/blockchain');
+const predictionIndexer = require('../services/indexer');
+const webhookService = require('../services/webhooks');
+const jobQueue = require('../services/jobs');
+const openApiService = require('../services/openapi');
+
+const ALICE = '0x1234567890123456789012345678901234567890';
+const ADMIN_KEY = 'test-admin-key';
+
+const madeEvent = (id, blockNumber, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType: 'LSTM',
+    additionalData: '{}',
+    ...overrides
+  }
+});
+
+const resolvedEvent = (id, blockNumber) => ({
+  name: 'PredictionResolved',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xresolve${id}`,
+  logIndex: 1,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    actualPrice: '49000.0',
+    wasAccurate: true,
+    accuracyPercentage: '9800'
+  }
+});
+
+describe('OpenAPI document', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    apiRoutes.forEach(({ prefix, router }) => app.use(prefix, router));
+    app.use('/api', docsRoutes);
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    predictionIndexer.reset();
+    predictionIndexer.commit([
+      madeEvent(1, 10),
+      madeEvent(2, 11, { cryptocurrency: 'ETH' }),
+      resolvedEvent(1, 20)
+    ], 25, '0xblock25');
+    predictionIndexer.caughtUp = true;
+    jobQueue.jobs = new Map();
+    webhookService.webhooks = new Map();
+    webhookService.deliveries = new Map();
+  });
+
+  afterEach(() => {
+    jobQueue.stop();
+  });
+
+  describe('GET /api/openapi.json', () => {
+    it('should list every route with a unique operation ID', async () => {
+      const response = await request(app)
+        .get('/api/openapi.json')
+        .expect(200);
+
+      const spec = response.body;
+      expect(spec.openapi).toBe('3.0.3');
+      expect(spec.info.title).toBe('CryptoPredictor API');
+
+      const operations = [];
+      Object.entries(spec.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => operations.push({ path, method, operation }));
+      });
+
+      const routeCount = apiRoutes.reduce((count, { router }) =>
+        count + router.stack.filter(layer => layer.route).length, 0);
+      // Plus GET /health, /health/live and /health/ready
+      expect(operations).toHaveLength(routeCount + 3);
+
+      const operationIds = operations.map(({ operation }) => operation.operationId);
+      expect(new Set(operationIds).size).toBe(operationIds.length);
+      expect(spec.paths['/api/users/{address}/predictions'].get.parameters.map(param => param.name))
+        .toEqual(expect.arrayContaining(['address', 'cursor', 'limit', 'sort']));
+    });
+
+    it('should describe request bodies and validation from the route schemas', () => {
+      const spec = openApiService.getSpec();
+      const create = spec.paths['/api/predictions'].post;
+
+      expect(create.requestBody.content['application/json'].schema.required)
+        .toEqual(expect.arrayContaining(['cryptocurrency', 'currentPrice', 'predictedPrice', 'targetTimestamp', 'modelType']));
+      expect(Object.keys(create.responses)).toEqual(expect.arrayContaining(['201', '202', '400', 'default']));
+
+      const resolve = spec.paths['/api/predictions/{id}/resolve'].put;
+      expect(resolve.requestBody.content['application/json'].schema.required).toEqual(['actualPrice']);
+      expect(resolve.responses['200'].content['application/json'].schema.properties.data)
+        .toEqual({ $ref: '#/components/schemas/Resolution' });
+      expect(spec.components.schemas.Prediction.required).toEqual(expect.arrayContaining(['id', 'predictor', 'isResolved']));
+    });
+
+    it('should mark admin routes with their scope', () => {
+      const spec = openApiService.getSpec();
+      const grant = spec.paths['/api/admin/oracle/grant'].post;
+
+      expect(grant['x-required-scope']).toBe('oracle:manage');
+      expect(grant.security).toEqual([{ adminKey: [] }, { bearerKey: [] }]);
+      expect(grant.responses['403']).toBeDefined();
+      expect(spec.paths['/api/predictions'].get.security).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/docs', () => {
+    it('should serve the explorer pointed at the document', async () => {
+      const page = await request(app)
+        .get('/api/docs/')
+        .expect(200);
+
+      expect(page.headers['content-type']).toMatch(/text\/html/);
+      expect(page.text).toContain('swagger-ui');
+
+      const init = await request(app)
+        .get('/api/docs/swagger-ui-init.js')
+        .expect(200);
+
+      expect(init.text).toContain('/api/openapi.json');
+    });
+  });
+
+  describe('Response validation', () => {
+    it('should match the declared prediction list and detail schemas', async () => {
+      const paths = [
+        '/api/predictions?limit=1',
+        '/api/predictions/1',
+        `/api/users/${ALICE}/predictions`,
+        '/api/crypto/BTC/predictions?resolved=true',
+        '/api/models/LSTM/predictions',
+        '/api/indexer/status',
+        '/api/events/status',
+        '/api/events/recent'
+      ];
+
+      for (const path of paths) {
+        const response = await request(app).get(path).expect(200);
+        expect(response).toMatchApiSchema();
+      }
+    });
+
+    it('should match the declared schemas for writes and their jobs', async () => {
+      const created = await request(app)
+        .post('/api/predictions?async=true')
+        .send({
+          cryptocurrency: 'BTC',
+          currentPrice: 50000,
+          predictedPrice: 55000,
+          targetTimestamp: Math.floor(Date.now() / 1000) + 86400,
+          modelType: 'LSTM'
+        })
+        .expect(202);
+      expect(created).toMatchApiSchema();
+
+      const job = await request(app)
+        .get(`/api/jobs/${created.body.data.id}`)
+        .expect(200);
+      expect(job).toMatchApiSchema();
+
+      const resolved = await request(app)
+        .put('/api/predictions/1/resolve')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ actualPrice: 49000 })
+        .expect(200);
+      expect(resolved).toMatchApiSchema();
+      expect(resolved.body.data).toMatchObject({ wasAccurate: true, accuracyPercentage: '9800' });
+
+      // A resolution without the decoded outcome no longer matches
+      blockchainService.resolvePrediction.mockResolvedValueOnce({ txHash: '0xdef456', blockNumber: 12346, gasUsed: '100000' });
+      const undecoded = await request(app)
+        .put('/api/predictions/1/resolve')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ actualPrice: 49000 })
+        .expect(200);
+      expect(undecoded).not.toMatchApiSchema();
+    });
+
+    it('should match the declared schemas for admin and webhook routes', async () => {
+      const webhook = await request(app)
+        .post('/api/webhooks')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ url: 'https://hooks.example.com/predictions', events: ['prediction.created'] })
+        .expect(201);
+      expect(webhook).toMatchApiSchema();
+
+      const responses = await Promise.all([
+        request(app).get('/api/webhooks').set('x-admin-key', ADMIN_KEY),
+        request(app).get(`/api/webhooks/${webhook.body.data.id}/deliveries`).set('x-admin-key', ADMIN_KEY),
+        request(app).get('/api/admin/keys').set('x-admin-key', ADMIN_KEY),
+        request(app).get('/api/admin/transactions').set('x-admin-key', ADMIN_KEY),
+        request(app).get('/api/admin/resolver/status').set('x-admin-key', ADMIN_KEY)
+      ]);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(200);
+        expect(response).toMatchApiSchema();
+      });
+    });
+
+    it('should match the error schema for failures', async () => {
+      const notFound = await request(app).get('/api/jobs/missing').expect(404);
+      const invalid = await request(app).get('/api/predictions?limit=0').expect(400);
+      const unauthorized = await request(app).get('/api/admin/keys').expect(401);
+
+      [notFound, invalid, unauthorized].forEach(response => expect(response).toMatchApiSchema());
+    });
+
+    it('should fail when a route stops matching its declared schema', async () => {
+      const drifted = await request(app).get('/api/predictions/stats/summary').expect(200);
+
+      // The contract returns the counter as a string; the mock returns a number
+      expect(drifted).not.toMatchApiSchema();
+
+      blockchainService.getPredictionCounter.mockResolvedValueOnce('100');
+      const matching = await request(app).get('/api/predictions/stats/summary').expect(200);
+      expect(matching).toMatchApiSchema();
+    });
+
+    it('should fail for statuses the route does not declare', async () => {
+      const legacy = express();
+      legacy.get('/api/jobs/:id', (req, res) => res.status(201).json({ success: true, data: {} }));
+
+      const response = await request(legacy).get('/api/jobs/abc').expect(201);
+      expect(response).not.toMatchApiSchema();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const express = require('express');
+const predictionRoutes = require('../routes/predictions');
+const cryptoRoutes = require('../routes/crypto');
+const modelRoutes = require('../routes/models');
+const userRoutes = require('../routes/users');
+const predictionIndexer = require('../services/indexer');
+
+const ALICE = '0x1234567890123456789012345678901234567890';
+const BOB = '0x0987654321098765432109876543210987654321';
+
+const madeEvent = (id, blockNumber, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: (1800000000 - blockNumber).toString(),
+    modelType: 'LSTM',
+    additionalData: '{}',
+    ...overrides
+  }
+});
+
+const resolvedEvent = (id, blockNumber, accuracyPercentage) => ({
+  name: 'PredictionResolved',
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  transactionHash: `0xresolve${id}`,
+  logIndex: 1,
+  timestamp: 1700000000 + blockNumber,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    actualPrice: '49000.0',
+    wasAccurate: accuracyPercentage >= 9500,
+    accuracyPercentage: accuracyPercentage.toString()
+  }
+});
+
+const ids = (response) => response.body.data.map(prediction => prediction.id);
+
+describe('Prediction list queries', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/predictions', predictionRoutes);
+    app.use('/api/crypto', cryptoRoutes);
+    app.use('/api/models', modelRoutes);
+    app.use('/api/users', userRoutes);
+  });
+
+  beforeEach(() => {
+    predictionIndexer.reset();
+    predictionIndexer.commit([
+      madeEvent(1, 10),
+      madeEvent(2, 11, { cryptocurrency: 'ETH' }),
+      madeEvent(3, 12, { predictor: BOB }),
+      madeEvent(4, 13, { modelType: 'ARIMA' }),
+      madeEvent(5, 14),
+      resolvedEvent(1, 20, 9800),
+      resolvedEvent(3, 21, 9000),
+      resolvedEvent(4, 22, 9600)
+    ], 25, '0xblock25');
+    predictionIndexer.caughtUp = true;
+  });
+
+  describe('GET /api/predictions', () => {
+    it('should page through every prediction with cursors and report the full total', async () => {
+      const first = await request(app)
+        .get('/api/predictions?limit=2')
+        .expect(200);
+
+      expect(ids(first)).toEqual(['5', '4']);
+      expect(first.body.pagination).toMatchObject({ limit: 2, total: 5, hasMore: true, sort: 'timestamp', order: 'desc' });
+
+      const second = await request(app)
+        .get(`/api/predictions?limit=2&cursor=${first.body.pagination.nextCursor}`)
+        .expect(200);
+      expect(ids(second)).toEqual(['3', '2']);
+
+      const last = await request(app)
+        .get(`/api/predictions?limit=2&cursor=${second.body.pagination.nextCursor}`)
+        .expect(200);
+      expect(ids(last)).toEqual(['1']);
+      expect(last.body.pagination).toMatchObject({ total: 5, hasMore: false, nextCursor: null });
+    });
+
+    it('should keep its position when newer predictions arrive between pages', async () => {
+      const first = await request(app)
+        .get('/api/predictions?limit=2')
+        .expect(200);
+
+      predictionIndexer.commit([madeEvent(6, 30)], 30, '0xblock30');
+
+      const second = await request(app)
+        .get(`/api/predictions?limit=2&cursor=${first.body.pagination.nextCursor}`)
+        .expect(200);
+      expect(ids(second)).toEqual(['3', '2']);
+      expect(second.body.pagination.total).toBe(6);
+    });
+
+    it('should sort by accuracy and target timestamp', async () => {
+      const byAccuracy = await request(app)
+        .get('/api/predictions?sort=accuracy&resolved=true')
+        .expect(200);
+      expect(ids(byAccuracy)).toEqual(['1', '4', '3']);
+
+      const byTarget = await request(app)
+        .get('/api/predictions?sort=target&order=asc&limit=3')
+        .expect(200);
+      expect(ids(byTarget)).toEqual(['5', '4', '3']);
+    });
+
+    it('should combine filters', async () => {
+      const response = await request(app)
+        .get(`/api/predictions?crypto=btc&user=${ALICE}&modelType=lstm&from=1700000010&to=1700000013`)
+        .expect(200);
+
+      expect(ids(response)).toEqual(['1']);
+      expect(response.body.pagination.total).toBe(1);
+      expect(response.body.meta.filters).toEqual({
+        crypto: 'btc',
+        modelType: 'lstm',
+        user: ALICE,
+        from: 1700000010,
+        to: 1700000013
+      });
+    });
+
+    it('should only return resolved predictions at or above minAccuracy', async () => {
+      const response = await request(app)
+        .get('/api/predictions?minAccuracy=9500')
+        .expect(200);
+
+      expect(ids(response)).toEqual(['4', '1']);
+    });
+
+    it('should still support page-based pagination', async () => {
+      const response = await request(app)
+        .get('/api/predictions?page=2&limit=2')
+        .expect(200);
+
+      expect(ids(response)).toEqual(['3', '2']);
+      expect(response.body.pagination).toMatchObject({ page: 2, limit: 2, total: 5, hasMore: true });
+    });
+
+    it('should reject a cursor from a different query', async () => {
+      const first = await request(app)
+        .get('/api/predictions?limit=2')
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/predictions?limit=2&sort=target&cursor=${first.body.pagination.nextCursor}`)
+        .expect(400);
+      expect(response.body.details[0]).toMatchObject({ field: 'cursor', location: 'query' });
+
+      await request(app)
+        .get('/api/predictions?cursor=not-a-cursor')
+        .expect(400);
+    });
+
+    it('should reject invalid parameters', async () => {
+      await request(app).get('/api/predictions?sort=price').expect(400);
+      await request(app).get('/api/predictions?limit=1000').expect(400);
+      await request(app).get('/api/predictions?from=200&to=100').expect(400);
+      await request(app).get('/api/predictions?page=1&cursor=abc').expect(400);
+    });
+  });
+
+  describe('Scoped routes', () => {
+    it('should paginate crypto predictions', async () => {
+      const response = await request(app)
+        .get('/api/crypto/btc/predictions?limit=2&order=asc')
+        .expect(200);
+
+      expect(ids(response)).toEqual(['1', '3']);
+      expect(response.body.pagination).toMatchObject({ total: 4, hasMore: true });
+      expect(response.body.meta).toMatchObject({ cryptocurrency: 'BTC', total: 4 });
+    });
+
+    it('should paginate model predictions with filters', async () => {
+      const response = await request(app)
+        .get(`/api/models/LSTM/predictions?user=${ALICE}&resolved=false`)
+        .expect(200);
+
+      expect(ids(response)).toEqual(['5', '2']);
+      expect(response.body.meta.total).toBe(2);
+    });
+
+    it('should paginate user predictions', async () => {
+      const first = await request(app)
+        .get(`/api/users/${ALICE}/predictions?limit=3&sort=accuracy`)
+        .expect(200);
+      expect(ids(first)).toEqual(['1', '4', '5']);
+      expect(first.body.pagination.total).toBe(4);
+
+      const second = await request(app)
+        .get(`/api/users/${ALICE}/predictions?limit=3&sort=accuracy&cursor=${first.body.pagination.nextCursor}`)
+        .expect(200);
+      expect(ids(second)).toEqual(['2']);
+    });
+
+    it('should not let the query string override the route scope', async () => {
+      const response = await request(app)
+        .get(`/api/users/${BOB}/predictions?user=${ALICE}`)
+        .expect(200);
+
+      expect(ids(response)).toEqual(['3']);
+    });
+  });
+});
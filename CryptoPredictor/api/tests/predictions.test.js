@@ -1,6 +1,10 @@
 const request = require('supertest');
 const express = require('express');
+const { ethers } = require('ethers');
 const predictionRoutes = require('../routes/predictions');
+const blockchainService = require('../services/blockchain');
+const adminAuth = require('../services/adminAuth');
+const { PREDICTION_TYPES, buildPredictionMessage } = require('../middleware/signature');
 
 describe('Predictions API', () => {
   let app;
@@ -68,7 +72,8 @@ describe('Predictions API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid prediction ID');
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0]).toMatchObject({ field: 'id', location: 'params' });
     });
   });
 
@@ -117,7 +122,131 @@ describe('Predictions API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Target timestamp must be in the future');
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0]).toMatchObject({
+        field: 'targetTimestamp',
+        location: 'body',
+        message: '"targetTimestamp" must be in the future'
+      });
+    });
+  });
+
+  describe('POST /api/predictions (signed)', () => {
+    const wallet = new ethers.Wallet('0x' + '2'.repeat(64));
+    const otherWallet = new ethers.Wallet('0x' + '3'.repeat(64));
+    const prediction = {
+      cryptocurrency: 'BTC',
+      currentPrice: 50000.5,
+      predictedPrice: 55000,
+      targetTimestamp: Math.floor(Date.now() / 1000) + 3600,
+      modelType: 'LSTM',
+      additionalData: '{"confidence":0.85}'
+    };
+
+    const sign = async (signer, { predictor = signer.address, nonce = 0, deadline, fields = prediction } = {}) => {
+      const domain = await blockchainService.getSigningDomain();
+      const expiry = deadline ?? Math.floor(Date.now() / 1000) + 600;
+      const signature = await signer.signTypedData(
+        domain,
+        PREDICTION_TYPES,
+        buildPredictionMessage(predictor, fields, nonce, expiry)
+      );
+      return { ...prediction, predictor, nonce, deadline: expiry, signature };
+    };
+
+    it('should relay a signed prediction for the signer', async () => {
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(await sign(wallet))
+        .expect(201);
+
+      expect(response.body.data.prediction.user).toBe(wallet.address);
+      expect(blockchainService.makePredictionFor).toHaveBeenCalledWith(
+        expect.objectContaining({ cryptocurrency: 'BTC', currentPrice: 50000.5 }),
+        expect.objectContaining({ predictor: wallet.address, nonce: '0' }),
+        expect.objectContaining({ onBroadcast: expect.any(Function) })
+      );
+      expect(blockchainService.makePrediction).not.toHaveBeenCalled();
+    });
+
+    it('should reject a claimed address without a signature', async () => {
+      const response = await request(app)
+        .post('/api/predictions')
+        .send({ ...prediction, userAddress: wallet.address })
+        .expect(401);
+
+      expect(response.body.error).toBe('Signature Required');
+      expect(blockchainService.makePrediction).not.toHaveBeenCalled();
+    });
+
+    it('should reject a signature from another account', async () => {
+      const body = await sign(otherWallet, { predictor: wallet.address });
+
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(body)
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid Signature');
+    });
+
+    it('should reject other address fields that differ from the signer', async () => {
+      const body = await sign(wallet);
+
+      for (const field of ['userAddress', 'predictorAddress']) {
+        const response = await request(app)
+          .post('/api/predictions')
+          .send({ ...body, [field]: otherWallet.address })
+          .expect(400);
+
+        expect(response.body.message).toBe('predictor, userAddress, predictorAddress must all name the same address');
+      }
+      expect(blockchainService.makePredictionFor).not.toHaveBeenCalled();
+
+      await request(app)
+        .post('/api/predictions')
+        .send({ ...body, userAddress: wallet.address.toLowerCase(), predictorAddress: wallet.address })
+        .expect(201);
+    });
+
+    it('should reject fields changed after signing', async () => {
+      const body = await sign(wallet);
+
+      await request(app)
+        .post('/api/predictions')
+        .send({ ...body, predictedPrice: 60000 })
+        .expect(401);
+    });
+
+    it('should reject an expired signature', async () => {
+      const body = await sign(wallet, { deadline: Math.floor(Date.now() / 1000) - 1 });
+
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(body)
+        .expect(401);
+
+      expect(response.body.error).toBe('Signature Expired');
+    });
+
+    it('should reject a stale nonce', async () => {
+      blockchainService.getPredictionNonce.mockResolvedValueOnce('3');
+
+      const response = await request(app)
+        .post('/api/predictions')
+        .send(await sign(wallet))
+        .expect(409);
+
+      expect(response.body.expectedNonce).toBe('3');
+    });
+
+    it('should require a deadline and nonce with a signature', async () => {
+      const { deadline, ...body } = await sign(wallet);
+
+      await request(app)
+        .post('/api/predictions')
+        .send(body)
+        .expect(400);
     });
   });
 
@@ -125,6 +254,7 @@ describe('Predictions API', () => {
     it('should resolve a prediction with valid actual price', async () => {
       const response = await request(app)
         .put('/api/predictions/1/resolve')
+        .set('x-admin-key', 'test-admin-key')
         .send({ actualPrice: 54000.0 })
         .expect(200);
 
@@ -135,12 +265,64 @@ describe('Predictions API', () => {
     it('should validate actual price', async () => {
       const response = await request(app)
         .put('/api/predictions/1/resolve')
+        .set('x-admin-key', 'test-admin-key')
         .send({ actualPrice: -1000 })
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Validation Error');
     });
+
+    describe('authorization', () => {
+      beforeEach(() => {
+        adminAuth.keys = new Map();
+        adminAuth.auditLog = [];
+      });
+
+      ['put', 'post'].forEach(method => {
+        it(`should require an admin key to ${method.toUpperCase()} a resolution`, async () => {
+          const response = await request(app)[method]('/api/predictions/1/resolve')
+            .send({ actualPrice: 54000.0 })
+            .expect(401);
+
+          expect(response.body.error).toBe('Admin privileges required');
+          expect(blockchainService.resolvePrediction).not.toHaveBeenCalled();
+        });
+
+        it(`should require the predictions:resolve scope to ${method.toUpperCase()} a resolution`, async () => {
+          const { secret } = adminAuth.createKey({ name: 'ops-alice', scopes: ['admin:read'] });
+
+          const response = await request(app)[method]('/api/predictions/1/resolve')
+            .set('Authorization', `Bearer ${secret}`)
+            .send({ actualPrice: 54000.0 })
+            .expect(403);
+
+          expect(response.body).toMatchObject({ error: 'Insufficient scope', requiredScope: 'predictions:resolve' });
+          expect(blockchainService.resolvePrediction).not.toHaveBeenCalled();
+        });
+
+        it(`should audit a ${method.toUpperCase()} resolution with the operator and tx hash`, async () => {
+          const { secret } = adminAuth.createKey({ name: 'oracle-bob', scopes: ['predictions:resolve'] });
+
+          await request(app)[method]('/api/predictions/1/resolve')
+            .set('x-admin-key', secret)
+            .send({ actualPrice: 54000.0 })
+            .expect(200);
+
+          const { entries } = adminAuth.getAudit({ action: 'predictions.resolve' });
+          expect(entries).toHaveLength(1);
+          expect(entries[0]).toMatchObject({
+            operator: { name: 'oracle-bob', scopes: ['predictions:resolve'] },
+            method: method.toUpperCase(),
+            path: '/api/predictions/1/resolve',
+            body: { actualPrice: 54000.0 },
+            status: 200,
+            success: true,
+            txHash: '0xdef456'
+          });
+        });
+      });
+    });
   });
 
   describe('GET /api/predictions/stats/summary', () => {
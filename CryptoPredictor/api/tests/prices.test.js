@@ -0,0 +1,187 @@
+const request = require('supertest');
+const express = require('express');
+const axios = require('axios');
+const cryptoRoutes = require('../routes/crypto');
+const adminRoutes = require('../routes/admin');
+const priceHistory = require('../services/priceHistory');
+const { createPriceAdapter } = require('../services/priceAdapters');
+const { HistoryPriceSource } = require('../services/priceSources');
+
+const BASE = Date.UTC(2025, 0, 1);
+const MINUTE = 60 * 1000;
+
+const csv = [
+  'timestamp,open,high,low,close,volume',
+  ...Array.from({ length: 12 }, (_, i) => {
+    const price = 100 + i;
+    return `${(BASE + i * 5 * MINUTE) / 1000},${price},${price + 2},${price - 1},${price + 1},10`;
+  })
+].join('\n');
+
+describe('Price History API', () => {
+  let app;
+
+  beforeAll(() => {
+    priceHistory.storePath = null;
+    app = express();
+    app.use(express.json());
+    app.use('/api/crypto', cryptoRoutes);
+    app.use('/api/admin', adminRoutes);
+  });
+
+  beforeEach(() => {
+    priceHistory.series = new Map();
+  });
+
+  const ingestCsv = () => request(app)
+    .post('/api/admin/prices/ingest')
+    .set('x-admin-key', 'test-admin-key')
+    .send({ adapter: 'csv', symbol: 'btc', interval: '5m', content: csv });
+
+  describe('POST /api/admin/prices/ingest', () => {
+    it('should ingest CSV candles', async () => {
+      const response = await ingestCsv().expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ symbol: 'BTC', interval: '5m', received: 12, stored: 12 });
+    });
+
+    it('should validate the adapter type', async () => {
+      const response = await request(app)
+        .post('/api/admin/prices/ingest')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ adapter: 'ftp', symbol: 'BTC', interval: '5m' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    it('should require content for CSV imports', async () => {
+      const response = await request(app)
+        .post('/api/admin/prices/ingest')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ adapter: 'csv', symbol: 'BTC', interval: '5m' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require admin privileges', async () => {
+      await request(app)
+        .post('/api/admin/prices/ingest')
+        .send({ adapter: 'csv', symbol: 'BTC', interval: '5m', content: csv })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/crypto/price/:symbol', () => {
+    it('should return price history in the frontend shape', async () => {
+      await ingestCsv();
+
+      const response = await request(app)
+        .get('/api/crypto/price/BTC')
+        .expect(200);
+
+      const { priceHistory: history } = response.body.data;
+      expect(history).toHaveLength(12);
+      expect(history[0]).toEqual({
+        timestamp: new Date(BASE).toISOString(),
+        price: 101,
+        open: 100,
+        high: 102,
+        low: 99,
+        close: 101,
+        volume: 10
+      });
+      expect(response.body.data.currentPrice).toBe(112);
+    });
+
+    it('should apply from, to and limit', async () => {
+      await ingestCsv();
+
+      const from = new Date(BASE + 10 * MINUTE).toISOString();
+      const to = (BASE + 40 * MINUTE) / 1000;
+      const response = await request(app)
+        .get(`/api/crypto/price/BTC?from=${from}&to=${to}&limit=3`)
+        .expect(200);
+
+      expect(response.body.data.priceHistory.map(c => c.open)).toEqual([106, 107, 108]);
+      expect(response.body.meta.count).toBe(3);
+    });
+
+    it('should aggregate into coarser intervals', async () => {
+      await request(app)
+        .post('/api/admin/prices/ingest')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ adapter: 'csv', symbol: 'BTC', interval: '1h', content: csv })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/crypto/price/BTC?interval=1h')
+        .expect(200);
+
+      expect(response.body.data.priceHistory).toEqual([{
+        timestamp: new Date(BASE).toISOString(),
+        price: 112,
+        open: 100,
+        high: 113,
+        low: 99,
+        close: 112,
+        volume: 120
+      }]);
+    });
+
+    it('should reject unsupported intervals', async () => {
+      await request(app)
+        .get('/api/crypto/price/BTC?interval=7m')
+        .expect(400);
+    });
+
+    it('should return 404 without price history', async () => {
+      const response = await request(app)
+        .get('/api/crypto/price/DOGE')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Adapters', () => {
+    it('should read a JSON feed keyed by symbol and interval', async () => {
+      const adapter = createPriceAdapter('json', {
+        content: { ETH: { '1h': [{ timestamp: BASE, price: 3000 }, { timestamp: BASE + 60 * MINUTE, price: 3050 }] } }
+      });
+
+      const candles = await adapter.fetchCandles({ symbol: 'ETH', interval: '1h' });
+
+      expect(candles).toHaveLength(2);
+      expect(candles[1]).toMatchObject({ timestamp: BASE + 60 * MINUTE, open: 3050, close: 3050 });
+    });
+
+    it('should map exchange klines to candles', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: [[BASE, '100.0', '110.0', '95.0', '105.0', '12.5', BASE + 5 * MINUTE - 1]]
+      });
+      const adapter = createPriceAdapter('exchange', { baseUrl: 'https://exchange.test' });
+
+      const candles = await adapter.fetchCandles({ symbol: 'btc', interval: '5m', from: BASE });
+
+      expect(axios.get).toHaveBeenCalledWith('https://exchange.test/api/v3/klines', expect.objectContaining({
+        params: expect.objectContaining({ symbol: 'BTCUSDT', interval: '5m', startTime: BASE })
+      }));
+      expect(candles).toEqual([{ timestamp: BASE, open: 100, high: 110, low: 95, close: 105, volume: 12.5 }]);
+    });
+  });
+
+  describe('HistoryPriceSource', () => {
+    it('should quote the close of the last completed candle', async () => {
+      await ingestCsv();
+      const source = new HistoryPriceSource({ maxAge: 600 });
+
+      const quote = await source.getPriceAt('BTC', (BASE + 17 * MINUTE) / 1000);
+
+      expect(quote).toEqual({ price: 103, timestamp: (BASE + 15 * MINUTE) / 1000 });
+      expect(await source.getPriceAt('BTC', (BASE + 120 * MINUTE) / 1000)).toBeNull();
+    });
+  });
+});
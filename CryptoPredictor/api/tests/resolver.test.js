@@ -0,0 +1,224 @@
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../routes/admin');
+const predictionResolver = require('../services/resolver');
+const predictionIndexer = require('../services/indexer');
+const blockchainService = require('../services/blockchain');
+const { FilePriceSource, createPriceSource } = require('../services/priceSources');
+
+const PRICE_FILE = path.join(__dirname, 'fixtures', 'prices.json');
+const USER = '0x1234567890123456789012345678901234567890';
+
+const madeEvent = (id, cryptocurrency, targetTimestamp) => ({
+  name: 'PredictionMade',
+  blockNumber: id,
+  blockHash: `0xblock${id}`,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1699990000,
+  args: {
+    predictionId: id.toString(),
+    predictor: USER,
+    cryptocurrency,
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: targetTimestamp.toString(),
+    modelType: 'LSTM',
+    additionalData: '{}'
+  }
+});
+
+describe('Prediction Resolver', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+  });
+
+  beforeEach(() => {
+    predictionIndexer.reset();
+    predictionResolver.stop();
+    predictionResolver.resolutionLog = [];
+    predictionResolver.logPath = null;
+    predictionResolver.retryDelayMs = 0;
+    predictionResolver.batchSize = 25;
+    predictionResolver.backoff = new Map();
+    predictionResolver.setPriceSource(new FilePriceSource({ filePath: PRICE_FILE }));
+  });
+
+  describe('FilePriceSource', () => {
+    it('should return the last price at or before the timestamp', async () => {
+      const source = createPriceSource('file', { filePath: PRICE_FILE });
+
+      expect(await source.getPriceAt('BTC', 1700005000)).toEqual({ price: 49000, timestamp: 1700003600 });
+      expect(await source.getPriceAt('eth', 1700000000)).toEqual({ price: 3000, timestamp: 1700000000 });
+    });
+
+    it('should return null for stale or missing prices', async () => {
+      const source = new FilePriceSource({ filePath: PRICE_FILE, maxAge: 600 });
+
+      expect(await source.getPriceAt('BTC', 1700002000)).toBeNull();
+      expect(await source.getPriceAt('BTC', 1600000000)).toBeNull();
+      expect(await source.getPriceAt('SOL', 1700000000)).toBeNull();
+    });
+  });
+
+  describe('runOnce', () => {
+    it('should resolve matured predictions with the source price', async () => {
+      predictionIndexer.commit([
+        madeEvent(1, 'BTC', 1700003600),
+        madeEvent(2, 'ETH', 1700003700),
+        madeEvent(3, 'BTC', Math.floor(Date.now() / 1000) + 86400)
+      ], 3, '0xblock3');
+      predictionIndexer.caughtUp = true;
+
+      const run = await predictionResolver.runOnce();
+
+      expect(run).toEqual({ matured: 2, resolved: 2, failed: 0, skipped: 0, deferred: 0 });
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledWith('1', 49000);
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledWith('2', 3100);
+
+      const [latest] = predictionResolver.getLog({ predictionId: 2 });
+      expect(latest.status).toBe('resolved');
+      expect(latest.source).toBe('file:prices.json');
+      expect(latest.txHash).toBe('0xdef456');
+    });
+
+    it('should skip predictions without a price', async () => {
+      predictionIndexer.commit([madeEvent(1, 'SOL', 1700003600)], 1, '0xblock1');
+      predictionIndexer.caughtUp = true;
+
+      const run = await predictionResolver.runOnce();
+
+      expect(run.skipped).toBe(1);
+      expect(blockchainService.resolvePrediction).not.toHaveBeenCalled();
+    });
+
+    it('should retry nonce errors and record final failures', async () => {
+      predictionIndexer.commit([
+        madeEvent(1, 'BTC', 1700003600),
+        madeEvent(2, 'BTC', 1700007200)
+      ], 2, '0xblock2');
+      predictionIndexer.caughtUp = true;
+
+      const nonceError = Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' });
+      const revert = Object.assign(new Error('execution reverted'), {
+        code: 'CALL_EXCEPTION',
+        reason: 'Prediction already resolved'
+      });
+      blockchainService.resolvePrediction
+        .mockRejectedValueOnce(nonceError)
+        .mockResolvedValueOnce({ txHash: '0xretried', blockNumber: 10 })
+        .mockRejectedValueOnce(revert);
+
+      const run = await predictionResolver.runOnce();
+
+      expect(run).toMatchObject({ resolved: 1, failed: 1 });
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledTimes(3);
+
+      const [failed, resolved] = predictionResolver.getLog();
+      expect(resolved).toMatchObject({ predictionId: '1', attempts: 2, txHash: '0xretried' });
+      expect(failed).toMatchObject({ predictionId: '2', status: 'failed', attempts: 1, error: 'Prediction already resolved' });
+    });
+
+    it('should keep resolving behind a full batch of predictions that cannot be priced', async () => {
+      predictionResolver.batchSize = 2;
+      predictionIndexer.commit([
+        madeEvent(1, 'SOL', 1700000000),
+        madeEvent(2, 'DOGE', 1700000100),
+        madeEvent(3, 'BTC', 1700003600)
+      ], 3, '0xblock3');
+      predictionIndexer.caughtUp = true;
+
+      const source = new FilePriceSource({ filePath: PRICE_FILE });
+      const getPriceAt = source.getPriceAt.bind(source);
+      source.getPriceAt = jest.fn(async (symbol, timestamp) => {
+        if (symbol === 'DOGE') {
+          throw new Error('rate limited');
+        }
+        return getPriceAt(symbol, timestamp);
+      });
+      predictionResolver.setPriceSource(source);
+
+      const first = await predictionResolver.runOnce();
+      expect(first).toEqual({ matured: 3, resolved: 0, failed: 0, skipped: 2, deferred: 0 });
+
+      const second = await predictionResolver.runOnce();
+      expect(second).toEqual({ matured: 3, resolved: 1, failed: 0, skipped: 0, deferred: 2 });
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledTimes(1);
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledWith('3', 49000);
+
+      // Once their backoff has passed, the unpriced predictions are tried again
+      predictionResolver.backoff.forEach(entry => { entry.retryAt = 0; });
+      const third = await predictionResolver.runOnce();
+      expect(third).toMatchObject({ skipped: 2, deferred: 0 });
+      expect(predictionResolver.backoff.get('1')).toMatchObject({ attempts: 2 });
+      expect(source.getPriceAt).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('Admin routes', () => {
+    it('should require admin privileges', async () => {
+      await request(app)
+        .get('/api/admin/resolver/status')
+        .expect(401);
+    });
+
+    it('should start, report and stop the resolver', async () => {
+      const start = await request(app)
+        .post('/api/admin/resolver/start')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(start.body.data.running).toBe(true);
+      expect(start.body.data.priceSource).toBe('file:prices.json');
+
+      const status = await request(app)
+        .get('/api/admin/resolver/status')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(status.body.data).toHaveProperty('recentResolutions');
+
+      const stop = await request(app)
+        .post('/api/admin/resolver/stop')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(stop.body.data.running).toBe(false);
+    });
+
+    it('should reject starting without a price source', async () => {
+      predictionResolver.setPriceSource(null);
+
+      const response = await request(app)
+        .post('/api/admin/resolver/start')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should run a single pass on demand', async () => {
+      predictionIndexer.commit([madeEvent(1, 'BTC', 1700003600)], 1, '0xblock1');
+      predictionIndexer.caughtUp = true;
+
+      const response = await request(app)
+        .post('/api/admin/resolver/run')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(response.body.data.resolved).toBe(1);
+
+      const log = await request(app)
+        .get('/api/admin/resolver/log?predictionId=1')
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+
+      expect(log.body.data[0].price).toBe(49000);
+    });
+  });
+});
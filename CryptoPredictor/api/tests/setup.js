@@ -8,6 +8,7 @@ process.env.PRIVATE_KEY = '0x' + '1'.repeat(64);
 process.env.RPC_URL = 'https://rpc.primordial.bdagscan.com';
 process.env.ACCURACY_THRESHOLD = '7500';
 process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.LOG_LEVEL = 'silent';
 
 // Mock blockchain service methods with realistic implementations
 const mockBlockchainService = {
@@ -31,14 +32,30 @@ const mockBlockchainService = {
     }
   }),
   
+  makePredictionFor: jest.fn().mockImplementation(async (predictionData, { predictor }) => ({
+    predictionId: '2',
+    predictor,
+    txHash: '0xabc124',
+    blockNumber: 12345,
+    gasUsed: '180000'
+  })),
+  
+  getSigningDomain: jest.fn().mockResolvedValue({
+    name: 'PredictionLogger',
+    version: '1',
+    chainId: 1043,
+    verifyingContract: '0x1234567890123456789012345678901234567890'
+  }),
+  
+  getPredictionNonce: jest.fn().mockResolvedValue('0'),
+  
   resolvePrediction: jest.fn().mockResolvedValue({
-    receipt: {
-      hash: '0xdef456',
-      blockNumber: 12346,
-      gasUsed: { toString: () => '100000' }
-    },
-    correct: true,
-    accuracyBasisPoints: 8500
+    predictionId: '1',
+    wasAccurate: true,
+    accuracyPercentage: '9800',
+    txHash: '0xdef456',
+    blockNumber: 12346,
+    gasUsed: '100000'
   }),
   
   getPrediction: jest.fn().mockResolvedValue({
@@ -54,6 +71,19 @@ const mockBlockchainService = {
     actualPrice: 0
   }),
   
+  // Batched reads delegate to getPrediction so per-test overrides still apply
+  getPredictions: jest.fn().mockImplementation(async (ids, { allowFailure = false } = {}) => {
+    const results = await Promise.all(ids.map(id =>
+      mockBlockchainService.getPrediction(id).catch(error => {
+        if (allowFailure) {
+          return null;
+        }
+        throw error;
+      })
+    ));
+    return results.filter(Boolean);
+  }),
+  
   getUserPredictions: jest.fn().mockResolvedValue([
     {
       id: 1,
@@ -132,6 +162,7 @@ const mockBlockchainService = {
   getUserStats: jest.fn().mockResolvedValue({
     user: '0x1234567890123456789012345678901234567890',
     totalPredictions: 10,
+    resolvedPredictions: 10,
     correctPredictions: 7,
     accuratePredictions: 7,
     totalAccuracyScore: 75000,
@@ -144,6 +175,15 @@ const mockBlockchainService = {
   getUserModelTypeCount: jest.fn().mockResolvedValue(5),
   getUserCryptoCount: jest.fn().mockResolvedValue(3),
   
+  getStatsVersion: jest.fn().mockResolvedValue(2),
+  getModelStats: jest.fn().mockResolvedValue({
+    totalPredictions: '12',
+    resolvedPredictions: '8',
+    accuratePredictions: '6',
+    totalAccuracyScore: '62400',
+    accuracyRate: '7500',
+    averageAccuracy: '7800'
+  }),
   getModelAccuracyRate: jest.fn().mockResolvedValue(7500),
   getModelAverageAccuracy: jest.fn().mockResolvedValue(7800),
   
@@ -157,7 +197,15 @@ const mockBlockchainService = {
   }),
   
   getPredictionCounter: jest.fn().mockResolvedValue(100),
+  
+  getBlockNumber: jest.fn().mockResolvedValue(12360),
   getAccuracyThreshold: jest.fn().mockResolvedValue(7500),
+  isPaused: jest.fn().mockResolvedValue(false),
+  getChainId: jest.fn().mockResolvedValue('1043'),
+  getContractCode: jest.fn().mockResolvedValue('0x6080604052'),
+  hasRole: jest.fn().mockResolvedValue(true),
+  getSignerAddress: jest.fn().mockReturnValue('0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A'),
+  getSignerBalance: jest.fn().mockResolvedValue('12.5'),
   
   setAccuracyThreshold: jest.fn().mockResolvedValue({
     receipt: {
@@ -197,11 +245,66 @@ const mockBlockchainService = {
       blockNumber: 12351,
       gasUsed: { toString: () => '40000' }
     }
-  })
+  }),
+  
+  getTransactions: jest.fn().mockReturnValue([
+    {
+      id: 'tx-1',
+      label: 'resolvePrediction',
+      from: '0x1234567890123456789012345678901234567890',
+      nonce: 7,
+      status: 'pending',
+      hash: '0xvwx234',
+      replacements: 0,
+      cancelling: false
+    }
+  ]),
+  
+  getTransaction: jest.fn().mockReturnValue(null),
+  
+  speedUpTransaction: jest.fn().mockImplementation(async (id) => (id === 'tx-1' ? {
+    id,
+    label: 'resolvePrediction',
+    nonce: 7,
+    status: 'pending',
+    hash: '0xyza567',
+    replacements: 1,
+    cancelling: false
+  } : null)),
+  
+  cancelTransaction: jest.fn().mockImplementation(async (id) => (id === 'tx-1' ? {
+    id,
+    label: 'resolvePrediction',
+    nonce: 7,
+    status: 'pending',
+    hash: '0xbcd890',
+    replacements: 0,
+    cancelling: true
+  } : null))
 };
 
 jest.mock('../services/blockchain', () => mockBlockchainService);
 
+// Keep admin keys and the audit log in memory
+const adminAuth = require('../services/adminAuth');
+adminAuth.storePath = null;
+adminAuth.auditPath = null;
+adminAuth.keys = new Map();
+adminAuth.auditLog = [];
+
+// Keep jobs in memory; mocked receipts count as confirmed once mined
+const jobQueue = require('../services/jobs');
+jobQueue.storePath = null;
+jobQueue.confirmations = 1;
+
+// Keep registered model versions in memory
+const modelVersions = require('../services/modelVersions');
+modelVersions.storePath = null;
+modelVersions.models = new Map();
+
+// Responses and contract reads are cached between requests; each test starts empty
+const cache = require('../services/cache');
+
 // Mock axios for external API calls (conditionally)
 try {
   jest.mock('axios', () => ({
@@ -220,6 +323,71 @@ try {
   // Axios mock optional for now
 }
 
+// Keep webhooks and their deliveries in memory
+const webhookService = require('../services/webhooks');
+webhookService.storePath = null;
+webhookService.webhooks = new Map();
+webhookService.deliveries = new Map();
+
+// Validate responses against the generated OpenAPI document. The operation is found
+// from the request method and path, so test apps must mount routers at their real
+// prefixes. Undeclared success statuses fail; errors fall back to the default response.
+const apiSchemaValidators = new Map();
+let apiSchemaAjv = null;
+
+const findApiOperation = (spec, method, pathname) => Object.keys(spec.paths)
+  .filter(template => spec.paths[template][method])
+  .map(template => ({
+    template,
+    pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+    params: (template.match(/\{/g) || []).length
+  }))
+  .filter(({ pattern }) => pattern.test(pathname))
+  // Literal segments win over parameters, as they do in the routers
+  .sort((a, b) => a.params - b.params)[0];
+
+expect.extend({
+  toMatchApiSchema(response) {
+    const spec = require('../services/openapi').getSpec();
+    const method = response.req.method.toLowerCase();
+    const pathname = response.req.path.split('?')[0];
+    const label = `${method.toUpperCase()} ${pathname} ${response.status}`;
+
+    const operation = findApiOperation(spec, method, pathname);
+    if (!operation) {
+      return { pass: false, message: () => `${label}: no operation in the OpenAPI document` };
+    }
+
+    const responses = spec.paths[operation.template][method].responses;
+    const declared = responses[response.status] || (response.status >= 400 ? responses.default : null);
+    if (!declared) {
+      return { pass: false, message: () => `${label}: status not declared for ${operation.template}` };
+    }
+
+    const [contentType, { schema }] = Object.entries(declared.content)[0];
+    if (contentType !== 'application/json') {
+      return { pass: true, message: () => `${label}: expected a ${contentType} response not to be validated` };
+    }
+
+    const key = `${method} ${operation.template} ${response.status}`;
+    if (!apiSchemaValidators.has(key)) {
+      const Ajv = require('ajv');
+      apiSchemaAjv = apiSchemaAjv || new Ajv({ strict: false, validateFormats: false, allErrors: true });
+      apiSchemaValidators.set(key, apiSchemaAjv.compile({ ...schema, components: spec.components }));
+    }
+    const validator = apiSchemaValidators.get(key);
+    const pass = validator(response.body);
+
+    return {
+      pass,
+      message: () => (pass
+        ? `${label}: expected the response not to match ${operation.template}`
+        : `${label}: response does not match ${operation.template}\n` +
+          validator.errors.map(error => `  ${error.instancePath || '/'} ${error.message}`).join('\n'))
+    };
+  }
+});
+
 // Console suppress for cleaner test output
 const originalConsole = { ...console };
 
@@ -239,6 +407,7 @@ afterAll(() => {
 // Clean up after each test
 afterEach(() => {
   jest.clearAllMocks();
+  cache.clear();
 });
 
 // Global test utilities
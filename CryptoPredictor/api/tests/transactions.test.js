@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TransactionManager } = require('../services/transactions');
+
+const SIGNER_ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory chain: transactions are mined only when the test says so
+const createChain = () => {
+  const chain = {
+    minedNonce: 0,
+    pendingNonce: 0,
+    feeData: { gasPrice: gwei('10'), maxFeePerGas: gwei('30'), maxPriorityFeePerGas: gwei('2') },
+    sent: [],
+    receipts: new Map(),
+    sendError: null
+  };
+
+  chain.provider = {
+    getTransactionCount: jest.fn(async (address, blockTag) =>
+      (blockTag === 'latest' ? chain.minedNonce : chain.pendingNonce)),
+    getFeeData: jest.fn(async () => chain.feeData),
+    getTransactionReceipt: jest.fn(async (hash) => chain.receipts.get(hash) || null)
+  };
+
+  chain.signer = {
+    provider: chain.provider,
+    getAddress: async () => SIGNER_ADDRESS,
+    populateTransaction: jest.fn(async (tx) => ({ ...tx, gasLimit: 100000n, chainId: 1043n })),
+    sendTransaction: jest.fn(async (tx) => {
+      if (chain.sendError) {
+        const error = chain.sendError;
+        chain.sendError = null;
+        throw error;
+      }
+      const hash = ethers.zeroPadValue(ethers.toBeHex(chain.sent.length + 1), 32);
+      chain.sent.push({ ...tx, hash });
+      return { hash };
+    })
+  };
+
+  chain.mine = (hash, status = 1) => {
+    const tx = chain.sent.find(sent => sent.hash === hash);
+    chain.receipts.set(hash, { hash, blockNumber: 100 + tx.nonce, status, gasUsed: 50000n, logs: [] });
+    chain.minedNonce = Math.max(chain.minedNonce, tx.nonce + 1);
+  };
+
+  return chain;
+};
+
+const call = (data = '0x01') => ({ to: CONTRACT_ADDRESS, data });
+
+describe('TransactionManager', () => {
+  let chain;
+  let manager;
+
+  const createManager = (options = {}) => new TransactionManager(chain.signer, {
+    storePath: null,
+    gasStrategy: 'auto',
+    gasPrice: null,
+    priorityFee: null,
+    maxFee: null,
+    pollIntervalMs: 60000,
+    ...options
+  });
+
+  beforeEach(() => {
+    chain = createChain();
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    manager.stop();
+  });
+
+  describe('Nonces', () => {
+    it('should assign sequential nonces to concurrent sends', async () => {
+      chain.pendingNonce = 5;
+
+      const sends = [manager.send('a', call('0x01')), manager.send('b', call('0x02')), manager.send('c', call('0x03'))];
+      await manager.queue;
+
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([5, 6, 7]);
+      expect(chain.provider.getTransactionCount).toHaveBeenCalledTimes(1);
+
+      chain.sent.forEach(tx => chain.mine(tx.hash));
+      await manager.poll();
+
+      const receipts = await Promise.all(sends);
+      expect(receipts.map(receipt => receipt.hash)).toEqual(chain.sent.map(tx => tx.hash));
+      expect(manager.listTransactions({ status: 'mined' })).toHaveLength(3);
+    });
+
+    it('should resync the nonce when another writer used it', async () => {
+      manager.nextNonce = 3;
+      chain.pendingNonce = 9;
+      chain.sendError = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+
+      manager.send('a', call());
+      await manager.queue;
+
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([9]);
+    });
+
+    it('should not consume a nonce when sending fails', async () => {
+      chain.sendError = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+
+      await expect(manager.send('a', call())).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+      manager.send('b', call());
+      await manager.queue;
+
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([0]);
+    });
+  });
+
+  describe('Gas policy', () => {
+    it('should use EIP-1559 fees when the network supports them', async () => {
+      expect(await manager.getFees()).toEqual({ maxFeePerGas: gwei('30'), maxPriorityFeePerGas: gwei('2') });
+    });
+
+    it('should apply the priority fee, multiplier and cap', async () => {
+      manager = createManager({ priorityFee: gwei('5'), feeMultiplier: '200', maxFee: gwei('50') });
+
+      expect(await manager.getFees()).toEqual({ maxFeePerGas: gwei('50'), maxPriorityFeePerGas: gwei('5') });
+    });
+
+    it('should fall back to legacy gas pricing', async () => {
+      chain.feeData = { gasPrice: gwei('10'), maxFeePerGas: null, maxPriorityFeePerGas: null };
+
+      expect(await manager.getFees()).toEqual({ gasPrice: gwei('10') });
+
+      manager.send('a', call());
+      await manager.queue;
+      expect(chain.sent[0]).toMatchObject({ type: 0, gasPrice: gwei('10') });
+    });
+
+    it('should use a fixed gas price', async () => {
+      manager = createManager({ gasPrice: gwei('7') });
+
+      expect(await manager.getFees()).toEqual({ gasPrice: gwei('7') });
+    });
+  });
+
+  describe('Stuck transactions', () => {
+    it('should speed up and then cancel a stuck transaction', async () => {
+      manager = createManager({ stuckAfterMs: 1, maxReplacements: 1, bumpPercent: '15' });
+      const result = manager.send('resolvePrediction', call()).catch(error => error);
+      await manager.queue;
+
+      await sleep(5);
+      await manager.poll();
+      expect(chain.sent[1]).toMatchObject({ nonce: 0, data: '0x01' });
+      expect(chain.sent[1].maxFeePerGas).toBe(gwei('34.5'));
+      expect(chain.sent[1].maxPriorityFeePerGas).toBe(gwei('2.3'));
+
+      await sleep(5);
+      await manager.poll();
+      expect(chain.sent[2]).toMatchObject({ nonce: 0, to: SIGNER_ADDRESS, data: '0x', value: 0n, gasLimit: 21000n });
+
+      chain.mine(chain.sent[2].hash);
+      await manager.poll();
+
+      const error = await result;
+      expect(error).toMatchObject({ code: 'TRANSACTION_REPLACED', cancelled: true });
+      expect(manager.listTransactions()[0]).toMatchObject({ status: 'cancelled', cancelling: true, replacements: 1 });
+    });
+
+    it('should resolve with the receipt of a replacement', async () => {
+      const result = manager.send('setAccuracyThreshold', call());
+      const [{ id }] = await manager.queue.then(() => manager.listTransactions());
+
+      const replaced = await manager.speedUp(id);
+      expect(replaced.attempts.map(attempt => attempt.kind)).toEqual(['original', 'replacement']);
+
+      chain.mine(chain.sent[1].hash);
+      await manager.poll();
+
+      expect((await result).hash).toBe(chain.sent[1].hash);
+      expect(manager.getTransaction(id)).toMatchObject({ status: 'mined', hash: chain.sent[1].hash, blockNumber: 100 });
+    });
+
+    it('should refuse replacements above the fee cap', async () => {
+      manager = createManager({ maxFee: gwei('30') });
+      manager.send('pause', call());
+      await manager.queue;
+      const [{ id }] = manager.listTransactions();
+
+      await expect(manager.speedUp(id)).rejects.toMatchObject({ code: 'REPLACEMENT_UNDERPRICED' });
+    });
+
+    it('should return null for unknown or settled transactions', async () => {
+      expect(await manager.speedUp('missing')).toBeNull();
+      expect(await manager.cancel('missing')).toBeNull();
+    });
+  });
+
+  describe('Settlement', () => {
+    it('should reject when the transaction reverts', async () => {
+      const result = manager.send('resolvePrediction', call());
+      await manager.queue;
+
+      chain.mine(chain.sent[0].hash, 0);
+      await manager.poll();
+
+      await expect(result).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+      expect(manager.listTransactions()[0].status).toBe('failed');
+    });
+
+    it('should reject when the nonce was mined by another transaction', async () => {
+      const result = manager.send('resolvePrediction', call());
+      await manager.queue;
+
+      chain.minedNonce = 1;
+      await manager.poll();
+
+      await expect(result).rejects.toMatchObject({ code: 'NONCE_EXPIRED' });
+      expect(manager.nextNonce).toBeNull();
+    });
+  });
+
+  describe('Persistence', () => {
+    let storePath;
+
+    beforeEach(() => {
+      storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tx-store-')), 'transactions.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+    });
+
+    it('should resume tracking pending transactions after a restart', async () => {
+      manager = createManager({ storePath });
+      manager.send('makePrediction', call());
+      await manager.queue;
+      manager.stop();
+
+      // The node forgot the pending transaction; the restarted manager must not reuse its nonce
+      const restarted = createManager({ storePath });
+      expect(await restarted.recover()).toBe(1);
+      restarted.stop();
+
+      restarted.send('resolvePrediction', call('0x02'));
+      await restarted.queue;
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([0, 1]);
+
+      chain.mine(chain.sent[0].hash);
+      await restarted.poll();
+      restarted.stop();
+
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      expect(stored.transactions.map(entry => [entry.label, entry.status])).toEqual([
+        ['makePrediction', 'mined'],
+        ['resolvePrediction', 'pending']
+      ]);
+    });
+
+    it('should ignore transactions from another signer', async () => {
+      fs.writeFileSync(storePath, JSON.stringify({
+        version: 1,
+        transactions: [{ id: 'other', from: CONTRACT_ADDRESS, nonce: 0, status: 'pending', attempts: [] }]
+      }));
+
+      manager = createManager({ storePath });
+      expect(await manager.recover()).toBe(0);
+    });
+  });
+});
@@ -32,7 +32,8 @@ describe('Users API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid Ethereum address');
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0]).toMatchObject({ field: 'address', location: 'params' });
     });
 
     it('should return 400 for short address', async () => {
@@ -41,7 +42,30 @@ describe('Users API', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid Ethereum address');
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0]).toMatchObject({ field: 'address', location: 'params' });
+    });
+  });
+
+  describe('GET /api/users/:address/nonce', () => {
+    it('should return the nonce and typed data for signing', async () => {
+      const response = await request(app)
+        .get(`/api/users/${testAddress}/nonce`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        address: testAddress,
+        nonce: '0',
+        primaryType: 'Prediction',
+        domain: { name: 'PredictionLogger', version: '1' }
+      });
+      expect(response.body.data.types.Prediction.map(field => field.name)).toContain('deadline');
+    });
+
+    it('should return 400 for invalid address', async () => {
+      await request(app)
+        .get('/api/users/invalid-address/nonce')
+        .expect(400);
     });
   });
 
@@ -62,7 +86,7 @@ describe('Users API', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.meta.filters.resolved).toBe('true');
+      expect(response.body.meta.filters.resolved).toBe(true);
     });
 
     it('should filter by cryptocurrency', async () => {
@@ -132,10 +156,34 @@ describe('Users API', () => {
 
       const overallStats = response.body.data.overallStats;
       expect(overallStats).toHaveProperty('totalPredictions');
+      expect(overallStats).toHaveProperty('resolvedPredictions');
       expect(overallStats).toHaveProperty('accuratePredictions');
       expect(overallStats).toHaveProperty('accuracyRate');
       expect(overallStats).toHaveProperty('averageAccuracy');
     });
+
+    it('should not count unresolved predictions against the accuracy rates', async () => {
+      const prediction = (id, isResolved) => ({
+        id: String(id),
+        predictor: testAddress,
+        cryptocurrency: 'BTC',
+        modelType: 'LSTM',
+        predictionTimestamp: '1700000000',
+        isResolved,
+        wasAccurate: isResolved,
+        accuracyPercentage: isResolved ? '9800' : '0'
+      });
+      require('../services/blockchain').getUserPredictions
+        .mockResolvedValueOnce([prediction(1, true), prediction(2, false)]);
+
+      const response = await request(app)
+        .get(`/api/users/${testAddress}/performance`)
+        .expect(200);
+
+      const expected = { total: 2, resolved: 1, accurate: 1, accuracyRate: 100, averageAccuracy: 98 };
+      expect(response.body.data.cryptoPerformance.BTC).toEqual({ ...expected, totalAccuracy: 9800 });
+      expect(response.body.data.modelPerformance.LSTM).toEqual({ ...expected, totalAccuracy: 9800 });
+    });
   });
 
   describe('Address validation', () => {
@@ -154,8 +202,24 @@ describe('Users API', () => {
           .expect(400);
 
         expect(response.body.success).toBe(false);
-        expect(response.body.error).toBe('Invalid Ethereum address');
+        expect(response.body.error).toBe('Validation Error');
       });
     });
+
+    it('should reject a mixed-case address with a bad checksum', async () => {
+      const response = await request(app)
+        .get('/api/users/0x5aAeb6053F3E94C9b9A09f33669435e7Ef1BeAed/stats')
+        .expect(400);
+
+      expect(response.body.details[0].message).toBe('"address" has an invalid EIP-55 checksum');
+    });
+
+    it('should accept lowercase addresses and answer with the checksummed form', async () => {
+      const response = await request(app)
+        .get('/api/users/0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed/stats')
+        .expect(200);
+
+      expect(response.body.data.address).toBe('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const Joi = require('joi');
+const apiRoutes = require('../routes');
+const blockchainService = require('../services/blockchain');
+const jobQueue = require('../services/jobs');
+const { validate, validateQuery, validateParams, schemas } = require('../middleware/validation');
+
+const ADMIN_KEY = 'test-admin-key';
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BAD_CHECKSUM = '0x5aAeb6053F3E94C9b9A09f33669435e7Ef1BeAed';
+
+describe('Request validation', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    apiRoutes.forEach(({ prefix, router }) => app.use(prefix, router));
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    jobQueue.jobs = new Map();
+  });
+
+  afterEach(() => {
+    jobQueue.stop();
+  });
+
+  describe('Middleware', () => {
+    const echo = (property) => (req, res) => res.json(req[property]);
+
+    it('should answer with the normalized error format for every failure', async () => {
+      const local = express();
+      local.use(express.json());
+      local.post('/items/:id',
+        validateParams(Joi.object({ id: Joi.number().integer().required() })),
+        validateQuery(Joi.object({ dryRun: Joi.boolean() })),
+        validate(Joi.object({ name: Joi.string().required(), size: Joi.number().max(10) })),
+        echo('validatedData'));
+
+      const response = await request(local)
+        .post('/items/1')
+        .send({ size: 20 })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Validation Error',
+        details: [
+          { field: 'name', location: 'body', message: '"name" is required', type: 'any.required' },
+          { field: 'size', location: 'body', message: '"size" must be less than or equal to 10', type: 'number.max' }
+        ]
+      });
+
+      const params = await request(local).post('/items/abc').send({ name: 'x' }).expect(400);
+      expect(params.body.details).toEqual([
+        { field: 'id', location: 'params', message: '"id" must be a number', type: 'number.base' }
+      ]);
+    });
+
+    it('should reject unknown fields in the body and query', async () => {
+      const local = express();
+      local.use(express.json());
+      local.post('/items',
+        validateQuery(schemas.emptySchema),
+        validate(Joi.object({ name: Joi.string() })),
+        echo('validatedData'));
+
+      const body = await request(local).post('/items').send({ name: 'x', extra: true }).expect(400);
+      expect(body.body.details[0]).toMatchObject({ field: 'extra', location: 'body', type: 'object.unknown' });
+
+      const query = await request(local).post('/items?debug=1').send({}).expect(400);
+      expect(query.body.details[0]).toMatchObject({ field: 'debug', location: 'query', type: 'object.unknown' });
+    });
+
+    it('should coerce numeric and boolean strings', async () => {
+      const local = express();
+      local.get('/items/:id',
+        validateParams(Joi.object({ id: Joi.number().integer() })),
+        validateQuery(Joi.object({ limit: Joi.number(), resolved: Joi.boolean() })),
+        (req, res) => res.json({ ...req.validatedParams, ...req.validatedQuery }));
+
+      const response = await request(local).get('/items/7?limit=25&resolved=true').expect(200);
+      expect(response.body).toEqual({ id: 7, limit: 25, resolved: true });
+    });
+  });
+
+  describe('Addresses', () => {
+    it('should normalize lowercase and uppercase addresses to the checksummed form', () => {
+      expect(schemas.address.validate(CHECKSUMMED.toLowerCase()).value).toBe(CHECKSUMMED);
+      expect(schemas.address.validate(`0x${CHECKSUMMED.slice(2).toUpperCase()}`).value).toBe(CHECKSUMMED);
+      expect(schemas.address.validate(CHECKSUMMED).error).toBeUndefined();
+    });
+
+    it('should reject bad checksums and malformed addresses', () => {
+      expect(schemas.address.validate(BAD_CHECKSUM).error.details[0].type).toBe('address.checksum');
+      expect(schemas.address.validate('0x123').error.details[0].type).toBe('address.invalid');
+      expect(schemas.address.validate(CHECKSUMMED.slice(2)).error.details[0].type).toBe('address.invalid');
+    });
+
+    it('should check addresses in query filters and admin bodies', async () => {
+      const filter = await request(app).get(`/api/predictions?user=${BAD_CHECKSUM}`).expect(400);
+      expect(filter.body.details[0]).toMatchObject({ field: 'user', location: 'query', type: 'address.checksum' });
+
+      const grant = await request(app)
+        .post('/api/admin/oracle/grant')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ address: BAD_CHECKSUM })
+        .expect(400);
+      expect(grant.body.details[0]).toMatchObject({ field: 'address', location: 'body' });
+      expect(blockchainService.grantOracleRole).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Routes', () => {
+    it('should reject unknown query parameters on routes without any', async () => {
+      const response = await request(app).get('/api/predictions/stats/summary?verbose=1').expect(400);
+
+      expect(response.body.details[0]).toMatchObject({ field: 'verbose', location: 'query' });
+    });
+
+    it('should accept ?async=true on contract writes only', async () => {
+      await request(app)
+        .put('/api/predictions/1/resolve?async=true')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ actualPrice: 49000 })
+        .expect(202);
+
+      await request(app)
+        .post('/api/predictions/calculate-accuracy?async=true')
+        .send({ predictedPrice: 50000, actualPrice: 49000 })
+        .expect(400);
+    });
+
+    it('should validate calculate-accuracy bodies with the schema', async () => {
+      const response = await request(app)
+        .post('/api/predictions/calculate-accuracy')
+        .send({ predictedPrice: '50000', actualPrice: -1 })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'actualPrice', location: 'body', message: '"actualPrice" must be a positive number', type: 'number.positive' }
+      ]);
+    });
+
+    it('should validate bulk-resolve items one by one', async () => {
+      const response = await request(app)
+        .post('/api/admin/bulk-resolve')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ predictions: [{ predictionId: '1', actualPrice: '54000' }, { id: 2, actualPrice: 0 }, { actualPrice: 1 }] })
+        .expect(200);
+
+      expect(response.body.data.resolved).toBe(1);
+      expect(response.body.data.errors).toEqual([
+        { predictionId: 2, error: 'Invalid prediction data' },
+        { error: 'Invalid prediction data' }
+      ]);
+      expect(blockchainService.resolvePrediction).toHaveBeenCalledWith(1, 54000, expect.anything());
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const axios = require('axios');
+const webhookRoutes = require('../routes/webhooks');
+const webhookService = require('../services/webhooks');
+const predictionIndexer = require('../services/indexer');
+
+const ALICE = '0x1234567890123456789012345678901234567890';
+const BOB = '0x0987654321098765432109876543210987654321';
+
+const madeEvent = (id, overrides = {}) => ({
+  name: 'PredictionMade',
+  blockNumber: 100 + id,
+  transactionHash: `0xtx${id}`,
+  logIndex: 0,
+  timestamp: 1700000000,
+  args: {
+    predictionId: id.toString(),
+    predictor: ALICE,
+    cryptocurrency: 'BTC',
+    currentPrice: '45000.0',
+    predictedPrice: '50000.0',
+    targetTimestamp: '1800000000',
+    modelType: 'LSTM',
+    additionalData: '{}',
+    ...overrides
+  }
+});
+
+const register = (overrides = {}) => webhookService.createWebhook({
+  url: 'https://hooks.example.com/predictions',
+  events: ['prediction.created', 'prediction.matured', 'prediction.resolved'],
+  ...overrides
+});
+
+describe('Webhooks', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhookRoutes);
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: 'Internal Server Error', message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    webhookService.webhooks = new Map();
+    webhookService.deliveries = new Map();
+    webhookService.lastMaturityCheck = null;
+    webhookService.eventCursor = null;
+    predictionIndexer.reset();
+    axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+  });
+
+  afterEach(() => {
+    webhookService.stop();
+    predictionIndexer.reset();
+    axios.post.mockReset();
+  });
+
+  describe('Delivery', () => {
+    it('should sign deliveries with the webhook secret', async () => {
+      const { webhook, secret } = register();
+
+      const [delivery] = await webhookService.notify('prediction.created', { predictionId: '1', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+
+      expect(delivery).toMatchObject({ webhookId: webhook.id, event: 'prediction.created', status: 'delivered' });
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/predictions');
+      expect(JSON.parse(body)).toMatchObject({ id: delivery.id, type: 'prediction.created', data: { predictionId: '1' } });
+      expect(options.headers).toMatchObject({ 'X-Webhook-Event': 'prediction.created', 'X-Webhook-Delivery': delivery.id });
+
+      const [, timestamp, signature] = options.headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      expect(signature).toBe(expected);
+    });
+
+    it('should only deliver to webhooks whose events and filters match', async () => {
+      register({ events: ['prediction.resolved'] });
+      register({ filters: { symbols: ['eth'], users: [], models: [] } });
+      register({ filters: { symbols: [], users: [BOB.toUpperCase().replace('0X', '0x')], models: [] } });
+      const { webhook: lstm } = register({ filters: { symbols: ['BTC'], users: [ALICE], models: ['LSTM'] } });
+
+      const deliveries = await webhookService.notify('prediction.created', { predictionId: '1', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+
+      expect(deliveries.map(delivery => delivery.webhookId)).toEqual([lstm.id]);
+    });
+
+    it('should retry with exponential backoff and dead-letter after the last attempt', async () => {
+      webhookService.maxAttempts = 3;
+      webhookService.retryBaseMs = 1000;
+      register();
+      axios.post.mockResolvedValue({ status: 500, data: 'down' });
+
+      const start = Date.now();
+      const [{ id }] = await webhookService.notify('prediction.created', { predictionId: '1', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+
+      let delivery = webhookService.deliveries.get(id);
+      expect(delivery.status).toBe('pending');
+      const firstDelay = new Date(delivery.nextAttemptAt).getTime() - start;
+      expect(firstDelay).toBeGreaterThanOrEqual(1000);
+      expect(firstDelay).toBeLessThan(2000);
+
+      expect(await webhookService.processDue(Date.now())).toBe(0);
+      await webhookService.processDue(Date.now() + 1500);
+      const secondDelay = new Date(delivery.nextAttemptAt).getTime() - Date.now();
+      expect(secondDelay).toBeGreaterThan(1000);
+      expect(secondDelay).toBeLessThanOrEqual(2000);
+
+      axios.post.mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+      await webhookService.processDue(Date.now() + 5000);
+
+      delivery = webhookService.deliveries.get(id);
+      expect(delivery.status).toBe('dead');
+      expect(delivery.attempts.map(attempt => attempt.error)).toEqual(['HTTP 500', 'HTTP 500', 'ECONNABORTED']);
+      expect(webhookService.getDeadLetters().map(dead => dead.id)).toEqual([id]);
+
+      webhookService.maxAttempts = 6;
+      webhookService.retryBaseMs = 30000;
+    });
+  });
+
+  describe('Lifecycle events', () => {
+    it('should notify about predictions created and resolved on-chain', async () => {
+      register();
+      webhookService.start();
+      predictionIndexer.caughtUp = true;
+      predictionIndexer.predictions.set('1', { id: '1', cryptocurrency: 'BTC', modelType: 'LSTM', predictedPrice: '50000.0', targetTimestamp: '1800000000' });
+
+      predictionIndexer.emit('event', madeEvent(1));
+      predictionIndexer.emit('event', {
+        name: 'PredictionResolved',
+        blockNumber: 120,
+        transactionHash: '0xresolve1',
+        logIndex: 0,
+        timestamp: 1800000100,
+        args: { predictionId: '1', predictor: ALICE, actualPrice: '49000.0', wasAccurate: true, accuracyPercentage: '9800' }
+      });
+      predictionIndexer.emit('event', { name: 'AccuracyThresholdUpdated', args: { oldThreshold: '500', newThreshold: '600' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const payloads = axios.post.mock.calls.map(([, body]) => JSON.parse(body));
+      expect(payloads.map(payload => payload.type)).toEqual(['prediction.created', 'prediction.resolved']);
+      expect(payloads[1].data).toMatchObject({ predictionId: '1', cryptocurrency: 'BTC', modelType: 'LSTM', wasAccurate: true, transactionHash: '0xresolve1' });
+    });
+
+    it('should not notify about events the indexer replays while catching up', async () => {
+      register();
+      webhookService.start();
+
+      // First sync of a fresh index store: the chain history so far
+      predictionIndexer.commit([madeEvent(1), madeEvent(2)], 102, '0xblock102');
+      predictionIndexer.caughtUp = true;
+      await webhookService.checkMaturity(1700000000);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(webhookService.deliveries.size).toBe(0);
+      expect(webhookService.eventCursor).toEqual({ blockNumber: 102, logIndex: null });
+
+      // A mismatched store is re-indexed from the start block; only the event
+      // mined since is new
+      predictionIndexer.reset();
+      predictionIndexer.commit([madeEvent(1), madeEvent(2), madeEvent(3)], 103, '0xblock103');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const payloads = axios.post.mock.calls.map(([, body]) => JSON.parse(body));
+      expect(payloads.map(payload => [payload.type, payload.data.predictionId])).toEqual([['prediction.created', '3']]);
+      expect(webhookService.eventCursor).toEqual({ blockNumber: 103, logIndex: 0 });
+    });
+
+    it('should notify once about predictions that matured since the last check', async () => {
+      register();
+      const isReady = jest.spyOn(predictionIndexer, 'isReady').mockReturnValue(true);
+      const matured = jest.spyOn(predictionIndexer, 'getMaturedPredictions').mockResolvedValue([
+        { id: '1', predictor: ALICE, cryptocurrency: 'BTC', modelType: 'LSTM', targetTimestamp: '1000', isResolved: false },
+        { id: '2', predictor: ALICE, cryptocurrency: 'BTC', modelType: 'LSTM', targetTimestamp: '1500', isResolved: false }
+      ]);
+
+      try {
+        webhookService.lastMaturityCheck = 1200;
+        expect(await webhookService.checkMaturity(1600)).toBe(1);
+        expect(await webhookService.checkMaturity(1700)).toBe(0);
+
+        const payload = JSON.parse(axios.post.mock.calls[0][1]);
+        expect(payload).toMatchObject({ type: 'prediction.matured', data: { predictionId: '2', targetTimestamp: '1500' } });
+        expect(payload.data).not.toHaveProperty('isResolved');
+      } finally {
+        isReady.mockRestore();
+        matured.mockRestore();
+      }
+    });
+  });
+
+  describe('API', () => {
+    const admin = (req) => req.set('x-admin-key', 'test-admin-key');
+
+    it('should register a webhook and return its secret once', async () => {
+      const response = await admin(request(app).post('/api/webhooks'))
+        .send({ url: 'https://hooks.example.com/a', events: ['prediction.resolved'], filters: { symbols: ['btc'] } })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        url: 'https://hooks.example.com/a',
+        events: ['prediction.resolved'],
+        filters: { symbols: ['BTC'], users: [], models: [] },
+        active: true
+      });
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+
+      const listed = await admin(request(app).get('/api/webhooks')).expect(200);
+      expect(listed.body.data[0]).not.toHaveProperty('secret');
+    });
+
+    it('should reject unknown events and non-HTTP URLs', async () => {
+      const response = await admin(request(app).post('/api/webhooks'))
+        .send({ url: 'ftp://hooks.example.com', events: ['prediction.deleted'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    it('should require the webhooks:manage scope', async () => {
+      await request(app).get('/api/webhooks').expect(401);
+    });
+
+    it('should update, rotate and delete a webhook', async () => {
+      const { webhook, secret } = register();
+
+      const updated = await admin(request(app).patch(`/api/webhooks/${webhook.id}`))
+        .send({ active: false })
+        .expect(200);
+      expect(updated.body.data.active).toBe(false);
+
+      const rotated = await admin(request(app).post(`/api/webhooks/${webhook.id}/rotate-secret`)).expect(200);
+      expect(rotated.body.data.secret).not.toBe(secret);
+
+      await admin(request(app).delete(`/api/webhooks/${webhook.id}`)).expect(200);
+      await admin(request(app).get(`/api/webhooks/${webhook.id}`)).expect(404);
+    });
+
+    it('should return delivery history newest first', async () => {
+      const { webhook } = register();
+      await webhookService.notify('prediction.created', { predictionId: '1', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+      axios.post.mockResolvedValueOnce({ status: 410, data: 'gone' });
+      await webhookService.notify('prediction.created', { predictionId: '2', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+
+      const response = await admin(request(app).get(`/api/webhooks/${webhook.id}/deliveries`)).expect(200);
+
+      expect(response.body.data.map(delivery => [delivery.payload.data.predictionId, delivery.status]))
+        .toEqual([['2', 'pending'], ['1', 'delivered']]);
+      expect(response.body.data[0].attempts[0]).toMatchObject({ statusCode: 410, error: 'HTTP 410' });
+
+      const pending = await admin(request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=pending`)).expect(200);
+      expect(pending.body.meta).toMatchObject({ count: 1, status: 'pending' });
+    });
+
+    it('should retry a dead letter on request', async () => {
+      webhookService.maxAttempts = 1;
+      register();
+      axios.post.mockResolvedValueOnce({ status: 503, data: 'busy' });
+      const [{ id }] = await webhookService.notify('prediction.created', { predictionId: '1', cryptocurrency: 'BTC', predictor: ALICE, modelType: 'LSTM' });
+      webhookService.maxAttempts = 6;
+
+      const deadLetters = await admin(request(app).get('/api/webhooks/dead-letters')).expect(200);
+      expect(deadLetters.body.data.map(delivery => delivery.id)).toEqual([id]);
+
+      const response = await admin(request(app).post(`/api/webhooks/deliveries/${id}/retry`)).expect(200);
+      expect(response.body.data).toMatchObject({ status: 'delivered' });
+      expect(response.body.data.attempts).toHaveLength(2);
+
+      await admin(request(app).post('/api/webhooks/deliveries/unknown/retry')).expect(404);
+    });
+  });
+});
@@ -4,11 +4,19 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
-contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
+contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable, EIP712, Nonces {
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     
+    // EIP-712 type of a prediction signed by its predictor and relayed by someone else
+    bytes32 public constant PREDICTION_TYPEHASH = keccak256(
+        "Prediction(address predictor,string cryptocurrency,uint256 currentPrice,uint256 predictedPrice,uint256 targetTimestamp,string modelType,string additionalData,uint256 nonce,uint256 deadline)"
+    );
+    
     // Prediction information structure
     struct Prediction {
         uint256 id;
@@ -26,11 +34,23 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         string additionalData; // JSON string for extra prediction metadata
     }
     
+    // Prediction fields signed by the predictor for makePredictionFor
+    struct PredictionRequest {
+        address predictor;
+        string cryptocurrency;
+        uint256 currentPrice;
+        uint256 predictedPrice;
+        uint256 targetTimestamp;
+        string modelType;
+        string additionalData;
+    }
+    
     // User statistics structure
     struct UserStats {
         uint256 totalPredictions;
         uint256 accuratePredictions;
         uint256 totalAccuracyScore; // Sum of all accuracy percentages
+        uint256 resolvedPredictions; // Denominator of the accuracy getters
         mapping(string => uint256) modelTypeCount; // Count per model type
         mapping(string => uint256) cryptoCount; // Count per cryptocurrency
     }
@@ -40,6 +60,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         uint256 totalPredictions;
         uint256 accuratePredictions;
         uint256 totalAccuracyScore;
+        uint256 resolvedPredictions; // Denominator of the accuracy getters
         mapping(string => uint256) cryptoPerformance; // Accuracy per crypto
     }
     
@@ -56,6 +77,10 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
     uint256 public accuracyThreshold = 500; // 5% threshold (500 basis points)
     uint256 public constant BASIS_POINTS = 10000; // 100% = 10000 basis points
     
+    // Basis of the accuracy getters. Version 2 divides by resolved predictions; deployments
+    // without this constant divide by every prediction made, unresolved ones included.
+    uint256 public constant STATS_VERSION = 2;
+    
     // Events
     event PredictionMade(
         uint256 indexed predictionId,
@@ -102,7 +127,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         _;
     }
     
-    constructor() {
+    constructor() EIP712("PredictionLogger", "1") {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(ORACLE_ROLE, msg.sender);
@@ -125,6 +150,69 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         string memory modelType,
         string memory additionalData
     ) external nonReentrant whenNotPaused returns (uint256) {
+        return _recordPrediction(
+            msg.sender,
+            cryptocurrency,
+            currentPrice,
+            predictedPrice,
+            targetTimestamp,
+            modelType,
+            additionalData
+        );
+    }
+    
+    /**
+     * @dev Make a prediction on behalf of a predictor who signed it off-chain (EIP-712).
+     *      Anyone may relay the signed request; the prediction is attributed to the signer.
+     * @param request The prediction fields, including the predictor address
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The predictor's EIP-712 signature over the request, nonce and deadline
+     */
+    function makePredictionFor(
+        PredictionRequest calldata request,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        require(block.timestamp <= deadline, "Signature expired");
+        
+        bytes32 structHash = keccak256(abi.encode(
+            PREDICTION_TYPEHASH,
+            request.predictor,
+            keccak256(bytes(request.cryptocurrency)),
+            request.currentPrice,
+            request.predictedPrice,
+            request.targetTimestamp,
+            keccak256(bytes(request.modelType)),
+            keccak256(bytes(request.additionalData)),
+            _useNonce(request.predictor),
+            deadline
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == request.predictor, "Invalid signature");
+        
+        return _recordPrediction(
+            request.predictor,
+            request.cryptocurrency,
+            request.currentPrice,
+            request.predictedPrice,
+            request.targetTimestamp,
+            request.modelType,
+            request.additionalData
+        );
+    }
+    
+    /**
+     * @dev Store a new prediction attributed to `predictor` and update the stats indexes
+     */
+    function _recordPrediction(
+        address predictor,
+        string memory cryptocurrency,
+        uint256 currentPrice,
+        uint256 predictedPrice,
+        uint256 targetTimestamp,
+        string memory modelType,
+        string memory additionalData
+    ) internal returns (uint256) {
         require(bytes(cryptocurrency).length > 0, "Cryptocurrency cannot be empty");
         require(currentPrice > 0, "Current price must be greater than 0");
         require(predictedPrice > 0, "Predicted price must be greater than 0");
@@ -136,7 +224,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         
         predictions[predictionId] = Prediction({
             id: predictionId,
-            predictor: msg.sender,
+            predictor: predictor,
             cryptocurrency: cryptocurrency,
             currentPrice: currentPrice,
             predictedPrice: predictedPrice,
@@ -151,12 +239,12 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         });
         
         // Update user stats
-        userStats[msg.sender].totalPredictions++;
-        userStats[msg.sender].modelTypeCount[modelType]++;
-        userStats[msg.sender].cryptoCount[cryptocurrency]++;
+        userStats[predictor].totalPredictions++;
+        userStats[predictor].modelTypeCount[modelType]++;
+        userStats[predictor].cryptoCount[cryptocurrency]++;
         
         // Update tracking arrays
-        userPredictions[msg.sender].push(predictionId);
+        userPredictions[predictor].push(predictionId);
         cryptoPredictions[cryptocurrency].push(predictionId);
         modelTypePredictions[modelType].push(predictionId);
         
@@ -165,7 +253,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         
         emit PredictionMade(
             predictionId,
-            msg.sender,
+            predictor,
             cryptocurrency,
             currentPrice,
             predictedPrice,
@@ -213,6 +301,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         
         // Update user stats
         UserStats storage stats = userStats[prediction.predictor];
+        stats.resolvedPredictions++;
         if (wasAccurate) {
             stats.accuratePredictions++;
         }
@@ -220,6 +309,7 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
         
         // Update model performance
         ModelPerformance storage modelPerf = modelPerformance[prediction.modelType];
+        modelPerf.resolvedPredictions++;
         if (wasAccurate) {
             modelPerf.accuratePredictions++;
         }
@@ -300,55 +390,55 @@ contract PredictionLogger is AccessControl, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get user's accuracy rate
+     * @dev Get user's accuracy rate over resolved predictions
      * @param user Address of the user
-     * @return accuracy rate in basis points
+     * @return accuracy rate in basis points, 0 until a prediction is resolved
      */
     function getUserAccuracyRate(address user) external view returns (uint256) {
         UserStats storage stats = userStats[user];
-        if (stats.totalPredictions == 0) {
+        if (stats.resolvedPredictions == 0) {
             return 0;
         }
-        return (stats.accuratePredictions * BASIS_POINTS) / stats.totalPredictions;
+        return (stats.accuratePredictions * BASIS_POINTS) / stats.resolvedPredictions;
     }
     
     /**
-     * @dev Get user's average accuracy score
+     * @dev Get user's average accuracy score over resolved predictions
      * @param user Address of the user
-     * @return average accuracy score in basis points
+     * @return average accuracy score in basis points, 0 until a prediction is resolved
      */
     function getUserAverageAccuracy(address user) external view returns (uint256) {
         UserStats storage stats = userStats[user];
-        if (stats.totalPredictions == 0) {
+        if (stats.resolvedPredictions == 0) {
             return 0;
         }
-        return stats.totalAccuracyScore / stats.totalPredictions;
+        return stats.totalAccuracyScore / stats.resolvedPredictions;
     }
     
     /**
-     * @dev Get model's accuracy rate
+     * @dev Get model's accuracy rate over resolved predictions
      * @param modelType The model type
-     * @return accuracy rate in basis points
+     * @return accuracy rate in basis points, 0 until a prediction is resolved
      */
     function getModelAccuracyRate(string memory modelType) external view returns (uint256) {
         ModelPerformance storage performance = modelPerformance[modelType];
-        if (performance.totalPredictions == 0) {
+        if (performance.resolvedPredictions == 0) {
             return 0;
         }
-        return (performance.accuratePredictions * BASIS_POINTS) / performance.totalPredictions;
+        return (performance.accuratePredictions * BASIS_POINTS) / performance.resolvedPredictions;
     }
     
     /**
-     * @dev Get model's average accuracy score
+     * @dev Get model's average accuracy score over resolved predictions
      * @param modelType The model type
-     * @return average accuracy score in basis points
+     * @return average accuracy score in basis points, 0 until a prediction is resolved
      */
     function getModelAverageAccuracy(string memory modelType) external view returns (uint256) {
         ModelPerformance storage performance = modelPerformance[modelType];
-        if (performance.totalPredictions == 0) {
+        if (performance.resolvedPredictions == 0) {
             return 0;
         }
-        return performance.totalAccuracyScore / performance.totalPredictions;
+        return performance.totalAccuracyScore / performance.resolvedPredictions;
     }
     
     /**
@@ -111,6 +111,93 @@ describe("PredictionLogger", function () {
     });
   });
   
+  describe("Signed Predictions", function () {
+    const types = {
+      Prediction: [
+        { name: "predictor", type: "address" },
+        { name: "cryptocurrency", type: "string" },
+        { name: "currentPrice", type: "uint256" },
+        { name: "predictedPrice", type: "uint256" },
+        { name: "targetTimestamp", type: "uint256" },
+        { name: "modelType", type: "string" },
+        { name: "additionalData", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    
+    async function signRequest(signer, overrides = {}) {
+      const currentTime = await time.latest();
+      const request = {
+        predictor: signer.address,
+        cryptocurrency: "BTC",
+        currentPrice: 50000000000,
+        predictedPrice: 55000000000,
+        targetTimestamp: currentTime + 3600,
+        modelType: "LSTM",
+        additionalData: "{}"
+      };
+      const deadline = currentTime + 600;
+      const nonce = await predictionLogger.nonces(signer.address);
+      const domain = {
+        name: "PredictionLogger",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await predictionLogger.getAddress()
+      };
+      const signature = await signer.signTypedData(domain, types, { ...request, nonce, deadline, ...overrides });
+      return { request, deadline, signature };
+    }
+    
+    it("Should attribute a relayed prediction to the signer", async function () {
+      const { request, deadline, signature } = await signRequest(user1);
+      
+      await expect(
+        predictionLogger.connect(user2).makePredictionFor(request, deadline, signature)
+      ).to.emit(predictionLogger, "PredictionMade")
+       .withArgs(1, user1.address, "BTC", 50000000000, 55000000000, request.targetTimestamp, "LSTM");
+      
+      expect((await predictionLogger.predictions(1)).predictor).to.equal(user1.address);
+      expect((await predictionLogger.userStats(user1.address)).totalPredictions).to.equal(1);
+      expect((await predictionLogger.userStats(user2.address)).totalPredictions).to.equal(0);
+      expect(await predictionLogger.nonces(user1.address)).to.equal(1);
+    });
+    
+    it("Should reject a signature from another account", async function () {
+      const { request, deadline, signature } = await signRequest(user2, { predictor: user1.address });
+      
+      await expect(
+        predictionLogger.makePredictionFor({ ...request, predictor: user1.address }, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject tampered fields", async function () {
+      const { request, deadline, signature } = await signRequest(user1);
+      
+      await expect(
+        predictionLogger.makePredictionFor({ ...request, predictedPrice: 60000000000 }, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject replayed signatures", async function () {
+      const { request, deadline, signature } = await signRequest(user1);
+      await predictionLogger.makePredictionFor(request, deadline, signature);
+      
+      await expect(
+        predictionLogger.makePredictionFor(request, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject expired signatures", async function () {
+      const { request, deadline, signature } = await signRequest(user1);
+      await time.increaseTo(deadline + 1);
+      
+      await expect(
+        predictionLogger.makePredictionFor(request, deadline, signature)
+      ).to.be.revertedWith("Signature expired");
+    });
+  });
+  
   describe("Resolving Predictions", function () {
     let predictionId;
     let targetTime;
@@ -190,6 +277,30 @@ describe("PredictionLogger", function () {
       const accuracyRate = await predictionLogger.getUserAccuracyRate(user1.address);
       expect(accuracyRate).to.equal(10000); // 100% accuracy rate (1/1 accurate)
     });
+
+    it("Should compute accuracy over resolved predictions only", async function () {
+      expect(await predictionLogger.STATS_VERSION()).to.equal(2);
+
+      // A second, still unresolved prediction must not dilute the rates
+      await predictionLogger.connect(user1).makePrediction(
+        "BTC", 50000000000, 60000000000, targetTime + 3600, "LSTM", "{}"
+      );
+      expect(await predictionLogger.getUserAccuracyRate(user1.address)).to.equal(0);
+
+      await time.increaseTo(targetTime);
+      await predictionLogger.connect(oracle).resolvePrediction(predictionId, 54000000000);
+
+      const userStats = await predictionLogger.userStats(user1.address);
+      expect(userStats.totalPredictions).to.equal(2);
+      expect(userStats.resolvedPredictions).to.equal(1);
+      expect(await predictionLogger.getUserAccuracyRate(user1.address)).to.equal(10000);
+      expect(await predictionLogger.getUserAverageAccuracy(user1.address)).to.equal(9815);
+
+      const modelPerformance = await predictionLogger.modelPerformance("LSTM");
+      expect(modelPerformance.resolvedPredictions).to.equal(1);
+      expect(await predictionLogger.getModelAccuracyRate("LSTM")).to.equal(10000);
+      expect(await predictionLogger.getModelAverageAccuracy("LSTM")).to.equal(9815);
+    });
   });
   
   describe("Data Retrieval", function () {
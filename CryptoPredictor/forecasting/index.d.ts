@@ -0,0 +1,92 @@
+// Type declarations for the forecasting model registry (index.js)
+
+export interface PriceData {
+  timestamp: number;
+  price: number;
+  cryptocurrency?: string;
+}
+
+export type ModelParams = Record<string, number>;
+
+export interface ParameterSpec {
+  default: number;
+  min: number;
+  max: number;
+  integer?: boolean;
+  description: string;
+}
+
+export interface ModelInfo {
+  id: string;
+  type: string;
+  description: string;
+  parameters: ModelParams;
+  dataPoints: number;
+}
+
+/**
+ * Central prediction interval: the price is expected inside [lower, upper] with probability `level`
+ */
+export interface PredictionInterval {
+  level: number;
+  lower: number;
+  upper: number;
+}
+
+export interface ModelForecast {
+  predictedPrice: number;
+  confidence: number;
+  intervals: PredictionInterval[];
+  modelInfo: ModelInfo;
+}
+
+/**
+ * A model as registered with `registerModel`. `forecast` returns the predicted price
+ * `params.horizon` steps after the last price, with the in-sample one-step errors the
+ * prediction intervals are sized from.
+ */
+export interface ModelDefinition {
+  id: string;
+  name: string;
+  description: string;
+  parameters: Record<string, ParameterSpec>;
+  checkParams?(params: ModelParams): void;
+  minDataPoints(params: ModelParams): number;
+  forecast(prices: number[], params: ModelParams): { predictedPrice: number; confidence: number; errors: number[] };
+}
+
+export interface ForecastModel {
+  id: string;
+  name: string;
+  description: string;
+  parameters: Record<string, ParameterSpec>;
+  resolveParams(options?: Partial<ModelParams>): ModelParams;
+  minDataPoints(options?: Partial<ModelParams>): number;
+  predict(priceData: PriceData[], options?: Partial<ModelParams>): ModelForecast;
+}
+
+/**
+ * Thrown when a caller passes unknown or out-of-range model parameters
+ */
+export class ModelParameterError extends Error {
+  constructor(message: string);
+}
+
+/**
+ * Central interval levels every forecast reports, e.g. 0.95
+ */
+export const INTERVAL_LEVELS: number[];
+
+/**
+ * Add a model definition to the registry, replacing any model with the same id
+ */
+export function registerModel(definition: ModelDefinition): void;
+
+export function getModel(id: string): ForecastModel | undefined;
+
+export function listModels(): { id: string; name: string; description: string; parameters: Record<string, ParameterSpec> }[];
+
+/**
+ * Parse the `params` query value, a JSON object of numeric parameters
+ */
+export function parseModelParams(raw: string | null | undefined): Partial<ModelParams>;
@@ -0,0 +1,453 @@
+// Forecasting model registry shared by the API (backtests, calibration) and the Next.js
+// prediction route, so a backtest scores exactly the forecasts the dashboard serves.
+
+class ModelParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelParameterError';
+  }
+}
+
+// Every model forecasts `horizon` steps ahead of the last price
+const HORIZON_PARAMETER = {
+  default: 1,
+  min: 1,
+  max: 100,
+  integer: true,
+  description: 'Number of steps ahead to forecast'
+};
+
+// Numeric helpers
+const mean = (values) => values.length === 0 ? 0 : values.reduce((acc, value) => acc + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((acc, value) => acc + Math.pow(value - avg, 2), 0) / values.length);
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const emaSeries = (prices, period) => {
+  const alpha = 2 / (period + 1);
+  const series = [];
+  prices.forEach((price, i) => {
+    series.push(i === 0 ? price : alpha * price + (1 - alpha) * series[i - 1]);
+  });
+  return series;
+};
+
+// 1% relative one-step error gives 0.9 confidence, 5% gives 0.5
+const confidenceFromErrors = (errors, prices, horizon = 1) => {
+  if (errors.length === 0) return 0.1;
+  const rmse = Math.sqrt(mean(errors.map(error => error * error)));
+  return clamp(1 - ((rmse * Math.sqrt(horizon)) / mean(prices)) * 10, 0.1, 0.95);
+};
+
+// Central interval levels and their two-sided standard normal quantiles
+const INTERVAL_LEVELS = [[0.5, 0.6745], [0.8, 1.2816], [0.95, 1.96]];
+
+// Intervals around the forecast assuming normal errors with the in-sample one-step RMSE,
+// growing with the square root of the horizon. Models without in-sample errors fall back
+// to the random-walk errors of the series. Lower bounds stop at zero.
+const predictionIntervals = (predictedPrice, errors, prices, horizon = 1) => {
+  const sample = errors.length > 0 ? errors : prices.slice(1).map((price, i) => price - prices[i]);
+  const scale = sample.length === 0 ? 0 : Math.sqrt(mean(sample.map(error => error * error)) * horizon);
+  return INTERVAL_LEVELS.map(([level, z]) => ({
+    level,
+    lower: Math.max(predictedPrice - z * scale, 0),
+    upper: predictedPrice + z * scale
+  }));
+};
+
+const solveLinearSystem = (a, b) => {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    if (Math.abs(m[col][col]) < 1e-12) {
+      throw new Error('Model fit is singular for this price series');
+    }
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+};
+
+const requireShortBelowLong = ({ shortPeriod, longPeriod }) => {
+  if (shortPeriod >= longPeriod) {
+    throw new ModelParameterError('Parameter "shortPeriod" must be less than "longPeriod"');
+  }
+};
+
+// Model definitions: { id, name, description, parameters, checkParams?, minDataPoints, forecast }.
+// forecast returns the predicted price, a confidence score and the in-sample one-step
+// errors the prediction intervals are sized from.
+const modelDefinitions = [
+  {
+    id: 'moving-average',
+    name: 'Moving Average',
+    description: 'Short/long simple moving average trend, damped by half',
+    parameters: {
+      shortPeriod: { default: 3, min: 1, max: 200, integer: true, description: 'Short moving average period' },
+      longPeriod: { default: 10, min: 2, max: 500, integer: true, description: 'Long moving average period' }
+    },
+    checkParams: requireShortBelowLong,
+    minDataPoints: ({ longPeriod }) => longPeriod,
+    forecast(prices, { shortPeriod, longPeriod, horizon }) {
+      // Projected price `steps` after the first `end` prices
+      const project = (end, steps) => {
+        const history = prices.slice(0, end);
+        const shortMA = mean(history.slice(-shortPeriod));
+        const longMA = mean(history.slice(-longPeriod));
+        const trendStrength = (shortMA - longMA) / longMA;
+        return history[history.length - 1] * (1 + (trendStrength * 0.5 * steps));
+      };
+
+      const errors = [];
+      for (let i = longPeriod; i < prices.length; i++) {
+        errors.push(prices[i] - project(i, 1));
+      }
+
+      const recentPrices = prices.slice(-longPeriod);
+      const volatilityRatio = standardDeviation(recentPrices) / mean(recentPrices);
+
+      return {
+        predictedPrice: project(prices.length, horizon),
+        confidence: clamp(1 - (volatilityRatio * 2), 0.1, 0.95),
+        errors
+      };
+    }
+  },
+  {
+    id: 'ema-crossover',
+    name: 'EMA Crossover',
+    description: 'Trend from the gap between a fast and a slow exponential moving average',
+    parameters: {
+      shortPeriod: { default: 5, min: 1, max: 200, integer: true, description: 'Fast EMA period' },
+      longPeriod: { default: 12, min: 2, max: 500, integer: true, description: 'Slow EMA period' },
+      damping: { default: 0.5, min: 0, max: 2, description: 'Share of the EMA gap projected per step' }
+    },
+    checkParams: requireShortBelowLong,
+    minDataPoints: ({ longPeriod }) => longPeriod,
+    forecast(prices, { shortPeriod, longPeriod, damping, horizon }) {
+      const fast = emaSeries(prices, shortPeriod);
+      const slow = emaSeries(prices, longPeriod);
+      const project = (i, steps) => prices[i] * (1 + ((fast[i] - slow[i]) / slow[i]) * damping * steps);
+
+      const errors = [];
+      for (let i = longPeriod; i < prices.length; i++) {
+        errors.push(prices[i] - project(i - 1, 1));
+      }
+
+      return {
+        predictedPrice: project(prices.length - 1, horizon),
+        confidence: confidenceFromErrors(errors, prices, horizon),
+        errors
+      };
+    }
+  },
+  {
+    id: 'linear-regression',
+    name: 'Linear Regression',
+    description: 'Least-squares trend line over a trailing window, extrapolated forward',
+    parameters: {
+      window: { default: 20, min: 3, max: 1000, integer: true, description: 'Number of trailing points to fit' }
+    },
+    minDataPoints: ({ window }) => window,
+    forecast(prices, { window, horizon }) {
+      const ys = prices.slice(-window);
+      const xs = ys.map((_, i) => i);
+      const xMean = mean(xs);
+      const yMean = mean(ys);
+
+      let covariance = 0;
+      let variance = 0;
+      xs.forEach((x, i) => {
+        covariance += (x - xMean) * (ys[i] - yMean);
+        variance += (x - xMean) * (x - xMean);
+      });
+
+      const slope = covariance / variance;
+      const intercept = yMean - slope * xMean;
+      const residuals = ys.map((y, i) => y - (intercept + slope * xs[i]));
+
+      return {
+        predictedPrice: intercept + slope * (window - 1 + horizon),
+        confidence: confidenceFromErrors(residuals, ys, horizon),
+        errors: residuals
+      };
+    }
+  },
+  {
+    id: 'holt-winters',
+    name: 'Holt-Winters',
+    description: 'Exponential smoothing of level and trend, with optional additive seasonality',
+    parameters: {
+      alpha: { default: 0.5, min: 0.01, max: 1, description: 'Level smoothing factor' },
+      beta: { default: 0.1, min: 0, max: 1, description: 'Trend smoothing factor' },
+      gamma: { default: 0.1, min: 0, max: 1, description: 'Seasonal smoothing factor' },
+      seasonLength: { default: 0, min: 0, max: 200, integer: true, description: 'Points per season (0 disables seasonality)' }
+    },
+    checkParams({ seasonLength }) {
+      if (seasonLength === 1) {
+        throw new ModelParameterError('Parameter "seasonLength" must be 0 or at least 2');
+      }
+    },
+    minDataPoints: ({ seasonLength }) => seasonLength > 1 ? seasonLength * 2 : 3,
+    forecast(prices, { alpha, beta, gamma, seasonLength: m, horizon }) {
+      const errors = [];
+
+      if (m <= 1) {
+        let level = prices[0];
+        let trend = prices[1] - prices[0];
+        for (let t = 1; t < prices.length; t++) {
+          errors.push(prices[t] - (level + trend));
+          const nextLevel = alpha * prices[t] + (1 - alpha) * (level + trend);
+          trend = beta * (nextLevel - level) + (1 - beta) * trend;
+          level = nextLevel;
+        }
+        return {
+          predictedPrice: level + horizon * trend,
+          confidence: confidenceFromErrors(errors, prices, horizon),
+          errors
+        };
+      }
+
+      const firstSeason = prices.slice(0, m);
+      let level = mean(firstSeason);
+      let trend = (mean(prices.slice(m, 2 * m)) - level) / m;
+      const seasonal = firstSeason.map(price => price - level);
+
+      for (let t = m; t < prices.length; t++) {
+        const season = seasonal[t % m];
+        errors.push(prices[t] - (level + trend + season));
+        const nextLevel = alpha * (prices[t] - season) + (1 - alpha) * (level + trend);
+        trend = beta * (nextLevel - level) + (1 - beta) * trend;
+        seasonal[t % m] = gamma * (prices[t] - nextLevel) + (1 - gamma) * season;
+        level = nextLevel;
+      }
+
+      return {
+        predictedPrice: level + horizon * trend + seasonal[(prices.length - 1 + horizon) % m],
+        confidence: confidenceFromErrors(errors, prices, horizon),
+        errors
+      };
+    }
+  },
+  {
+    id: 'arima-lite',
+    name: 'ARIMA-lite',
+    description: 'Autoregression on first differences with drift, i.e. ARIMA(p,1,0)',
+    parameters: {
+      p: { default: 2, min: 1, max: 5, integer: true, description: 'Autoregressive order on price differences' }
+    },
+    minDataPoints: ({ p }) => 2 * p + 3,
+    forecast(prices, { p, horizon }) {
+      const diffs = prices.slice(1).map((price, i) => price - prices[i]);
+
+      // Least-squares fit of d[t] = c + sum(phi[i] * d[t - i - 1])
+      const size = p + 1;
+      const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+      const xty = new Array(size).fill(0);
+      for (let t = p; t < diffs.length; t++) {
+        const row = [1, ...Array.from({ length: p }, (_, i) => diffs[t - i - 1])];
+        for (let i = 0; i < size; i++) {
+          xty[i] += row[i] * diffs[t];
+          for (let j = 0; j < size; j++) xtx[i][j] += row[i] * row[j];
+        }
+      }
+
+      let coefficients;
+      try {
+        coefficients = solveLinearSystem(xtx, xty);
+      } catch (error) {
+        // Degenerate series (e.g. flat prices): fall back to drift only
+        coefficients = [mean(diffs), ...new Array(p).fill(0)];
+      }
+
+      const [drift, ...phi] = coefficients;
+      const predictDiff = (history, t) =>
+        drift + phi.reduce((acc, coefficient, i) => acc + coefficient * history[t - i - 1], 0);
+
+      const errors = [];
+      for (let t = p; t < diffs.length; t++) {
+        errors.push(diffs[t] - predictDiff(diffs, t));
+      }
+
+      const extended = [...diffs];
+      let predictedPrice = prices[prices.length - 1];
+      for (let step = 0; step < horizon; step++) {
+        const next = predictDiff(extended, extended.length);
+        extended.push(next);
+        predictedPrice += next;
+      }
+
+      return {
+        predictedPrice,
+        confidence: confidenceFromErrors(errors, prices, horizon),
+        errors
+      };
+    }
+  },
+  {
+    id: 'naive',
+    name: 'Naive Baseline',
+    description: 'Random-walk baseline that forecasts the last observed price',
+    parameters: {},
+    minDataPoints: () => 2,
+    forecast(prices, { horizon }) {
+      const errors = prices.slice(1).map((price, i) => price - prices[i]);
+      return {
+        predictedPrice: prices[prices.length - 1],
+        confidence: confidenceFromErrors(errors, prices, horizon),
+        errors
+      };
+    }
+  }
+];
+
+class ForecastModel {
+  constructor(definition) {
+    this.definition = definition;
+    this.id = definition.id;
+    this.name = definition.name;
+    this.description = definition.description;
+    this.parameters = { ...definition.parameters, horizon: HORIZON_PARAMETER };
+  }
+
+  // Merge caller options over the defaults and validate them against the parameter specs
+  resolveParams(options = {}) {
+    Object.keys(options).forEach(key => {
+      if (!this.parameters[key]) {
+        throw new ModelParameterError(`Unknown parameter "${key}" for model ${this.id}`);
+      }
+    });
+
+    const params = {};
+    Object.entries(this.parameters).forEach(([key, spec]) => {
+      const value = options[key] ?? spec.default;
+
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ModelParameterError(`Parameter "${key}" must be a number`);
+      }
+      if (spec.integer && !Number.isInteger(value)) {
+        throw new ModelParameterError(`Parameter "${key}" must be an integer`);
+      }
+      if (value < spec.min || value > spec.max) {
+        throw new ModelParameterError(`Parameter "${key}" must be between ${spec.min} and ${spec.max}`);
+      }
+
+      params[key] = value;
+    });
+
+    if (this.definition.checkParams) {
+      this.definition.checkParams(params);
+    }
+    return params;
+  }
+
+  minDataPoints(options = {}) {
+    return this.definition.minDataPoints(this.resolveParams(options));
+  }
+
+  predict(priceData, options = {}) {
+    const params = this.resolveParams(options);
+    const required = this.definition.minDataPoints(params);
+
+    if (priceData.length < required) {
+      throw new Error(`Need at least ${required} data points for ${this.name}`);
+    }
+
+    const prices = priceData.map(d => d.price);
+    const { predictedPrice, confidence, errors } = this.definition.forecast(prices, params);
+
+    if (!Number.isFinite(predictedPrice)) {
+      throw new Error(`${this.name} could not produce a forecast for this price series`);
+    }
+
+    const price = Math.max(predictedPrice, 0);
+    return {
+      predictedPrice: price,
+      confidence: Math.round(confidence * 100) / 100,
+      intervals: predictionIntervals(price, errors, prices, params.horizon),
+      modelInfo: {
+        id: this.id,
+        type: this.name,
+        description: this.description,
+        parameters: params,
+        dataPoints: priceData.length
+      }
+    };
+  }
+}
+
+const registry = new Map();
+
+// Add a model definition to the registry, replacing any model with the same id
+const registerModel = (definition) => {
+  registry.set(definition.id, new ForecastModel(definition));
+};
+
+modelDefinitions.forEach(registerModel);
+
+const getModel = (id) => registry.get(id.toLowerCase());
+
+const listModels = () => [...registry.values()].map(({ id, name, description, parameters }) => ({
+  id,
+  name,
+  description,
+  parameters
+}));
+
+// Parse a `params` query value: a JSON object of numeric parameters
+const parseModelParams = (raw) => {
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ModelParameterError('Parameter "params" must be a JSON object');
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ModelParameterError('Parameter "params" must be a JSON object');
+  }
+
+  const params = {};
+  Object.entries(parsed).forEach(([key, value]) => {
+    const numeric = typeof value === 'string' ? Number(value) : value;
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+      throw new ModelParameterError(`Parameter "${key}" must be a number`);
+    }
+    params[key] = numeric;
+  });
+
+  return params;
+};
+
+module.exports = {
+  INTERVAL_LEVELS: INTERVAL_LEVELS.map(([level]) => level),
+  ModelParameterError,
+  getModel,
+  listModels,
+  registerModel,
+  parseModelParams
+};
@@ -1,10 +1,16 @@
 // Prediction model API route for Next.js
 import { NextRequest, NextResponse } from 'next/server';
-
-interface PriceData {
-  timestamp: number;
-  price: number;
-}
+import {
+  DEFAULT_MODEL_ID,
+  ForecastModel,
+  ModelParameterError,
+  ModelParams,
+  PredictionInterval,
+  PriceData,
+  getModel,
+  listModels,
+  parseModelParams
+} from '@/lib/models';
 
 interface PredictionResult {
   cryptocurrency: string;
@@ -12,97 +18,64 @@ interface PredictionResult {
   predictedPrice: number;
   trend: 'UP' | 'DOWN' | 'NEUTRAL';
   confidence: number;
+  // 50/80/95% intervals, stored as `additionalData.intervals` when logged on-chain
+  intervals: PredictionInterval[];
   percentageChange: number;
   prediction: string;
 }
 
-// Simple Moving Average Model
-class MovingAverageModel {
-  private shortPeriod: number;
-  private longPeriod: number;
-
-  constructor(shortPeriod = 3, longPeriod = 10) {
-    this.shortPeriod = shortPeriod;
-    this.longPeriod = longPeriod;
-  }
-
-  /**
-   * Calculate Simple Moving Average
-   */
-  private calculateSMA(prices: number[], period: number): number {
-    if (prices.length < period) return prices[prices.length - 1] || 0;
-    
-    const relevantPrices = prices.slice(-period);
-    const sum = relevantPrices.reduce((acc, price) => acc + price, 0);
-    return sum / period;
-  }
+/**
+ * Length of the forecast horizon in minutes, from the median spacing of the price series
+ */
+function horizonMinutes(priceData: PriceData[], horizon: number): number {
+  const gaps = priceData
+    .slice(1)
+    .map((point, i) => point.timestamp - priceData[i].timestamp)
+    .sort((a, b) => a - b);
+  const step = gaps[Math.floor(gaps.length / 2)] || 5 * 60 * 1000;
+  return Math.round((step * horizon) / 60000);
+}
 
-  /**
-   * Calculate standard deviation for confidence scoring
-   */
-  private calculateStandardDeviation(prices: number[]): number {
-    if (prices.length < 2) return 0;
-    
-    const mean = prices.reduce((acc, price) => acc + price, 0) / prices.length;
-    const squaredDifferences = prices.map(price => Math.pow(price - mean, 2));
-    const variance = squaredDifferences.reduce((acc, diff) => acc + diff, 0) / prices.length;
-    return Math.sqrt(variance);
+/**
+ * Run a model and describe its forecast as a trend
+ */
+function runModel(
+  model: ForecastModel,
+  cryptocurrency: string,
+  priceData: PriceData[],
+  params: Partial<ModelParams>
+) {
+  const { predictedPrice, confidence, intervals, modelInfo } = model.predict(priceData, params);
+  const currentPrice = priceData[priceData.length - 1].price;
+  const percentageChange = ((predictedPrice - currentPrice) / currentPrice) * 100;
+  const label = `Next ${horizonMinutes(priceData, modelInfo.parameters.horizon)} min trend`;
+
+  let trend: 'UP' | 'DOWN' | 'NEUTRAL';
+  let prediction: string;
+
+  if (Math.abs(percentageChange) < 0.5) {
+    trend = 'NEUTRAL';
+    prediction = `${label}: NEUTRAL (${percentageChange >= 0 ? '+' : ''}${percentageChange.toFixed(2)}%)`;
+  } else if (percentageChange > 0) {
+    trend = 'UP';
+    prediction = `${label}: UP (+${percentageChange.toFixed(2)}%)`;
+  } else {
+    trend = 'DOWN';
+    prediction = `${label}: DOWN (${percentageChange.toFixed(2)}%)`;
   }
 
-  /**
-   * Generate prediction based on moving averages
-   */
-  predict(priceData: PriceData[]): PredictionResult {
-    if (priceData.length < this.longPeriod) {
-      throw new Error(`Need at least ${this.longPeriod} data points for prediction`);
-    }
-
-    const prices = priceData.map(d => d.price);
-    const currentPrice = prices[prices.length - 1];
-    
-    // Calculate moving averages
-    const shortMA = this.calculateSMA(prices, this.shortPeriod);
-    const longMA = this.calculateSMA(prices, this.longPeriod);
-    
-    // Calculate price volatility for confidence
-    const recentPrices = prices.slice(-this.longPeriod);
-    const volatility = this.calculateStandardDeviation(recentPrices);
-    const avgPrice = recentPrices.reduce((acc, p) => acc + p, 0) / recentPrices.length;
-    const volatilityRatio = volatility / avgPrice;
-    
-    // Confidence: lower volatility = higher confidence
-    const confidence = Math.max(0.1, Math.min(0.95, 1 - (volatilityRatio * 2)));
-    
-    // Prediction logic: if short MA > long MA, trend is up
-    const trendStrength = (shortMA - longMA) / longMA;
-    const predictedPrice = currentPrice * (1 + (trendStrength * 0.5)); // Conservative prediction
-    
-    const percentageChange = ((predictedPrice - currentPrice) / currentPrice) * 100;
-    
-    let trend: 'UP' | 'DOWN' | 'NEUTRAL';
-    let prediction: string;
-    
-    if (Math.abs(percentageChange) < 0.5) {
-      trend = 'NEUTRAL';
-      prediction = `Next 5 min trend: NEUTRAL (${percentageChange >= 0 ? '+' : ''}${percentageChange.toFixed(2)}%)`;
-    } else if (percentageChange > 0) {
-      trend = 'UP';
-      prediction = `Next 5 min trend: UP (+${percentageChange.toFixed(2)}%)`;
-    } else {
-      trend = 'DOWN';
-      prediction = `Next 5 min trend: DOWN (${percentageChange.toFixed(2)}%)`;
-    }
-
-    return {
-      cryptocurrency: priceData[0]?.cryptocurrency || 'UNKNOWN',
-      currentPrice,
-      predictedPrice,
-      trend,
-      confidence: Math.round(confidence * 100) / 100,
-      percentageChange,
-      prediction
-    };
-  }
+  const result: PredictionResult = {
+    cryptocurrency,
+    currentPrice,
+    predictedPrice,
+    trend,
+    confidence,
+    intervals,
+    percentageChange,
+    prediction
+  };
+
+  return { ...result, modelInfo };
 }
 
 // Fetch price data from your existing API
@@ -170,6 +143,8 @@ export async function GET(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url);
     const cryptocurrency = searchParams.get('crypto') || 'BTC';
+    const modelId = searchParams.get('model') || DEFAULT_MODEL_ID;
+    const compare = searchParams.get('compare');
 
     // Validate cryptocurrency
     const supportedCryptos = ['BTC', 'ETH', 'SOL', 'ADA', 'DOT'];
@@ -180,8 +155,44 @@ export async function GET(request: NextRequest) {
       );
     }
 
+    // Resolve the requested model and its parameters
+    const availableModels = listModels().map(m => m.id);
+    const model = getModel(modelId);
+    if (!model) {
+      return NextResponse.json(
+        { error: `Unknown model: ${modelId}`, availableModels },
+        { status: 400 }
+      );
+    }
+
+    const compareIds = compare === 'all'
+      ? availableModels
+      : (compare || '').split(',').map(id => id.trim()).filter(Boolean);
+    const unknownCompare = compareIds.filter(id => !getModel(id));
+    if (unknownCompare.length > 0) {
+      return NextResponse.json(
+        { error: `Unknown model: ${unknownCompare.join(', ')}`, availableModels },
+        { status: 400 }
+      );
+    }
+
+    let params: Partial<ModelParams>;
+    try {
+      params = parseModelParams(searchParams.get('params'));
+      model.resolveParams(params);
+    } catch (error) {
+      if (error instanceof ModelParameterError) {
+        return NextResponse.json(
+          { error: 'Invalid model parameters', message: error.message, parameters: model.parameters },
+          { status: 400 }
+        );
+      }
+      throw error;
+    }
+
     // Fetch recent price data
-    const priceData = await fetchPriceData(cryptocurrency.toUpperCase());
+    const symbol = cryptocurrency.toUpperCase();
+    const priceData = await fetchPriceData(symbol);
     
     if (priceData.length === 0) {
       return NextResponse.json(
@@ -190,21 +201,40 @@ export async function GET(request: NextRequest) {
       );
     }
 
-    // Initialize and run the prediction model
-    const model = new MovingAverageModel(3, 10);
-    const prediction = model.predict(priceData);
+    // Run the selected model
+    const prediction = runModel(model, symbol, priceData, params);
+
+    // Run comparison models on the same price series, with their default parameters
+    const comparison = compareIds.length > 0
+      ? compareIds.map(id => {
+          const compared = getModel(id)!;
+          try {
+            const result = runModel(compared, symbol, priceData, { horizon: prediction.modelInfo.parameters.horizon });
+            return {
+              model: compared.id,
+              type: compared.name,
+              predictedPrice: result.predictedPrice,
+              confidence: result.confidence,
+              intervals: result.intervals,
+              percentageChange: result.percentageChange,
+              trend: result.trend
+            };
+          } catch (error) {
+            return {
+              model: compared.id,
+              type: compared.name,
+              error: error instanceof Error ? error.message : 'Unknown error'
+            };
+          }
+        })
+      : undefined;
 
     return NextResponse.json({
       success: true,
       data: {
         ...prediction,
         priceHistory: priceData,
-        modelInfo: {
-          type: 'Moving Average',
-          shortPeriod: 3,
-          longPeriod: 10,
-          dataPoints: priceData.length
-        }
+        ...(comparison && { comparison })
       }
     });
 
@@ -218,4 +248,4 @@ export async function GET(request: NextRequest) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
@@ -8,7 +8,9 @@ import PriceChart from '@/components/PriceChart';
 import PredictionDisplay from '@/components/PredictionDisplay';
 import PredictionCard from '@/components/PredictionCard';
 import Loading from '@/components/Loading';
+import LiveEvents from '@/components/LiveEvents';
 import { fetchPrediction, PredictionData } from '@/lib/api';
+import { ContractEvent, useContractEvents } from '@/lib/events';
 
 export default function Home() {
   const [selectedCrypto, setSelectedCrypto] = useState('BTC');
@@ -42,8 +44,19 @@ export default function Home() {
     loadPrediction(selectedCrypto);
   }, [selectedCrypto]);
 
-  // Auto-refresh every 30 seconds
+  // Reload as soon as a prediction for the selected crypto is made or resolved on-chain
+  const handleContractEvent = (event: ContractEvent) => {
+    if (event.type === 'PredictionMade' || event.type === 'PredictionResolved') {
+      loadPrediction(selectedCrypto);
+    }
+  };
+
+  const { events, connected } = useContractEvents({ symbols: [selectedCrypto] }, handleContractEvent);
+
+  // Fall back to refreshing every 30 seconds while the event stream is down
   useEffect(() => {
+    if (connected) return;
+
     const interval = setInterval(() => {
       if (!loading) {
         loadPrediction(selectedCrypto);
@@ -51,7 +64,7 @@ export default function Home() {
     }, 30000);
 
     return () => clearInterval(interval);
-  }, [selectedCrypto, loading]);
+  }, [selectedCrypto, loading, connected]);
 
   const handleCryptoChange = (crypto: string) => {
     console.log(`Crypto changed to: ${crypto}`);
@@ -160,6 +173,7 @@ export default function Home() {
                 prediction={predictionData.prediction}
                 modelInfo={predictionData.modelInfo}
               />
+              <LiveEvents events={events} connected={connected} />
             </div>
           </div>
         )}
@@ -181,7 +195,7 @@ export default function Home() {
             🚀 CryptoPredictor - Built with Next.js, TypeScript, and HeroUI
           </p>
           <p className="mt-2 text-gray-600 font-medium">
-            🤖 Powered by Moving Average ML Model | 🔄 Auto-refresh every 30 seconds
+            🤖 Powered by Moving Average ML Model | ⚡ Live updates from on-chain events
           </p>
         </footer>
       </div>
@@ -0,0 +1,63 @@
+// Live contract events feed
+"use client";
+
+import { Chip } from "@heroui/react";
+import PredictionCard from './PredictionCard';
+import { ContractEvent } from '@/lib/events';
+
+interface LiveEventsProps {
+  events: ContractEvent[];
+  connected: boolean;
+  className?: string;
+}
+
+const describeEvent = (event: ContractEvent): string => {
+  const { data } = event;
+  switch (event.type) {
+    case 'PredictionMade':
+      return `#${data.predictionId} ${data.cryptocurrency} → ${data.predictedPrice} (${data.modelType})`;
+    case 'PredictionResolved':
+      return `#${data.predictionId} resolved at ${data.actualPrice}: ${data.wasAccurate ? 'accurate' : 'missed'}`;
+    case 'AccuracyThresholdUpdated':
+      return `Accuracy threshold ${data.oldThreshold} → ${data.newThreshold}`;
+    case 'UserStatsUpdated':
+      return `${String(data.user).slice(0, 10)}… ${data.accuratePredictions}/${data.totalPredictions} accurate`;
+  }
+};
+
+const eventColor = (event: ContractEvent) => {
+  if (event.type === 'PredictionResolved') return event.data.wasAccurate ? 'success' : 'danger';
+  if (event.type === 'PredictionMade') return 'primary';
+  return 'default';
+};
+
+export default function LiveEvents({ events, connected, className = "" }: LiveEventsProps) {
+  return (
+    <PredictionCard title="⚡ Live On-Chain Activity" className={className}>
+      <div className="flex items-center gap-2 mb-4 text-sm">
+        <span className={`h-2 w-2 rounded-full ${connected ? 'bg-green-500' : 'bg-gray-400'}`} />
+        <span className="text-gray-600">{connected ? 'Connected' : 'Reconnecting...'}</span>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-gray-500 text-sm">Waiting for contract events...</p>
+      ) : (
+        <ul className="space-y-3">
+          {events.map(event => (
+            <li key={event.id} className="flex items-start gap-3">
+              <Chip size="sm" color={eventColor(event)} variant="flat">
+                {event.type.replace(/([a-z])([A-Z])/g, '$1 $2')}
+              </Chip>
+              <div className="text-sm">
+                <p className="text-gray-900">{describeEvent(event)}</p>
+                <p className="text-gray-500">
+                  Block {event.blockNumber} · {new Date(event.timestamp * 1000).toLocaleTimeString()}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </PredictionCard>
+  );
+}
@@ -3,7 +3,7 @@
 
 import { Chip } from "@heroui/react";
 import PredictionCard from "./PredictionCard";
-import { formatPrice, formatPercentage, getTrendColor, getTrendBgColor } from '@/lib/api';
+import { formatPrice, formatPercentage, getTrendColor, getTrendBgColor, ModelInfo } from '@/lib/api';
 
 interface PredictionDisplayProps {
   cryptocurrency: string;
@@ -13,12 +13,7 @@ interface PredictionDisplayProps {
   confidence: number;
   percentageChange: number;
   prediction: string;
-  modelInfo: {
-    type: string;
-    shortPeriod: number;
-    longPeriod: number;
-    dataPoints: number;
-  };
+  modelInfo: ModelInfo;
 }
 
 export default function PredictionDisplay({
@@ -89,14 +84,13 @@ export default function PredictionDisplay({
             <span className="text-gray-600">Model Type:</span>
             <span className="font-medium">{modelInfo.type}</span>
           </div>
-          <div className="flex justify-between">
-            <span className="text-gray-600">Short Period:</span>
-            <span className="font-medium">{modelInfo.shortPeriod} points</span>
-          </div>
-          <div className="flex justify-between">
-            <span className="text-gray-600">Long Period:</span>
-            <span className="font-medium">{modelInfo.longPeriod} points</span>
-          </div>
+          <p className="text-gray-500">{modelInfo.description}</p>
+          {Object.entries(modelInfo.parameters).map(([name, value]) => (
+            <div key={name} className="flex justify-between">
+              <span className="text-gray-600">{name}:</span>
+              <span className="font-medium">{value}</span>
+            </div>
+          ))}
           <div className="flex justify-between">
             <span className="text-gray-600">Data Points:</span>
             <span className="font-medium">{modelInfo.dataPoints}</span>
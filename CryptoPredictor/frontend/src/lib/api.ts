@@ -14,12 +14,26 @@ export interface PredictionData {
   percentageChange: number;
   prediction: string;
   priceHistory: PriceData[];
-  modelInfo: {
-    type: string;
-    shortPeriod: number;
-    longPeriod: number;
-    dataPoints: number;
-  };
+  modelInfo: ModelInfo;
+  comparison?: ModelComparison[];
+}
+
+export interface ModelInfo {
+  id: string;
+  type: string;
+  description: string;
+  parameters: Record<string, number>;
+  dataPoints: number;
+}
+
+export interface ModelComparison {
+  model: string;
+  type: string;
+  predictedPrice?: number;
+  confidence?: number;
+  percentageChange?: number;
+  trend?: 'UP' | 'DOWN' | 'NEUTRAL';
+  error?: string;
 }
 
 export interface ApiResponse<T> {
@@ -30,10 +44,18 @@ export interface ApiResponse<T> {
 }
 
 /**
- * Fetch prediction data for a given cryptocurrency
+ * Fetch prediction data for a given cryptocurrency, optionally with a specific model and parameters
  */
-export async function fetchPrediction(cryptocurrency: string): Promise<PredictionData> {
-  const response = await fetch(`/api/predictions?crypto=${cryptocurrency.toUpperCase()}`);
+export async function fetchPrediction(
+  cryptocurrency: string,
+  model?: string,
+  params?: Record<string, number>
+): Promise<PredictionData> {
+  const query = new URLSearchParams({ crypto: cryptocurrency.toUpperCase() });
+  if (model) query.set('model', model);
+  if (params && Object.keys(params).length > 0) query.set('params', JSON.stringify(params));
+
+  const response = await fetch(`/api/predictions?${query.toString()}`);
   
   if (!response.ok) {
     const errorData = await response.json();
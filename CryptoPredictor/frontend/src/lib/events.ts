@@ -0,0 +1,90 @@
+// Live contract events from the API's Server-Sent Events stream
+import { useEffect, useRef, useState } from 'react';
+
+export type ContractEventType =
+  | 'PredictionMade'
+  | 'PredictionResolved'
+  | 'AccuracyThresholdUpdated'
+  | 'UserStatsUpdated';
+
+export interface ContractEvent {
+  id: string;
+  type: ContractEventType;
+  blockNumber: number;
+  transactionHash: string;
+  timestamp: number;
+  data: Record<string, string | boolean>;
+}
+
+export interface EventFilters {
+  symbols?: string[];
+  users?: string[];
+  models?: string[];
+  events?: ContractEventType[];
+}
+
+const EVENT_TYPES: ContractEventType[] = [
+  'PredictionMade',
+  'PredictionResolved',
+  'AccuracyThresholdUpdated',
+  'UserStatsUpdated',
+];
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+
+/**
+ * Build the stream URL for the given filters
+ */
+export function eventStreamUrl(filters: EventFilters = {}): string {
+  const query = new URLSearchParams();
+  Object.entries(filters).forEach(([name, values]) => {
+    if (values && values.length > 0) query.set(name, values.join(','));
+  });
+
+  const queryString = query.toString();
+  return `${API_URL}/api/events/stream${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Subscribe to contract events matching `filters`, keeping the most recent `limit`
+ * (newest first). `onEvent` is called for every event as it arrives. EventSource
+ * reconnects by itself and resumes from the last event it received.
+ */
+export function useContractEvents(
+  filters: EventFilters,
+  onEvent?: (event: ContractEvent) => void,
+  limit = 20
+) {
+  const [events, setEvents] = useState<ContractEvent[]>([]);
+  const [connected, setConnected] = useState(false);
+  const url = eventStreamUrl(filters);
+
+  // Read on every event so a new callback doesn't reopen the stream
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !('EventSource' in window)) return;
+
+    setEvents([]);
+    const source = new EventSource(url);
+
+    const handleEvent = (message: MessageEvent<string>) => {
+      const event: ContractEvent = JSON.parse(message.data);
+      setEvents(previous => [event, ...previous].slice(0, limit));
+      onEventRef.current?.(event);
+    };
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    EVENT_TYPES.forEach(type => source.addEventListener(type, handleEvent));
+
+    return () => {
+      EVENT_TYPES.forEach(type => source.removeEventListener(type, handleEvent));
+      source.close();
+      setConnected(false);
+    };
+  }, [url, limit]);
+
+  return { events, connected };
+}
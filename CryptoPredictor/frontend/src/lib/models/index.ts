@@ -0,0 +1,23 @@
+// Forecasting model registry
+// The models live in the shared @cryptopredictor/forecasting package (../forecasting),
+// which the API's backtests use as well, so both serve the same forecasts.
+export {
+  ModelParameterError,
+  INTERVAL_LEVELS,
+  getModel,
+  listModels,
+  parseModelParams,
+  registerModel
+} from '@cryptopredictor/forecasting';
+export type {
+  ForecastModel,
+  ModelDefinition,
+  ModelForecast,
+  ModelInfo,
+  ModelParams,
+  ParameterSpec,
+  PredictionInterval,
+  PriceData
+} from '@cryptopredictor/forecasting';
+
+export const DEFAULT_MODEL_ID = 'moving-average';